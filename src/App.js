@@ -1,8 +1,13 @@
 import React from 'react';
 import EarthquakeDashboard from './Component/EarthquakeDashboard';
+import { LanguageProvider } from './Component/LanguageContext';
 
 function App() {
-  return <EarthquakeDashboard />;
+  return (
+    <LanguageProvider>
+      <EarthquakeDashboard />
+    </LanguageProvider>
+  );
 }
 
 export default App;
@@ -1,8 +1,54 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { fixtureFetch } from './utils/providers/__fixtures__';
 
-test('renders learn react link', () => {
+// Imported catalogues are drawn as Leaflet vector markers, which jsdom cannot render
+jest.mock('./Component/CatalogueLayer', () => () => null);
+
+// Every provider answers 204 No Content: Leaflet cannot draw markers in jsdom, and the
+// recorded catalogues are covered by the data-layer tests
+beforeEach(() => {
+  global.fetch = fixtureFetch({});
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('renders the dashboard and syncs an empty catalogue', async () => {
+  render(<App />);
+  expect(screen.getByText(/Filter Earthquakes/i)).toBeInTheDocument();
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledWith(
+    expect.stringContaining('https://earthquake.usgs.gov/fdsnws/event/1/query?format=geojson')
+  ));
+  expect(await screen.findByText(/No earthquakes found/i)).toBeInTheDocument();
+});
+
+test('shows the refresh error with a retry when the catalogue cannot be fetched', async () => {
+  global.fetch = fixtureFetch({ 'earthquake.usgs.gov': 503 });
+  render(<App />);
+  expect(await screen.findByText(/Couldn't update earthquakes: USGS request failed with status 503/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Retry now' })).toBeInTheDocument();
+});
+
+test('asks for the column mapping of each dropped CSV in turn and imports both', async () => {
+  const csvFile = (name, text) => Object.assign(new File([text], name), { text: () => Promise.resolve(text) });
+  const files = [
+    csvFile('semera.csv', 'time,latitude,longitude,mag\n2024-03-10T12:00:00Z,11.6,41.0,4.6\n'),
+    csvFile('metahara.csv', 'time,latitude,longitude,mag\n2024-03-11T08:30:00Z,8.75,40.01,4.2\n')
+  ];
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.drop(screen.getByText(/Filter Earthquakes/i), { dataTransfer: { files, types: ['Files'] } });
+
+  expect(await screen.findByText('Map the columns of semera.csv (1 row)')).toBeInTheDocument();
+  expect(screen.getByText('1 more CSV file waiting')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+
+  expect(await screen.findByText('Map the columns of metahara.csv (1 row)')).toBeInTheDocument();
+  expect(screen.queryByText(/more CSV file/)).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+
+  await waitFor(() => expect(screen.queryByText(/Map the columns/)).not.toBeInTheDocument());
+  expect(screen.getByText('semera', { selector: 'span' })).toBeInTheDocument();
+  expect(screen.getByText('metahara', { selector: 'span' })).toBeInTheDocument();
 });
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { REVIEW_STATUSES, extraFilterCount } from "../utils/filters";
+import { useI18n } from "./LanguageContext";
+
+const inputStyle = {
+  width: "100%", borderRadius: "6px", padding: "6px 8px",
+  border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+  color: "#fff", fontSize: "12px", boxSizing: "border-box"
+};
+
+const labelStyle = { fontSize: "11px", color: "#aaa", display: "block", marginBottom: "2px" };
+
+const parseOptionalNumber = (value) => (value === "" ? null : parseFloat(value));
+
+// Collapsible criteria beyond the date range and minimum magnitude
+export default function AdvancedFilters({ filters, magTypes, onChange }) {
+  const { t } = useI18n();
+  const activeCount = extraFilterCount(filters);
+  const [open, setOpen] = useState(activeCount > 0);
+  const isSmall = window.innerWidth < 600;
+
+  const toggleMagType = (type) => {
+    const selected = filters.magTypes.includes(type)
+      ? filters.magTypes.filter(selected => selected !== type)
+      : [...filters.magTypes, type];
+    onChange({ magTypes: selected });
+  };
+
+  // Types chosen earlier stay listed even if the current catalogue has none of them
+  const typeOptions = [...magTypes, ...filters.magTypes.filter(type => !magTypes.includes(type))];
+
+  return (
+    <div style={{ marginBottom: "16px" }}>
+      <button onClick={() => setOpen(!open)}
+        style={{ background: "none", border: "none", color: "#ccc", padding: 0, cursor: "pointer",
+          fontSize: isSmall ? "13px" : "14px" }}>
+        {open ? "▾" : "▸"} {t("filters.more")}{activeCount > 0 ? ` (${activeCount})` : ""}
+      </button>
+      {open && (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px", marginTop: "8px" }}>
+          <div style={{ gridColumn: "1 / -1" }}>
+            <label style={labelStyle}>{t("filters.placeContains")}</label>
+            <input type="search" value={filters.text} placeholder={t("filters.placeExample")}
+              onChange={e => onChange({ text: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>{t("filters.maxMag")}</label>
+            <input type="number" step="0.1" min="0" max="10" value={filters.maxMag ?? ""} placeholder={t("filters.any")}
+              onChange={e => onChange({ maxMag: parseOptionalNumber(e.target.value) })} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>{t("filters.status")}</label>
+            <select value={filters.status} onChange={e => onChange({ status: e.target.value })} style={inputStyle}>
+              {REVIEW_STATUSES.map(status => <option key={status.id} value={status.id}>{t(`filters.statuses.${status.id}`, { defaultValue: status.label })}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>{t("filters.minDepth")}</label>
+            <input type="number" step="1" min="0" value={filters.minDepth ?? ""} placeholder={t("filters.any")}
+              onChange={e => onChange({ minDepth: parseOptionalNumber(e.target.value) })} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>{t("filters.maxDepth")}</label>
+            <input type="number" step="1" min="0" value={filters.maxDepth ?? ""} placeholder={t("filters.any")}
+              onChange={e => onChange({ maxDepth: parseOptionalNumber(e.target.value) })} style={inputStyle} />
+          </div>
+          <div style={{ gridColumn: "1 / -1" }}>
+            <label style={labelStyle}>{t("filters.magType")} {filters.magTypes.length === 0 && `(${t("filters.any")})`}</label>
+            {typeOptions.length === 0 ? (
+              <div style={{ fontSize: "11px", color: "#888" }}>{t("filters.noMagTypes")}</div>
+            ) : (
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 10px" }}>
+                {typeOptions.map(type => (
+                  <label key={type} style={{ fontSize: "12px", display: "flex", alignItems: "center", gap: "3px", cursor: "pointer" }}>
+                    <input type="checkbox" checked={filters.magTypes.includes(type)} onChange={() => toggleMagType(type)} />
+                    {type}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
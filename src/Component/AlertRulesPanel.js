@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import { createRule, CHANNELS } from "../utils/alertRules";
+import { useI18n } from "./LanguageContext";
+
+const CHANNEL_ICONS = {
+  sound: "🔊",
+  speech: "🗣️",
+  toast: "💬",
+  notification: "🔔"
+};
+
+const inputStyle = {
+  width: "100%", borderRadius: "6px", padding: "6px 8px",
+  border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+  color: "#fff", fontSize: "12px", boxSizing: "border-box"
+};
+
+const labelStyle = { fontSize: "11px", color: "#aaa", display: "block", marginBottom: "2px" };
+
+const smallButtonStyle = {
+  background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+  padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+};
+
+const parseOptionalNumber = (value) => (value === "" ? null : parseFloat(value));
+
+const RuleEditor = ({ rule, regions, areas, places, onChange, onDelete }) => {
+  const { t } = useI18n();
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const toggleChannel = (channel) => {
+    const enabled = !rule.channels[channel];
+    if (channel === "notification" && enabled && "Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+    update({ channels: { ...rule.channels, [channel]: enabled } });
+  };
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px", padding: "8px 0" }}>
+      <div style={{ gridColumn: "1 / -1" }}>
+        <label style={labelStyle}>{t("alertRules.name")}</label>
+        <input type="text" value={rule.name} onChange={e => update({ name: e.target.value })} style={inputStyle} />
+      </div>
+      <div>
+        <label style={labelStyle}>{t("alertRules.minMag")}</label>
+        <input type="number" step="0.1" min="0" max="10" value={rule.minMag ?? ""} placeholder={t("filters.any")}
+          onChange={e => update({ minMag: parseOptionalNumber(e.target.value) })} style={inputStyle} />
+      </div>
+      <div>
+        <label style={labelStyle}>{t("filters.maxDepth")}</label>
+        <input type="number" step="1" min="0" value={rule.maxDepth ?? ""} placeholder={t("filters.any")}
+          onChange={e => update({ maxDepth: parseOptionalNumber(e.target.value) })} style={inputStyle} />
+      </div>
+      <div>
+        <label style={labelStyle}>{t("alertRules.region")}</label>
+        <select value={rule.region || ""} onChange={e => update({ region: e.target.value || null })} style={inputStyle}>
+          <option value="">{t("alertRules.anyRegion")}</option>
+          {regions.map(region => <option key={region} value={region}>{region}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>{t("alertRules.area")}</label>
+        <select value={rule.areaId || ""} onChange={e => update({ areaId: e.target.value || null })} style={inputStyle}>
+          <option value="">{t("alertRules.anywhere")}</option>
+          {areas.map(area => <option key={area.id} value={area.id}>{area.name}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>{t("alertRules.place")}</label>
+        <select value={rule.placeId || ""} onChange={e => update({ placeId: e.target.value || null })} style={inputStyle}>
+          <option value="">{t("alertRules.noPlace")}</option>
+          {places.map(place => <option key={place.id} value={place.id}>{place.name}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>{t("alertRules.within")}</label>
+        <input type="number" step="1" min="0" value={rule.maxDistanceKm ?? ""} placeholder={t("filters.any")}
+          disabled={!rule.placeId}
+          onChange={e => update({ maxDistanceKm: parseOptionalNumber(e.target.value) })} style={inputStyle} />
+      </div>
+      <div style={{ gridColumn: "1 / -1" }}>
+        <label style={labelStyle}>{t("alertRules.delivery")}</label>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+          {CHANNELS.map(channel => (
+            <label key={channel} style={{ fontSize: "12px", display: "flex", alignItems: "center", gap: "3px" }}>
+              <input type="checkbox" checked={!!rule.channels[channel]} onChange={() => toggleChannel(channel)} />
+              {CHANNEL_ICONS[channel]} {t(`alertRules.channels.${channel}`)}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div style={{ gridColumn: "1 / -1", display: "flex", alignItems: "center", gap: "6px", flexWrap: "wrap" }}>
+        <label style={{ fontSize: "12px", display: "flex", alignItems: "center", gap: "3px" }}>
+          <input type="checkbox" checked={!!rule.quietHours?.enabled}
+            onChange={e => update({ quietHours: { ...rule.quietHours, enabled: e.target.checked } })} />
+          {t("alertRules.quietHours")}
+        </label>
+        <input type="time" value={rule.quietHours?.start || "22:00"} disabled={!rule.quietHours?.enabled}
+          onChange={e => update({ quietHours: { ...rule.quietHours, start: e.target.value } })}
+          style={{ ...inputStyle, width: "auto" }} />
+        <span style={{ fontSize: "12px" }}>{t("alertRules.to")}</span>
+        <input type="time" value={rule.quietHours?.end || "06:00"} disabled={!rule.quietHours?.enabled}
+          onChange={e => update({ quietHours: { ...rule.quietHours, end: e.target.value } })}
+          style={{ ...inputStyle, width: "auto" }} />
+      </div>
+      <div>
+        <label style={labelStyle}>{t("alertRules.cooldown")}</label>
+        <input type="number" step="1" min="0" value={rule.cooldownMinutes ?? 0}
+          onChange={e => update({ cooldownMinutes: parseFloat(e.target.value) || 0 })} style={inputStyle} />
+      </div>
+      <div style={{ display: "flex", alignItems: "flex-end", justifyContent: "flex-end" }}>
+        <button onClick={onDelete} style={{ ...smallButtonStyle, borderColor: "#ff6b6b" }}>{t("alertRules.deleteRule")}</button>
+      </div>
+    </div>
+  );
+};
+
+// Alert rules and the saved places they can refer to. Fired alerts are listed in the
+// notification center behind the bell.
+export default function AlertRulesPanel({
+  rules, onRulesChange, places, onPlacesChange, areas, regions, onClose
+}) {
+  const { t } = useI18n();
+  const [tab, setTab] = useState("rules");
+  const [editingId, setEditingId] = useState(null);
+  const [newPlace, setNewPlace] = useState({ name: "", lat: "", lon: "" });
+  const isSmall = window.innerWidth < 600;
+
+  const updateRule = (updated) => onRulesChange(rules.map(rule => rule.id === updated.id ? updated : rule));
+
+  const addRule = () => {
+    const rule = createRule({ name: t("alertRules.newRuleName", { number: rules.length + 1 }) });
+    onRulesChange([...rules, rule]);
+    setEditingId(rule.id);
+  };
+
+  const addPlace = () => {
+    const lat = parseFloat(newPlace.lat);
+    const lon = parseFloat(newPlace.lon);
+    if (!newPlace.name.trim() || isNaN(lat) || isNaN(lon)) return;
+    onPlacesChange([...places, { id: `place-${Date.now().toString(36)}`, name: newPlace.name.trim(), lat, lon }]);
+    setNewPlace({ name: "", lat: "", lon: "" });
+  };
+
+  const tabButton = (id, label) => (
+    <button onClick={() => setTab(id)} style={{
+      ...smallButtonStyle,
+      backgroundColor: tab === id ? "#ff6b6b" : "transparent",
+      borderColor: tab === id ? "#ff6b6b" : "#3a4a5a"
+    }}>{label}</button>
+  );
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 380,
+      maxHeight: "65vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px", gap: "6px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🚨 {t("alertRules.title")}</h4>
+        <div style={{ display: "flex", gap: "4px", marginLeft: "12px" }}>
+          {tabButton("rules", t("alertRules.rules"))}
+          {tabButton("places", t("alertRules.places"))}
+        </div>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      {tab === "rules" && (
+        <>
+          {rules.map(rule => (
+            <div key={rule.id} style={{ borderBottom: "1px solid rgba(255,255,255,0.1)", padding: "6px 0" }}>
+              <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+                <input type="checkbox" checked={rule.enabled} onChange={() => updateRule({ ...rule, enabled: !rule.enabled })} />
+                <span style={{ flex: 1, fontSize: "13px", color: rule.enabled ? "#fff" : "#888" }}>{rule.name}</span>
+                <button onClick={() => setEditingId(editingId === rule.id ? null : rule.id)} style={smallButtonStyle}>
+                  {editingId === rule.id ? t("common.done") : t("common.edit")}
+                </button>
+              </div>
+              {editingId === rule.id && (
+                <RuleEditor
+                  rule={rule}
+                  regions={regions}
+                  areas={areas}
+                  places={places}
+                  onChange={updateRule}
+                  onDelete={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+                />
+              )}
+            </div>
+          ))}
+          <button onClick={addRule} style={{ ...smallButtonStyle, marginTop: "10px", borderColor: "#43a047" }}>+ {t("alertRules.addRule")}</button>
+        </>
+      )}
+
+      {tab === "places" && (
+        <>
+          {places.length === 0 && (
+            <div style={{ fontSize: "12px", color: "#888", marginBottom: "8px" }}>
+              {t("alertRules.placesEmpty")}
+            </div>
+          )}
+          {places.map(place => (
+            <div key={place.id} style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", marginBottom: "6px" }}>
+              <span style={{ flex: 1 }}>📍 {place.name}</span>
+              <span style={{ color: "#888" }}>{place.lat.toFixed(3)}, {place.lon.toFixed(3)}</span>
+              <button onClick={() => onPlacesChange(places.filter(p => p.id !== place.id))} style={{ ...smallButtonStyle, borderColor: "#ff6b6b" }}>✕</button>
+            </div>
+          ))}
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr auto", gap: "6px", marginTop: "10px" }}>
+            <input type="text" placeholder={t("alertRules.name")} value={newPlace.name} onChange={e => setNewPlace({ ...newPlace, name: e.target.value })} style={inputStyle} />
+            <input type="number" step="0.001" placeholder={t("common.lat")} value={newPlace.lat} onChange={e => setNewPlace({ ...newPlace, lat: e.target.value })} style={inputStyle} />
+            <input type="number" step="0.001" placeholder={t("common.lon")} value={newPlace.lon} onChange={e => setNewPlace({ ...newPlace, lon: e.target.value })} style={inputStyle} />
+            <button onClick={addPlace} style={{ ...smallButtonStyle, borderColor: "#43a047" }}>{t("common.add")}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { useI18n } from "./LanguageContext";
+
+const LEVEL_COLORS = {
+  alert: { border: "#ff4444", background: "rgba(40, 10, 10, 0.97)", icon: "🚨" },
+  info: { border: "#4fc3f7", background: "rgba(10, 25, 40, 0.97)", icon: "ℹ️" }
+};
+
+// Stacked, non-blocking messages in the corner of the screen. Alert toasts that carry
+// an eventId can be clicked to show the event on the map.
+export default function AlertToasts({ toasts, onDismiss, onSelectEvent }) {
+  const { t } = useI18n();
+  if (toasts.length === 0) return null;
+  const isSmall = window.innerWidth < 600;
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 130 : 150,
+      right: isSmall ? 10 : 300,
+      left: isSmall ? 10 : "auto",
+      width: isSmall ? "auto" : 300,
+      zIndex: 2500,
+      display: "flex",
+      flexDirection: "column",
+      gap: "8px"
+    }}>
+      {toasts.map(toast => {
+        const colors = LEVEL_COLORS[toast.level] || LEVEL_COLORS.alert;
+        return (
+          <div key={toast.id} role="status" style={{
+            backgroundColor: colors.background,
+            border: `1px solid ${colors.border}`,
+            borderLeft: `4px solid ${colors.border}`,
+            color: "#fff",
+            borderRadius: "8px",
+            padding: "10px 12px",
+            boxShadow: "0 4px 12px rgba(0,0,0,0.4)",
+            fontSize: isSmall ? "12px" : "13px",
+            display: "flex",
+            gap: "8px"
+          }}>
+            <div
+              style={{ flex: 1, cursor: toast.eventId ? "pointer" : "default" }}
+              title={toast.eventId ? t("common.showOnMap") : undefined}
+              onClick={() => toast.eventId && onSelectEvent(toast.eventId)}>
+              <div style={{ fontWeight: "600", marginBottom: "2px" }}>{colors.icon} {toast.title}</div>
+              <div>{toast.message}</div>
+            </div>
+            <button onClick={() => onDismiss(toast.id)} style={{ background: "none", border: "none", color: "#aaa", cursor: "pointer", fontSize: "14px", alignSelf: "flex-start" }}>✕</button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { useI18n } from "./LanguageContext";
+
+const TYPE_LABELS = { polygon: "⬠", rectangle: "▭", circle: "◯" };
+
+// Saved areas of interest: rename, toggle, focus and delete
+export default function AreasPanel({ areas, onRename, onToggle, onFocus, onDelete }) {
+  const { t } = useI18n();
+  const isSmall = window.innerWidth < 600;
+
+  return (
+    <div style={{ marginBottom: "16px" }}>
+      <div style={{ fontSize: isSmall ? "13px" : "14px", color: "#ccc", marginBottom: "6px" }}>
+        {t("areas.title")}
+      </div>
+      {areas.length === 0 ? (
+        <div style={{ fontSize: isSmall ? "11px" : "12px", color: "#888" }}>
+          {t("areas.empty")}
+        </div>
+      ) : (
+        areas.map(area => (
+          <div key={area.id} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "6px" }}>
+            <input
+              type="checkbox" checked={area.active} onChange={() => onToggle(area.id)}
+              title={area.active ? t("areas.stopFiltering") : t("areas.filterBy")}
+            />
+            <span style={{ color: "#4fc3f7", fontSize: "14px" }}>{TYPE_LABELS[area.type] || "⬠"}</span>
+            <input
+              type="text" value={area.name} onChange={e => onRename(area.id, e.target.value)}
+              style={{ flex: 1, minWidth: 0, borderRadius: "6px", padding: "4px 6px",
+                border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+                color: "#fff", fontSize: isSmall ? "12px" : "13px", boxSizing: "border-box"
+              }}
+            />
+            <button onClick={() => onFocus(area.id)} title={t("areas.focus")}
+              style={{ background: "none", border: "1px solid #4fc3f7", color: "#fff", borderRadius: "4px",
+                padding: "2px 6px", fontSize: "12px", cursor: "pointer" }}>
+              🔍
+            </button>
+            <button onClick={() => onDelete(area.id)} title={t("areas.delete")}
+              style={{ background: "none", border: "1px solid #ff6b6b", color: "#fff", borderRadius: "4px",
+                padding: "2px 6px", fontSize: "12px", cursor: "pointer" }}>
+              ✕
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
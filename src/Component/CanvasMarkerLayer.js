@@ -0,0 +1,180 @@
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { markerStyle, isRecent, createHitGrid } from "../utils/mapLayers";
+
+// Extra hit radius in screen pixels, so small markers are easy to tap
+const HIT_SLOP = 3;
+
+// Every marker drawn onto one canvas instead of an SVG element each, so tens of
+// thousands of events pan and zoom smoothly. Markers are projected once per zoom level,
+// drawn in runs of the same style, and indexed in a hit grid for clicks and hover.
+const MarkerCanvasLayer = L.Layer.extend({
+  initialize(onSelect) {
+    this._onSelect = onSelect;
+    this._interactive = true;
+    this._markers = [];
+    this._projectedZoom = null;
+    this._grid = createHitGrid();
+  },
+
+  // Markers ({id, lat, lon, radius, color, weight, alpha}) in drawing order, bottom first
+  setMarkers(markers) {
+    this._markers = markers;
+    this._projectedZoom = null;
+    if (this._map) this._redraw();
+  },
+
+  // Off while another map tool takes the clicks
+  setInteractive(interactive) {
+    this._interactive = interactive;
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+    this._canvas.style.pointerEvents = "none";
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on("moveend resize", this._reset, this);
+    map.on("click", this._handleClick, this);
+    map.on("mousemove", this._handleMouseMove, this);
+    this._reset();
+  },
+
+  onRemove(map) {
+    L.DomUtil.remove(this._canvas);
+    map.getContainer().style.cursor = "";
+    map.off("moveend resize", this._reset, this);
+    map.off("click", this._handleClick, this);
+    map.off("mousemove", this._handleMouseMove, this);
+  },
+
+  _reset() {
+    const size = this._map.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+    this._canvas.width = size.x * ratio;
+    this._canvas.height = size.y * ratio;
+    this._canvas.style.width = `${size.x}px`;
+    this._canvas.style.height = `${size.y}px`;
+    this._redraw();
+  },
+
+  // World pixel coordinates of every marker at the current zoom
+  _project() {
+    const zoom = this._map.getZoom();
+    if (this._projectedZoom === zoom) return;
+    this._projected = new Float64Array(this._markers.length * 2);
+    this._markers.forEach((marker, i) => {
+      const point = this._map.project([marker.lat, marker.lon], zoom);
+      this._projected[i * 2] = point.x;
+      this._projected[i * 2 + 1] = point.y;
+    });
+    this._projectedZoom = zoom;
+  },
+
+  _redraw() {
+    const ratio = window.devicePixelRatio || 1;
+    const ctx = this._canvas.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+    this._grid = createHitGrid();
+    const { x: width, y: height } = this._map.getSize();
+    if (this._markers.length === 0 || width === 0 || height === 0) return;
+
+    this._project();
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    const origin = this._map.getPixelBounds().min;
+    let run = null;
+    const flush = () => {
+      if (!run) return;
+      ctx.fillStyle = ctx.strokeStyle = run.color;
+      ctx.lineWidth = run.weight;
+      ctx.globalAlpha = 0.7 * run.alpha;
+      ctx.fill();
+      ctx.globalAlpha = run.alpha;
+      ctx.stroke();
+      run = null;
+    };
+
+    this._markers.forEach((marker, i) => {
+      const x = this._projected[i * 2] - origin.x;
+      const y = this._projected[i * 2 + 1] - origin.y;
+      const extent = marker.radius + marker.weight;
+      if (x < -extent || y < -extent || x > width + extent || y > height + extent || marker.alpha <= 0) return;
+      if (!run || run.color !== marker.color || run.weight !== marker.weight || run.alpha !== marker.alpha) {
+        flush();
+        run = { color: marker.color, weight: marker.weight, alpha: marker.alpha };
+        ctx.beginPath();
+      }
+      ctx.moveTo(x + marker.radius, y);
+      ctx.arc(x, y, marker.radius, 0, Math.PI * 2);
+      this._grid.add(marker.id, x, y, marker.radius + marker.weight / 2 + HIT_SLOP);
+    });
+    flush();
+    ctx.globalAlpha = 1;
+  },
+
+  // The pointer itself rather than e.containerPoint, which Leaflet snaps to the centre of
+  // a small circle marker when the event bubbles up from one
+  _hitAt(e) {
+    const { x, y } = this._map.mouseEventToContainerPoint(e.originalEvent);
+    return this._grid.find(x, y);
+  },
+
+  _handleClick(e) {
+    if (!this._interactive) return;
+    const id = this._hitAt(e);
+    if (id !== null) this._onSelect(id);
+  },
+
+  _handleMouseMove(e) {
+    if (!this._interactive) return;
+    // Inline, as the map's grab cursor would win over a class
+    this._map.getContainer().style.cursor = this._hitAt(e) !== null ? "pointer" : "";
+  }
+});
+
+// Event markers with the same size, colour and recency encoding as the SVG markers,
+// drawn on a canvas. `opacity` maps event ids to a fade during playback; clicking a
+// marker calls `onSelect` with its id, and without one the markers ignore the pointer.
+export default function CanvasMarkerLayer({ earthquakes, opacity, onSelect }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const onSelectRef = useRef(onSelect);
+
+  useEffect(() => {
+    onSelectRef.current = onSelect;
+  });
+
+  useEffect(() => {
+    const layer = new MarkerCanvasLayer(id => onSelectRef.current?.(id));
+    layerRef.current = layer;
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  const interactive = Boolean(onSelect);
+  useEffect(() => {
+    layerRef.current.setInteractive(interactive);
+  }, [interactive]);
+
+  useEffect(() => {
+    const now = Date.now();
+    const small = window.innerWidth < 600;
+    const markers = earthquakes.map(eq => {
+      const [lon, lat] = eq.geometry.coordinates;
+      const mag = eq.properties.mag;
+      const recent = isRecent(eq.properties.time, now);
+      return { id: eq.id, lat, lon, mag, recent, alpha: opacity?.get(eq.id) ?? 1, ...markerStyle(mag, { recent, small }) };
+    });
+    // Recent and larger events on top, as their highlight is what the map is read for;
+    // events without a magnitude go under the rest
+    markers.sort((a, b) => (a.recent - b.recent) || ((a.mag ?? -Infinity) - (b.mag ?? -Infinity)));
+    layerRef.current.setMarkers(markers);
+  }, [earthquakes, opacity]);
+
+  return null;
+}
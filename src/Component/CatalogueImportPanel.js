@@ -0,0 +1,232 @@
+import React, { useMemo, useRef, useState } from "react";
+import { CSV_COLUMNS, compareCatalogues } from "../utils/catalogueImport";
+import { useI18n } from "./LanguageContext";
+
+const USGS = "usgs";
+const LIST_LIMIT = 50;
+
+const inputStyle = {
+  width: "100%", borderRadius: "6px", padding: "4px 6px",
+  border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+  color: "#fff", fontSize: "12px", boxSizing: "border-box"
+};
+
+const smallButtonStyle = {
+  background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+  padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+};
+
+const columnLabel = (column, t) => t(`import.columns.${column.id}`, { defaultValue: column.label });
+
+const EventList = ({ title, color, events }) => {
+  const { t } = useI18n();
+  return (
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ fontSize: "11px", color, fontWeight: "600", marginBottom: "4px" }}>{title} ({events.length})</div>
+      {events.slice(0, LIST_LIMIT).map(eq => (
+        <div key={eq.id} style={{ fontSize: "11px", padding: "2px 0", borderBottom: "1px solid rgba(255,255,255,0.05)" }}>
+          <div>{new Date(eq.properties.time).toISOString().replace("T", " ").slice(0, 19)}</div>
+          <div style={{ color: "#aaa", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            M{eq.properties.mag?.toFixed(1) ?? "?"} · {eq.properties.place || eq.properties.region || t("location.unknown")}
+          </div>
+        </div>
+      ))}
+      {events.length > LIST_LIMIT && (
+        <div style={{ fontSize: "11px", color: "#888", marginTop: "4px" }}>{t("common.andMore", { count: events.length - LIST_LIMIT })}</div>
+      )}
+    </div>
+  );
+};
+
+// CSV column mapping shown after a CSV file is picked, one file at a time
+const CsvMapping = ({ pendingCsv, queuedCount, onMappingChange, onConfirm, onCancel }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState(pendingCsv.fileName.replace(/\.[^.]+$/, ""));
+  const { headers, rows } = pendingCsv.table;
+  const missing = CSV_COLUMNS.filter(column => column.required && pendingCsv.mapping[column.id] === null);
+
+  return (
+    <div style={{ border: "1px solid #4fc3f7", borderRadius: "8px", padding: "10px", marginBottom: "12px" }}>
+      <div style={{ fontSize: "12px", fontWeight: "600", marginBottom: "8px" }}>
+        {t("import.mapColumns", { file: pendingCsv.fileName, count: rows.length })}
+      </div>
+      <label style={{ fontSize: "11px", color: "#aaa" }}>{t("import.layerName")}</label>
+      <input type="text" value={name} onChange={e => setName(e.target.value)} style={{ ...inputStyle, marginBottom: "8px" }} />
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "6px" }}>
+        {CSV_COLUMNS.map(column => (
+          <div key={column.id}>
+            <label style={{ fontSize: "11px", color: "#aaa" }}>{columnLabel(column, t)}{column.required ? " *" : ""}</label>
+            <select
+              value={pendingCsv.mapping[column.id] ?? ""}
+              onChange={e => onMappingChange({ ...pendingCsv.mapping, [column.id]: e.target.value === "" ? null : Number(e.target.value) })}
+              style={inputStyle}>
+              <option value="">—</option>
+              {headers.map((header, index) => <option key={index} value={index}>{header || t("import.column", { number: index + 1 })}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      {rows.length > 0 && (
+        <div style={{ fontSize: "10px", color: "#888", marginTop: "8px", overflowX: "auto", whiteSpace: "nowrap" }}>
+          {t("import.firstRow", { row: rows[0].join(" | ") })}
+        </div>
+      )}
+      <div style={{ display: "flex", gap: "6px", marginTop: "10px" }}>
+        <button onClick={() => onConfirm(name.trim() || pendingCsv.fileName)} disabled={missing.length > 0}
+          title={missing.length > 0 ? t("import.mapFirst", { columns: missing.map(column => columnLabel(column, t)).join(", ") }) : undefined}
+          style={{ ...smallButtonStyle, borderColor: "#43a047", opacity: missing.length > 0 ? 0.5 : 1 }}>
+          {t("import.import")}
+        </button>
+        <button onClick={onCancel} style={smallButtonStyle}>{t("common.cancel")}</button>
+      </div>
+      {queuedCount > 0 && (
+        <div style={{ fontSize: "11px", color: "#888", marginTop: "6px" }}>{t("import.moreQueued", { count: queuedCount })}</div>
+      )}
+    </div>
+  );
+};
+
+// Imported catalogues as map layers, plus a side-by-side comparison of any two
+// catalogues (the USGS feed included)
+export default function CatalogueImportPanel({
+  catalogues, matchedIds, usgsEvents, pendingCsv, queuedCsvCount, onFiles, onMappingChange, onConfirmCsv,
+  onCancelCsv, onCatalogueChange, onRemoveCatalogue, onClose
+}) {
+  const { t, formatDate } = useI18n();
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [compareA, setCompareA] = useState(USGS);
+  const [compareB, setCompareB] = useState("");
+  const isSmall = window.innerWidth < 600;
+
+  const sources = useMemo(
+    () => [{ id: USGS, name: t("import.usgsFeed"), color: "#ff6b6b", events: usgsEvents }, ...catalogues],
+    [usgsEvents, catalogues, t]
+  );
+  const sourceA = sources.find(source => source.id === compareA);
+  const sourceB = sources.find(source => source.id === compareB);
+
+  const comparison = useMemo(
+    () => (sourceA && sourceB && sourceA !== sourceB ? compareCatalogues(sourceA.events, sourceB.events) : null),
+    [sourceA, sourceB]
+  );
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+    onFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 420,
+      maxHeight: "75vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>📂 {t("import.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <div
+        onDragOver={e => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current.click()}
+        style={{
+          border: `2px dashed ${isDragging ? "#4fc3f7" : "#3a4a5a"}`,
+          borderRadius: "8px",
+          padding: "16px",
+          textAlign: "center",
+          fontSize: "12px",
+          color: "#ccc",
+          cursor: "pointer",
+          marginBottom: "12px"
+        }}>
+        {t("import.drop")}
+        <input ref={fileInputRef} type="file" multiple accept=".csv,.txt,.tsv,.json,.geojson,.xml,.qml,.quakeml"
+          style={{ display: "none" }}
+          onChange={e => {
+            onFiles(e.target.files);
+            e.target.value = "";
+          }} />
+      </div>
+
+      {pendingCsv && (
+        <CsvMapping
+          key={pendingCsv.id}
+          pendingCsv={pendingCsv}
+          queuedCount={queuedCsvCount}
+          onMappingChange={onMappingChange}
+          onConfirm={onConfirmCsv}
+          onCancel={onCancelCsv}
+        />
+      )}
+
+      {catalogues.map(catalogue => (
+        <div key={catalogue.id} style={{ borderBottom: "1px solid rgba(255,255,255,0.1)", padding: "6px 0", fontSize: "12px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+            <input type="checkbox" checked={catalogue.visible} title={t("common.showOnMap")}
+              onChange={() => onCatalogueChange({ ...catalogue, visible: !catalogue.visible })} />
+            <input type="color" value={catalogue.color} title={t("import.colour")}
+              onChange={e => onCatalogueChange({ ...catalogue, color: e.target.value })}
+              style={{ width: "22px", height: "18px", padding: 0, border: "none", background: "none" }} />
+            <span style={{ flex: 1 }}>{catalogue.name}</span>
+            <button onClick={() => onRemoveCatalogue(catalogue.id)} style={{ ...smallButtonStyle, borderColor: "#ff6b6b" }}>✕</button>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px", color: "#aaa", fontSize: "11px", marginTop: "2px", paddingLeft: "22px" }}>
+            <span>{t("sequences.events", { count: catalogue.events.length })} · {t("import.alsoInUsgs", { count: matchedIds[catalogue.id]?.size || 0 })}</span>
+            <label style={{ display: "flex", alignItems: "center", gap: "3px" }}>
+              <input type="checkbox" checked={catalogue.hideDuplicates}
+                onChange={() => onCatalogueChange({ ...catalogue, hideDuplicates: !catalogue.hideDuplicates })} />
+              {t("import.hideDuplicates")}
+            </label>
+          </div>
+        </div>
+      ))}
+
+      {catalogues.length > 0 && (
+        <div style={{ marginTop: "14px" }}>
+          <div style={{ fontSize: "12px", fontWeight: "600", marginBottom: "6px" }}>{t("import.compare")}</div>
+          <div style={{ display: "flex", gap: "6px", alignItems: "center", marginBottom: "8px" }}>
+            <select value={compareA} onChange={e => setCompareA(e.target.value)} style={inputStyle}>
+              {sources.map(source => <option key={source.id} value={source.id}>{source.name}</option>)}
+            </select>
+            <span style={{ fontSize: "12px" }}>{t("import.versus")}</span>
+            <select value={compareB} onChange={e => setCompareB(e.target.value)} style={inputStyle}>
+              <option value="">{t("import.choose")}</option>
+              {sources.map(source => <option key={source.id} value={source.id}>{source.name}</option>)}
+            </select>
+          </div>
+          {comparison && (comparison.start === null ? (
+            <div style={{ fontSize: "11px", color: "#888" }}>{t("import.noOverlap")}</div>
+          ) : (
+            <>
+              <div style={{ fontSize: "11px", color: "#aaa", marginBottom: "8px" }}>
+                {formatDate(comparison.start)} – {formatDate(comparison.end)}:
+                {" "}{t("import.inBoth", { count: comparison.matches.length })}
+              </div>
+              <div style={{ display: "flex", gap: "10px" }}>
+                <EventList title={t("import.onlyIn", { name: sourceA.name })} color={sourceA.color} events={comparison.onlyA} />
+                <EventList title={t("import.onlyIn", { name: sourceB.name })} color={sourceB.color} events={comparison.onlyB} />
+              </div>
+            </>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { CircleMarker, Popup } from "react-leaflet";
+import { useI18n } from "./LanguageContext";
+
+// Events of one imported catalogue, drawn as hollow rings in the catalogue's colour so
+// they stay distinguishable from the USGS markers underneath
+export default function CatalogueLayer({ catalogue, events, matchedIds }) {
+  const { t, formatDateTime } = useI18n();
+  const isSmall = window.innerWidth < 600;
+
+  return events.map(eq => {
+    const [lon, lat, depth] = eq.geometry.coordinates;
+    const mag = eq.properties.mag;
+    return (
+      <CircleMarker key={eq.id} center={[lat, lon]}
+        radius={typeof mag === "number" ? Math.max(mag * (isSmall ? 1.2 : 1.5), 4) : 4}
+        color={catalogue.color} weight={2} fillColor={catalogue.color} fillOpacity={0.15} bubblingMouseEvents={false}>
+        <Popup>
+          <div style={{ padding: isSmall ? "6px" : "8px", maxWidth: "200px", fontSize: isSmall ? "12px" : "13px" }}>
+            <div style={{ color: catalogue.color, fontWeight: "600", marginBottom: "4px" }}>{catalogue.name}</div>
+            <strong>M{typeof mag === "number" ? mag.toFixed(1) : "?"}{eq.properties.magType ? ` ${eq.properties.magType}` : ""}</strong>
+            <div style={{ marginTop: "4px" }}>{eq.properties.place || t("location.unknown")}</div>
+            {eq.properties.region && (
+              <div style={{ color: "#666" }}>🗺️ {eq.properties.region}{eq.properties.zone ? ` · ${eq.properties.zone}` : ""}</div>
+            )}
+            <div style={{ color: "#666" }}>📍 {t("popup.depth", { depth: typeof depth === "number" ? depth.toFixed(1) : t("common.unknown") })}</div>
+            <div style={{ color: "#666" }}>🕐 {formatDateTime(eq.properties.time)}</div>
+            {matchedIds?.has(eq.id) && (
+              <div style={{ color: "#43a047", marginTop: "4px" }}>✓ {t("popup.alsoInUsgs")}</div>
+            )}
+          </div>
+        </Popup>
+      </CircleMarker>
+    );
+  });
+}
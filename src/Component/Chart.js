@@ -0,0 +1,94 @@
+import React, { useRef } from "react";
+import { exportPng, exportSvg } from "../utils/chartExport";
+import { useI18n } from "./LanguageContext";
+
+// SVG chart pieces shared by the statistics and event detail panels
+
+// Charts are drawn in this coordinate space and scaled to the panel width
+export const WIDTH = 360;
+export const HEIGHT = 180;
+export const MARGIN = { top: 12, right: 12, bottom: 32, left: 48 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+export const COLORS = {
+  background: "#141e28",
+  grid: "#2a3744",
+  text: "#aaa",
+  bar: "#ff6b6b",
+  secondary: "#4fc3f7",
+  highlight: "#ffd93d"
+};
+
+const smallButtonStyle = {
+  background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+  padding: "2px 6px", fontSize: "10px", cursor: "pointer"
+};
+
+// Round tick positions covering min..max
+export const niceTicks = (min, max, count = 5) => {
+  if (!(max > min)) return [min];
+  const rough = (max - min) / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const fraction = rough / power;
+  const step = (fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10) * power;
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+    ticks.push(parseFloat(tick.toPrecision(12)));
+  }
+  return ticks;
+};
+
+export const linearScale = (min, max, from, to) => (value) =>
+  max === min ? from : from + ((value - min) / (max - min)) * (to - from);
+
+// Short tick label in the given locale, the browser's own without one
+export const formatDate = (time, locale) => new Date(time).toLocaleDateString(locale, { month: "short", day: "numeric", year: "2-digit" });
+
+// Grid lines, tick labels and axis titles shared by every chart
+export const Axes = ({ xTicks, yTicks, x, y, formatX = String, formatY = String, xLabel, yLabel }) => (
+  <g fontSize="9" fill={COLORS.text}>
+    {yTicks.map(tick => (
+      <g key={`y${tick}`}>
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke={COLORS.grid} />
+        <text x={MARGIN.left - 4} y={y(tick) + 3} textAnchor="end">{formatY(tick)}</text>
+      </g>
+    ))}
+    {xTicks.map(tick => (
+      <text key={`x${tick}`} x={x(tick)} y={HEIGHT - MARGIN.bottom + 12} textAnchor="middle">{formatX(tick)}</text>
+    ))}
+    <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={HEIGHT - MARGIN.bottom} y2={HEIGHT - MARGIN.bottom} stroke={COLORS.text} />
+    <text x={MARGIN.left + PLOT_WIDTH / 2} y={HEIGHT - 4} textAnchor="middle">{xLabel}</text>
+    <text transform={`translate(10 ${MARGIN.top + PLOT_HEIGHT / 2}) rotate(-90)`} textAnchor="middle">{yLabel}</text>
+  </g>
+);
+
+// Titled chart with SVG and PNG download buttons; children are drawn into the SVG
+export const ChartCard = ({ title, filename, onExportError, controls, children }) => {
+  const svgRef = useRef(null);
+
+  const handlePng = () => {
+    exportPng(svgRef.current, filename).catch(err => onExportError(err));
+  };
+
+  return (
+    <div style={{ marginBottom: "14px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+        <span style={{ fontSize: "12px", fontWeight: "600", flex: 1 }}>{title}</span>
+        {controls}
+        <button onClick={() => exportSvg(svgRef.current, filename)} style={smallButtonStyle}>SVG</button>
+        <button onClick={handlePng} style={smallButtonStyle}>PNG</button>
+      </div>
+      <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" fontFamily="sans-serif"
+        style={{ display: "block", borderRadius: "6px" }}>
+        <rect width={WIDTH} height={HEIGHT} fill={COLORS.background} />
+        {children}
+      </svg>
+    </div>
+  );
+};
+
+export const EmptyChart = ({ message }) => {
+  const { t } = useI18n();
+  return <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" fontSize="11" fill={COLORS.text}>{message ?? t("charts.noData")}</text>;
+};
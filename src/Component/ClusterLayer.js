@@ -0,0 +1,68 @@
+import React, { useMemo, useState } from "react";
+import { Marker, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { clusterPoints, densityCss, CLUSTER_MAX_ZOOM } from "../utils/mapLayers";
+import { useI18n } from "./LanguageContext";
+
+// Grid cell size in screen pixels; events closer than this merge at the current zoom
+const CELL_SIZE = 60;
+
+const clusterIcon = (count, color) => {
+  const size = Math.round(26 + Math.log10(count) * 10);
+  return L.divIcon({
+    className: "",
+    iconSize: [size, size],
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:${color};` +
+      `opacity:0.85;border:2px solid rgba(255,255,255,0.7);box-sizing:border-box;display:flex;` +
+      `align-items:center;justify-content:center;color:#111;font:600 11px sans-serif;">${count}</div>`
+  });
+};
+
+// Events merged into counted bubbles at low zoom. Single events, and every event from
+// CLUSTER_MAX_ZOOM on, are drawn together with `renderEvents`.
+export default function ClusterLayer({ earthquakes, renderEvents }) {
+  const { t } = useI18n();
+  const map = useMap();
+  const [zoom, setZoom] = useState(map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  const { singles, clusters } = useMemo(() => {
+    if (zoom >= CLUSTER_MAX_ZOOM) return { singles: earthquakes, clusters: [] };
+    const points = earthquakes.map(eq => {
+      const [lon, lat] = eq.geometry.coordinates;
+      const point = map.project([lat, lon], zoom);
+      return { x: point.x, y: point.y, event: eq };
+    });
+    const groups = clusterPoints(points, CELL_SIZE);
+    const maxCount = groups.reduce((max, group) => Math.max(max, group.events.length), 2);
+    return {
+      singles: groups.filter(group => group.events.length === 1).map(group => group.events[0]),
+      clusters: groups.filter(group => group.events.length > 1).map(group => ({
+        key: `${group.events[0].id}-${group.events.length}`,
+        center: map.unproject([group.x, group.y], zoom),
+        events: group.events,
+        icon: clusterIcon(group.events.length, densityCss(Math.log(group.events.length) / Math.log(maxCount)))
+      }))
+    };
+  }, [earthquakes, zoom, map]);
+
+  const zoomToCluster = (cluster) => {
+    const bounds = L.latLngBounds(cluster.events.map(eq => [eq.geometry.coordinates[1], eq.geometry.coordinates[0]]));
+    if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+      map.flyTo(cluster.center, CLUSTER_MAX_ZOOM);
+    } else {
+      map.flyToBounds(bounds, { padding: [40, 40] });
+    }
+  };
+
+  return (
+    <>
+      {clusters.map(cluster => (
+        <Marker key={cluster.key} position={cluster.center} icon={cluster.icon}
+          title={t("layers.clusterTitle", { count: cluster.events.length })}
+          eventHandlers={{ click: () => zoomToCluster(cluster) }} />
+      ))}
+      {renderEvents(singles)}
+    </>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from "react";
+import { sectionEvents, lineLengthKm, SWATH_WIDTHS_KM, EXAGGERATIONS } from "../utils/crossSection";
+import { getMagnitudeColor } from "../utils/magnitude";
+import { WIDTH, HEIGHT, MARGIN, COLORS, niceTicks, linearScale, Axes, ChartCard, EmptyChart } from "./Chart";
+import HypocentreView from "./HypocentreView";
+import { useI18n } from "./LanguageContext";
+
+const selectStyle = { borderRadius: "4px", border: "1px solid #3a4a5a", backgroundColor: "#1e2a36", color: "#fff", fontSize: "11px" };
+
+const buttonStyle = {
+  padding: "4px 10px", backgroundColor: "#0066cc", color: "white", border: "none",
+  borderRadius: "4px", cursor: "pointer", fontSize: "12px"
+};
+
+const dotRadius = (mag) => Math.max(1.5, (mag ?? 0) * 0.9);
+
+// Distance along A–A′ against depth, deepest at the bottom, sized by magnitude
+const SectionChart = ({ points, length, selectedEventId, onSelectEvent }) => {
+  const { t, formatDateTime } = useI18n();
+  if (points.length === 0) return <EmptyChart message={t("crossSection.noEvents")} />;
+  const maxDepth = points.reduce((max, point) => Math.max(max, point.depth), 10);
+  const x = linearScale(0, length, MARGIN.left, WIDTH - MARGIN.right);
+  const y = linearScale(0, maxDepth, MARGIN.top, HEIGHT - MARGIN.bottom);
+  const selected = points.find(point => point.event.id === selectedEventId);
+  return (
+    <>
+      <Axes xTicks={niceTicks(0, length, 5)} yTicks={niceTicks(0, maxDepth, 4)} x={x} y={y}
+        xLabel={t("crossSection.distanceAxis")} yLabel={t("crossSection.depthAxis")} />
+      <g fontSize="9" fill={COLORS.highlight}>
+        <text x={x(0)} y={MARGIN.top - 2}>A</text>
+        <text x={x(length)} y={MARGIN.top - 2} textAnchor="end">A′</text>
+      </g>
+      {points.map(({ event, distance, depth }) => (
+        <circle key={event.id} cx={x(distance)} cy={y(depth)} r={dotRadius(event.properties.mag)}
+          fill={getMagnitudeColor(event.properties.mag)} fillOpacity="0.75" style={{ cursor: "pointer" }}
+          onClick={() => onSelectEvent(event.id)}>
+          <title>{`M${event.properties.mag?.toFixed(1) ?? "?"} · ${depth.toFixed(1)} km · ${formatDateTime(event.properties.time)}`}</title>
+        </circle>
+      ))}
+      {selected && (
+        <circle cx={x(selected.distance)} cy={y(selected.depth)} r={dotRadius(selected.event.properties.mag) + 3}
+          fill="none" stroke={COLORS.highlight} strokeWidth="2" pointerEvents="none" />
+      )}
+    </>
+  );
+};
+
+// Depth cross-section along a line drawn on the map, and an optional 3D view of the
+// hypocentres under the map view, both of the filtered events
+export default function CrossSectionPanel({
+  earthquakes, line, drawing, onDrawToggle, onClearLine, settings, onSettingsChange, bounds,
+  selectedEventId, onSelectEvent, filenamePrefix, onExportError, onClose
+}) {
+  const { t } = useI18n();
+  const [show3d, setShow3d] = useState(false);
+  const isSmall = window.innerWidth < 600;
+
+  const points = useMemo(
+    () => (line ? sectionEvents(earthquakes, line, settings.widthKm) : []),
+    [earthquakes, line, settings.widthKm]
+  );
+  const length = line ? lineLengthKm(line) : 0;
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 420,
+      maxHeight: "75vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "10px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🪨 {t("crossSection.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", fontSize: "12px", marginBottom: "10px" }}>
+        <button onClick={onDrawToggle} style={{ ...buttonStyle, backgroundColor: drawing ? "#6c757d" : "#0066cc" }}>
+          {drawing ? t("common.cancel") : line ? t("crossSection.redrawLine") : t("crossSection.drawLine")}
+        </button>
+        {line && !drawing && (
+          <button onClick={onClearLine} style={{ ...buttonStyle, backgroundColor: "#6c757d" }}>{t("common.clear")}</button>
+        )}
+        <label style={{ display: "flex", alignItems: "center", gap: "4px", marginLeft: "auto" }}>
+          {t("crossSection.swathWidth")}
+          <select value={settings.widthKm} onChange={e => onSettingsChange({ ...settings, widthKm: Number(e.target.value) })}
+            style={selectStyle}>
+            {SWATH_WIDTHS_KM.map(width => <option key={width} value={width}>{width} km</option>)}
+          </select>
+        </label>
+      </div>
+
+      {drawing ? (
+        <div style={{ fontSize: "12px", color: "#ffd93d", marginBottom: "14px" }}>{t("crossSection.drawingHint")}</div>
+      ) : line ? (
+        <>
+          <div style={{ fontSize: "11px", color: "#aaa", marginBottom: "6px" }}>
+            {t("crossSection.summary", { length: length.toFixed(0), count: points.length, width: settings.widthKm })}
+          </div>
+          <ChartCard title={t("crossSection.chartTitle")} filename={`${filenamePrefix}_cross_section`} onExportError={onExportError}>
+            <SectionChart points={points} length={length} selectedEventId={selectedEventId} onSelectEvent={onSelectEvent} />
+          </ChartCard>
+        </>
+      ) : (
+        <div style={{ fontSize: "12px", color: "#888", marginBottom: "14px" }}>{t("crossSection.noLine")}</div>
+      )}
+
+      <div style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "12px", marginBottom: "6px" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: "4px", fontWeight: "600", cursor: "pointer", flex: 1 }}>
+          <input type="checkbox" checked={show3d} onChange={() => setShow3d(!show3d)} />
+          {t("crossSection.view3d")}
+        </label>
+        {show3d && (
+          <label style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            {t("crossSection.exaggeration")}
+            <select value={settings.exaggeration}
+              onChange={e => onSettingsChange({ ...settings, exaggeration: e.target.value === "auto" ? "auto" : Number(e.target.value) })}
+              style={selectStyle}>
+              {EXAGGERATIONS.map(value => (
+                <option key={value} value={value}>{value === "auto" ? t("crossSection.auto") : `${value}×`}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {show3d && bounds && (
+        <HypocentreView earthquakes={earthquakes} bounds={bounds} exaggeration={settings.exaggeration}
+          selectedEventId={selectedEventId} onSelectEvent={onSelectEvent} />
+      )}
+    </div>
+  );
+}
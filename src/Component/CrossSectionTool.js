@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { Polygon, Polyline, CircleMarker, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import { swathCorners } from "../utils/crossSection";
+
+const LINE_COLOR = "#ffd93d";
+
+const EndLabel = ({ position, label }) => (
+  <CircleMarker center={position} radius={4} interactive={false}
+    pathOptions={{ color: LINE_COLOR, fillColor: LINE_COLOR, fillOpacity: 1, weight: 1 }}>
+    <Tooltip permanent direction="top" offset={[0, -4]}>{label}</Tooltip>
+  </CircleMarker>
+);
+
+// The section line A–A′ and its swath on the map. While `drawing`, the next two clicks
+// set the start and end and are reported through onLineDrawn. The map extent, for the
+// 3D view, goes to onBoundsChange now and after every move.
+export default function CrossSectionTool({ drawing, line, widthKm, onLineDrawn, onBoundsChange }) {
+  const map = useMap();
+  const [start, setStart] = useState(null);
+  const [pointer, setPointer] = useState(null);
+
+  useMapEvents({
+    click(e) {
+      if (!drawing) return;
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (!start) {
+        setStart(point);
+      } else {
+        onLineDrawn({ start, end: point });
+        setStart(null);
+        setPointer(null);
+      }
+    },
+    mousemove(e) {
+      if (drawing && start) setPointer([e.latlng.lat, e.latlng.lng]);
+    }
+  });
+
+  useEffect(() => {
+    const report = () => {
+      const bounds = map.getBounds();
+      onBoundsChange({ south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() });
+    };
+    report();
+    map.on("moveend", report);
+    return () => {
+      map.off("moveend", report);
+    };
+  }, [map, onBoundsChange]);
+
+  useEffect(() => {
+    if (!drawing) {
+      setStart(null);
+      setPointer(null);
+    }
+    const container = map.getContainer();
+    container.style.cursor = drawing ? "crosshair" : "";
+    return () => {
+      container.style.cursor = "";
+    };
+  }, [map, drawing]);
+
+  if (drawing) {
+    return start && (
+      <>
+        <EndLabel position={start} label="A" />
+        {pointer && (
+          <Polyline positions={[start, pointer]} interactive={false}
+            pathOptions={{ color: LINE_COLOR, weight: 2, dashArray: "4 4" }} />
+        )}
+      </>
+    );
+  }
+
+  return line && (
+    <>
+      <Polygon positions={swathCorners(line, widthKm)} interactive={false}
+        pathOptions={{ color: LINE_COLOR, weight: 1, dashArray: "6 6", fillOpacity: 0.06 }} />
+      <Polyline positions={[line.start, line.end]} interactive={false} pathOptions={{ color: LINE_COLOR, weight: 2 }} />
+      <EndLabel position={line.start} label="A" />
+      <EndLabel position={line.end} label="A′" />
+    </>
+  );
+}
@@ -0,0 +1,125 @@
+import React from "react";
+import { PROVIDERS } from "../utils/providers";
+import { MATCH_TIME_TOLERANCE_MS, MATCH_DISTANCE_TOLERANCE_KM } from "../utils/eventMatching";
+import { POLL_INTERVALS_MINUTES, STALE_THRESHOLDS_MINUTES, RETRY_BASE_MS, MAX_RETRY_MS } from "../utils/polling";
+import { useI18n } from "./LanguageContext";
+
+const selectStyle = {
+  width: "100%", borderRadius: "6px", padding: "4px 6px",
+  border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+  color: "#fff", fontSize: "12px"
+};
+
+const minutesLabel = (minutes, t) => (minutes < 60
+  ? t("duration.minutes", { minutes })
+  : t("duration.hours", { hours: minutes / 60 }));
+
+// Choose which agencies to fetch from and whose solution wins when they report the same
+// event, and how often to refresh
+export default function DataSourcesPanel({
+  settings, status, onSettingsChange, pollingSettings, onPollingSettingsChange, onClose
+}) {
+  const { t, formatTime } = useI18n();
+  const isSmall = window.innerWidth < 600;
+  const updatePolling = (changes) => onPollingSettingsChange({ ...pollingSettings, ...changes });
+
+  const toggleProvider = (id) => {
+    const enabled = settings.enabled.includes(id)
+      ? settings.enabled.filter(other => other !== id)
+      : PROVIDERS.map(provider => provider.id).filter(other => other === id || settings.enabled.includes(other));
+    if (enabled.length === 0) return;
+    onSettingsChange({ enabled, authority: enabled.includes(settings.authority) ? settings.authority : enabled[0] });
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 340,
+      maxHeight: "70vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🛰️ {t("dataSources.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      {PROVIDERS.map(provider => {
+        const enabled = settings.enabled.includes(provider.id);
+        const providerStatus = status[provider.id];
+        return (
+          <div key={provider.id} style={{ borderBottom: "1px solid rgba(255,255,255,0.1)", padding: "6px 0" }}>
+            <label style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "13px" }}>
+              <input type="checkbox" checked={enabled}
+                disabled={enabled && settings.enabled.length === 1}
+                onChange={() => toggleProvider(provider.id)} />
+              <strong>{provider.label}</strong>
+            </label>
+            <div style={{ fontSize: "11px", color: "#aaa", paddingLeft: "22px" }}>{t(`dataSources.providers.${provider.id}`, { defaultValue: provider.description })}</div>
+            {enabled && providerStatus && (
+              <div style={{ fontSize: "11px", paddingLeft: "22px", marginTop: "2px", color: providerStatus.error ? "#ff6b6b" : "#81c784" }}>
+                {providerStatus.error
+                  ? `⚠️ ${providerStatus.error}`
+                  : t("dataSources.synced", { time: formatTime(providerStatus.syncedAt), count: providerStatus.received })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <div style={{ marginTop: "12px" }}>
+        <label style={{ fontSize: "12px", color: "#ccc" }}>{t("dataSources.authority")}</label>
+        <select value={settings.authority} disabled={settings.enabled.length < 2}
+          onChange={e => onSettingsChange({ ...settings, authority: e.target.value })}
+          style={{ ...selectStyle, marginTop: "4px" }}>
+          {PROVIDERS.filter(provider => settings.enabled.includes(provider.id)).map(provider => (
+            <option key={provider.id} value={provider.id}>{provider.label}</option>
+          ))}
+        </select>
+        <div style={{ fontSize: "11px", color: "#888", marginTop: "6px" }}>
+          {t("dataSources.mergeHelp", { seconds: MATCH_TIME_TOLERANCE_MS / 1000, km: MATCH_DISTANCE_TOLERANCE_KM })}
+        </div>
+      </div>
+
+      <div style={{ marginTop: "12px", borderTop: "1px solid rgba(255,255,255,0.1)", paddingTop: "10px" }}>
+        <div style={{ fontSize: "13px", fontWeight: "600", marginBottom: "6px" }}>{t("dataSources.refresh")}</div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px" }}>
+          <div>
+            <label style={{ fontSize: "12px", color: "#ccc" }}>{t("dataSources.interval")}</label>
+            <select value={pollingSettings.intervalMinutes}
+              onChange={e => updatePolling({ intervalMinutes: Number(e.target.value) })}
+              style={{ ...selectStyle, marginTop: "4px" }}>
+              {POLL_INTERVALS_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutesLabel(minutes, t)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={{ fontSize: "12px", color: "#ccc" }}>{t("dataSources.stale")}</label>
+            <select value={pollingSettings.staleMinutes}
+              onChange={e => updatePolling({ staleMinutes: Number(e.target.value) })}
+              style={{ ...selectStyle, marginTop: "4px" }}>
+              {STALE_THRESHOLDS_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutesLabel(minutes, t)}</option>)}
+            </select>
+          </div>
+        </div>
+        <label style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", marginTop: "8px" }}>
+          <input type="checkbox" checked={pollingSettings.pauseWhenHidden}
+            onChange={e => updatePolling({ pauseWhenHidden: e.target.checked })} />
+          {t("dataSources.pause")}
+        </label>
+        <div style={{ fontSize: "11px", color: "#888", marginTop: "6px" }}>
+          {t("dataSources.retryHelp", { seconds: RETRY_BASE_MS / 1000, max: minutesLabel(MAX_RETRY_MS / 60000, t) })}
+        </div>
+      </div>
+    </div>
+  );
+}
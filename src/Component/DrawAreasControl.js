@@ -0,0 +1,107 @@
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import "leaflet-draw";
+import "leaflet-draw/dist/leaflet.draw.css";
+
+const ACTIVE_STYLE = { color: "#4fc3f7", weight: 2, fillOpacity: 0.08, dashArray: null };
+const INACTIVE_STYLE = { color: "#8899aa", weight: 1, fillOpacity: 0.02, dashArray: "4 4" };
+
+// Build the Leaflet layer for a saved area of interest
+export const layerFromArea = (area) => {
+  let layer;
+  if (area.type === "circle") {
+    layer = L.circle(area.center, { radius: area.radius, ...ACTIVE_STYLE });
+  } else if (area.type === "rectangle") {
+    layer = L.rectangle(L.geoJSON(area.geometry).getBounds(), ACTIVE_STYLE);
+  } else {
+    layer = L.polygon(L.GeoJSON.coordsToLatLngs(area.geometry.coordinates, 1), ACTIVE_STYLE);
+  }
+  layer.areaId = area.id;
+  return layer;
+};
+
+// Adds the leaflet-draw toolbar to the map and keeps its layers in sync with `areas`
+export default function DrawAreasControl({ areas, onCreated, onEdited, onDeleted }) {
+  const map = useMap();
+  const groupRef = useRef(null);
+  const handlersRef = useRef({ onCreated, onEdited, onDeleted });
+
+  useEffect(() => {
+    handlersRef.current = { onCreated, onEdited, onDeleted };
+  }, [onCreated, onEdited, onDeleted]);
+
+  useEffect(() => {
+    const group = new L.FeatureGroup();
+    map.addLayer(group);
+    groupRef.current = group;
+
+    const control = new L.Control.Draw({
+      position: "topleft",
+      draw: {
+        polyline: false,
+        marker: false,
+        circlemarker: false,
+        polygon: { allowIntersection: false, shapeOptions: ACTIVE_STYLE },
+        // showArea is broken for rectangles in leaflet-draw 1.0.4 (ReferenceError in strict mode)
+        rectangle: { showArea: false, shapeOptions: ACTIVE_STYLE },
+        circle: { shapeOptions: ACTIVE_STYLE }
+      },
+      edit: { featureGroup: group }
+    });
+    map.addControl(control);
+
+    const handleCreated = (e) => handlersRef.current.onCreated(e.layer, e.layerType);
+    const handleEdited = (e) => {
+      const edited = [];
+      e.layers.eachLayer(layer => edited.push(layer));
+      handlersRef.current.onEdited(edited);
+    };
+    const handleDeleted = (e) => {
+      const ids = [];
+      e.layers.eachLayer(layer => ids.push(layer.areaId));
+      handlersRef.current.onDeleted(ids);
+    };
+
+    map.on(L.Draw.Event.CREATED, handleCreated);
+    map.on(L.Draw.Event.EDITED, handleEdited);
+    map.on(L.Draw.Event.DELETED, handleDeleted);
+
+    return () => {
+      map.off(L.Draw.Event.CREATED, handleCreated);
+      map.off(L.Draw.Event.EDITED, handleEdited);
+      map.off(L.Draw.Event.DELETED, handleDeleted);
+      map.removeControl(control);
+      map.removeLayer(group);
+      groupRef.current = null;
+    };
+  }, [map]);
+
+  // Add layers for new areas, drop layers of removed ones and restyle the rest
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+
+    const byId = new Map(areas.map(area => [area.id, area]));
+    group.getLayers().forEach(layer => {
+      if (!byId.has(layer.areaId)) group.removeLayer(layer);
+    });
+
+    const existing = new Set(group.getLayers().map(layer => layer.areaId));
+    areas.forEach(area => {
+      if (!existing.has(area.id)) group.addLayer(layerFromArea(area));
+    });
+
+    group.eachLayer(layer => {
+      const area = byId.get(layer.areaId);
+      layer.setStyle(area.active ? ACTIVE_STYLE : INACTIVE_STYLE);
+      if (layer.getTooltip()) {
+        layer.setTooltipContent(area.name);
+      } else {
+        layer.bindTooltip(area.name, { sticky: true });
+      }
+    });
+  }, [areas]);
+
+  return null;
+}
@@ -1,131 +1,80 @@
-import React, { useEffect, useState, useRef, useCallback } from "react";
-import { MapContainer, TileLayer, CircleMarker, Popup } from "react-leaflet";
+import React, { useEffect, useState, useRef, useCallback, useMemo } from "react";
+import { MapContainer, TileLayer, CircleMarker, Circle, Popup, Tooltip } from "react-leaflet";
+import L from "leaflet";
 import "leaflet/dist/leaflet.css";
-import JSZip from "jszip";
-import { saveAs } from "file-saver";
+import { syncCatalogue, loadCatalogue, getLastSync } from "../utils/catalogueSync";
+import { PROVIDERS, getProvider, loadProviderSettings, saveProviderSettings } from "../utils/providers";
+import { loadAreas, saveAreas, areaFromLayer, updateAreaFromLayer, filterByAreas } from "../utils/areas";
+import DrawAreasControl, { layerFromArea } from "./DrawAreasControl";
+import AreasPanel from "./AreasPanel";
+import OfflineMapsPanel from "./OfflineMapsPanel";
+import { TILE_URL } from "../utils/offlineTiles";
+import AlertRulesPanel from "./AlertRulesPanel";
+import AlertToasts from "./AlertToasts";
+import NotificationCenter from "./NotificationCenter";
+import EarthquakeTable from "./EarthquakeTable";
+import MapPointPicker from "./MapPointPicker";
+import TimelinePlayer from "./TimelinePlayer";
+import StatisticsPanel from "./StatisticsPanel";
+import CrossSectionPanel from "./CrossSectionPanel";
+import CrossSectionTool from "./CrossSectionTool";
+import { loadCrossSectionSettings, saveCrossSectionSettings } from "../utils/crossSection";
+import ExportPanel from "./ExportPanel";
+import { exportEvents, loadExportFields, saveExportFields, fieldIdsFor } from "../utils/export";
+import ClusterLayer from "./ClusterLayer";
+import CanvasMarkerLayer from "./CanvasMarkerLayer";
+import HeatmapLayer from "./HeatmapLayer";
+import HexbinLayer from "./HexbinLayer";
+import CatalogueImportPanel from "./CatalogueImportPanel";
+import CatalogueLayer from "./CatalogueLayer";
+import DataSourcesPanel from "./DataSourcesPanel";
+import IntensityRings from "./IntensityRings";
+import IntensityEstimate from "./IntensityEstimate";
+import EventLocation from "./EventLocation";
+import TownSearchPanel from "./TownSearchPanel";
+import EventDetailPanel from "./EventDetailPanel";
+import SequenceLayer from "./SequenceLayer";
+import SequencesPanel from "./SequencesPanel";
+import {
+  TRENDS, ALERT_LOOKBACK_MS, detectSequences, evaluateSwarmAlerts, loadSwarmSettings, saveSwarmSettings,
+  loadSwarmAlertState, saveSwarmAlertState
+} from "../utils/swarms";
+import MapViewTracker from "./MapViewTracker";
+import FilterPresets from "./FilterPresets";
+import AdvancedFilters from "./AdvancedFilters";
+import { readUrlState, buildUrlSearch, applyUrlAreas } from "../utils/urlState";
+import {
+  defaultFilters, filterTimeRange, filterEvents, magTypesOf, loadFilterPresets, saveFilterPresets,
+  createFilterPreset, applyFilterPreset, extraFilterCount
+} from "../utils/filters";
+import { MMI_LEVELS, MIN_FELT_MMI } from "../utils/intensity";
+import {
+  CATALOGUE_COLORS, createCatalogueId, detectFormat, parseCsv, guessColumnMapping, eventsFromCsv,
+  eventsFromGeoJson, eventsFromQuakeMl, loadImportedCatalogues, saveImportedCatalogues
+} from "../utils/catalogueImport";
+import { matchEvents } from "../utils/eventMatching";
+import { seenIdsOf, findNewEvents, countRecent } from "../utils/newEvents";
+import { createPoller, isStale, loadPollingSettings, savePollingSettings } from "../utils/polling";
+import {
+  LAYER_MODES, HEAT_WEIGHTINGS, loadLayerSettings, saveLayerSettings, densityGradientCss, markerStyle, isRecent
+} from "../utils/mapLayers";
+import { createFilterClient } from "../utils/filterWorker";
+import { WINDOWS, eventsAtTime } from "../utils/timeline";
+import {
+  loadRules, saveRules, loadPlaces, savePlaces, loadAlertHistory, saveAlertHistory,
+  loadLastFired, saveLastFired, evaluateAlertRules, alertMessage, alertTitle, MAX_HISTORY
+} from "../utils/alertRules";
+import { englishT, pickVoice } from "../utils/i18n";
+import { useI18n } from "./LanguageContext";
+import LanguageSwitcher from "./LanguageSwitcher";
+import { REGION_NAMES } from "../utils/locationClassifier";
 
 const ETH_BOUNDS = [[3.4, 32.9], [14.9, 48.3]];
 
-// Function to check if location is in Ethiopia
-const isEthiopiaLocation = (place) => {
-  if (!place) return false;
-  const placeLower = place.toLowerCase();
-  
-  // Countries to exclude (neighboring countries)
-  const excludeCountries = [
-    'yemen', 'eritrea', 'sudan', 'south sudan', 'kenya', 'somalia', 'djibouti',
-    'egypt', 'libya', 'chad', 'congo', 'uganda', 'tanzania', 'rwanda', 'burundi'
-  ];
-  
-  // Check if location contains excluded country names
-  for (const country of excludeCountries) {
-    if (placeLower.includes(country) && !placeLower.includes('ethiopia')) {
-      return false;
-    }
-  }
-  
-  // Ethiopian keywords (expanded)
-  const ethiopiaKeywords = [
-    'ethiopia', 'ethiopian', 'abyssinia', 'abyssinian',
-    // Regions
-    'addis ababa', 'afar', 'amhara', 'oromia', 'tigray', 'somali', 'gambela', 
-    'harari', 'sidama', 'snnpr', 'dire dawa', 'benishangul', 'gumuz',
-    // Major cities
-    'bahir dar', 'mekelle', 'gondar', 'jimma', 'jijiga', 'dessie', 'hawassa', 
-    'harar', 'debre berhan', 'arba minch', 'shashamane', 'nekemte', 'assosa', 'semera',
-    // Zones
-    'gojjam', 'wollo', 'gonder', 'wolayita', 'gurage', 'hadiya', 'kembata',
-    'silte', 'bale', 'arsi', 'hararghe', 'borena', 'guji', 'illubabor', 'wollega',
-    'welega', 'gamo', 'gofa', 'keffa', 'sheka', 'bench', 'dawuro',
-    // Geographic features
-    'rift valley', 'awash', 'lake tana', 'blue nile', 'omo river', 'abaya',
-    'chamo', 'ziway', 'langano', 'shala', 'awasa', 'tana', 'tsana'
-  ];
-  
-  // Check if location contains Ethiopian keywords
-  for (const keyword of ethiopiaKeywords) {
-    if (placeLower.includes(keyword)) {
-      return true;
-    }
-  }
-  
-  // Check for "of " pattern (e.g., "north of Addis Ababa")
-  if (placeLower.includes('of ')) {
-    const afterOf = placeLower.split('of ')[1];
-    for (const keyword of ethiopiaKeywords) {
-      if (afterOf.includes(keyword)) {
-        return true;
-      }
-    }
-  }
-  
-  return false;
-};
-
-// Function to generate KML content
-const generateKML = (earthquakes) => {
-  let kmlContent = `<?xml version="1.0" encoding="UTF-8"?>
-<kml xmlns="http://www.opengis.net/kml/2.2">
-  <Document>
-    <name>Ethiopia Earthquakes</name>
-    <Style id="earthquakeStyle">
-      <IconStyle>
-        <scale>0.8</scale>
-        <Icon>
-          <href>http://maps.google.com/mapfiles/kml/shapes/earthquake.png</href>
-        </Icon>
-      </IconStyle>
-      <LabelStyle>
-        <scale>0</scale>
-      </LabelStyle>
-    </Style>`;
-
-  earthquakes.forEach(eq => {
-    const [lon, lat, depth] = eq.geometry.coordinates;
-    const mag = eq.properties?.mag?.toFixed(1) || 'Unknown';
-    const place = eq.properties?.place || 'Unknown location';
-    const time = eq.properties?.time ? new Date(eq.properties.time).toISOString() : 'Unknown';
-    const url = eq.properties?.url || '';
-    
-    kmlContent += `
-    <Placemark>
-      <name>M${mag} - ${place}</name>
-      <description>
-        <![CDATA[
-          <div style="padding:10px;">
-            <h3>Earthquake: M${mag}</h3>
-            <p><b>Location:</b> ${place}</p>
-            <p><b>Time:</b> ${new Date(time).toLocaleString()}</p>
-            <p><b>Depth:</b> ${depth?.toFixed(1)} km</p>
-            <p><b>Magnitude:</b> ${mag}</p>
-            <p><a href="${url}" target="_blank">View on USGS</a></p>
-          </div>
-        ]]>
-      </description>
-      <styleUrl>#earthquakeStyle</styleUrl>
-      <Point>
-        <coordinates>${lon},${lat},0</coordinates>
-      </Point>
-      <ExtendedData>
-        <Data name="magnitude">
-          <value>${mag}</value>
-        </Data>
-        <Data name="depth">
-          <value>${depth?.toFixed(1)}</value>
-        </Data>
-        <Data name="time">
-          <value>${time}</value>
-        </Data>
-      </ExtendedData>
-    </Placemark>`;
-  });
+const TOAST_DURATION_MS = 15 * 1000;
 
-  kmlContent += `
-  </Document>
-</kml>`;
-
-  return kmlContent;
-};
+// Space the playback bar takes at the bottom of the screen
+const PLAYBACK_BAR_HEIGHT = 130;
 
 const EarthquakeIcon = ({ size = 24, color = "#ff6b6b", className = "" }) => (
   <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" className={className}>
@@ -162,282 +111,875 @@ const KMZIcon = ({ size = 24, color = "#fff" }) => (
   </svg>
 );
 
+// Layer options named in a link, over the saved ones
+const layerSettingsFromUrl = (settings, urlState) => ({
+  ...settings,
+  ...(LAYER_MODES.some(mode => mode.id === urlState.layerMode) ? { mode: urlState.layerMode } : {}),
+  ...(urlState.intensityRings !== undefined ? { intensityRings: urlState.intensityRings } : {})
+});
+
 export default function EarthquakeDashboard() {
+  const { t, language, formatDateTime, formatTime } = useI18n();
+  // A shared link overrides the defaults and saved settings it mentions
+  const [initialUrlState] = useState(readUrlState);
   const [earthquakes, setEarthquakes] = useState([]);
+  // When the catalogue was last replaced, the "now" that rolling time windows end at
+  const [catalogueLoadedAt, setCatalogueLoadedAt] = useState(Date.now);
   const [filteredEarthquakes, setFilteredEarthquakes] = useState([]);
-  const [startDate, setStartDate] = useState("2000-01-01");
-  const [endDate, setEndDate] = useState(new Date().toISOString().slice(0,10));
-  const [minMag, setMinMag] = useState(0);
+  const [filters, setFilters] = useState(() => ({ ...defaultFilters(), ...initialUrlState.filters }));
+  const [filterPresets, setFilterPresets] = useState(loadFilterPresets);
   const [recentCount, setRecentCount] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
-  const [lastUpdated, setLastUpdated] = useState(new Date());
-  const [previousEarthquakeIds, setPreviousEarthquakeIds] = useState(new Set());
-  const [announcedEarthquakeIds, setAnnouncedEarthquakeIds] = useState(new Set());
+  const [pollingSettings, setPollingSettings] = useState(loadPollingSettings);
+  const [pollState, setPollState] = useState({ failures: 0, lastError: null, lastSuccessAt: null, nextRunAt: null });
+  const [clock, setClock] = useState(Date.now);
   const [isDownloading, setIsDownloading] = useState(false);
   const [showDebug, setShowDebug] = useState(false);
   const [showMobileFilters, setShowMobileFilters] = useState(false);
+  const [areas, setAreas] = useState(() => (
+    initialUrlState.areas ? applyUrlAreas(loadAreas(), initialUrlState.areas, t) : loadAreas()
+  ));
+  const [cacheLoaded, setCacheLoaded] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [showOfflineMaps, setShowOfflineMaps] = useState(false);
+  const [alertRules, setAlertRules] = useState(loadRules);
+  const [places, setPlaces] = useState(loadPlaces);
+  const [alertHistory, setAlertHistory] = useState(loadAlertHistory);
+  const [showAlertRules, setShowAlertRules] = useState(false);
+  const [toasts, setToasts] = useState([]);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [notificationPermission, setNotificationPermission] = useState(
+    "Notification" in window ? Notification.permission : "unsupported"
+  );
+  const [selectedEventId, setSelectedEventId] = useState(null);
+  const [showDetail, setShowDetail] = useState(false);
+  const [showTable, setShowTable] = useState(false);
+  const [referencePoint, setReferencePoint] = useState(null);
+  const [isPickingPoint, setIsPickingPoint] = useState(false);
+  const [showPlayback, setShowPlayback] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showCrossSection, setShowCrossSection] = useState(false);
+  const [crossSectionLine, setCrossSectionLine] = useState(null);
+  const [isDrawingSection, setIsDrawingSection] = useState(false);
+  const [crossSectionSettings, setCrossSectionSettings] = useState(loadCrossSectionSettings);
+  const [sectionBounds, setSectionBounds] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [exportFields, setExportFields] = useState(loadExportFields);
+  const [layerSettings, setLayerSettings] = useState(() => layerSettingsFromUrl(loadLayerSettings(), initialUrlState));
+  const [mapView, setMapView] = useState(initialUrlState.view || null);
+  const [maxHexCount, setMaxHexCount] = useState(1);
+  const [catalogues, setCatalogues] = useState([]);
+  const [cataloguesLoaded, setCataloguesLoaded] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [providerStatus, setProviderStatus] = useState({});
+  const [showSources, setShowSources] = useState(false);
+  const [showTowns, setShowTowns] = useState(false);
+  const [searchTown, setSearchTown] = useState(null);
+  const [searchRadiusKm, setSearchRadiusKm] = useState(50);
+  const [swarmSettings, setSwarmSettings] = useState(loadSwarmSettings);
+  const [showSequences, setShowSequences] = useState(false);
+  // CSV files waiting for their column mapping, mapped one at a time in the order they were picked
+  const [pendingCsvs, setPendingCsvs] = useState([]);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackTime, setPlaybackTime] = useState(0);
+  const [playbackWindow, setPlaybackWindow] = useState("week");
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
   const audioRef = useRef(null);
+  const mapRef = useRef(null);
+  const pollerRef = useRef(null);
+  // Report ids already in the catalogue, and those already alerted on
+  const previousIdsRef = useRef(new Set());
+  const announcedIdsRef = useRef(new Set());
+  const providerSettingsRef = useRef(providerSettings);
+  // Read inside the refresh loop without restarting it on every edit
+  const alertRulesRef = useRef(alertRules);
+  const areasRef = useRef(areas);
+  const placesRef = useRef(places);
+  const lastFiredRef = useRef(loadLastFired());
+  const swarmSettingsRef = useRef(swarmSettings);
+  const pollingSettingsRef = useRef(pollingSettings);
+  const swarmAlertStateRef = useRef(loadSwarmAlertState());
+  // Alerts are worded in the language chosen when they fire
+  const i18nRef = useRef({ t, language });
+  const markerRefs = useRef({});
+  // Event to open once the catalogue has loaded, from a shared link
+  const pendingEventIdRef = useRef(initialUrlState.eventId || null);
+  // Filter and selection part of the last URL written, to tell map moves from other changes
+  const lastUrlStateRef = useRef(null);
+  const selectEventRef = useRef(null);
+  const filterClientRef = useRef(null);
+  // Event whose popup opens once its marker has been drawn
+  const pendingPopupRef = useRef(null);
 
-  const fetchEarthquakes = useCallback(async () => {
-    setIsLoading(true);
-    try {
-      const url = `https://earthquake.usgs.gov/fdsnws/event/1/query?format=geojson&starttime=2000-01-01&endtime=${new Date().toISOString().slice(0, 10)}&minlatitude=3.4&maxlatitude=14.9&minlongitude=32.9&maxlongitude=48.3`;
-      const res = await fetch(url);
-      const data = await res.json();
+  const activeAreas = areas.filter(area => area.active);
+
+  // Render the cached catalogue straight away, before the network answers. Runs
+  // again when providers change so the merge reflects the new choice while offline.
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadCatalogue(providerSettings), getLastSync(providerSettings.enabled)])
+      .then(([cached, syncedAt]) => {
+        if (cancelled) return;
+        console.log(`Loaded ${cached.length} earthquakes from cache`);
+        setEarthquakes(cached);
+        setCatalogueLoadedAt(Date.now());
+        previousIdsRef.current = seenIdsOf(cached);
+        setRecentCount(countRecent(cached));
+        setLastSync(syncedAt);
+      })
+      .catch(err => console.error("Error reading earthquake cache:", err))
+      .finally(() => {
+        if (!cancelled) setCacheLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [providerSettings]);
+
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  // Non-blocking replacement for window.alert
+  const showToast = useCallback(({ title, message, level = "info", eventId = null }) => {
+    const id = `toast-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    setToasts(prev => [...prev, { id, title, message, level, eventId }]);
+    setTimeout(() => dismissToast(id), TOAST_DURATION_MS);
+  }, [dismissToast]);
+
+  // Send one rule firing to each of the rule's delivery channels
+  const deliverAlert = useCallback((firing) => {
+    const { t, language } = i18nRef.current;
+    const title = alertTitle(firing, t);
+    const message = alertMessage(firing, t);
+    const latestEventId = firing.events.reduce((a, b) => (b.time > a.time ? b : a)).id;
+    
+    if (firing.channels.includes("sound") && audioRef.current) {
+      audioRef.current.play().catch(e => console.log("Audio play failed:", e));
+    }
+    
+    if (firing.channels.includes("speech") && window.speechSynthesis) {
+      // Cancel any ongoing speech
+      window.speechSynthesis.cancel();
       
-      // Filter for Ethiopian earthquakes only (exclude neighboring countries)
-      const validFeatures = data.features.filter(f => 
-        f && f.geometry && f.geometry.coordinates && 
-        f.geometry.coordinates.length === 3 && 
-        f.properties && f.properties.time && f.id &&
-        isEthiopiaLocation(f.properties.place)
-      );
+      // Browsers without a voice for the language read the English wording instead
+      const voice = pickVoice(window.speechSynthesis.getVoices(), language);
+      const utterance = new SpeechSynthesisUtterance(voice ? message : alertMessage(firing, englishT));
+      utterance.rate = 0.9;
+      utterance.pitch = 1;
+      utterance.volume = 1;
+      utterance.lang = voice ? voice.lang : 'en-US';
+      if (voice) utterance.voice = voice;
       
-      console.log(`Fetched ${validFeatures.length} Ethiopian earthquakes`);
+      window.speechSynthesis.speak(utterance);
+    }
+    
+    if (firing.channels.includes("toast")) {
+      showToast({ title, message, level: "alert", eventId: latestEventId });
+    }
+    
+    if (firing.channels.includes("notification") && "Notification" in window && Notification.permission === "granted") {
+      try {
+        const notification = new Notification(`🚨 ${title}`, { body: message, tag: firing.id });
+        notification.onclick = () => {
+          window.focus();
+          if (selectEventRef.current) selectEventRef.current(latestEventId);
+          notification.close();
+        };
+      } catch (err) {
+        console.log("Notification failed:", err);
+      }
+    }
+  }, [showToast]);
+
+  // One refresh, run by the poller. Failures are rethrown so it can back off.
+  const fetchEarthquakes = useCallback(async ({ full = false } = {}) => {
+    setIsLoading(true);
+    try {
+      // Only events updated since the last sync are downloaded and merged into the cache
+      const { events: validFeatures, incremental, received, syncedAt, providers, errors } = await syncCatalogue({
+        bounds: ETH_BOUNDS, full, settings: providerSettingsRef.current
+      });
       
-      // Check for new earthquakes within the last 1 hour only
-      const currentIds = new Set(validFeatures.map(f => f.id));
-      const oneHourAgo = Date.now() - (60 * 60 * 1000);
+      console.log(`${incremental ? 'Incremental' : 'Full'} sync: ${received} updated, ${validFeatures.length} Ethiopian earthquakes cached`);
+      errors.forEach(error => console.error(`Error fetching from ${error.provider}:`, error.message));
+      setProviderStatus(prev => ({
+        ...prev,
+        ...providers,
+        ...Object.fromEntries(errors.map(error => [error.provider, { ...prev[error.provider], error: error.message }]))
+      }));
       
-      const newEarthquakes = validFeatures.filter(f => 
-        !previousEarthquakeIds.has(f.id) && 
-        !announcedEarthquakeIds.has(f.id) &&
-        f.properties.time > oneHourAgo
-      );
+      // Check for new earthquakes within the alert window only. An event counts as
+      // seen once any agency has reported it, so a later report doesn't alert again.
+      const currentIds = seenIdsOf(validFeatures);
+      const newEarthquakes = findNewEvents(validFeatures, new Set([...previousIdsRef.current, ...announcedIdsRef.current]));
       
       if (newEarthquakes.length > 0) {
         // Mark these as announced immediately
-        const newAnnouncedIds = new Set([...announcedEarthquakeIds, ...newEarthquakes.map(eq => eq.id)]);
-        setAnnouncedEarthquakeIds(newAnnouncedIds);
-        
-        // Play beep sound
-        if (audioRef.current) {
-          audioRef.current.play().catch(e => console.log("Audio play failed:", e));
-        }
+        announcedIdsRef.current = new Set([...announcedIdsRef.current, ...seenIdsOf(newEarthquakes)]);
         
-        // Voice alert for each new earthquake with proper location name
-        newEarthquakes.forEach(eq => {
-          const place = eq.properties?.place || 'Unknown location';
-          const mag = eq.properties?.mag?.toFixed(1) || 'unknown';
-          
-          // Extract location name (e.g., "52 km NNE of Mekele" -> "Mekele")
-          let locationName = place;
-          
-          // Try to extract the place name after "of"
-          if (place.includes('of ')) {
-            locationName = place.split('of ')[1];
-          }
-          
-          // If it has comma, take the first part
-          if (locationName.includes(',')) {
-            locationName = locationName.split(',')[0];
-          }
-          
-          // Clean up the location name
-          locationName = locationName.trim();
-          
-          const message = `New earthquake detected. Magnitude ${mag} at ${locationName}.`;
-          
-          // Cancel any ongoing speech
-          if (window.speechSynthesis) {
-            window.speechSynthesis.cancel();
-            
-            const utterance = new SpeechSynthesisUtterance(message);
-            utterance.rate = 0.9;
-            utterance.pitch = 1;
-            utterance.volume = 1;
-            utterance.lang = 'en-US';
-            
-            window.speechSynthesis.speak(utterance);
-          }
+        // Run the user's alert rules over the new events
+        const { firings, lastFired } = evaluateAlertRules(newEarthquakes, alertRulesRef.current, {
+          areas: areasRef.current,
+          places: placesRef.current,
+          lastFired: lastFiredRef.current
         });
+        lastFiredRef.current = lastFired;
+        saveLastFired(lastFired);
         
-        // Show alert for the most recent new earthquake
-        const latest = newEarthquakes[newEarthquakes.length - 1];
-        let placeName = latest.properties?.place || 'Unknown location';
-        
-        // Clean up place name for alert
-        if (placeName.includes('of ')) {
-          placeName = placeName.split('of ')[1];
+        if (firings.length > 0) {
+          firings.forEach(deliverAlert);
+          setAlertHistory(prev => [...firings.slice().reverse(), ...prev].slice(0, MAX_HISTORY));
         }
-        if (placeName.includes(',')) {
-          placeName = placeName.split(',')[0];
+      }
+      
+      // Sequences that started or sped up since the last refresh, over the recent catalogue
+      if (swarmSettingsRef.current.alerts) {
+        const now = Date.now();
+        const recentEvents = validFeatures.filter(f => f.properties.time > now - ALERT_LOOKBACK_MS);
+        const { firings: swarmFirings, state } = evaluateSwarmAlerts(
+          detectSequences(recentEvents, swarmSettingsRef.current, now), swarmAlertStateRef.current, now
+        );
+        swarmAlertStateRef.current = state;
+        saveSwarmAlertState(state);
+        if (swarmFirings.length > 0) {
+          swarmFirings.forEach(deliverAlert);
+          setAlertHistory(prev => [...swarmFirings.slice().reverse(), ...prev].slice(0, MAX_HISTORY));
         }
-        
-        alert(`🚨 NEW EARTHQUAKE ALERT!\n\nMagnitude: ${latest.properties?.mag?.toFixed(1)}\nLocation: ${placeName}\nTime: ${new Date(latest.properties?.time).toLocaleString()}`);
       }
       
-      setPreviousEarthquakeIds(currentIds);
+      previousIdsRef.current = currentIds;
       setEarthquakes(validFeatures);
-      
-      const oneHourAgoForRecent = new Date();
-      oneHourAgoForRecent.setHours(oneHourAgoForRecent.getHours() - 1);
-      const recent = validFeatures.filter(f => 
-        f.properties.time && new Date(f.properties.time) > oneHourAgoForRecent
-      );
-      setRecentCount(recent.length);
-      setLastUpdated(new Date());
+      setCatalogueLoadedAt(Date.now());
+      setRecentCount(countRecent(validFeatures));
+      setLastSync(syncedAt);
 
     } catch (err) {
       console.error("Error fetching earthquakes:", err);
+      throw err;
     } finally {
       setIsLoading(false);
     }
-  }, [previousEarthquakeIds, announcedEarthquakeIds]);
+  }, [deliverAlert]);
 
+  // Refresh on a schedule once the cache is showing, backing off while requests fail.
+  // Offline, the cached catalogue stays on screen and nothing is requested.
   useEffect(() => {
-    fetchEarthquakes();
-    const interval = setInterval(fetchEarthquakes, 5 * 60 * 1000);
+    if (!cacheLoaded) return;
+    const poller = createPoller({
+      task: fetchEarthquakes,
+      intervalMs: pollingSettingsRef.current.intervalMinutes * 60 * 1000,
+      pauseWhenHidden: pollingSettingsRef.current.pauseWhenHidden,
+      canRun: () => navigator.onLine,
+      onChange: setPollState
+    });
+    pollerRef.current = poller;
+    poller.start();
     return () => {
-      clearInterval(interval);
+      poller.stop();
+      pollerRef.current = null;
       if (window.speechSynthesis) {
         window.speechSynthesis.cancel();
       }
     };
-  }, [fetchEarthquakes]);
+  }, [fetchEarthquakes, cacheLoaded]);
 
-  // Apply filters - this updates the map with selected data
   useEffect(() => {
-    console.log("=".repeat(50));
-    console.log("Applying filters:", {
-      totalEarthquakes: earthquakes.length,
-      startDate,
-      endDate,
-      minMag
+    savePollingSettings(pollingSettings);
+    pollingSettingsRef.current = pollingSettings;
+    pollerRef.current?.configure({
+      intervalMs: pollingSettings.intervalMinutes * 60 * 1000,
+      pauseWhenHidden: pollingSettings.pauseWhenHidden
     });
+  }, [pollingSettings]);
 
-    if (earthquakes.length === 0) {
-      console.log("No earthquakes to filter");
-      setFilteredEarthquakes([]);
-      return;
+  // Fetch straight away from a newly chosen set of providers
+  useEffect(() => {
+    providerSettingsRef.current = providerSettings;
+    pollerRef.current?.refresh();
+  }, [providerSettings]);
+
+  // Re-render now and then so the stale badge appears between refreshes
+  useEffect(() => {
+    const tick = setInterval(() => setClock(Date.now()), 30 * 1000);
+    return () => clearInterval(tick);
+  }, []);
+
+  // Track connectivity so the header can show the offline banner
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  // Catch up as soon as the connection comes back
+  useEffect(() => {
+    if (isOnline) pollerRef.current?.refresh();
+  }, [isOnline]);
+
+  // Persist drawn areas of interest between sessions
+  useEffect(() => {
+    saveAreas(areas);
+    areasRef.current = areas;
+  }, [areas]);
+
+  useEffect(() => {
+    saveLayerSettings(layerSettings);
+  }, [layerSettings]);
+
+  useEffect(() => {
+    saveCrossSectionSettings(crossSectionSettings);
+  }, [crossSectionSettings]);
+
+  useEffect(() => {
+    saveExportFields(exportFields);
+  }, [exportFields]);
+
+  useEffect(() => {
+    saveFilterPresets(filterPresets);
+  }, [filterPresets]);
+
+  useEffect(() => {
+    saveSwarmSettings(swarmSettings);
+    swarmSettingsRef.current = swarmSettings;
+  }, [swarmSettings]);
+
+  useEffect(() => {
+    saveProviderSettings(providerSettings);
+  }, [providerSettings]);
+
+  // Imported catalogues live in IndexedDB, they can be far too big for localStorage
+  useEffect(() => {
+    let cancelled = false;
+    loadImportedCatalogues()
+      .then(saved => {
+        if (!cancelled) setCatalogues(saved);
+      })
+      .catch(err => console.error("Error reading imported catalogues:", err))
+      .finally(() => {
+        if (!cancelled) setCataloguesLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!cataloguesLoaded) return;
+    saveImportedCatalogues(catalogues)
+      .catch(err => console.error("Error saving imported catalogues:", err));
+  }, [catalogues, cataloguesLoaded]);
+
+  useEffect(() => {
+    i18nRef.current = { t, language };
+  }, [t, language]);
+
+  useEffect(() => {
+    saveRules(alertRules);
+    alertRulesRef.current = alertRules;
+  }, [alertRules]);
+
+  useEffect(() => {
+    savePlaces(places);
+    placesRef.current = places;
+  }, [places]);
+
+  useEffect(() => {
+    saveAlertHistory(alertHistory);
+  }, [alertHistory]);
+
+  const handleAreaCreated = useCallback((layer, type) => {
+    setAreas(prev => [...prev, areaFromLayer(layer, type, t("areas.defaultName", { number: prev.length + 1 }))]);
+  }, [t]);
+
+  const handleAreasEdited = useCallback((layers) => {
+    setAreas(prev => prev.map(area => {
+      const layer = layers.find(l => l.areaId === area.id);
+      return layer ? updateAreaFromLayer(area, layer) : area;
+    }));
+  }, []);
+
+  const handleAreasDeleted = useCallback((ids) => {
+    setAreas(prev => prev.filter(area => !ids.includes(area.id)));
+  }, []);
+
+  const renameArea = (id, name) => {
+    setAreas(prev => prev.map(area => area.id === id ? { ...area, name } : area));
+  };
+
+  const toggleArea = (id) => {
+    setAreas(prev => prev.map(area => area.id === id ? { ...area, active: !area.active } : area));
+  };
+
+  // Per-zone view: keep only this area active and zoom the map to it
+  const focusArea = (id) => {
+    const target = areas.find(area => area.id === id);
+    if (!target) return;
+    setAreas(prev => prev.map(area => ({ ...area, active: area.id === id })));
+    if (mapRef.current) {
+      mapRef.current.fitBounds(layerFromArea(target).getBounds(), { padding: [20, 20] });
     }
+  };
 
-    let filtered = earthquakes.filter(eq => {
-      if (!eq || !eq.properties || !eq.geometry) return false;
-      
-      const eqTime = eq.properties.time ? new Date(eq.properties.time) : null;
-      const eqMag = eq.properties.mag;
-      
-      if (!eqTime || eqMag === null || eqMag === undefined) return false;
-      
-      const isAfterStart = !startDate || eqTime >= new Date(startDate);
-      const isBeforeEnd = !endDate || eqTime <= new Date(endDate);
-      const isMagValid = eqMag >= minMag;
-      
-      return isAfterStart && isBeforeEnd && isMagValid;
+  const deleteArea = (id) => {
+    setAreas(prev => prev.filter(area => area.id !== id));
+  };
+
+  // Fly the map to an event and open its popup once the move has finished
+  const selectEvent = (eventId) => {
+    const event = earthquakes.find(eq => eq.id === eventId);
+    if (!event) {
+      showToast({ title: t("toasts.eventUnavailable"), message: t("toasts.eventUnavailableMessage") });
+      return;
+    }
+    setSelectedEventId(eventId);
+    setShowNotifications(false);
+    const map = mapRef.current;
+    if (!map) return;
+    const [lon, lat] = event.geometry.coordinates;
+    map.once("moveend", () => {
+      const marker = markerRefs.current[eventId];
+      if (marker) marker.openPopup();
     });
-    
-    console.log(`Filtered earthquakes count: ${filtered.length}`);
-    setFilteredEarthquakes(filtered);
-  }, [earthquakes, startDate, endDate, minMag]);
+    map.flyTo([lat, lon], Math.max(map.getZoom(), 8));
+  };
+
+  useEffect(() => {
+    selectEventRef.current = selectEvent;
+  });
 
-  const isRecent = (time) => {
-    if (!time) return false;
-    return new Date(time) > new Date(Date.now() - 2*24*60*60*1000);
+  // Select an event and open its popup without moving the map, once its marker is drawn
+  const openEventInPlace = useCallback((eventId) => {
+    pendingPopupRef.current = eventId;
+    setSelectedEventId(eventId);
+  }, []);
+
+  // Runs after the markers' own effects, so their popups are bound by now
+  useEffect(() => {
+    const marker = markerRefs.current[pendingPopupRef.current];
+    if (!marker) return;
+    pendingPopupRef.current = null;
+    marker.openPopup();
+  });
+
+  // Open the event named in a shared link as soon as it is in the catalogue. A link
+  // with a map view keeps that view; otherwise the map flies to the event.
+  useEffect(() => {
+    const eventId = pendingEventIdRef.current;
+    if (!eventId || !earthquakes.some(eq => eq.id === eventId)) return;
+    pendingEventIdRef.current = null;
+    if (initialUrlState.view) openEventInPlace(eventId);
+    else selectEventRef.current(eventId);
+  }, [earthquakes, initialUrlState.view, openEventInPlace]);
+
+  // Mirror the view in the URL. Map moves replace the current history entry; filter,
+  // layer, area and selection changes push a new one so back/forward step through them.
+  const urlState = {
+    filters,
+    layerMode: layerSettings.mode,
+    intensityRings: layerSettings.intensityRings,
+    areas: activeAreas,
+    eventId: selectedEventId
   };
+  const urlStateKey = buildUrlSearch(urlState);
+  const urlSearch = buildUrlSearch({ ...urlState, view: mapView });
+
+  useEffect(() => {
+    if (urlSearch === window.location.search) {
+      lastUrlStateRef.current = urlStateKey;
+      return;
+    }
+    const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+    if (lastUrlStateRef.current === null || lastUrlStateRef.current === urlStateKey) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    lastUrlStateRef.current = urlStateKey;
+  }, [urlSearch, urlStateKey]);
+
+  // Back/forward: restore the state the URL describes
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      lastUrlStateRef.current = null;
+      setFilters({ ...defaultFilters(), ...state.filters });
+      setLayerSettings(prev => layerSettingsFromUrl({ ...prev, mode: "markers", intensityRings: true }, state));
+      setAreas(prev => applyUrlAreas(prev, state.areas || [], t));
+      setSelectedEventId(state.eventId || null);
+      if (state.view && mapRef.current) {
+        mapRef.current.setView([state.view.lat, state.view.lon], state.view.zoom);
+      }
+      if (state.eventId) {
+        setTimeout(() => markerRefs.current[state.eventId]?.openPopup(), 0);
+      } else {
+        mapRef.current?.closePopup();
+      }
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [t]);
+
+  // Fly to a sequence's events, with a margin around them
+  const focusSequence = (sequence) => {
+    if (!mapRef.current) return;
+    const bounds = L.latLngBounds(sequence.events.map(eq => [eq.geometry.coordinates[1], eq.geometry.coordinates[0]]));
+    mapRef.current.flyToBounds(bounds.pad(0.2), { maxZoom: 11 });
+  };
+
+  // Frame the search circle around a town
+  const showTownRadius = (town, radiusKm) => {
+    setSearchTown(town);
+    setSearchRadiusKm(radiusKm);
+    if (mapRef.current) {
+      mapRef.current.flyToBounds(L.latLng(town.lat, town.lon).toBounds(radiusKm * 2000), { padding: [20, 20] });
+    }
+  };
+
+  const handlePointPicked = (latlng) => {
+    setReferencePoint({ name: `${latlng.lat.toFixed(3)}, ${latlng.lng.toFixed(3)}`, lat: latlng.lat, lon: latlng.lng });
+    setIsPickingPoint(false);
+  };
+
+  const acknowledgeAlert = (id) => {
+    setAlertHistory(prev => prev.map(entry => entry.id === id ? { ...entry, acknowledged: true } : entry));
+  };
+
+  const acknowledgeAllAlerts = () => {
+    setAlertHistory(prev => prev.map(entry => ({ ...entry, acknowledged: true })));
+  };
+
+  const dismissAlert = (id) => {
+    setAlertHistory(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  const selectAlertEvent = (eventId, alertId) => {
+    acknowledgeAlert(alertId);
+    selectEvent(eventId);
+  };
+
+  const requestNotificationPermission = () => {
+    if (!("Notification" in window)) return;
+    Notification.requestPermission().then(setNotificationPermission);
+  };
+
+  const unreadAlertCount = alertHistory.filter(entry => !entry.acknowledged).length;
 
-  const getMagnitudeColor = (mag) => {
-    if (!mag && mag !== 0) return "#6c757d";
-    if (mag >= 6) return "#dc3545";
-    if (mag >= 5) return "#fd7e14";
-    if (mag >= 4) return "#ffc107";
-    return "#6c757d";
+  // The filter's time range as timestamps, for playback and the statistics charts. A
+  // rolling window moves on whenever the catalogue is refreshed.
+  const timeRange = useMemo(
+    () => filterTimeRange(filters, catalogueLoadedAt),
+    [filters, catalogueLoadedAt]
+  );
+  const { start: rangeStart, end: rangeEnd } = timeRange;
+  const { minMag } = filters;
+  const startDate = new Date(rangeStart).toISOString().slice(0, 10);
+  const endDate = new Date(rangeEnd).toISOString().slice(0, 10);
+  const magTypes = useMemo(() => magTypesOf(earthquakes), [earthquakes]);
+
+  const togglePlayback = () => {
+    if (!showPlayback) setPlaybackTime(rangeStart);
+    setIsPlaying(false);
+    setShowPlayback(!showPlayback);
   };
 
+  // The selected event stays on the map even when the filters would hide it
+  const selectedEvent = selectedEventId && !filteredEarthquakes.some(eq => eq.id === selectedEventId)
+    ? earthquakes.find(eq => eq.id === selectedEventId)
+    : null;
+
+  // The drawer follows the selection, filtered out or not
+  const detailEvent = selectedEventId ? earthquakes.find(eq => eq.id === selectedEventId) : null;
+
+  // During playback only the events inside the trailing window are drawn, fading with age.
+  // The map arrays are memoised so the canvas layer only redraws when they change.
+  const playbackEvents = useMemo(() => (showPlayback
+    ? eventsAtTime(filteredEarthquakes, playbackTime, WINDOWS[playbackWindow].ms)
+    : null), [showPlayback, filteredEarthquakes, playbackTime, playbackWindow]);
+  const playbackOpacity = useMemo(() => (playbackEvents
+    ? new Map(playbackEvents.map(({ event, opacity }) => [event.id, opacity]))
+    : null), [playbackEvents]);
+  const mapEarthquakes = useMemo(() => (playbackEvents
+    ? playbackEvents.map(({ event }) => event)
+    : (selectedEvent ? [...filteredEarthquakes, selectedEvent] : filteredEarthquakes)),
+  [playbackEvents, selectedEvent, filteredEarthquakes]);
+
+  const dataProviders = PROVIDERS.filter(provider => providerSettings.enabled.includes(provider.id));
+  const sourcesFailing = dataProviders.some(provider => providerStatus[provider.id]?.error);
+
+  // The last successful update, taken from the cache until this session has refreshed
+  const lastUpdatedAt = pollState.lastSuccessAt ?? lastSync;
+  const dataIsStale = isStale(lastUpdatedAt, pollingSettings.staleMinutes * 60 * 1000, clock);
+
+  const { mode: layerMode, heatWeighting } = layerSettings;
+  const plottableEarthquakes = useMemo(() => mapEarthquakes.filter(eq => {
+    const [lon, lat] = eq.geometry?.coordinates || [];
+    const mag = eq.properties?.mag;
+    return eq.geometry?.coordinates?.length >= 3 && lon && lat && !isNaN(lon) && !isNaN(lat) &&
+      mag !== null && mag !== undefined;
+  }), [mapEarthquakes]);
+  // The canvas and aggregated layers can't hold a popup, so the selected event is drawn
+  // as its own marker on top
+  const selectedMapEvent = plottableEarthquakes.find(eq => eq.id === selectedEventId) || null;
+  const intensityEvent = layerSettings.intensityRings ? selectedMapEvent : null;
+  // Map tools that take clicks keep them from selecting events under the pointer
+  const mapClickSelects = !isPickingPoint && !isDrawingSection;
+  const layerEarthquakes = useMemo(() => (selectedMapEvent
+    ? plottableEarthquakes.filter(eq => eq !== selectedMapEvent)
+    : plottableEarthquakes), [plottableEarthquakes, selectedMapEvent]);
+
+  // Swarms and aftershock sequences among the filtered events, only worked out when shown
+  const sequences = useMemo(
+    () => (swarmSettings.visible || showSequences ? detectSequences(filteredEarthquakes, swarmSettings) : []),
+    [filteredEarthquakes, swarmSettings, showSequences]
+  );
+  const activeSequenceCount = sequences.filter(sequence => sequence.active).length;
+
+  // Imported events that are also in the USGS catalogue, by catalogue id
+  const catalogueMatches = useMemo(() => Object.fromEntries(catalogues.map(catalogue => [
+    catalogue.id,
+    new Set(matchEvents(catalogue.events, earthquakes).matches.map(match => match.a.id))
+  ])), [catalogues, earthquakes]);
+
+  // Visible imported catalogues, through the same filters and areas
+  const catalogueLayers = catalogues.filter(catalogue => catalogue.visible).map(catalogue => {
+    const matched = catalogueMatches[catalogue.id];
+    const events = filterByAreas(filterEvents(catalogue.events, filters, timeRange), activeAreas)
+      .filter(eq => !(catalogue.hideDuplicates && matched?.has(eq.id)));
+    return { catalogue, events };
+  });
+
+  // Filtering runs in a Web Worker where the browser has them, so large catalogues don't
+  // block the page while the filters or date range are being changed
+  useEffect(() => {
+    const client = createFilterClient(typeof Worker !== "undefined"
+      ? () => import("../utils/createFilterWorker").then(module => module.createFilterWorker())
+      : null);
+    filterClientRef.current = client;
+    return () => {
+      client.terminate();
+      filterClientRef.current = null;
+    };
+  }, []);
+
+  // The worker keeps its own copy of the catalogue, sent only when it changes
+  useEffect(() => {
+    filterClientRef.current?.setCatalogue(earthquakes);
+  }, [earthquakes]);
+
+  // Apply filters - this updates the map with selected data
+  useEffect(() => {
+    const client = filterClientRef.current;
+    if (!client) return;
+    if (earthquakes.length === 0) {
+      setFilteredEarthquakes([]);
+      return;
+    }
+
+    // Only the latest request updates the map if an earlier one answers late
+    let cancelled = false;
+    client.filter(filters, timeRange, areas.filter(area => area.active)).then(filtered => {
+      if (cancelled) return;
+      console.log(`Filtered earthquakes count: ${filtered.length}`);
+      setFilteredEarthquakes(filtered);
+    }).catch(err => {
+      if (!cancelled) console.error("Error filtering earthquakes:", err);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [earthquakes, filters, timeRange, areas]);
+
   const formatDepth = (depth) => {
-    if (depth === null || depth === undefined) return "Unknown";
+    if (depth === null || depth === undefined) return t("common.unknown");
     return depth.toFixed(1);
   };
 
   const formatMagnitude = (mag) => {
-    if (mag === null || mag === undefined) return "N/A";
+    if (mag === null || mag === undefined) return t("common.notAvailable");
     return mag.toFixed(1);
   };
 
-  const downloadCSV = () => {
-    if (filteredEarthquakes.length === 0) {
-      alert("No earthquakes to download for the selected filters.");
-      return;
-    }
+  const renderEarthquakeMarker = (eq) => {
+    const [lon, lat, depth] = eq.geometry.coordinates;
+    const mag = eq.properties.mag;
+    const time = eq.properties?.time;
+    const isSelected = eq.id === selectedEventId;
+    const opacity = playbackOpacity ? playbackOpacity.get(eq.id) : 1;
+    const style = markerStyle(mag, { recent: isRecent(time), small: window.innerWidth < 600 });
 
-    // Fixed CSV headers - clear and descriptive
-    const headers = [
-      'Earthquake ID',
-      'Location/Place',
-      'Magnitude',
-      'Date & Time',
-      'Longitude',
-      'Latitude', 
-      'Depth (km)',
-      'USGS URL'
-    ];
-    
-    // Create rows with proper data mapping
-    const rows = filteredEarthquakes.map(eq => {
-      const [lon, lat, depth] = eq.geometry.coordinates || [null, null, null];
-      const place = eq.properties?.place || 'Unknown location';
-      // Escape commas in place name by wrapping in quotes
-      const escapedPlace = place.includes(',') ? `"${place}"` : place;
-      
-      return [
-        eq.id || '',
-        escapedPlace,
-        eq.properties?.mag !== null && eq.properties?.mag !== undefined ? eq.properties.mag.toFixed(2) : '',
-        eq.properties?.time ? new Date(eq.properties.time).toLocaleString() : '',
-        lon !== null ? lon.toFixed(6) : '',
-        lat !== null ? lat.toFixed(6) : '',
-        depth !== null ? depth.toFixed(2) : '',
-        eq.properties?.url || ''
-      ].join(',');
-    });
-    
-    // Combine headers and rows
-    const csv = [headers.join(','), ...rows].join('\n');
-    
-    // Add BOM for UTF-8 to handle special characters properly
-    const blob = new Blob(['\uFEFF' + csv], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    link.href = URL.createObjectURL(blob);
-    
-    link.download = `ethiopia_earthquakes_${startDate}_to_${endDate}.csv`;
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    return (
+      <CircleMarker key={eq.id} center={[lat, lon]} 
+        ref={marker => {
+          if (marker) markerRefs.current[eq.id] = marker;
+          else delete markerRefs.current[eq.id];
+        }}
+        eventHandlers={{ click: () => setSelectedEventId(eq.id) }}
+        bubblingMouseEvents={false}
+        radius={style.radius}
+        color={isSelected ? "#ffffff" : style.color}
+        weight={isSelected ? 4 : style.weight}
+        fillColor={style.color}
+        opacity={opacity}
+        fillOpacity={0.7 * opacity}>
+        <Popup>
+          <div style={{ padding: window.innerWidth < 600 ? "6px" : "8px", maxWidth: "200px" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
+              <EarthquakeIcon size={window.innerWidth < 600 ? 16 : 20} color="#ff6b6b" />
+              <strong style={{ fontSize: window.innerWidth < 600 ? "14px" : "16px" }}>M{formatMagnitude(mag)}</strong>
+            </div>
+            <EventLocation earthquake={eq} />
+            {eq.properties?.region && (
+              <div style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px", color: "#666", marginBottom: "4px" }}>
+                🗺️ {eq.properties.region}{eq.properties.zone ? ` · ${eq.properties.zone}` : ''}
+              </div>
+            )}
+            <div style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px", color: "#666", marginBottom: "4px" }}>
+              📍 {t("popup.depth", { depth: formatDepth(depth) })}
+            </div>
+            <div style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px", color: "#666", marginBottom: "8px" }}>
+              🕐 {time ? formatDateTime(time) : t("popup.unknownTime")}
+            </div>
+            <IntensityEstimate earthquake={eq} />
+            {eq.properties?.reports?.length > 1 && (
+              <div style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px", color: "#666", marginBottom: "8px" }}>
+                📡 {eq.properties.reports.map(report =>
+                  `${getProvider(report.provider)?.label || report.provider} M${formatMagnitude(report.mag)}${report.magType ? ` ${report.magType}` : ''}`
+                ).join(' · ')}
+              </div>
+            )}
+            <button onClick={() => {
+              setSelectedEventId(eq.id);
+              setShowDetail(true);
+            }}
+              style={{ padding: "4px 12px", marginRight: "6px", backgroundColor: "#0066cc", color: "white", border: "none",
+                borderRadius: "4px", cursor: "pointer", fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>
+              {t("popup.moreDetails")}
+            </button>
+            {eq.properties?.url && (
+              <a href={eq.properties.url} target="_blank" rel="noopener noreferrer"
+                style={{ display: "inline-block", padding: "4px 12px", backgroundColor: "#0066cc",
+                  color: "white", textDecoration: "none", borderRadius: "4px", fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>
+                {t("popup.viewDetails")}
+              </a>
+            )}
+          </div>
+        </Popup>
+      </CircleMarker>
+    );
   };
 
-  const downloadKMZ = async () => {
+  // Suffix for export file names, e.g. "_afar_rift" when a single area is active
+  const areaFileSuffix = activeAreas.length === 1
+    ? `_${activeAreas[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')}`
+    : activeAreas.length > 1 ? '_areas' : '';
+
+  const downloadExport = async (formatId, fieldIds = fieldIdsFor(exportFields, formatId)) => {
     if (filteredEarthquakes.length === 0) {
-      alert("No earthquakes to download for the selected filters.");
+      showToast({ title: t("toasts.nothingToDownload"), message: t("toasts.nothingToDownloadMessage") });
       return;
     }
 
     setIsDownloading(true);
     try {
-      // Generate KML content
-      const kmlContent = generateKML(filteredEarthquakes);
-      
-      // Create ZIP file
-      const zip = new JSZip();
-      zip.file("doc.kml", kmlContent);
-      
-      // Generate KMZ file
-      const blob = await zip.generateAsync({ type: "blob" });
-      
-      saveAs(blob, `ethiopia_earthquakes_${startDate}_to_${endDate}.kmz`);
-      
+      await exportEvents(formatId, filteredEarthquakes, fieldIds,
+        `ethiopia_earthquakes_${startDate}_to_${endDate}${areaFileSuffix}`, t);
     } catch (error) {
-      console.error("Error creating KMZ:", error);
-      alert("Error creating KMZ file. Please try again.");
+      console.error(`Error creating ${formatId} export:`, error);
+      showToast({ title: t("toasts.downloadFailed"), message: t("toasts.downloadFailedMessage"), level: "alert" });
     } finally {
       setIsDownloading(false);
     }
   };
 
+  const addCatalogue = (name, format, { events, skipped }) => {
+    if (events.length === 0) {
+      showToast({ title: t("toasts.nothingImported"), message: t("toasts.nothingImportedMessage", { name }), level: "alert" });
+      return;
+    }
+    setCatalogues(prev => [...prev, {
+      id: events[0].properties.catalogue,
+      name,
+      color: CATALOGUE_COLORS[prev.length % CATALOGUE_COLORS.length],
+      visible: true,
+      hideDuplicates: false,
+      format,
+      importedAt: Date.now(),
+      events
+    }]);
+    showToast({
+      title: t("toasts.catalogueImported"),
+      message: skipped > 0
+        ? t("toasts.catalogueImportedSkipped", { count: events.length, name, skipped })
+        : t("toasts.catalogueImportedMessage", { count: events.length, name })
+    });
+  };
+
+  // GeoJSON and QuakeML are imported straight away; CSV waits for its column mapping
+  const handleCatalogueFiles = async (fileList) => {
+    setShowImport(true);
+    for (const file of Array.from(fileList)) {
+      try {
+        const text = await file.text();
+        const format = detectFormat(file.name, text);
+        const name = file.name.replace(/\.[^.]+$/, "");
+        if (format === "csv") {
+          const table = parseCsv(text);
+          const pending = { id: createCatalogueId(), fileName: file.name, table, mapping: guessColumnMapping(table.headers) };
+          setPendingCsvs(prev => [...prev, pending]);
+        } else if (format === "geojson") {
+          addCatalogue(name, format, eventsFromGeoJson(text, createCatalogueId()));
+        } else {
+          addCatalogue(name, format, eventsFromQuakeMl(text, createCatalogueId()));
+        }
+      } catch (error) {
+        console.error(`Error importing ${file.name}:`, error);
+        showToast({ title: t("toasts.importFailed"), message: t("toasts.importFailedMessage", { name: file.name, error: error.message }), level: "alert" });
+      }
+    }
+  };
+
+  const confirmCsvImport = (name) => {
+    const [pendingCsv] = pendingCsvs;
+    addCatalogue(name, "csv", eventsFromCsv(pendingCsv.table, pendingCsv.mapping, pendingCsv.id));
+    setPendingCsvs(prev => prev.slice(1));
+  };
+
+  const updatePendingCsvMapping = (mapping) => {
+    setPendingCsvs(([first, ...rest]) => [{ ...first, mapping }, ...rest]);
+  };
+
+  const updateCatalogue = (updated) => {
+    setCatalogues(prev => prev.map(catalogue => (catalogue.id === updated.id ? updated : catalogue)));
+  };
+
+  const removeCatalogue = (id) => {
+    setCatalogues(prev => prev.filter(catalogue => catalogue.id !== id));
+  };
+
+  const updateFilters = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+
   const clearFilters = () => {
-    setStartDate("2000-01-01");
-    setEndDate(new Date().toISOString().slice(0,10));
-    setMinMag(0);
+    setFilters(defaultFilters());
+  };
+
+  const saveFilterPreset = (name) => {
+    const preset = createFilterPreset(name, filters);
+    setFilterPresets(prev => [...prev, preset]);
+    return preset;
+  };
+
+  const deleteFilterPreset = (id) => {
+    setFilterPresets(prev => prev.filter(preset => preset.id !== id));
   };
 
   const applyFilters = () => {
@@ -455,7 +997,16 @@ export default function EarthquakeDashboard() {
       height: "100vh", width: "100%", position: "relative", 
       fontFamily: "'Segoe UI', 'Roboto', Arial, sans-serif",
       backgroundColor: "#0a0e17", overflow: "hidden"
-    }}>
+    }}
+      // Catalogue files can be dropped anywhere on the dashboard
+      onDragOver={e => {
+        if (e.dataTransfer.types.includes("Files")) e.preventDefault();
+      }}
+      onDrop={e => {
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        handleCatalogueFiles(e.dataTransfer.files);
+      }}>
       
       {/* Header */}
       <div style={{
@@ -478,20 +1029,241 @@ export default function EarthquakeDashboard() {
           whiteSpace: window.innerWidth < 600 ? "normal" : "nowrap",
           fontSize: window.innerWidth < 600 ? "16px" : "26px"
         }}>
-          {window.innerWidth < 500 ? "Ethiopia Quake" : "Ethiopia Earthquake Monitoring Dashboard"}
+          {window.innerWidth < 500 ? t("header.shortTitle") : t("header.title")}
         </span>
         {isLoading && (
           <div style={{ marginLeft: "auto", fontSize: "14px", color: "#ffd93d" }}>
-            {window.innerWidth < 500 ? "🔄" : "🔄 Updating..."}
+            {window.innerWidth < 500 ? "🔄" : `🔄 ${t("header.updating")}`}
           </div>
         )}
-        <div style={{ 
-          marginLeft: "auto", 
-          fontSize: window.innerWidth < 600 ? "11px" : "14px", 
-          color: "#a0a0a0" 
-        }}>
-          {window.innerWidth < 500 ? lastUpdated.toLocaleTimeString().slice(0,5) : `Last: ${lastUpdated.toLocaleTimeString()}`}
-        </div>
+        {isOnline ? (
+          <div
+            title={pollState.nextRunAt && !isLoading
+              ? t(pollState.paused ? "header.nextUpdatePaused" : "header.nextUpdate", { time: formatTime(pollState.nextRunAt) })
+              : undefined}
+            style={{ 
+              marginLeft: "auto", 
+              display: "flex", alignItems: "center", gap: "6px",
+              fontSize: window.innerWidth < 600 ? "11px" : "14px", 
+              color: dataIsStale ? "#ffc107" : "#a0a0a0" 
+            }}>
+            {lastUpdatedAt
+              ? (window.innerWidth < 500
+                ? formatTime(lastUpdatedAt, { hour: "2-digit", minute: "2-digit" })
+                : t("header.updated", { time: formatDateTime(lastUpdatedAt) }))
+              : t("header.notUpdated")}
+            {dataIsStale && (
+              <span
+                title={t("header.staleTitle", { count: pollingSettings.staleMinutes })}
+                style={{ backgroundColor: "#ffc107", color: "#000", padding: "1px 6px", borderRadius: "8px", fontSize: "11px", fontWeight: "600" }}>
+                {t("header.stale")}
+              </span>
+            )}
+            <button
+              onClick={() => pollerRef.current?.refresh()}
+              disabled={isLoading}
+              title={t("header.refreshNow")}
+              style={{
+                background: "none",
+                border: "1px solid #3a4a5a",
+                color: "#ccc",
+                padding: "1px 6px",
+                borderRadius: "4px",
+                fontSize: "12px",
+                cursor: isLoading ? "wait" : "pointer"
+              }}
+            >
+              ⟳
+            </button>
+          </div>
+        ) : (
+          <div style={{ 
+            marginLeft: "auto", 
+            fontSize: window.innerWidth < 600 ? "11px" : "14px", 
+            color: "#000",
+            backgroundColor: "#ffd93d",
+            padding: "4px 10px",
+            borderRadius: "12px",
+            fontWeight: "600"
+          }}>
+            {lastSync
+              ? t("header.offlineAsOf", { time: formatDateTime(lastSync) })
+              : t("header.offlineNoData")}
+          </div>
+        )}
+        {/* Offline Maps Toggle Button */}
+        <button
+          onClick={() => setShowOfflineMaps(!showOfflineMaps)}
+          title={t("header.offlineMapsTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #43a047",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "📥" : `📥 ${t("header.offlineMaps")}`}
+        </button>
+        {/* Alert Rules Toggle Button */}
+        <button
+          onClick={() => setShowAlertRules(!showAlertRules)}
+          title={t("header.alertRulesTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #ffd93d",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "🚨" : `🚨 ${t("header.alertRules")}`}
+        </button>
+        {/* Table Toggle Button */}
+        <button
+          onClick={() => setShowTable(!showTable)}
+          title={t("header.tableTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #4fc3f7",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "📋" : `📋 ${t("header.table")}`}
+        </button>
+        {/* Data Sources Toggle Button */}
+        <button
+          onClick={() => setShowSources(!showSources)}
+          title={sourcesFailing ? t("header.sourcesFailingTitle") : t("header.sourcesTitle")}
+          style={{
+            background: "none",
+            border: `1px solid ${sourcesFailing ? "#ffc107" : "#4fc3f7"}`,
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "🛰️" : `🛰️ ${t("header.sources", { count: providerSettings.enabled.length })}`}
+        </button>
+        {/* Town Search Toggle Button */}
+        <button
+          onClick={() => setShowTowns(!showTowns)}
+          title={t("header.townsTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #4fc3f7",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "🏘️" : `🏘️ ${t("header.towns")}`}
+        </button>
+        {/* Sequences Toggle Button */}
+        <button
+          onClick={() => setShowSequences(!showSequences)}
+          title={t("header.sequencesTitle")}
+          style={{
+            background: "none",
+            border: `1px solid ${activeSequenceCount > 0 ? "#ffa500" : "#4fc3f7"}`,
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "🌋" : `🌋 ${t("header.sequences")}${activeSequenceCount > 0 ? ` (${activeSequenceCount})` : ""}`}
+        </button>
+        {/* Statistics Toggle Button */}
+        <button
+          onClick={() => setShowStats(!showStats)}
+          title={t("header.statsTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #4fc3f7",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "📊" : `📊 ${t("header.stats")}`}
+        </button>
+        {/* Cross-section Toggle Button */}
+        <button
+          onClick={() => {
+            setShowCrossSection(!showCrossSection);
+            setIsDrawingSection(false);
+          }}
+          title={t("header.crossSectionTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #4fc3f7",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "🪨" : `🪨 ${t("header.crossSection")}`}
+        </button>
+        {/* Import Toggle Button */}
+        <button
+          onClick={() => setShowImport(!showImport)}
+          title={t("header.importTitle")}
+          style={{
+            background: "none",
+            border: "1px solid #4fc3f7",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "📂" : `📂 ${t("header.import")}${catalogues.length > 0 ? ` (${catalogues.length})` : ""}`}
+        </button>
+        {/* Playback Toggle Button */}
+        <button
+          onClick={togglePlayback}
+          title={t("header.playbackTitle")}
+          style={{
+            background: showPlayback ? "#ff6b6b" : "none",
+            border: "1px solid #ff6b6b",
+            color: "#fff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            cursor: "pointer",
+            marginLeft: "10px"
+          }}
+        >
+          {window.innerWidth < 500 ? "▶" : `▶ ${t("header.playback")}`}
+        </button>
         {/* Debug Toggle Button */}
         <button
           onClick={() => setShowDebug(!showDebug)}
@@ -506,8 +1278,9 @@ export default function EarthquakeDashboard() {
             marginLeft: "10px"
           }}
         >
-          {showDebug ? "Hide Debug" : "Show Debug"}
+          {showDebug ? t("header.hideDebug") : t("header.showDebug")}
         </button>
+        <LanguageSwitcher />
       </div>
 
       {/* Debug Panel */}
@@ -528,13 +1301,19 @@ export default function EarthquakeDashboard() {
           maxHeight: "300px",
           overflow: "auto"
         }}>
-          <h4 style={{ margin: "0 0 10px 0", color: "#ff6b6b" }}>Debug Info</h4>
-          <div>Total Earthquakes: {earthquakes.length}</div>
-          <div>Filtered Earthquakes: {filteredEarthquakes.length}</div>
-          <div>Date Range: {startDate} to {endDate}</div>
-          <div>Min Magnitude: {minMag}</div>
+          <h4 style={{ margin: "0 0 10px 0", color: "#ff6b6b" }}>{t("debug.title")}</h4>
+          <div>{t("debug.total", { count: earthquakes.length })}</div>
+          <div>{t("debug.filtered", { count: filteredEarthquakes.length })}</div>
+          <div>
+            {t("debug.dateRange", { start: startDate, end: endDate })}
+            {filters.lastHours ? ` ${t("debug.lastHours", { hours: filters.lastHours })}` : ''}
+          </div>
+          <div>{t("debug.minMag", { mag: minMag })}</div>
+          <div>{t("debug.filters", { filters: JSON.stringify(filters) })}</div>
+          <div>{t("debug.lastSync", { time: lastSync ? new Date(lastSync).toISOString() : t("debug.never") })}</div>
+          <div>{t("debug.polling", { state: JSON.stringify(pollState) })}</div>
           <div style={{ marginTop: "10px" }}>
-            <strong>Sample of raw data (first 5):</strong>
+            <strong>{t("debug.sample", { count: 5 })}</strong>
             {earthquakes.slice(0, 5).map((eq, i) => (
               <div key={i} style={{ marginTop: "5px", borderTop: i > 0 ? "1px solid #333" : "none", padding: "5px 0" }}>
                 <div>📍 {eq.properties?.place}</div>
@@ -546,14 +1325,207 @@ export default function EarthquakeDashboard() {
         </div>
       )}
 
-      {/* Notification Bell - Shows count for last 1 hour */}
+      {/* Offline Maps Panel */}
+      {showOfflineMaps && (
+        <OfflineMapsPanel bounds={ETH_BOUNDS} onClose={() => setShowOfflineMaps(false)} />
+      )}
+
+      {/* Export Panel */}
+      {showExport && (
+        <ExportPanel
+          fieldsByFormat={exportFields}
+          onFieldsChange={(formatId, fieldIds) => setExportFields({ ...exportFields, [formatId]: fieldIds })}
+          onExport={downloadExport}
+          isExporting={isDownloading}
+          count={filteredEarthquakes.length}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {/* Sequences Panel */}
+      {showSequences && (
+        <SequencesPanel
+          sequences={sequences}
+          settings={swarmSettings}
+          onSettingsChange={setSwarmSettings}
+          onSelectSequence={focusSequence}
+          onClose={() => setShowSequences(false)}
+        />
+      )}
+
+      {/* Town Search Panel */}
+      {showTowns && (
+        <TownSearchPanel
+          earthquakes={filteredEarthquakes}
+          town={searchTown}
+          radiusKm={searchRadiusKm}
+          onTownChange={town => showTownRadius(town, searchRadiusKm)}
+          onRadiusChange={radiusKm => showTownRadius(searchTown, radiusKm)}
+          onSelectEvent={selectEvent}
+          onClose={() => {
+            setShowTowns(false);
+            setSearchTown(null);
+          }}
+        />
+      )}
+
+      {/* Data Sources Panel */}
+      {showSources && (
+        <DataSourcesPanel
+          settings={providerSettings}
+          status={providerStatus}
+          onSettingsChange={setProviderSettings}
+          pollingSettings={pollingSettings}
+          onPollingSettingsChange={setPollingSettings}
+          onClose={() => setShowSources(false)}
+        />
+      )}
+
+      {/* Catalogue Import Panel */}
+      {showImport && (
+        <CatalogueImportPanel
+          catalogues={catalogues}
+          matchedIds={catalogueMatches}
+          usgsEvents={earthquakes}
+          pendingCsv={pendingCsvs[0] || null}
+          queuedCsvCount={pendingCsvs.length - 1}
+          onFiles={handleCatalogueFiles}
+          onMappingChange={updatePendingCsvMapping}
+          onConfirmCsv={confirmCsvImport}
+          onCancelCsv={() => setPendingCsvs(prev => prev.slice(1))}
+          onCatalogueChange={updateCatalogue}
+          onRemoveCatalogue={removeCatalogue}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {/* Statistics Panel */}
+      {showStats && (
+        <StatisticsPanel
+          earthquakes={filteredEarthquakes}
+          start={rangeStart}
+          end={rangeEnd}
+          filenamePrefix={`ethiopia_earthquakes_${startDate}_to_${endDate}${areaFileSuffix}`}
+          onExportError={err => showToast({ title: t("toasts.exportFailed"), message: err.message })}
+          onClose={() => setShowStats(false)}
+        />
+      )}
+
+      {/* Cross-section Panel */}
+      {showCrossSection && (
+        <CrossSectionPanel
+          earthquakes={filteredEarthquakes}
+          line={crossSectionLine}
+          drawing={isDrawingSection}
+          onDrawToggle={() => setIsDrawingSection(!isDrawingSection)}
+          onClearLine={() => setCrossSectionLine(null)}
+          settings={crossSectionSettings}
+          onSettingsChange={setCrossSectionSettings}
+          bounds={sectionBounds}
+          selectedEventId={selectedEventId}
+          onSelectEvent={selectEvent}
+          filenamePrefix={`ethiopia_earthquakes_${startDate}_to_${endDate}${areaFileSuffix}`}
+          onExportError={err => showToast({ title: t("toasts.exportFailed"), message: err.message })}
+          onClose={() => {
+            setShowCrossSection(false);
+            setIsDrawingSection(false);
+          }}
+        />
+      )}
+
+      {/* Event Detail Panel */}
+      {showDetail && detailEvent && (
+        <EventDetailPanel
+          earthquake={detailEvent}
+          earthquakes={earthquakes}
+          onSelectEvent={selectEvent}
+          onExportError={err => showToast({ title: t("toasts.exportFailed"), message: err.message })}
+          onClose={() => setShowDetail(false)}
+        />
+      )}
+
+      {/* Alert Rules Panel */}
+      {showAlertRules && (
+        <AlertRulesPanel
+          rules={alertRules}
+          onRulesChange={setAlertRules}
+          places={places}
+          onPlacesChange={setPlaces}
+          areas={areas}
+          regions={REGION_NAMES}
+          history={alertHistory}
+          onClearHistory={() => setAlertHistory([])}
+          onClose={() => setShowAlertRules(false)}
+        />
+      )}
+
+      {/* Non-blocking alert toasts */}
+      <AlertToasts toasts={toasts} onDismiss={dismissToast} onSelectEvent={selectEvent} />
+
+      {/* Time-lapse Playback */}
+      {showPlayback && (
+        <TimelinePlayer
+          earthquakes={filteredEarthquakes}
+          start={rangeStart}
+          end={rangeEnd}
+          currentTime={playbackTime}
+          onTimeChange={setPlaybackTime}
+          windowKey={playbackWindow}
+          onWindowChange={setPlaybackWindow}
+          playing={isPlaying}
+          onPlayingChange={setIsPlaying}
+          speed={playbackSpeed}
+          onSpeedChange={setPlaybackSpeed}
+          visibleCount={mapEarthquakes.length}
+          onClose={togglePlayback}
+        />
+      )}
+
+      {/* Earthquake Table */}
+      {showTable && (
+        <EarthquakeTable
+          earthquakes={filteredEarthquakes}
+          selectedEventId={selectedEventId}
+          onSelectEvent={selectEvent}
+          places={places}
+          referencePoint={referencePoint}
+          onReferenceChange={point => {
+            setReferencePoint(point);
+            setIsPickingPoint(false);
+          }}
+          onPickOnMap={() => setIsPickingPoint(true)}
+          isPickingPoint={isPickingPoint}
+          bottomOffset={showPlayback ? PLAYBACK_BAR_HEIGHT : 0}
+          onClose={() => {
+            setShowTable(false);
+            setIsPickingPoint(false);
+          }}
+        />
+      )}
+
+      {/* Notification Center */}
+      {showNotifications && (
+        <NotificationCenter
+          history={alertHistory}
+          notificationPermission={notificationPermission}
+          onRequestPermission={requestNotificationPermission}
+          onSelectEvent={selectAlertEvent}
+          onAcknowledge={acknowledgeAlert}
+          onAcknowledgeAll={acknowledgeAllAlerts}
+          onDismiss={dismissAlert}
+          onClear={() => setAlertHistory([])}
+          onClose={() => setShowNotifications(false)}
+        />
+      )}
+
+      {/* Notification Bell - Shows unacknowledged alerts */}
       <div style={{
         position: "absolute", 
         top: window.innerWidth < 600 ? 70 : 80, 
         right: window.innerWidth < 600 ? 15 : 30, 
         width: window.innerWidth < 600 ? 48 : 56, 
         height: window.innerWidth < 600 ? 48 : 56,
-        backgroundColor: recentCount > 0 ? "#ff4444" : "#4a4a4a", 
+        backgroundColor: unreadAlertCount > 0 ? "#ff4444" : "#4a4a4a", 
         borderRadius: "50%",
         display: "flex", justifyContent: "center", alignItems: "center", 
         color: "white",
@@ -561,14 +1533,14 @@ export default function EarthquakeDashboard() {
         fontSize: window.innerWidth < 600 ? "16px" : "20px", 
         cursor: "pointer", 
         zIndex: 1000,
-        boxShadow: recentCount > 0 ? "0 0 0 rgba(255, 68, 68, 0.4)" : "0 2px 6px rgba(0,0,0,0.3)",
-        animation: recentCount > 0 ? "pulse 2s infinite" : "none", 
+        boxShadow: unreadAlertCount > 0 ? "0 0 0 rgba(255, 68, 68, 0.4)" : "0 2px 6px rgba(0,0,0,0.3)",
+        animation: unreadAlertCount > 0 ? "pulse 2s infinite" : "none", 
         transition: "all 0.3s ease"
       }}
-        title={`${recentCount} recent earthquake(s) in the last 1 hour`}
-        onClick={() => fetchEarthquakes()}>
+        title={`${t("header.unreadAlerts", { count: unreadAlertCount })}, ${t("header.recentEarthquakes", { count: recentCount })}`}
+        onClick={() => setShowNotifications(!showNotifications)}>
         <span style={{ fontSize: window.innerWidth < 600 ? "22px" : "28px" }}>🔔</span>
-        {recentCount > 0 && (
+        {unreadAlertCount > 0 && (
           <span style={{
             position: "absolute", 
             top: window.innerWidth < 600 ? -3 : -5, 
@@ -581,7 +1553,7 @@ export default function EarthquakeDashboard() {
             display: "flex", alignItems: "center", justifyContent: "center",
             fontSize: window.innerWidth < 600 ? "10px" : "14px", 
             fontWeight: "bold"
-          }}>{recentCount}</span>
+          }}>{unreadAlertCount}</span>
         )}
       </div>
 
@@ -609,7 +1581,7 @@ export default function EarthquakeDashboard() {
           }}
         >
           <MagnitudeIcon size={16} />
-          {showMobileFilters ? "Hide Filters ▲" : "Show Filters ▼"}
+          {showMobileFilters ? `${t("sidebar.hideFilters")} ▲` : `${t("sidebar.showFilters")} ▼`}
           <span style={{ 
             backgroundColor: "#fff", 
             color: "#ff6b6b", 
@@ -645,19 +1617,29 @@ export default function EarthquakeDashboard() {
         boxShadow: "0 8px 24px rgba(0,0,0,0.5)", 
         border: "1px solid rgba(255,255,255,0.1)",
         transition: window.innerWidth <= 600 ? "top 0.3s ease-in-out" : "none",
-        maxHeight: window.innerWidth <= 600 ? "70vh" : "auto",
-        overflowY: window.innerWidth <= 600 ? "auto" : "visible"
+        maxHeight: window.innerWidth <= 600 ? "70vh" : "calc(100vh - 170px)",
+        overflowY: "auto"
       }}>
         <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "20px" }}>
           <MagnitudeIcon size={24} />
           <h3 style={{ margin: 0, fontSize: window.innerWidth < 600 ? "16px" : "18px", fontWeight: "600" }}>
-            {window.innerWidth < 500 ? "Filters" : "Filter Earthquakes"}
+            {window.innerWidth < 500 ? t("sidebar.filters") : t("sidebar.title")}
           </h3>
         </div>
         
-        <label style={{ fontSize: window.innerWidth < 600 ? "13px" : "14px", color: "#ccc", marginBottom: "4px", display: "block" }}>Start Date:</label>
+        <FilterPresets
+          filters={filters}
+          presets={filterPresets}
+          onApply={preset => setFilters(applyFilterPreset(preset))}
+          onSave={saveFilterPreset}
+          onDelete={deleteFilterPreset}
+        />
+        
+        {/* Editing a date turns a rolling window into a fixed range */}
+        <label style={{ fontSize: window.innerWidth < 600 ? "13px" : "14px", color: "#ccc", marginBottom: "4px", display: "block" }}>{t("sidebar.startDate")}</label>
         <input 
-          type="date" value={startDate} onChange={e => setStartDate(e.target.value)}
+          type="date" value={startDate}
+          onChange={e => updateFilters({ startDate: e.target.value, endDate, lastHours: null })}
           style={{ width: "100%", marginBottom: "16px", borderRadius: "8px", 
             padding: window.innerWidth < 600 ? "10px" : "10px 12px", 
             border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
@@ -666,9 +1648,10 @@ export default function EarthquakeDashboard() {
           }} 
         />
         
-        <label style={{ fontSize: window.innerWidth < 600 ? "13px" : "14px", color: "#ccc", marginBottom: "4px", display: "block" }}>End Date:</label>
+        <label style={{ fontSize: window.innerWidth < 600 ? "13px" : "14px", color: "#ccc", marginBottom: "4px", display: "block" }}>{t("sidebar.endDate")}</label>
         <input 
-          type="date" value={endDate} onChange={e => setEndDate(e.target.value)}
+          type="date" value={endDate}
+          onChange={e => updateFilters({ startDate, endDate: e.target.value, lastHours: null })}
           style={{ width: "100%", marginBottom: "16px", borderRadius: "8px", 
             padding: window.innerWidth < 600 ? "10px" : "10px 12px", 
             border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
@@ -677,11 +1660,11 @@ export default function EarthquakeDashboard() {
           }} 
         />
         
-        <label style={{ fontSize: window.innerWidth < 600 ? "13px" : "14px", color: "#ccc", marginBottom: "4px", display: "block" }}>Min Magnitude:</label>
+        <label style={{ fontSize: window.innerWidth < 600 ? "13px" : "14px", color: "#ccc", marginBottom: "4px", display: "block" }}>{t("sidebar.minMagnitude")}</label>
         <input 
           type="number" min="0" max="10" step="0.1" value={minMag} 
-          onChange={e => setMinMag(parseFloat(e.target.value) || 0)}
-          style={{ width: "100%", marginBottom: "20px", borderRadius: "8px", 
+          onChange={e => updateFilters({ minMag: parseFloat(e.target.value) || 0 })}
+          style={{ width: "100%", marginBottom: "16px", borderRadius: "8px", 
             padding: window.innerWidth < 600 ? "10px" : "10px 12px", 
             border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
             color: "#fff", fontSize: window.innerWidth < 600 ? "13px" : "14px", 
@@ -689,6 +1672,16 @@ export default function EarthquakeDashboard() {
           }} 
         />
         
+        <AdvancedFilters filters={filters} magTypes={magTypes} onChange={updateFilters} />
+        
+        <AreasPanel
+          areas={areas}
+          onRename={renameArea}
+          onToggle={toggleArea}
+          onFocus={focusArea}
+          onDelete={deleteArea}
+        />
+        
         {/* Apply Filter Button - Shows selected data on map */}
         <button onClick={applyFilters} style={{
           width: "100%", 
@@ -713,13 +1706,13 @@ export default function EarthquakeDashboard() {
             <path d="M3 3h18v18H3z" stroke="currentColor" strokeWidth="2" fill="none"/>
             <path d="M8 8h8v8H8z" stroke="currentColor" strokeWidth="2" fill="none"/>
           </svg>
-          Apply Filters
+          {t("sidebar.apply")}
         </button>
         
         {/* Download Buttons */}
         <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
           {/* CSV Download Button */}
-          <button onClick={downloadCSV} style={{
+          <button onClick={() => downloadExport("csv")} style={{
             flex: 1,
             padding: window.innerWidth < 600 ? "12px" : "12px", 
             borderRadius: "8px", 
@@ -745,7 +1738,7 @@ export default function EarthquakeDashboard() {
           </button>
 
           {/* KMZ Download Button */}
-          <button onClick={downloadKMZ} disabled={isDownloading} style={{
+          <button onClick={() => downloadExport("kmz")} disabled={isDownloading} style={{
             flex: 1,
             padding: window.innerWidth < 600 ? "12px" : "12px", 
             borderRadius: "8px", 
@@ -765,7 +1758,23 @@ export default function EarthquakeDashboard() {
           }} onMouseEnter={e => !isDownloading && (e.target.style.backgroundColor = "#ff4444")}
              onMouseLeave={e => !isDownloading && (e.target.style.backgroundColor = "#ff6b6b")}>
             <KMZIcon size={18} color="#fff" />
-            {isDownloading ? "Creating..." : "KMZ"}
+            {isDownloading ? t("exportPanel.creating") : "KMZ"}
+          </button>
+
+          {/* Other formats and field choice */}
+          <button onClick={() => setShowExport(!showExport)} title={t("sidebar.moreFormatsTitle")} style={{
+            flex: 1,
+            padding: "12px",
+            borderRadius: "8px",
+            backgroundColor: showExport ? "#4fc3f7" : "transparent",
+            color: "#fff",
+            border: "1px solid #4fc3f7",
+            cursor: "pointer",
+            fontWeight: "600",
+            fontSize: window.innerWidth < 600 ? "13px" : "14px",
+            boxSizing: "border-box"
+          }}>
+            {t("sidebar.moreFormats")}
           </button>
         </div>
 
@@ -798,17 +1807,89 @@ export default function EarthquakeDashboard() {
             <path d="M3 6h18M5 6v14a2 2 0 002 2h10a2 2 0 002-2V6m-9 5v6m4-6v6" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
             <path d="M10 3h4a1 1 0 011 1v2H9V4a1 1 0 011-1z" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
           </svg>
-          {window.innerWidth < 500 ? "Clear" : "Clear Filters"}
+          {window.innerWidth < 500 ? t("common.clear") : t("sidebar.clear")}
         </button>
         
         <div style={{ marginTop: "16px", fontSize: window.innerWidth < 600 ? "11px" : "12px", color: "#aaa", textAlign: "center" }}>
-          Showing {filteredEarthquakes.length} earthquakes in Ethiopia
+          {t("sidebar.showing", {
+            count: filteredEarthquakes.length,
+            place: activeAreas.length > 0 ? activeAreas.map(area => area.name).join(', ') : t("sidebar.ethiopia")
+          })}
         </div>
         <div style={{ marginTop: "4px", fontSize: window.innerWidth < 600 ? "10px" : "11px", color: "#ff6b6b", textAlign: "center" }}>
-          {startDate} to {endDate} | Min Mag: {minMag}
+          {filters.lastHours
+            ? t("sidebar.last", {
+              span: filters.lastHours < 48
+                ? t("duration.hours", { hours: filters.lastHours })
+                : t("duration.days", { days: filters.lastHours / 24 })
+            })
+            : t("sidebar.range", { start: startDate, end: endDate })} | {t("sidebar.minMag", { mag: minMag })}
+          {extraFilterCount(filters) > 0 && ` | ${t("sidebar.moreFilters", { count: extraFilterCount(filters) })}`}
+        </div>
+        
+        {/* Full resync - drops the local cache and downloads the whole catalogue again */}
+        <div style={{ marginTop: "10px", display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px" }}>
+          <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "11px", color: "#888" }}>
+            {lastSync ? t("sidebar.synced", { time: formatDateTime(lastSync) }) : t("sidebar.notSynced")}
+          </span>
+          <button
+            onClick={() => pollerRef.current?.refresh({ full: true })}
+            disabled={isLoading}
+            title={t("sidebar.fullResyncTitle")}
+            style={{
+              background: "none",
+              border: "1px solid #3a4a5a",
+              color: "#ccc",
+              padding: "4px 8px",
+              borderRadius: "4px",
+              fontSize: "11px",
+              cursor: isLoading ? "wait" : "pointer",
+              whiteSpace: "nowrap"
+            }}
+          >
+            ⟳ {t("sidebar.fullResync")}
+          </button>
         </div>
       </div>
 
+      {/* Refresh failures: the error, when the next attempt is due and a retry */}
+      {isOnline && pollState.failures > 0 && (
+        <div style={{
+          position: "absolute",
+          bottom: (showPlayback ? PLAYBACK_BAR_HEIGHT : 0) + (window.innerWidth < 600 ? 45 : 60),
+          left: "50%", transform: "translateX(-50%)",
+          maxWidth: "calc(100% - 20px)", boxSizing: "border-box",
+          backgroundColor: "rgba(120, 30, 30, 0.95)", color: "#fff",
+          padding: "8px 12px", borderRadius: "8px", zIndex: 1500,
+          display: "flex", alignItems: "center", gap: "10px",
+          fontSize: window.innerWidth < 600 ? "11px" : "13px",
+          boxShadow: "0 4px 12px rgba(0,0,0,0.4)"
+        }}>
+          <span>
+            ⚠️ {pollState.failures > 1
+              ? t("sidebar.updateFailedAttempts", { count: pollState.failures, error: pollState.lastError })
+              : t("sidebar.updateFailed", { error: pollState.lastError })}
+            {pollState.nextRunAt && !isLoading && ` ${t("sidebar.tryingAgain", { time: formatTime(pollState.nextRunAt) })}`}
+          </span>
+          <button
+            onClick={() => pollerRef.current?.refresh()}
+            disabled={isLoading}
+            style={{
+              background: "none",
+              border: "1px solid #fff",
+              color: "#fff",
+              padding: "4px 8px",
+              borderRadius: "4px",
+              fontSize: "11px",
+              cursor: isLoading ? "wait" : "pointer",
+              whiteSpace: "nowrap"
+            }}
+          >
+            {isLoading ? t("sidebar.retrying") : t("sidebar.retryNow")}
+          </button>
+        </div>
+      )}
+
       {/* Audio for beep sound */}
       <audio ref={audioRef} src="https://actions.google.com/sounds/v1/alarms/beep_short.ogg" />
 
@@ -820,7 +1901,10 @@ export default function EarthquakeDashboard() {
         position: "relative"
       }}>
         <MapContainer 
-          bounds={ETH_BOUNDS} 
+          ref={mapRef}
+          {...(initialUrlState.view
+            ? { center: [initialUrlState.view.lat, initialUrlState.view.lon], zoom: initialUrlState.view.zoom }
+            : { bounds: ETH_BOUNDS })} 
           style={{ 
             height: "100%", 
             width: "100%",
@@ -828,56 +1912,51 @@ export default function EarthquakeDashboard() {
           }}
           zoomControl={window.innerWidth > 768}
         >
-          <TileLayer url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
+          <TileLayer url={TILE_URL} crossOrigin="anonymous"
             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
           />
 
-          {/* Display filtered earthquakes on map */}
-          {filteredEarthquakes.length > 0 ? (
-            filteredEarthquakes.map(eq => {
-              if (!eq.geometry?.coordinates || eq.geometry.coordinates.length < 3) return null;
-              const [lon, lat, depth] = eq.geometry.coordinates;
-              if (!lon || !lat || isNaN(lon) || isNaN(lat)) return null;
-              const mag = eq.properties?.mag;
-              const time = eq.properties?.time;
-              if (mag === null || mag === undefined) return null;
-              const isRecentEvent = isRecent(time);
-              
-              return (
-                <CircleMarker key={eq.id} center={[lat, lon]} 
-                  radius={window.innerWidth < 600 ? Math.max(mag * 1.2, 3) : Math.max(mag * 1.5, 4)}
-                  color={isRecentEvent ? "#ff4444" : getMagnitudeColor(mag)}
-                  weight={window.innerWidth < 600 ? 2 : (isRecentEvent ? 3 : 2)}
-                  fillColor={isRecentEvent ? "#ff4444" : getMagnitudeColor(mag)} 
-                  fillOpacity={0.7}>
-                  <Popup>
-                    <div style={{ padding: window.innerWidth < 600 ? "6px" : "8px", maxWidth: "200px" }}>
-                      <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
-                        <EarthquakeIcon size={window.innerWidth < 600 ? 16 : 20} color="#ff6b6b" />
-                        <strong style={{ fontSize: window.innerWidth < 600 ? "14px" : "16px" }}>M{formatMagnitude(mag)}</strong>
-                      </div>
-                      <div style={{ marginBottom: "4px", fontSize: window.innerWidth < 600 ? "12px" : "14px" }}>
-                        {eq.properties?.place?.split(',')[0] || 'Unknown location'}
-                      </div>
-                      <div style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px", color: "#666", marginBottom: "4px" }}>
-                        📍 Depth: {formatDepth(depth)} km
-                      </div>
-                      <div style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px", color: "#666", marginBottom: "8px" }}>
-                        🕐 {time ? new Date(time).toLocaleString() : 'Unknown time'}
-                      </div>
-                      {eq.properties?.url && (
-                        <a href={eq.properties.url} target="_blank" rel="noopener noreferrer"
-                          style={{ display: "inline-block", padding: "4px 12px", backgroundColor: "#0066cc",
-                            color: "white", textDecoration: "none", borderRadius: "4px", fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>
-                          View Details
-                        </a>
-                      )}
-                    </div>
-                  </Popup>
-                </CircleMarker>
-              )
-            })
-          ) : (
+          <MapPointPicker active={isPickingPoint} onPick={handlePointPicked} />
+          {showCrossSection && (
+            <CrossSectionTool drawing={isDrawingSection} line={crossSectionLine} widthKm={crossSectionSettings.widthKm}
+              onBoundsChange={setSectionBounds}
+              onLineDrawn={line => {
+                setCrossSectionLine(line);
+                setIsDrawingSection(false);
+              }} />
+          )}
+          <MapViewTracker onViewChange={setMapView} />
+
+          {/* Reference point for the table's distance column */}
+          {showTable && referencePoint && (
+            <CircleMarker center={[referencePoint.lat, referencePoint.lon]} radius={6}
+              color="#4fc3f7" weight={2} fillColor="#ffffff" fillOpacity={1} interactive={false} />
+          )}
+
+          <DrawAreasControl
+            areas={areas}
+            onCreated={handleAreaCreated}
+            onEdited={handleAreasEdited}
+            onDeleted={handleAreasDeleted}
+          />
+
+          {/* Sequence outlines under the events so markers stay clickable */}
+          {swarmSettings.visible && <SequenceLayer sequences={sequences} onSelect={focusSequence} />}
+
+          {/* Display filtered earthquakes on map in the selected layer mode */}
+          {plottableEarthquakes.length > 0 ? (
+            layerMode === "clusters" ? (
+              <ClusterLayer earthquakes={layerEarthquakes} renderEvents={singles => (
+                <CanvasMarkerLayer earthquakes={singles} opacity={playbackOpacity} onSelect={mapClickSelects ? openEventInPlace : null} />
+              )} />
+            ) : layerMode === "heatmap" ? (
+              <HeatmapLayer earthquakes={layerEarthquakes} weighting={heatWeighting} />
+            ) : layerMode === "hexbin" ? (
+              <HexbinLayer earthquakes={layerEarthquakes} onMaxCountChange={setMaxHexCount} />
+            ) : (
+              <CanvasMarkerLayer earthquakes={layerEarthquakes} opacity={playbackOpacity} onSelect={mapClickSelects ? openEventInPlace : null} />
+            )
+          ) : !showPlayback && (
             // Show a message when no earthquakes match the filters
             <div style={{
               position: "absolute",
@@ -891,17 +1970,36 @@ export default function EarthquakeDashboard() {
               zIndex: 1000,
               textAlign: "center"
             }}>
-              <h3>No earthquakes found</h3>
-              <p>Try adjusting your filters:</p>
+              <h3>{t("empty.title")}</h3>
+              <p>{t("empty.tryAdjusting")}</p>
               <ul style={{ textAlign: "left", marginTop: "10px" }}>
-                <li>Expand the date range</li>
-                <li>Lower the minimum magnitude</li>
+                <li>{t("empty.expandDates")}</li>
+                <li>{t("empty.lowerMagnitude")}</li>
+                {extraFilterCount(filters) > 0 && <li>{t("empty.clearExtra")}</li>}
+                {activeAreas.length > 0 && <li>{t("empty.widenAreas")}</li>}
               </ul>
               <p style={{ marginTop: "10px", color: "#ff6b6b" }}>
-                Total in Ethiopia: {earthquakes.length}
+                {t("empty.total", { count: earthquakes.length })}
               </p>
             </div>
           )}
+          {/* Town search radius */}
+          {showTowns && searchTown && (
+            <Circle center={[searchTown.lat, searchTown.lon]} radius={searchRadiusKm * 1000} interactive={false}
+              pathOptions={{ color: "#4fc3f7", weight: 2, dashArray: "6 6", fillOpacity: 0.05 }}>
+              <Tooltip permanent direction="center">{searchTown.name}</Tooltip>
+            </Circle>
+          )}
+
+          {/* Estimated shaking around the selected event */}
+          {intensityEvent && <IntensityRings earthquake={intensityEvent} />}
+          {selectedMapEvent && renderEarthquakeMarker(selectedMapEvent)}
+
+          {/* Imported catalogues on top of the USGS layer */}
+          {catalogueLayers.map(({ catalogue, events }) => (
+            <CatalogueLayer key={catalogue.id} catalogue={catalogue} events={events}
+              matchedIds={catalogueMatches[catalogue.id]} />
+          ))}
         </MapContainer>
       </div>
 
@@ -923,50 +2021,140 @@ export default function EarthquakeDashboard() {
         maxWidth: window.innerWidth < 500 ? "calc(100% - 20px)" : "200px"
       }}>
         <h4 style={{ margin: "0 0 12px 0", display: "flex", alignItems: "center", gap: "8px", fontSize: window.innerWidth < 600 ? "14px" : "16px" }}>
-          <EarthquakeIcon size={window.innerWidth < 600 ? 16 : 20} color="#ff6b6b" /> Map Legend
+          <EarthquakeIcon size={window.innerWidth < 600 ? 16 : 20} color="#ff6b6b" /> {t("legend.title")}
         </h4>
-        
-        <div style={{ 
-          display: "flex", 
-          flexDirection: window.innerWidth < 500 ? "row" : "column", 
-          flexWrap: "wrap", 
-          gap: window.innerWidth < 500 ? "12px" : "12px" 
-        }}>
-          <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
-            <RecentIcon size={window.innerWidth < 600 ? 16 : 20} color="#ff4444" /> 
-            <span style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px" }}>Recent (2d)</span>
-          </div>
-          <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
-            <HistoricalIcon size={window.innerWidth < 600 ? 16 : 20} color="#ffa500" /> 
-            <span style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px" }}>Historical</span>
+
+        {/* Layer mode switch */}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "4px", marginBottom: "12px" }}>
+          {LAYER_MODES.map(mode => (
+            <button key={mode.id}
+              onClick={() => setLayerSettings({ ...layerSettings, mode: mode.id })}
+              style={{
+                background: layerMode === mode.id ? "#ff6b6b" : "none",
+                border: `1px solid ${layerMode === mode.id ? "#ff6b6b" : "#3a4a5a"}`,
+                color: "#fff",
+                padding: "2px 6px",
+                borderRadius: "4px",
+                fontSize: "11px",
+                cursor: "pointer"
+              }}>
+              {t(`legend.modes.${mode.id}`, { defaultValue: mode.label })}
+            </button>
+          ))}
+        </div>
+
+        {(layerMode === "heatmap" || layerMode === "hexbin") ? (
+          <div style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px" }}>
+            {layerMode === "heatmap" ? (
+              <label style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "8px", color: "#ccc" }}>
+                {t("legend.weightBy")}
+                <select value={heatWeighting}
+                  onChange={e => setLayerSettings({ ...layerSettings, heatWeighting: e.target.value })}
+                  style={{ borderRadius: "4px", border: "1px solid #3a4a5a", backgroundColor: "#1e2a36", color: "#fff", fontSize: "12px" }}>
+                  {HEAT_WEIGHTINGS.map(weighting => <option key={weighting.id} value={weighting.id}>{t(`legend.weightings.${weighting.id}`, { defaultValue: weighting.label })}</option>)}
+                </select>
+              </label>
+            ) : (
+              <div style={{ marginBottom: "8px", color: "#ccc" }}>{t("legend.perCell")}</div>
+            )}
+            <div style={{ height: "10px", borderRadius: "5px", background: densityGradientCss() }}></div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: window.innerWidth < 600 ? "10px" : "12px", marginTop: "4px" }}>
+              <span>{layerMode === "heatmap" ? t("legend.low") : "1"}</span>
+              <span>{layerMode === "heatmap" ? t("legend.high") : maxHexCount}</span>
+            </div>
           </div>
-          
+        ) : (
           <div style={{ 
-            marginTop: window.innerWidth < 500 ? "0" : "8px", 
-            paddingTop: window.innerWidth < 500 ? "0" : "12px", 
-            borderTop: window.innerWidth < 500 ? "none" : "1px solid rgba(255,255,255,0.1)" 
+            display: "flex", 
+            flexDirection: window.innerWidth < 500 ? "row" : "column", 
+            flexWrap: "wrap", 
+            gap: window.innerWidth < 500 ? "12px" : "12px" 
           }}>
-            <div style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px", marginBottom: "6px", color: "#ccc" }}>Magnitude:</div>
-            <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
-              <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
-                <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#6c757d" }}></div>
-                <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>&lt;4</span>
+            <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+              <RecentIcon size={window.innerWidth < 600 ? 16 : 20} color="#ff4444" /> 
+              <span style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px" }}>{t("legend.recent")}</span>
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+              <HistoricalIcon size={window.innerWidth < 600 ? 16 : 20} color="#ffa500" /> 
+              <span style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px" }}>{t("legend.historical")}</span>
+            </div>
+          
+            <div style={{ 
+              marginTop: window.innerWidth < 500 ? "0" : "8px", 
+              paddingTop: window.innerWidth < 500 ? "0" : "12px", 
+              borderTop: window.innerWidth < 500 ? "none" : "1px solid rgba(255,255,255,0.1)" 
+            }}>
+              <div style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px", marginBottom: "6px", color: "#ccc" }}>{t("legend.magnitude")}</div>
+              <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+                <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
+                  <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#6c757d" }}></div>
+                  <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>&lt;4</span>
+                </div>
+                <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
+                  <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#ffc107" }}></div>
+                  <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>4-5</span>
+                </div>
+                <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
+                  <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#fd7e14" }}></div>
+                  <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>5-6</span>
+                </div>
+                <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
+                  <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#dc3545" }}></div>
+                  <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>&gt;6</span>
+                </div>
               </div>
-              <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
-                <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#ffc107" }}></div>
-                <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>4-5</span>
+            </div>
+            {layerMode === "clusters" && (
+              <div style={{ width: "100%" }}>
+                <div style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px", marginBottom: "6px", color: "#ccc" }}>{t("legend.clusterSize")}</div>
+                <div style={{ height: "10px", borderRadius: "5px", background: densityGradientCss() }}></div>
+                <div style={{ display: "flex", justifyContent: "space-between", fontSize: window.innerWidth < 600 ? "10px" : "12px", marginTop: "4px" }}>
+                  <span>{t("legend.few")}</span>
+                  <span>{t("legend.many")}</span>
+                </div>
               </div>
-              <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
-                <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#fd7e14" }}></div>
-                <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>5-6</span>
+            )}
+          </div>
+        )}
+        <label style={{ display: "flex", alignItems: "center", gap: "6px", marginTop: "12px", fontSize: window.innerWidth < 600 ? "11px" : "12px", color: "#ccc" }}>
+          <input type="checkbox" checked={layerSettings.intensityRings}
+            onChange={() => setLayerSettings({ ...layerSettings, intensityRings: !layerSettings.intensityRings })} />
+          {t("legend.intensityRings")}
+        </label>
+        {intensityEvent && (
+          <div style={{ display: "flex", marginTop: "6px" }} title={t("legend.mmiTitle")}>
+            {MMI_LEVELS.filter(level => level.level >= MIN_FELT_MMI).map(level => (
+              <div key={level.level} style={{
+                flex: 1, textAlign: "center", backgroundColor: level.color, color: "#222",
+                fontSize: "10px", fontWeight: "600", padding: "1px 0"
+              }}>{level.roman}</div>
+            ))}
+          </div>
+        )}
+        {swarmSettings.visible && sequences.length > 0 && (
+          <div style={{ marginTop: "12px" }}>
+            <div style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px", marginBottom: "6px", color: "#ccc" }}>{t("legend.sequences")}</div>
+            {Object.entries(TRENDS).map(([id, trend]) => (
+              <div key={id} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+                <div style={{ width: window.innerWidth < 600 ? 12 : 16, height: 0, borderTop: `2px dashed ${trend.color}` }}></div>
+                <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>
+                  {t(`sequences.trends.${id}`, { defaultValue: trend.label })} ({sequences.filter(sequence => sequence.trend === id).length})
+                </span>
               </div>
-              <div style={{ display: "flex", alignItems: "center", gap: "3px" }}>
-                <div style={{ width: window.innerWidth < 600 ? 10 : 12, height: window.innerWidth < 600 ? 10 : 12, borderRadius: "50%", backgroundColor: "#dc3545" }}></div>
-                <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>&gt;6</span>
+            ))}
+          </div>
+        )}
+        {catalogueLayers.length > 0 && (
+          <div style={{ marginTop: "12px" }}>
+            <div style={{ fontSize: window.innerWidth < 600 ? "12px" : "14px", marginBottom: "6px", color: "#ccc" }}>{t("legend.imported")}</div>
+            {catalogueLayers.map(({ catalogue, events }) => (
+              <div key={catalogue.id} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+                <div style={{ width: window.innerWidth < 600 ? 8 : 10, height: window.innerWidth < 600 ? 8 : 10, borderRadius: "50%", border: `2px solid ${catalogue.color}` }}></div>
+                <span style={{ fontSize: window.innerWidth < 600 ? "10px" : "12px" }}>{catalogue.name} ({events.length})</span>
               </div>
-            </div>
+            ))}
           </div>
-        </div>
+        )}
       </div>
 
       {/* Footer */}
@@ -985,11 +2173,15 @@ export default function EarthquakeDashboard() {
         gap: window.innerWidth < 600 ? "8px" : "20px",
         flexWrap: "wrap"
       }}>
-        <span>{window.innerWidth < 500 ? "© 2026 Aster C." : "© 2026 Produced by Aster Chalchisa"}</span>
+        <span>{window.innerWidth < 500 ? "© 2026 Aster C." : `© 2026 ${t("footer.producedBy", { name: "Aster Chalchisa" })}`}</span>
         <span style={{ color: "#666" }}>|</span>
-        <span>{window.innerWidth < 500 ? "USGS" : "Data: USGS Earthquake Hazards Program"}</span>
+        <span>
+          {window.innerWidth < 500
+            ? dataProviders.map(provider => provider.label).join(" · ")
+            : t("footer.data", { credits: dataProviders.map(provider => provider.credit).join(", ") })}
+        </span>
         <span style={{ color: "#666" }}>|</span>
-        <span>{lastUpdated.toLocaleTimeString().slice(0,5)}</span>
+        <span>{lastUpdatedAt ? formatTime(lastUpdatedAt, { hour: "2-digit", minute: "2-digit" }) : '–'}</span>
       </div>
 
       {/* CSS Animations */}
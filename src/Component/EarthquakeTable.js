@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { distanceKm } from "../utils/geo";
+import { useI18n } from "./LanguageContext";
+
+const PAGE_SIZE = 50;
+
+// Headings are under table.columns in the locale files
+const COLUMNS = ["time", "mag", "depth", "place", "region", "distance"];
+
+const toRow = (eq, referencePoint) => {
+  const [lon, lat, depth] = eq.geometry.coordinates;
+  return {
+    id: eq.id,
+    time: eq.properties.time,
+    mag: eq.properties.mag,
+    depth,
+    place: eq.properties.place || "",
+    region: eq.properties.region || "",
+    distance: referencePoint ? distanceKm(referencePoint.lat, referencePoint.lon, lat, lon) : null
+  };
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === "") return 1;
+  if (b === null || b === undefined || b === "") return -1;
+  return typeof a === "string" ? a.localeCompare(b) : a - b;
+};
+
+// Sortable, paginated list of the filtered earthquakes, kept in sync with the map selection
+export default function EarthquakeTable({
+  earthquakes, selectedEventId, onSelectEvent, places, referencePoint,
+  onReferenceChange, onPickOnMap, isPickingPoint, bottomOffset = 0, onClose
+}) {
+  const { t, formatDateTime } = useI18n();
+  const [sort, setSort] = useState({ key: "time", direction: "desc" });
+  const [page, setPage] = useState(0);
+  const rowRefs = useRef({});
+  // Selection the table last jumped to, so new rows don't pull the user back to it
+  const jumpedForRef = useRef(null);
+  const isSmall = window.innerWidth < 600;
+
+  const rows = useMemo(() => {
+    const sorted = earthquakes.map(eq => toRow(eq, referencePoint));
+    sorted.sort((a, b) => {
+      const result = compareValues(a[sort.key], b[sort.key]);
+      // Keep empty values last whichever way the column is sorted
+      const emptyA = a[sort.key] === null || a[sort.key] === "";
+      const emptyB = b[sort.key] === null || b[sort.key] === "";
+      if (emptyA || emptyB) return result;
+      return sort.direction === "asc" ? result : -result;
+    });
+    return sorted;
+  }, [earthquakes, referencePoint, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  // Jump to the page holding a newly selected event and scroll its row into view. The
+  // rows are searched until the event turns up, then left alone until the selection changes.
+  useEffect(() => {
+    if (!selectedEventId) {
+      jumpedForRef.current = null;
+      return;
+    }
+    if (jumpedForRef.current === selectedEventId) return;
+    const index = rows.findIndex(row => row.id === selectedEventId);
+    if (index === -1) return;
+    jumpedForRef.current = selectedEventId;
+    setPage(Math.floor(index / PAGE_SIZE));
+  }, [selectedEventId, rows]);
+
+  useEffect(() => {
+    const row = selectedEventId && rowRefs.current[selectedEventId];
+    if (row) row.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [selectedEventId, currentPage]);
+
+  const toggleSort = (key) => {
+    setSort(prev => prev.key === key
+      ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+      : { key, direction: key === "place" || key === "region" ? "asc" : "desc" });
+    setPage(0);
+  };
+
+  const handleReferenceSelect = (value) => {
+    if (value === "") {
+      onReferenceChange(null);
+    } else if (value === "__pick") {
+      onPickOnMap();
+    } else {
+      const place = places.find(p => p.id === value);
+      if (place) onReferenceChange({ id: place.id, name: place.name, lat: place.lat, lon: place.lon });
+    }
+  };
+
+  const cellStyle = { padding: "5px 8px", borderBottom: "1px solid rgba(255,255,255,0.06)", whiteSpace: "nowrap" };
+  const buttonStyle = {
+    background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+    padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      left: 10,
+      right: 10,
+      bottom: (isSmall ? 45 : 60) + bottomOffset,
+      height: isSmall ? "45vh" : "38vh",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      borderRadius: "12px",
+      zIndex: 1200,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      display: "flex",
+      flexDirection: "column",
+      overflow: "hidden"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "10px", padding: "10px 14px", flexWrap: "wrap", borderBottom: "1px solid rgba(255,255,255,0.1)" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "15px" }}>📋 {t("table.title", { count: rows.length })}</h4>
+        <label style={{ fontSize: "12px", color: "#ccc", display: "flex", alignItems: "center", gap: "6px" }}>
+          {t("table.distanceFrom")}
+          <select
+            value={isPickingPoint ? "__pick" : (referencePoint ? (referencePoint.id || "__map") : "")}
+            onChange={e => handleReferenceSelect(e.target.value)}
+            style={{ borderRadius: "4px", border: "1px solid #3a4a5a", backgroundColor: "#1e2a36", color: "#fff", fontSize: "12px", padding: "2px 4px" }}>
+            <option value="">—</option>
+            {places.map(place => <option key={place.id} value={place.id}>{place.name}</option>)}
+            {referencePoint && !referencePoint.id && (
+              <option value="__map">{referencePoint.name}</option>
+            )}
+            <option value="__pick">{isPickingPoint ? t("table.clickMap") : t("table.pickOnMap")}</option>
+          </select>
+        </label>
+        <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: "6px", fontSize: "12px" }}>
+          <button onClick={() => setPage(Math.max(0, currentPage - 1))} disabled={currentPage === 0} style={buttonStyle}>‹</button>
+          <span>{currentPage + 1} / {pageCount}</span>
+          <button onClick={() => setPage(Math.min(pageCount - 1, currentPage + 1))} disabled={currentPage >= pageCount - 1} style={buttonStyle}>›</button>
+          <button onClick={onClose} style={{ background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+        </div>
+      </div>
+
+      <div style={{ overflow: "auto", flex: 1 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: isSmall ? "11px" : "12px" }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th key={column} onClick={() => toggleSort(column)} style={{
+                  ...cellStyle, position: "sticky", top: 0, backgroundColor: "#1e2a36",
+                  textAlign: "left", cursor: "pointer", color: sort.key === column ? "#ff6b6b" : "#ccc"
+                }}>
+                  {t(`table.columns.${column}`)}{sort.key === column ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(row => (
+              <tr key={row.id}
+                ref={el => {
+                  if (el) rowRefs.current[row.id] = el;
+                  else delete rowRefs.current[row.id];
+                }}
+                onClick={() => onSelectEvent(row.id)}
+                style={{
+                  cursor: "pointer",
+                  backgroundColor: row.id === selectedEventId ? "rgba(255, 107, 107, 0.25)" : "transparent"
+                }}>
+                <td style={cellStyle}>{formatDateTime(row.time)}</td>
+                <td style={cellStyle}>{row.mag !== null && row.mag !== undefined ? row.mag.toFixed(1) : t("common.notAvailable")}</td>
+                <td style={cellStyle}>{row.depth !== null && row.depth !== undefined ? row.depth.toFixed(1) : "—"}</td>
+                <td style={{ ...cellStyle, whiteSpace: "normal" }}>{row.place || t("location.unknown")}</td>
+                <td style={cellStyle}>{row.region || "—"}</td>
+                <td style={cellStyle}>{row.distance !== null ? row.distance.toFixed(1) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <div style={{ padding: "20px", textAlign: "center", color: "#888", fontSize: "12px" }}>
+            {t("table.empty")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
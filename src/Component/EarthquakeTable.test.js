@@ -0,0 +1,45 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import EarthquakeTable from "./EarthquakeTable";
+import { testEvent } from "../utils/__fixtures__/testEvents";
+
+// 120 events, newest first: three pages of 50 with the default sort
+const events = Array.from({ length: 120 }, (_, i) =>
+  testEvent({ id: `eq${i}`, time: Date.UTC(2024, 2, 1) - i * 3600000, place: `Event ${i}` }));
+
+const renderTable = (props) => {
+  const all = { earthquakes: events, selectedEventId: null, onSelectEvent: () => {}, places: [], referencePoint: null,
+    onReferenceChange: () => {}, onPickOnMap: () => {}, isPickingPoint: false, onClose: () => {}, ...props };
+  const view = render(<EarthquakeTable {...all} />);
+  return { ...view, rerender: (changes) => view.rerender(<EarthquakeTable {...all} {...changes} />) };
+};
+
+beforeAll(() => {
+  Element.prototype.scrollIntoView = jest.fn();
+});
+
+describe("EarthquakeTable", () => {
+  it("jumps to the page holding the selected event", () => {
+    const { rerender } = renderTable();
+    expect(screen.getByText("1 / 3")).toBeInTheDocument();
+    rerender({ selectedEventId: "eq75" });
+    expect(screen.getByText("2 / 3")).toBeInTheDocument();
+    expect(screen.getByText("Event 75")).toBeInTheDocument();
+  });
+
+  it("stays on the page the user turned to when the rows change but the selection doesn't", () => {
+    const { rerender } = renderTable({ selectedEventId: "eq75" });
+    expect(screen.getByText("2 / 3")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "›" }));
+    expect(screen.getByText("3 / 3")).toBeInTheDocument();
+
+    rerender({ selectedEventId: "eq75", earthquakes: [...events, testEvent({ id: "new", time: Date.UTC(2024, 2, 2) })] });
+    expect(screen.getByText("3 / 3")).toBeInTheDocument();
+  });
+
+  it("jumps once the selected event turns up in the rows", () => {
+    const { rerender } = renderTable({ selectedEventId: "late", earthquakes: events.slice(0, 60) });
+    expect(screen.getByText("1 / 2")).toBeInTheDocument();
+    rerender({ selectedEventId: "late", earthquakes: [...events, testEvent({ id: "late", time: Date.UTC(2023, 0, 1) })] });
+    expect(screen.getByText("3 / 3")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,295 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { fetchEventDetail, usgsIdOf } from "../utils/eventDetail";
+import {
+  eventSequence, formatOffset, loadSequenceSettings, saveSequenceSettings, SEQUENCE_RADII_KM, SEQUENCE_WINDOWS_DAYS
+} from "../utils/sequence";
+import { getProvider } from "../utils/providers";
+import { locationText } from "../utils/gazetteer";
+import { getMagnitudeColor } from "../utils/magnitude";
+import { valueRange } from "../utils/statistics";
+import { WIDTH, HEIGHT, MARGIN, COLORS, niceTicks, linearScale, Axes, ChartCard, EmptyChart } from "./Chart";
+import { useI18n } from "./LanguageContext";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIST_LIMIT = 50;
+
+// PAGER alert levels
+const ALERT_COLORS = { green: "#43a047", yellow: "#fdd835", orange: "#fb8c00", red: "#e53935" };
+
+const inputStyle = {
+  borderRadius: "6px", padding: "3px 6px", border: "1px solid #3a4a5a",
+  backgroundColor: "#1e2a36", color: "#fff", fontSize: "12px"
+};
+
+const sectionTitleStyle = { fontSize: "12px", fontWeight: "600", margin: "14px 0 6px", color: "#4fc3f7" };
+
+const formatNumber = (value, digits = 1, unit = "") =>
+  value === null || value === undefined ? "—" : `${value.toFixed(digits)}${unit}`;
+
+const Field = ({ label, children }) => (
+  <div>
+    <span style={{ color: "#888" }}>{label}: </span>
+    <strong>{children}</strong>
+  </div>
+);
+
+// "3 h 20 min before" / "after" the selected event
+const relativeOffset = (offsetMs, t) =>
+  t(offsetMs < 0 ? "detail.before" : "detail.after", { offset: formatOffset(offsetMs, t) });
+
+// Magnitude against days from the selected event; earlier events in blue, later in red
+const SequencePlot = ({ earthquake, sequence, windowDays, onSelectEvent }) => {
+  const { t } = useI18n();
+  const entries = [...sequence.before, ...sequence.after];
+  const mags = [earthquake, ...entries.map(entry => entry.event)]
+    .map(eq => eq.properties.mag)
+    .filter(mag => typeof mag === "number");
+  if (mags.length === 0) return <EmptyChart />;
+  const range = valueRange(mags);
+  const minMag = Math.floor(range.min);
+  const maxMag = Math.ceil(range.max + 0.1);
+  const x = linearScale(-windowDays, windowDays, MARGIN.left, WIDTH - MARGIN.right);
+  const y = linearScale(minMag, maxMag, HEIGHT - MARGIN.bottom, MARGIN.top);
+  const radius = (mag) => 1.5 + Math.max(0, mag - minMag) * 1.5;
+  return (
+    <>
+      <Axes xTicks={niceTicks(-windowDays, windowDays, 6)} yTicks={niceTicks(minMag, maxMag, 4)} x={x} y={y}
+        xLabel={t("detail.daysFromEvent")} yLabel={t("statistics.magnitude")} />
+      <line x1={x(0)} x2={x(0)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke={COLORS.highlight} strokeDasharray="3 3" />
+      {entries.filter(entry => typeof entry.event.properties.mag === "number").map(({ event, offsetMs }) => (
+        <circle key={event.id} cx={x(offsetMs / DAY_MS)} cy={y(event.properties.mag)} r={radius(event.properties.mag)}
+          fill={offsetMs < 0 ? COLORS.secondary : COLORS.bar} fillOpacity="0.7" style={{ cursor: "pointer" }}
+          onClick={() => onSelectEvent(event.id)}>
+          <title>M{event.properties.mag.toFixed(1)} · {relativeOffset(offsetMs, t)}</title>
+        </circle>
+      ))}
+      {typeof earthquake.properties.mag === "number" && (
+        <circle cx={x(0)} cy={y(earthquake.properties.mag)} r={radius(earthquake.properties.mag) + 1}
+          fill={COLORS.highlight} stroke="#000" />
+      )}
+    </>
+  );
+};
+
+// Everything known about one event: the full USGS detail (magnitude estimates, origin
+// quality, alert flags and products) and the events around it in space and time
+export default function EventDetailPanel({ earthquake, earthquakes, onSelectEvent, onExportError, onClose }) {
+  const { t, formatDateTime, formatDate } = useI18n();
+  const [detail, setDetail] = useState(null);
+  const [detailError, setDetailError] = useState(null);
+  const [sequenceSettings, setSequenceSettings] = useState(loadSequenceSettings);
+  const isSmall = window.innerWidth < 600;
+  const usgsId = usgsIdOf(earthquake);
+  const { mag, time, place, reports } = earthquake.properties;
+  const [lon, lat, depth] = earthquake.geometry.coordinates;
+
+  useEffect(() => {
+    setDetail(null);
+    setDetailError(null);
+    if (!usgsId) return;
+    let cancelled = false;
+    fetchEventDetail(usgsId)
+      .then(result => {
+        if (!cancelled) setDetail(result);
+      })
+      .catch(err => {
+        console.error(`Error loading details for ${usgsId}:`, err);
+        if (!cancelled) setDetailError(navigator.onLine ? err.message : t("detail.needsConnection"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [usgsId, t]);
+
+  useEffect(() => {
+    saveSequenceSettings(sequenceSettings);
+  }, [sequenceSettings]);
+
+  const sequence = useMemo(
+    () => eventSequence(earthquakes, earthquake, sequenceSettings),
+    [earthquakes, earthquake, sequenceSettings]
+  );
+  const sequenceEntries = [...sequence.before, ...sequence.after];
+  const largestAfter = sequence.after.reduce((best, entry) =>
+    (entry.event.properties.mag ?? -Infinity) > (best?.event.properties.mag ?? -Infinity) ? entry : best, null);
+
+  // USGS estimates first, then every other agency's report merged into this event
+  const otherReports = (reports || []).filter(report => report.provider !== "usgs");
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      right: 10,
+      left: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 400,
+      maxHeight: "75vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box",
+      fontSize: "12px"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "10px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🔎 {t("detail.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "6px" }}>
+        <span style={{
+          padding: "2px 8px", borderRadius: "4px", fontWeight: "700", fontSize: "14px", color: "#fff",
+          backgroundColor: getMagnitudeColor(mag)
+        }}>M{formatNumber(mag)}</span>
+        <span style={{ fontSize: "13px" }}>{locationText(earthquake, t)}</span>
+      </div>
+      <div style={{ color: "#aaa", marginBottom: "8px" }}>
+        {place && <div>{place}</div>}
+        <div>{formatDateTime(time)} · {new Date(time).toISOString().replace("T", " ").slice(0, 19)} UTC</div>
+        <div>{lat.toFixed(3)}°, {lon.toFixed(3)}° · {t("detail.depth", { depth: formatNumber(depth, 1, " km") })}</div>
+      </div>
+
+      {!usgsId && (
+        <div style={{ color: "#888" }}>{t("detail.notInUsgs")}</div>
+      )}
+      {usgsId && !detail && !detailError && <div style={{ color: "#888" }}>{t("detail.loading")}</div>}
+      {detailError && <div style={{ color: "#ff6b6b" }}>{t("detail.unavailable", { error: detailError })}</div>}
+
+      <div style={sectionTitleStyle}>{t("detail.magnitudes")}</div>
+      {(detail?.magnitudes || []).map((estimate, index) => (
+        <div key={`usgs-${index}`} style={{ display: "flex", gap: "8px" }}>
+          <strong style={{ minWidth: "56px" }}>M{formatNumber(estimate.mag, 2)}</strong>
+          <span>{estimate.magType || "?"}</span>
+          <span style={{ color: "#888" }}>{(estimate.source || "").toUpperCase()} · {estimate.method}{estimate.preferred ? ` · ${t("detail.preferred")}` : ""}</span>
+        </div>
+      ))}
+      {otherReports.map(report => (
+        <div key={report.id} style={{ display: "flex", gap: "8px" }}>
+          <strong style={{ minWidth: "56px" }}>M{formatNumber(report.mag, 1)}</strong>
+          <span>{report.magType || "?"}</span>
+          <span style={{ color: "#888" }}>{getProvider(report.provider)?.label || report.provider}</span>
+        </div>
+      ))}
+      {!detail?.magnitudes.length && otherReports.length === 0 && (
+        <div>M{formatNumber(mag)} {earthquake.properties.magType || ""}</div>
+      )}
+
+      {detail && (
+        <>
+          <div style={sectionTitleStyle}>{t("detail.origin")}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "2px 12px" }}>
+            <Field label={t("detail.fields.status")}>{detail.origin.reviewStatus || "—"}</Field>
+            <Field label={t("detail.fields.source")}>{(detail.origin.source || "—").toUpperCase()}</Field>
+            <Field label={t("detail.fields.horizontalError")}>{formatNumber(detail.origin.horizontalErrorKm, 1, " km")}</Field>
+            <Field label={t("detail.fields.depthError")}>{formatNumber(detail.origin.depthErrorKm, 1, " km")}</Field>
+            <Field label={t("detail.fields.stations")}>{detail.origin.stations ?? "—"}</Field>
+            <Field label={t("detail.fields.phases")}>{detail.origin.phases ?? "—"}</Field>
+            <Field label={t("detail.fields.gap")}>{formatNumber(detail.origin.gapDegrees, 0, "°")}</Field>
+            <Field label={t("detail.fields.nearestStation")}>{formatNumber(detail.origin.minDistanceDegrees, 2, "°")}</Field>
+            <Field label={t("detail.fields.rms")}>{formatNumber(detail.origin.rmsSeconds, 2, " s")}</Field>
+            <Field label={t("detail.fields.depthType")}>{detail.origin.depthType || "—"}</Field>
+          </div>
+
+          <div style={sectionTitleStyle}>{t("detail.impact")}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "2px 12px" }}>
+            <Field label={t("detail.fields.tsunami")}>{detail.flags.tsunami ? `⚠️ ${t("detail.flagged")}` : t("common.no")}</Field>
+            <Field label={t("detail.fields.pager")}>
+              {detail.flags.alert
+                ? <span style={{ color: ALERT_COLORS[detail.flags.alert] || "#fff" }}>● {detail.flags.alert}</span>
+                : "—"}
+            </Field>
+            <Field label={t("detail.fields.felt")}>{detail.flags.felt ?? 0}</Field>
+            <Field label={t("detail.fields.cdi")}>{formatNumber(detail.flags.cdi)}</Field>
+            <Field label={t("detail.fields.mmi")}>{formatNumber(detail.flags.mmi)}</Field>
+            <Field label={t("detail.fields.significance")}>{detail.flags.significance ?? "—"}</Field>
+          </div>
+
+          {detail.momentTensor && (
+            <>
+              <div style={sectionTitleStyle}>{t("detail.momentTensor", { source: (detail.momentTensor.source || "").toUpperCase() })}</div>
+              <div>
+                M{formatNumber(detail.momentTensor.mag, 2)} {detail.momentTensor.magType || ""}
+                {detail.momentTensor.percentDoubleCouple !== null &&
+                  ` · ${t("detail.doubleCouple", { percent: Math.round(detail.momentTensor.percentDoubleCouple * 100) })}`}
+              </div>
+              {detail.momentTensor.planes.map((plane, index) => (
+                <div key={index} style={{ color: "#aaa" }}>
+                  {t("detail.nodalPlane", {
+                    number: index + 1,
+                    strike: formatNumber(plane.strike, 0, "°"),
+                    dip: formatNumber(plane.dip, 0, "°"),
+                    rake: formatNumber(plane.rake, 0, "°")
+                  })}
+                </div>
+              ))}
+            </>
+          )}
+
+          {detail.products.length > 0 && (
+            <>
+              <div style={sectionTitleStyle}>{t("detail.products")}</div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+                {detail.products.map(product => (
+                  <a key={product.type} href={product.url} target="_blank" rel="noopener noreferrer"
+                    style={{ color: "#4fc3f7", border: "1px solid #4fc3f7", borderRadius: "4px", padding: "2px 6px", textDecoration: "none" }}>
+                    {t(`detail.productTypes.${product.type}`, { defaultValue: product.label })}
+                  </a>
+                ))}
+              </div>
+              {detail.shakemapImage && (
+                <img src={detail.shakemapImage} alt={t("detail.shakemapAlt")} loading="lazy"
+                  style={{ width: "100%", marginTop: "8px", borderRadius: "6px" }} />
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      <div style={sectionTitleStyle}>{t("detail.sequence")}</div>
+      <div style={{ display: "flex", alignItems: "center", gap: "6px", flexWrap: "wrap", marginBottom: "8px" }}>
+        <span>{t("towns.within")}</span>
+        <select value={sequenceSettings.radiusKm} style={inputStyle}
+          onChange={e => setSequenceSettings({ ...sequenceSettings, radiusKm: Number(e.target.value) })}>
+          {SEQUENCE_RADII_KM.map(radius => <option key={radius} value={radius}>{radius} km</option>)}
+        </select>
+        <span>{t("detail.and")}</span>
+        <select value={sequenceSettings.windowDays} style={inputStyle}
+          onChange={e => setSequenceSettings({ ...sequenceSettings, windowDays: Number(e.target.value) })}>
+          {SEQUENCE_WINDOWS_DAYS.map(days => <option key={days} value={days}>±{t("detail.days", { count: days })}</option>)}
+        </select>
+      </div>
+      <div style={{ marginBottom: "8px" }}>
+        {t("detail.earlierLater", { before: sequence.before.length, after: sequence.after.length })}
+        {largestAfter && typeof largestAfter.event.properties.mag === "number" &&
+          ` · ${t("detail.largestLater", { magnitude: largestAfter.event.properties.mag.toFixed(1), offset: relativeOffset(largestAfter.offsetMs, t) })}`}
+      </div>
+      <ChartCard title={t("detail.magnitudeOverTime")} filename={`sequence_${earthquake.id}`} onExportError={onExportError}>
+        <SequencePlot earthquake={earthquake} sequence={sequence} windowDays={sequenceSettings.windowDays}
+          onSelectEvent={onSelectEvent} />
+      </ChartCard>
+      {sequenceEntries.slice(0, LIST_LIMIT).map(({ event, distanceKm, offsetMs }) => (
+        <div key={event.id} onClick={() => onSelectEvent(event.id)} title={t("common.showOnMap")}
+          style={{ padding: "4px 0", cursor: "pointer", borderBottom: "1px solid rgba(255,255,255,0.05)" }}>
+          <strong>M{formatNumber(event.properties.mag)}</strong>
+          <span style={{ color: offsetMs < 0 ? COLORS.secondary : COLORS.bar }}> {relativeOffset(offsetMs, t)}</span>
+          <span style={{ color: "#aaa" }}> · {Math.round(distanceKm)} km · {formatDate(event.properties.time)}</span>
+        </div>
+      ))}
+      {sequenceEntries.length > LIST_LIMIT && (
+        <div style={{ fontSize: "11px", color: "#888", marginTop: "4px" }}>{t("common.andMore", { count: sequenceEntries.length - LIST_LIMIT })}</div>
+      )}
+
+      {earthquake.properties.url && (
+        <a href={earthquake.properties.url} target="_blank" rel="noopener noreferrer"
+          style={{ display: "inline-block", marginTop: "12px", color: "#4fc3f7" }}>
+          {t("detail.agencyPage")} ↗
+        </a>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { describeLocation } from "../utils/gazetteer";
+import { useI18n } from "./LanguageContext";
+
+// Event position relative to the nearest town and regional capital, for the popup
+export default function EventLocation({ earthquake }) {
+  const { t } = useI18n();
+  const isSmall = window.innerWidth < 600;
+  const location = describeLocation(earthquake, t);
+  if (!location) {
+    return (
+      <div style={{ marginBottom: "4px", fontSize: isSmall ? "12px" : "14px" }}>
+        {earthquake.properties?.place || t("location.unknown")}
+      </div>
+    );
+  }
+  return (
+    <>
+      <div style={{ marginBottom: "2px", fontSize: isSmall ? "12px" : "14px" }}>{location.text}</div>
+      {location.capitalText && (
+        <div style={{ marginBottom: "4px", fontSize: isSmall ? "10px" : "12px", color: "#666" }}>{location.capitalText}</div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS, EXPORT_FIELDS, getExportFormat, fieldIdsFor } from "../utils/export";
+import { useI18n } from "./LanguageContext";
+
+const smallButtonStyle = {
+  background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+  padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+};
+
+// Pick an export format and the fields to include; choices are remembered per format
+export default function ExportPanel({ fieldsByFormat, onFieldsChange, onExport, isExporting, count, onClose }) {
+  const { t } = useI18n();
+  const [formatId, setFormatId] = useState("geojson");
+  const isSmall = window.innerWidth < 600;
+  const format = getExportFormat(formatId);
+  const required = new Set(format.requiredFields || []);
+  const selected = new Set([...fieldIdsFor(fieldsByFormat, formatId), ...required]);
+
+  const toggleField = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onFieldsChange(formatId, EXPORT_FIELDS.filter(field => next.has(field.id)).map(field => field.id));
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 340,
+      maxHeight: "70vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>⬇️ {t("exportPanel.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px", marginBottom: "8px" }}>
+        {EXPORT_FORMATS.map(option => (
+          <button key={option.id} onClick={() => setFormatId(option.id)} style={{
+            ...smallButtonStyle,
+            backgroundColor: formatId === option.id ? "#ff6b6b" : "transparent",
+            borderColor: formatId === option.id ? "#ff6b6b" : "#3a4a5a"
+          }}>{option.label}</button>
+        ))}
+      </div>
+      <div style={{ fontSize: "11px", color: "#aaa", marginBottom: "12px" }}>{t(`exportPanel.formats.${format.id}`, { defaultValue: format.description })}</div>
+
+      <div style={{ fontSize: "12px", color: "#ccc", marginBottom: "6px" }}>{t("exportPanel.fields")}</div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px", marginBottom: "12px" }}>
+        {EXPORT_FIELDS.map(field => (
+          <label key={field.id} style={{ fontSize: "12px", display: "flex", alignItems: "center", gap: "4px", color: required.has(field.id) ? "#888" : "#fff" }}>
+            <input type="checkbox" checked={selected.has(field.id)} disabled={required.has(field.id)}
+              onChange={() => toggleField(field.id)} />
+            {t(`exportFields.${field.id}`, { defaultValue: field.label })}
+          </label>
+        ))}
+      </div>
+
+      <button onClick={() => onExport(formatId, [...selected])} disabled={isExporting || count === 0} style={{
+        width: "100%",
+        padding: "10px",
+        borderRadius: "8px",
+        backgroundColor: isExporting || count === 0 ? "#666" : "#43a047",
+        color: "#fff",
+        border: "none",
+        cursor: isExporting ? "wait" : "pointer",
+        fontWeight: "600",
+        fontSize: "13px"
+      }}>
+        {isExporting ? t("exportPanel.creating") : t("exportPanel.download", { count, format: format.label })}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { QUICK_PRESETS } from "../utils/filters";
+import { useI18n } from "./LanguageContext";
+
+const chipStyle = (active) => ({
+  background: active ? "#ff6b6b" : "none", border: "1px solid #ff6b6b", color: "#fff", borderRadius: "12px",
+  padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+});
+
+const smallButtonStyle = {
+  background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+  padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+};
+
+// Quick presets plus the user's own named presets, saved from the current filters
+export default function FilterPresets({ filters, presets, onApply, onSave, onDelete }) {
+  const { t } = useI18n();
+  const [selectedId, setSelectedId] = useState("");
+  const [name, setName] = useState("");
+  const isSmall = window.innerWidth < 600;
+  const selected = presets.find(preset => preset.id === selectedId);
+
+  const savePreset = () => {
+    if (!name.trim()) return;
+    setSelectedId(onSave(name.trim()).id);
+    setName("");
+  };
+
+  const fieldStyle = {
+    flex: 1, minWidth: 0, borderRadius: "6px", padding: "4px 6px", border: "1px solid #3a4a5a",
+    backgroundColor: "#1e2a36", color: "#fff", fontSize: isSmall ? "12px" : "13px", boxSizing: "border-box"
+  };
+
+  return (
+    <div style={{ marginBottom: "16px" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", marginBottom: "8px" }}>
+        {QUICK_PRESETS.map(preset => (
+          <button key={preset.id} onClick={() => onApply(preset)}
+            style={chipStyle(filters.lastHours && filters.lastHours === preset.filters.lastHours)}>
+            {t(`filters.presets.${preset.id}`, { defaultValue: preset.label })}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: "6px", alignItems: "center", marginBottom: "6px" }}>
+        <select value={selectedId}
+          onChange={e => {
+            setSelectedId(e.target.value);
+            const preset = presets.find(p => p.id === e.target.value);
+            if (preset) onApply(preset);
+          }}
+          style={fieldStyle}>
+          <option value="">{presets.length > 0 ? t("filters.savedPresets") : t("filters.noSavedPresets")}</option>
+          {presets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+        </select>
+        {selected && (
+          <button onClick={() => {
+            onDelete(selected.id);
+            setSelectedId("");
+          }} title={t("filters.deletePreset", { name: selected.name })} style={smallButtonStyle}>✕</button>
+        )}
+      </div>
+      <div style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+        <input type="text" value={name} placeholder={t("filters.presetName")}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => {
+            if (e.key === "Enter") savePreset();
+          }}
+          style={fieldStyle} />
+        <button onClick={savePreset} disabled={!name.trim()} title={t("filters.savePresetHelp")}
+          style={{ ...smallButtonStyle, opacity: name.trim() ? 1 : 0.5 }}>💾 {t("common.save")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { heatWeight, densityColor } from "../utils/mapLayers";
+
+// Blur radius of each event in screen pixels
+const RADIUS = 22;
+
+// Alpha given to the faintest event, so small ones stay visible beside a large one
+const MIN_ALPHA = 0.04;
+
+// 256-entry RGB lookup for colouring accumulated intensity
+const PALETTE = Array.from({ length: 256 }, (_, i) => densityColor(i / 255));
+
+// A soft round brush drawn once and stamped for every event
+const createBrush = () => {
+  const brush = document.createElement("canvas");
+  brush.width = brush.height = RADIUS * 2;
+  const ctx = brush.getContext("2d");
+  const gradient = ctx.createRadialGradient(RADIUS, RADIUS, 0, RADIUS, RADIUS, RADIUS);
+  gradient.addColorStop(0, "rgba(0,0,0,1)");
+  gradient.addColorStop(1, "rgba(0,0,0,0)");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, RADIUS * 2, RADIUS * 2);
+  return brush;
+};
+
+// Canvas overlay that stamps a weighted brush per point into an alpha channel, then maps
+// the accumulated alpha through the density palette. Redrawn after every pan or zoom.
+const HeatCanvasLayer = L.Layer.extend({
+  initialize(points) {
+    this._points = points;
+  },
+
+  setPoints(points) {
+    this._points = points;
+    if (this._map) this._redraw();
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+    this._canvas.style.pointerEvents = "none";
+    this._brush = createBrush();
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on("moveend resize", this._reset, this);
+    this._reset();
+  },
+
+  onRemove(map) {
+    L.DomUtil.remove(this._canvas);
+    map.off("moveend resize", this._reset, this);
+  },
+
+  _reset() {
+    const size = this._map.getSize();
+    L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+    this._canvas.width = size.x;
+    this._canvas.height = size.y;
+    this._redraw();
+  },
+
+  _redraw() {
+    const { width, height } = this._canvas;
+    const ctx = this._canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    if (this._points.length === 0 || width === 0 || height === 0) return;
+
+    const maxWeight = this._points.reduce((max, point) => Math.max(max, point.weight), 0);
+    this._points.forEach(point => {
+      const { x, y } = this._map.latLngToContainerPoint(point.latlng);
+      if (x < -RADIUS || y < -RADIUS || x > width + RADIUS || y > height + RADIUS) return;
+      ctx.globalAlpha = Math.max(MIN_ALPHA, point.weight / maxWeight);
+      ctx.drawImage(this._brush, x - RADIUS, y - RADIUS);
+    });
+    ctx.globalAlpha = 1;
+
+    const image = ctx.getImageData(0, 0, width, height);
+    const pixels = image.data;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const alpha = pixels[i + 3];
+      if (alpha === 0) continue;
+      const [r, g, b] = PALETTE[alpha];
+      pixels[i] = r;
+      pixels[i + 1] = g;
+      pixels[i + 2] = b;
+      pixels[i + 3] = Math.min(255, alpha * 2 + 40);
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+});
+
+// Density heatmap of the events, weighted by magnitude or radiated energy
+export default function HeatmapLayer({ earthquakes, weighting }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const layer = new HeatCanvasLayer([]);
+    layerRef.current = layer;
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const points = earthquakes.map(eq => ({
+      latlng: [eq.geometry.coordinates[1], eq.geometry.coordinates[0]],
+      weight: heatWeight(eq, weighting)
+    }));
+    layerRef.current.setPoints(points.filter(point => point.weight > 0));
+  }, [earthquakes, weighting]);
+
+  return null;
+}
@@ -0,0 +1,53 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Polygon, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import { useI18n } from "./LanguageContext";
+import { hexbinPoints, hexagonCorners, densityCss } from "../utils/mapLayers";
+
+// Hexagon radius in screen pixels, so cells stay the same size on screen at any zoom
+const HEX_RADIUS = 18;
+
+// Event counts aggregated into hexagonal cells, coloured on a log scale up to the
+// busiest cell. The busiest count is reported for the legend.
+export default function HexbinLayer({ earthquakes, onMaxCountChange }) {
+  const { t } = useI18n();
+  const map = useMap();
+  const [zoom, setZoom] = useState(map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  const { cells, maxCount } = useMemo(() => {
+    const points = earthquakes.map(eq => {
+      const [lon, lat] = eq.geometry.coordinates;
+      const point = map.project([lat, lon], zoom);
+      return { x: point.x, y: point.y, event: eq };
+    });
+    const bins = hexbinPoints(points, HEX_RADIUS);
+    const max = bins.reduce((most, bin) => Math.max(most, bin.events.length), 1);
+    return {
+      maxCount: max,
+      cells: bins.map(bin => ({
+        key: `${Math.round(bin.x)}:${Math.round(bin.y)}`,
+        positions: hexagonCorners(bin.x, bin.y, HEX_RADIUS).map(([x, y]) => map.unproject([x, y], zoom)),
+        count: bin.events.length,
+        maxMag: bin.events.reduce((most, eq) => Math.max(most, eq.properties.mag ?? 0), -Infinity),
+        color: densityCss(max > 1 ? Math.log(bin.events.length) / Math.log(max) : 1)
+      }))
+    };
+  }, [earthquakes, zoom, map]);
+
+  useEffect(() => {
+    onMaxCountChange(maxCount);
+  }, [maxCount, onMaxCountChange]);
+
+  return (
+    <>
+      {cells.map(cell => (
+        <Polygon key={cell.key} positions={cell.positions}
+          pathOptions={{ color: "#0a0e17", weight: 1, opacity: 0.6, fillColor: cell.color, fillOpacity: 0.65 }}>
+          <Tooltip sticky>
+            {t("common.earthquakes", { count: cell.count })} · {t("sequences.largest", { magnitude: cell.maxMag.toFixed(1) })}
+          </Tooltip>
+        </Polygon>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { hypocentres, exaggerationFor, viewPoint } from "../utils/crossSection";
+import { getMagnitudeColor } from "../utils/magnitude";
+import { COLORS } from "./Chart";
+import { useI18n } from "./LanguageContext";
+
+const VIEW_WIDTH = 388;
+const VIEW_HEIGHT = 280;
+
+// Pixels of drag per radian of rotation
+const DRAG_PER_RADIAN = 120;
+
+// Movement in pixels after which a press is a drag rather than a click
+const CLICK_SLOP = 3;
+
+const dotRadius = (mag) => Math.max(1.5, (mag ?? 0) * 0.9);
+
+// The box's corners as [x, y, z] with x and y at ±1 and z at 0 (surface) or 1 (bottom)
+const CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+const EDGES = [[0, 1], [1, 2], [2, 3], [3, 0]];
+
+// Hypocentres under the map view in a box that can be turned by dragging, depth
+// exaggerated so the structure shows. Clicking an event selects it.
+export default function HypocentreView({ earthquakes, bounds, exaggeration, selectedEventId, onSelectEvent }) {
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  // Screen positions from the last draw, topmost last, for picking
+  const drawnRef = useRef([]);
+  const [angles, setAngles] = useState({ yaw: -Math.PI / 6, pitch: Math.PI / 5 });
+
+  const box = useMemo(() => hypocentres(earthquakes, bounds), [earthquakes, bounds]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext("2d");
+    if (!ctx) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = VIEW_WIDTH * ratio;
+    canvas.height = VIEW_HEIGHT * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+
+    const { halfWidth, halfHeight, maxDepth } = box;
+    const scaleZ = exaggerationFor(exaggeration, box);
+    const depth = maxDepth * scaleZ;
+    // Fit the box's bounding sphere, centred half way down
+    const scale = (Math.min(VIEW_WIDTH, VIEW_HEIGHT) * 0.45) / Math.hypot(halfWidth, halfHeight, depth / 2);
+    const project = (x, y, z) => {
+      const { u, v, near } = viewPoint({ x, y, z: z * scaleZ - depth / 2 }, angles.yaw, angles.pitch);
+      return { x: VIEW_WIDTH / 2 + u * scale, y: VIEW_HEIGHT / 2 + v * scale, near };
+    };
+    const corner = ([sx, sy], z) => project(sx * halfWidth, sy * halfHeight, z);
+
+    // Bottom and sides first, then the events, then the surface over them
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = COLORS.grid;
+    ctx.beginPath();
+    EDGES.forEach(([from, to]) => {
+      const a = corner(CORNERS[from], maxDepth);
+      const b = corner(CORNERS[to], maxDepth);
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+    });
+    CORNERS.forEach(c => {
+      const top = corner(c, 0);
+      const bottom = corner(c, maxDepth);
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(bottom.x, bottom.y);
+    });
+    ctx.stroke();
+
+    const drawn = box.points
+      .map(point => ({ ...project(point.x, point.y, point.z), event: point.event, r: dotRadius(point.event.properties.mag) }))
+      .sort((a, b) => a.near - b.near);
+    const selected = drawn.filter(point => point.event.id === selectedEventId);
+    ctx.globalAlpha = 0.8;
+    drawn.forEach(point => {
+      ctx.fillStyle = getMagnitudeColor(point.event.properties.mag);
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, point.r, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+    selected.forEach(point => {
+      ctx.strokeStyle = COLORS.highlight;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, point.r + 3, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+    drawnRef.current = drawn;
+
+    ctx.strokeStyle = COLORS.text;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    EDGES.forEach(([from, to]) => {
+      const a = corner(CORNERS[from], 0);
+      const b = corner(CORNERS[to], 0);
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = COLORS.text;
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    const north = project(0, halfHeight * 1.12, 0);
+    ctx.fillText(t("crossSection.north"), north.x, north.y);
+    const top = corner(CORNERS[0], 0);
+    const bottom = corner(CORNERS[0], maxDepth);
+    ctx.textAlign = "right";
+    ctx.fillText("0 km", top.x - 4, top.y);
+    ctx.fillText(`${Math.round(maxDepth)} km`, bottom.x - 4, bottom.y);
+  }, [box, angles, exaggeration, selectedEventId, t]);
+
+  const toCanvas = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * VIEW_WIDTH) / rect.width,
+      y: ((e.clientY - rect.top) * VIEW_HEIGHT) / rect.height
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < CLICK_SLOP) return;
+    dragRef.current = { x: e.clientX, y: e.clientY, moved: true };
+    setAngles(prev => ({
+      yaw: prev.yaw + dx / DRAG_PER_RADIAN,
+      pitch: Math.min(Math.PI / 2, Math.max(0, prev.pitch + dy / DRAG_PER_RADIAN))
+    }));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved) return;
+    const { x, y } = toCanvas(e);
+    const drawn = drawnRef.current;
+    for (let i = drawn.length - 1; i >= 0; i--) {
+      const point = drawn[i];
+      if ((point.x - x) ** 2 + (point.y - y) ** 2 <= (point.r + 2) ** 2) {
+        onSelectEvent(point.event.id);
+        return;
+      }
+    }
+  };
+
+  return (
+    <div>
+      <canvas ref={canvasRef} onPointerDown={handlePointerDown} onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp} onPointerCancel={() => { dragRef.current = null; }}
+        style={{ display: "block", width: "100%", aspectRatio: `${VIEW_WIDTH} / ${VIEW_HEIGHT}`, borderRadius: "6px", cursor: "grab", touchAction: "none" }} />
+      <div style={{ fontSize: "10px", color: "#888", marginTop: "4px" }}>
+        {t("crossSection.eventsInView", { count: box.points.length })} · {t("crossSection.rotateHint")}
+      </div>
+    </div>
+  );
+}
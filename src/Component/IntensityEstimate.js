@@ -0,0 +1,42 @@
+import React, { useMemo } from "react";
+import { townIntensities, mmiLevel, MIN_FELT_MMI } from "../utils/intensity";
+import { TOWNS } from "../utils/gazetteer";
+import { useI18n } from "./LanguageContext";
+
+const MAX_TOWNS = 4;
+
+// Towns always answered for, felt or not, because that is what people ask about
+const REFERENCE_TOWNS = ["Addis Ababa"];
+
+// Estimated shaking at the most affected towns, for the event popup
+export default function IntensityEstimate({ earthquake }) {
+  const { t } = useI18n();
+  const isSmall = window.innerWidth < 600;
+  const estimates = useMemo(() => townIntensities(earthquake, TOWNS), [earthquake]);
+  if (estimates.length === 0) return null;
+
+  const felt = estimates.filter(entry => entry.mmi >= MIN_FELT_MMI).slice(0, MAX_TOWNS);
+  const references = REFERENCE_TOWNS
+    .filter(name => !felt.some(entry => entry.town.name === name))
+    .map(name => estimates.find(entry => entry.town.name === name))
+    .filter(Boolean);
+
+  return (
+    <div style={{ fontSize: isSmall ? "10px" : "12px", color: "#444", marginBottom: "8px" }}>
+      <div style={{ color: "#666", marginBottom: "2px" }}>〰️ {t("intensity.estimated")}</div>
+      {felt.length === 0 && <div style={{ color: "#666" }}>{t("intensity.notFelt")}</div>}
+      {[...felt, ...references].map(({ town, distanceKm, mmi }) => {
+        const level = mmiLevel(mmi);
+        return (
+          <div key={town.name} style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <span style={{
+              display: "inline-block", minWidth: "24px", textAlign: "center", borderRadius: "3px",
+              border: "1px solid rgba(0,0,0,0.3)", backgroundColor: level.color, fontWeight: "600"
+            }}>{level.roman}</span>
+            <span>{town.name} ({Math.round(distanceKm)} km) · {t(`intensity.levels.${level.level}`, { defaultValue: level.label }).toLowerCase()}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
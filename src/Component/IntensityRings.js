@@ -0,0 +1,28 @@
+import React, { useMemo } from "react";
+import { Circle, Marker } from "react-leaflet";
+import L from "leaflet";
+import { intensityRings } from "../utils/intensity";
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+const labelIcon = (ring) => L.divIcon({
+  className: "",
+  iconSize: [30, 16],
+  iconAnchor: [15, 8],
+  html: `<div style="text-align:center;font:600 11px sans-serif;color:#222;background:${ring.color};` +
+    `border:1px solid rgba(0,0,0,0.4);border-radius:3px;">${ring.roman}</div>`
+});
+
+// Estimated MMI contours around one event, each labelled with its level at the top
+export default function IntensityRings({ earthquake }) {
+  const rings = useMemo(() => intensityRings(earthquake), [earthquake]);
+  const [lon, lat] = earthquake.geometry.coordinates;
+
+  return rings.map(ring => (
+    <React.Fragment key={ring.level}>
+      <Circle center={[lat, lon]} radius={ring.radiusKm * 1000} interactive={false}
+        pathOptions={{ color: ring.color, weight: 2, opacity: 0.9, fillColor: ring.color, fillOpacity: 0.06 }} />
+      <Marker position={[lat + ring.radiusKm / KM_PER_DEGREE_LAT, lon]} icon={labelIcon(ring)} interactive={false} />
+    </React.Fragment>
+  ));
+}
@@ -0,0 +1,31 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import {
+  translator, createFormatters, getLanguage, loadLanguageSettings, saveLanguageSettings
+} from "../utils/i18n";
+
+const valueFor = (settings, setSettings) => ({
+  ...settings,
+  locale: getLanguage(settings.language).locale,
+  setSettings,
+  t: translator(settings.language),
+  ...createFormatters(settings)
+});
+
+// English without a provider, so components also render on their own in tests
+const LanguageContext = createContext(valueFor({ language: "en", ethiopianCalendar: false }, () => {}));
+
+// Interface language and calendar, saved between sessions
+export function LanguageProvider({ children }) {
+  const [settings, setSettings] = useState(loadLanguageSettings);
+
+  useEffect(() => {
+    saveLanguageSettings(settings);
+    document.documentElement.lang = getLanguage(settings.language).speechLang.slice(0, 2);
+  }, [settings]);
+
+  const value = useMemo(() => valueFor(settings, setSettings), [settings]);
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+}
+
+// { language, ethiopianCalendar, locale, setSettings, t, formatDateTime, formatDate, formatTime }
+export const useI18n = () => useContext(LanguageContext);
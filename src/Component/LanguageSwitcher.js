@@ -0,0 +1,23 @@
+import React from "react";
+import { LANGUAGES } from "../utils/i18n";
+import { useI18n } from "./LanguageContext";
+
+// Interface language and the Ethiopian calendar option, for the header
+export default function LanguageSwitcher() {
+  const { t, language, ethiopianCalendar, setSettings } = useI18n();
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "8px", marginLeft: "10px", fontSize: "12px", fontWeight: "normal" }}>
+      <select value={language} title={t("header.language")} aria-label={t("header.language")}
+        onChange={e => setSettings(prev => ({ ...prev, language: e.target.value }))}
+        style={{ padding: "3px 4px", borderRadius: "4px", border: "1px solid #3a4a5a", backgroundColor: "#1e2a36", color: "#fff", fontSize: "12px" }}>
+        {LANGUAGES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+      </select>
+      <label title={t("header.ethiopianCalendarTitle")} style={{ display: "flex", alignItems: "center", gap: "4px", color: "#ccc", cursor: "pointer" }}>
+        <input type="checkbox" checked={ethiopianCalendar}
+          onChange={() => setSettings(prev => ({ ...prev, ethiopianCalendar: !prev.ethiopianCalendar }))} />
+        {window.innerWidth < 500 ? t("header.ethiopianCalendarShort") : t("header.ethiopianCalendar")}
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { useEffect } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+
+// While active, the next click on the map is reported through onPick
+export default function MapPointPicker({ active, onPick }) {
+  const map = useMap();
+
+  useMapEvents({
+    click(e) {
+      if (active) onPick(e.latlng);
+    }
+  });
+
+  useEffect(() => {
+    const container = map.getContainer();
+    container.style.cursor = active ? "crosshair" : "";
+    return () => {
+      container.style.cursor = "";
+    };
+  }, [map, active]);
+
+  return null;
+}
@@ -0,0 +1,12 @@
+import { useMapEvents } from "react-leaflet";
+
+// Reports the map centre and zoom after every pan or zoom
+export default function MapViewTracker({ onViewChange }) {
+  const map = useMapEvents({
+    moveend() {
+      const { lat, lng } = map.getCenter();
+      onViewChange({ lat, lon: lng, zoom: map.getZoom() });
+    }
+  });
+  return null;
+}
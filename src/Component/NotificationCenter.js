@@ -0,0 +1,103 @@
+import React from "react";
+import { alertMessage, alertTitle, alertLocation } from "../utils/alertRules";
+import { useI18n } from "./LanguageContext";
+
+const smallButtonStyle = {
+  background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+  padding: "3px 8px", fontSize: "11px", cursor: "pointer"
+};
+
+// Past alerts behind the 🔔 bell: acknowledge, dismiss or jump to the event on the map
+export default function NotificationCenter({
+  history, notificationPermission, onRequestPermission, onSelectEvent,
+  onAcknowledge, onAcknowledgeAll, onDismiss, onClear, onClose
+}) {
+  const { t, formatDateTime } = useI18n();
+  const isSmall = window.innerWidth < 600;
+  const unread = history.filter(entry => !entry.acknowledged).length;
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 125 : 145,
+      right: isSmall ? 10 : 30,
+      left: isSmall ? 10 : "auto",
+      width: isSmall ? "auto" : 360,
+      maxHeight: "60vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2100,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "10px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🔔 {t("notifications.title")}</h4>
+        {unread > 0 && (
+          <span style={{ backgroundColor: "#ffd93d", color: "#000", borderRadius: "10px", padding: "1px 7px", fontSize: "11px", fontWeight: "bold" }}>
+            {t("notifications.new", { count: unread })}
+          </span>
+        )}
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      {notificationPermission === "default" && (
+        <button onClick={onRequestPermission} style={{ ...smallButtonStyle, width: "100%", marginBottom: "10px", borderColor: "#43a047" }}>
+          {t("notifications.enable")}
+        </button>
+      )}
+      {notificationPermission === "denied" && (
+        <div style={{ fontSize: "11px", color: "#888", marginBottom: "10px" }}>
+          {t("notifications.blocked")}
+        </div>
+      )}
+
+      {history.length === 0 ? (
+        <div style={{ fontSize: "12px", color: "#888" }}>{t("notifications.empty")}</div>
+      ) : (
+        history.map(entry => (
+          <div key={entry.id} style={{
+            borderLeft: `3px solid ${entry.acknowledged ? "#3a4a5a" : "#ff4444"}`,
+            padding: "6px 8px",
+            marginBottom: "6px",
+            backgroundColor: entry.acknowledged ? "transparent" : "rgba(255, 68, 68, 0.08)",
+            borderRadius: "4px",
+            fontSize: "12px"
+          }}>
+            <div style={{ display: "flex", justifyContent: "space-between", color: "#aaa", marginBottom: "2px" }}>
+              <span>{alertTitle(entry, t)}</span>
+              <span>{formatDateTime(entry.firedAt)}</span>
+            </div>
+            {(entry.messageKey || entry.message) && (
+              <div style={{ color: entry.acknowledged ? "#ccc" : "#fff", marginBottom: "2px" }}>{alertMessage(entry, t)}</div>
+            )}
+            {entry.events.map(event => (
+              <div key={event.id}
+                onClick={() => onSelectEvent(event.id, entry.id)}
+                title={t("common.showOnMap")}
+                style={{ cursor: "pointer", color: entry.acknowledged ? "#ccc" : "#fff", padding: "1px 0" }}>
+                📍 M{event.mag?.toFixed(1) ?? '?'} · {alertLocation(event, t) || event.place || t("location.unknown")}
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: "6px", marginTop: "4px" }}>
+              {!entry.acknowledged && (
+                <button onClick={() => onAcknowledge(entry.id)} style={smallButtonStyle}>{t("notifications.acknowledge")}</button>
+              )}
+              <button onClick={() => onDismiss(entry.id)} style={{ ...smallButtonStyle, borderColor: "#ff6b6b" }}>{t("notifications.dismiss")}</button>
+            </div>
+          </div>
+        ))
+      )}
+
+      {history.length > 0 && (
+        <div style={{ display: "flex", gap: "6px", marginTop: "10px" }}>
+          {unread > 0 && <button onClick={onAcknowledgeAll} style={smallButtonStyle}>{t("notifications.acknowledgeAll")}</button>}
+          <button onClick={onClear} style={{ ...smallButtonStyle, borderColor: "#ff6b6b" }}>{t("notifications.clearAll")}</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from "react";
+import L from "leaflet";
+import {
+  tilesForBounds, downloadTiles, countCachedTiles, clearCachedTiles, isTileCacheAvailable
+} from "../utils/offlineTiles";
+import { useI18n } from "./LanguageContext";
+
+const ZOOM_LEVELS = [5, 6, 7, 8, 9, 10, 11];
+const DEFAULT_ZOOMS = [5, 6, 7, 8];
+
+// Rough size of one dark basemap tile, only used for the estimate shown to the user
+const AVERAGE_TILE_KB = 15;
+
+// Pre-download basemap tiles for the given bounds so the map works without a connection
+export default function OfflineMapsPanel({ bounds, onClose }) {
+  const { t } = useI18n();
+  const [zooms, setZooms] = useState(DEFAULT_ZOOMS);
+  const [progress, setProgress] = useState(null);
+  const [cachedCount, setCachedCount] = useState(0);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const abortRef = useRef(null);
+  const isSmall = window.innerWidth < 600;
+
+  const tiles = tilesForBounds(bounds, zooms);
+  const estimateMb = (tiles.length * AVERAGE_TILE_KB * (L.Browser.retina ? 3 : 1) / 1024).toFixed(1);
+
+  useEffect(() => {
+    countCachedTiles().then(setCachedCount).catch(err => console.error("Error counting cached tiles:", err));
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+    };
+  }, []);
+
+  const toggleZoom = (zoom) => {
+    setZooms(prev => prev.includes(zoom) ? prev.filter(z => z !== zoom) : [...prev, zoom].sort((a, b) => a - b));
+  };
+
+  const startDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsDownloading(true);
+    setProgress({ done: 0, failed: 0, total: tiles.length });
+    try {
+      await downloadTiles(tiles, { retina: L.Browser.retina, onProgress: setProgress, signal: controller.signal });
+    } catch (err) {
+      console.error("Error downloading tiles:", err);
+    } finally {
+      abortRef.current = null;
+      setIsDownloading(false);
+      countCachedTiles().then(setCachedCount).catch(() => {});
+    }
+  };
+
+  const cancelDownload = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const clearTiles = async () => {
+    await clearCachedTiles();
+    setCachedCount(0);
+    setProgress(null);
+  };
+
+  const buttonStyle = {
+    flex: 1, padding: "8px", borderRadius: "6px", border: "none", color: "#fff",
+    fontWeight: "600", fontSize: isSmall ? "12px" : "13px", cursor: "pointer"
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 320,
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>📥 {t("offlineMaps.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      {!isTileCacheAvailable() ? (
+        <div style={{ fontSize: "12px", color: "#ffd93d" }}>
+          {t("offlineMaps.unsupported")}
+        </div>
+      ) : (
+        <>
+          <div style={{ fontSize: isSmall ? "12px" : "13px", color: "#ccc", marginBottom: "6px" }}>{t("offlineMaps.zoomLevels")}</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginBottom: "10px" }}>
+            {ZOOM_LEVELS.map(zoom => (
+              <label key={zoom} style={{ fontSize: "12px", display: "flex", alignItems: "center", gap: "3px" }}>
+                <input type="checkbox" checked={zooms.includes(zoom)} onChange={() => toggleZoom(zoom)} disabled={isDownloading} />
+                {zoom}
+              </label>
+            ))}
+          </div>
+          <div style={{ fontSize: "12px", color: "#aaa", marginBottom: "10px" }}>
+            {t("offlineMaps.estimate", { count: tiles.length, size: estimateMb })} · {t("offlineMaps.cached", { count: cachedCount })}
+          </div>
+
+          {progress && (
+            <div style={{ marginBottom: "10px" }}>
+              <div style={{ height: "6px", backgroundColor: "#1e2a36", borderRadius: "3px", overflow: "hidden" }}>
+                <div style={{ height: "100%", width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`, backgroundColor: "#43a047" }}></div>
+              </div>
+              <div style={{ fontSize: "11px", color: "#aaa", marginTop: "4px" }}>
+                {progress.done} / {progress.total}{progress.failed > 0 ? ` · ${t("offlineMaps.failed", { count: progress.failed })}` : ''}
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: "8px" }}>
+            {isDownloading ? (
+              <button onClick={cancelDownload} style={{ ...buttonStyle, backgroundColor: "#666" }}>{t("common.cancel")}</button>
+            ) : (
+              <button onClick={startDownload} disabled={tiles.length === 0} style={{ ...buttonStyle, backgroundColor: "#43a047" }}>{t("common.download")}</button>
+            )}
+            <button onClick={clearTiles} disabled={isDownloading} style={{ ...buttonStyle, backgroundColor: "transparent", border: "1px solid #ff6b6b" }}>{t("common.clear")}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { Polygon, Circle, Tooltip } from "react-leaflet";
+import { TRENDS } from "../utils/swarms";
+import { formatOffset } from "../utils/sequence";
+import { distanceKm } from "../utils/geo";
+import { useI18n } from "./LanguageContext";
+
+// Smallest circle drawn for sequences too small or too straight for a hull
+const MIN_OUTLINE_RADIUS_M = 2000;
+
+const outlineRadius = (sequence) => Math.max(MIN_OUTLINE_RADIUS_M, ...sequence.hull.map(([lon, lat]) =>
+  distanceKm(sequence.center[0], sequence.center[1], lat, lon) * 1000 + MIN_OUTLINE_RADIUS_M));
+
+const Summary = ({ sequence }) => {
+  const { t, formatDateTime } = useI18n();
+  return (
+    <div style={{ fontSize: "12px" }}>
+      <strong>{t("sequences.events", { count: sequence.count })}</strong> · {t(`sequences.trends.${sequence.trend}`, { defaultValue: TRENDS[sequence.trend].label })}
+      <div>{t("sequences.fromFor", { start: formatDateTime(sequence.start), duration: formatOffset(sequence.durationMs, t) })}</div>
+      <div>{t("sequences.largestRate", { magnitude: sequence.largest.properties.mag?.toFixed(1) ?? "?", rate: sequence.ratePerDay.toFixed(1) })}</div>
+    </div>
+  );
+};
+
+// Detected sequences as dashed outlines coloured by their rate trend
+export default function SequenceLayer({ sequences, onSelect }) {
+  return sequences.map(sequence => {
+    const pathOptions = { color: TRENDS[sequence.trend].color, weight: 2, dashArray: "5 5", fillOpacity: 0.08 };
+    const eventHandlers = { click: () => onSelect(sequence) };
+    const tooltip = <Tooltip sticky><Summary sequence={sequence} /></Tooltip>;
+    return sequence.hull.length >= 3 ? (
+      <Polygon key={sequence.id} positions={sequence.hull.map(([lon, lat]) => [lat, lon])}
+        pathOptions={pathOptions} eventHandlers={eventHandlers}>
+        {tooltip}
+      </Polygon>
+    ) : (
+      <Circle key={sequence.id} center={sequence.center} radius={outlineRadius(sequence)}
+        pathOptions={pathOptions} eventHandlers={eventHandlers}>
+        {tooltip}
+      </Circle>
+    );
+  });
+}
@@ -0,0 +1,115 @@
+import React from "react";
+import { CLUSTER_METHODS, TRENDS } from "../utils/swarms";
+import { formatOffset } from "../utils/sequence";
+import { locationText } from "../utils/gazetteer";
+import { useI18n } from "./LanguageContext";
+
+const LIST_LIMIT = 50;
+
+const inputStyle = {
+  width: "100%", borderRadius: "6px", padding: "6px 8px",
+  border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+  color: "#fff", fontSize: "12px", boxSizing: "border-box"
+};
+
+const labelStyle = { fontSize: "11px", color: "#aaa", display: "block", marginBottom: "2px" };
+
+// Detected swarms and aftershock sequences among the filtered events, with the
+// clustering settings and sequence alerts
+export default function SequencesPanel({ sequences, settings, onSettingsChange, onSelectSequence, onClose }) {
+  const { t, formatDate } = useI18n();
+  const isSmall = window.innerWidth < 600;
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const activeCount = sequences.filter(sequence => sequence.active).length;
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 380,
+      maxHeight: "70vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🌋 {t("sequences.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px", marginBottom: "10px" }}>
+        <div style={{ gridColumn: "1 / -1" }}>
+          <label style={labelStyle}>{t("sequences.method")}</label>
+          <select value={settings.method} onChange={e => update({ method: e.target.value })} style={inputStyle}>
+            {CLUSTER_METHODS.map(method => <option key={method.id} value={method.id}>{t(`sequences.methods.${method.id}`, { defaultValue: method.label })}</option>)}
+          </select>
+        </div>
+        {settings.method === "dbscan" ? (
+          <>
+            <div>
+              <label style={labelStyle}>{t("sequences.linkingDistance")}</label>
+              <input type="number" min="1" step="1" value={settings.epsKm}
+                onChange={e => update({ epsKm: Math.max(1, Number(e.target.value) || 1) })} style={inputStyle} />
+            </div>
+            <div>
+              <label style={labelStyle}>{t("sequences.linkingTime")}</label>
+              <input type="number" min="1" step="1" value={settings.epsHours}
+                onChange={e => update({ epsHours: Math.max(1, Number(e.target.value) || 1) })} style={inputStyle} />
+            </div>
+          </>
+        ) : (
+          <div style={{ gridColumn: "1 / -1", fontSize: "11px", color: "#888" }}>
+            {t("sequences.gardnerKnopoffHelp")}
+          </div>
+        )}
+        <div>
+          <label style={labelStyle}>{t("sequences.minEvents")}</label>
+          <input type="number" min="2" step="1" value={settings.minEvents}
+            onChange={e => update({ minEvents: Math.max(2, Math.round(Number(e.target.value)) || 2) })} style={inputStyle} />
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", justifyContent: "flex-end", gap: "2px", fontSize: "12px" }}>
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", cursor: "pointer" }}>
+            <input type="checkbox" checked={settings.visible} onChange={e => update({ visible: e.target.checked })} />
+            {t("sequences.outline")}
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", cursor: "pointer" }}
+            title={t("sequences.alertsHelp")}>
+            <input type="checkbox" checked={settings.alerts} onChange={e => update({ alerts: e.target.checked })} />
+            {t("sequences.alerts")}
+          </label>
+        </div>
+      </div>
+
+      <div style={{ fontSize: "12px", color: "#ccc", marginBottom: "6px" }}>
+        {t("sequences.summary", { count: sequences.length, active: activeCount })}
+      </div>
+      {sequences.slice(0, LIST_LIMIT).map(sequence => (
+        <div key={sequence.id} onClick={() => onSelectSequence(sequence)} title={t("common.showOnMap")}
+          style={{ fontSize: "12px", padding: "6px 0 6px 8px", cursor: "pointer", marginBottom: "2px",
+            borderLeft: `3px solid ${TRENDS[sequence.trend].color}`, borderBottom: "1px solid rgba(255,255,255,0.05)" }}>
+          <div>
+            <strong>{t("sequences.events", { count: sequence.count })}</strong> · {t("sequences.largest", { magnitude: sequence.largest.properties.mag?.toFixed(1) ?? "?" })}
+            <span style={{ color: TRENDS[sequence.trend].color }}> · {t(`sequences.trends.${sequence.trend}`, { defaultValue: TRENDS[sequence.trend].label })}</span>
+          </div>
+          <div style={{ color: "#aaa" }}>{locationText(sequence.largest, t)}</div>
+          <div style={{ color: "#aaa" }}>
+            {formatDate(sequence.start)} · {formatOffset(sequence.durationMs, t)}
+            {" · "}{t("sequences.perDay", { rate: sequence.ratePerDay.toFixed(1) })}
+            {sequence.active ? ` · ${t("sequences.lastDay", { count: sequence.recentCount })}` : ""}
+          </div>
+        </div>
+      ))}
+      {sequences.length > LIST_LIMIT && (
+        <div style={{ fontSize: "11px", color: "#888", marginTop: "4px" }}>{t("common.andMore", { count: sequences.length - LIST_LIMIT })}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useMemo, useState } from "react";
+import {
+  magnitudesOf, depthsOf, cumulativeRelease, histogram, magnitudeFrequency,
+  completenessMagnitude, gutenbergRichter, valueRange, MIN_EVENTS_FOR_B_VALUE
+} from "../utils/statistics";
+import { buildHistogram, WINDOWS } from "../utils/timeline";
+import {
+  WIDTH, HEIGHT, MARGIN, COLORS, niceTicks, linearScale, formatDate, Axes, ChartCard, EmptyChart
+} from "./Chart";
+import { useI18n } from "./LanguageContext";
+
+const formatExponent = (value) => (value === 0 ? "0" : value.toExponential(0).replace("e+", "e"));
+
+// Bar chart of [{start, end, count}] bins
+const Bars = ({ bins, xLabel, yLabel, formatX, xTickCount = 5 }) => {
+  const min = bins[0].start;
+  const max = bins[bins.length - 1].end;
+  const maxCount = bins.reduce((max, bin) => Math.max(max, bin.count), 1);
+  const x = linearScale(min, max, MARGIN.left, WIDTH - MARGIN.right);
+  const y = linearScale(0, maxCount, HEIGHT - MARGIN.bottom, MARGIN.top);
+  return (
+    <>
+      <Axes xTicks={niceTicks(min, max, xTickCount)} yTicks={niceTicks(0, maxCount, 4).filter(Number.isInteger)}
+        x={x} y={y} formatX={formatX} xLabel={xLabel} yLabel={yLabel} />
+      {bins.map((bin, i) => bin.count > 0 && (
+        <rect key={i} x={x(bin.start) + 0.5} width={Math.max(0.5, x(bin.end) - x(bin.start) - 1)}
+          y={y(bin.count)} height={y(0) - y(bin.count)} fill={COLORS.bar} />
+      ))}
+    </>
+  );
+};
+
+const CountsChart = ({ earthquakes, start, end }) => {
+  const { t, locale } = useI18n();
+  if (earthquakes.length === 0 || !(end > start)) return <EmptyChart />;
+  const { counts, binMs } = buildHistogram(earthquakes, start, end, WINDOWS.day.ms);
+  const bins = counts.map((count, i) => ({ start: start + i * binMs, end: start + (i + 1) * binMs, count }));
+  const label = binMs === WINDOWS.day.ms
+    ? t("statistics.eventsPerDay")
+    : t("statistics.eventsPerDays", { days: Math.round(binMs / WINDOWS.day.ms) });
+  return <Bars bins={bins} xLabel={t("statistics.date")} yLabel={label} formatX={tick => formatDate(tick, locale)} xTickCount={4} />;
+};
+
+const ReleaseChart = ({ release, measure }) => {
+  const { t, locale } = useI18n();
+  if (release.length === 0) return <EmptyChart />;
+  const first = release[0].time;
+  const last = release[release.length - 1].time;
+  const total = release[release.length - 1][measure];
+  const x = linearScale(first, Math.max(last, first + 1), MARGIN.left, WIDTH - MARGIN.right);
+  const y = linearScale(0, total, HEIGHT - MARGIN.bottom, MARGIN.top);
+  // Step line: totals only change when an event happens
+  let path = `M${x(first)},${y(0)}`;
+  release.forEach(point => {
+    path += ` H${x(point.time)} V${y(point[measure])}`;
+  });
+  path += ` H${WIDTH - MARGIN.right}`;
+  return (
+    <>
+      <Axes xTicks={niceTicks(first, last, 3)} yTicks={niceTicks(0, total, 4)} x={x} y={y}
+        formatX={tick => formatDate(tick, locale)} formatY={formatExponent}
+        xLabel={t("statistics.date")} yLabel={measure === "moment" ? t("statistics.momentAxis") : t("statistics.energyAxis")} />
+      <path d={path} fill="none" stroke={COLORS.bar} strokeWidth="1.5" />
+    </>
+  );
+};
+
+const MagnitudeFrequencyChart = ({ bins, mc, fit }) => {
+  const { t } = useI18n();
+  if (bins.length === 0) return <EmptyChart />;
+  const minMag = bins[0].mag - 0.1;
+  const maxMag = bins[bins.length - 1].mag + 0.1;
+  const maxPower = Math.max(1, Math.ceil(Math.log10(bins[0].cumulative)));
+  const x = linearScale(minMag, maxMag, MARGIN.left, WIDTH - MARGIN.right);
+  const logY = linearScale(0, maxPower, HEIGHT - MARGIN.bottom, MARGIN.top);
+  const y = (count) => logY(Math.log10(count));
+  const yTicks = Array.from({ length: maxPower + 1 }, (_, i) => Math.pow(10, i));
+  // Fitted line log10 N = a − bM from Mc up to where it predicts a single event
+  const fitEnd = fit ? Math.min(maxMag, fit.a / fit.b) : null;
+  return (
+    <>
+      <Axes xTicks={niceTicks(minMag, maxMag, 6)} yTicks={yTicks} x={x} y={y}
+        xLabel={t("statistics.magnitude")} yLabel={t("statistics.numberOfEvents")} />
+      {mc !== null && (
+        <line x1={x(mc)} x2={x(mc)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom}
+          stroke={COLORS.highlight} strokeDasharray="3 3" />
+      )}
+      {fit && fitEnd > mc && (
+        <line x1={x(mc)} y1={logY(fit.a - fit.b * mc)} x2={x(fitEnd)} y2={logY(fit.a - fit.b * fitEnd)}
+          stroke={COLORS.highlight} strokeWidth="1.5" />
+      )}
+      {bins.map(bin => bin.count > 0 && (
+        <rect key={`n${bin.mag}`} x={x(bin.mag) - 2} y={y(bin.count) - 2} width="4" height="4"
+          fill="none" stroke={COLORS.secondary} />
+      ))}
+      {bins.map(bin => (
+        <circle key={`c${bin.mag}`} cx={x(bin.mag)} cy={y(bin.cumulative)} r="2.5" fill={COLORS.bar} />
+      ))}
+      <g fontSize="9" fill={COLORS.text} textAnchor="end">
+        <text x={WIDTH - MARGIN.right - 4} y={MARGIN.top + 10}>
+          <tspan fill={COLORS.bar}>●</tspan> {t("statistics.cumulative")}  <tspan fill={COLORS.secondary}>□</tspan> {t("statistics.perBin")}
+        </text>
+        {mc !== null && (
+          <text x={WIDTH - MARGIN.right - 4} y={MARGIN.top + 22} fill={COLORS.highlight}>
+            Mc {mc.toFixed(1)}{fit ? ` · b = ${fit.b.toFixed(2)} ± ${fit.bError.toFixed(2)}` : ""}
+          </text>
+        )}
+      </g>
+    </>
+  );
+};
+
+// Live statistics for the filtered events: counts over time, moment/energy release,
+// magnitude–frequency with Mc and b-value, and depth and magnitude histograms
+export default function StatisticsPanel({ earthquakes, start, end, filenamePrefix, onExportError, onClose }) {
+  const { t } = useI18n();
+  const [releaseMeasure, setReleaseMeasure] = useState("moment");
+  const isSmall = window.innerWidth < 600;
+
+  const stats = useMemo(() => {
+    const mags = magnitudesOf(earthquakes);
+    const depths = depthsOf(earthquakes);
+    const mc = completenessMagnitude(mags);
+    const maxDepth = depths.length > 0 ? valueRange(depths).max : 0;
+    return {
+      mags,
+      magRange: valueRange(mags),
+      release: cumulativeRelease(earthquakes),
+      mfd: magnitudeFrequency(mags),
+      mc,
+      fit: gutenbergRichter(mags, mc),
+      depthBins: histogram(depths, maxDepth > 200 ? 20 : maxDepth > 50 ? 10 : 5),
+      magBins: histogram(mags, 0.2)
+    };
+  }, [earthquakes]);
+
+  const totalMoment = stats.release.length > 0 ? stats.release[stats.release.length - 1].moment : 0;
+  // Magnitude of a single event releasing the same moment as all of them together
+  const equivalentMw = totalMoment > 0 ? (Math.log10(totalMoment) - 9.1) / 1.5 : null;
+  const chartProps = { onExportError };
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 420,
+      maxHeight: "75vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "10px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>📊 {t("statistics.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px 12px", fontSize: "12px", marginBottom: "14px" }}>
+        <div>{t("statistics.events")} <strong>{earthquakes.length}</strong></div>
+        <div>
+          {t("statistics.magnitudes")} <strong>{stats.magRange ? `${stats.magRange.min.toFixed(1)} – ${stats.magRange.max.toFixed(1)}` : "—"}</strong>
+        </div>
+        <div>{t("statistics.mc")} <strong>{stats.mc !== null ? stats.mc.toFixed(1) : "—"}</strong></div>
+        <div>
+          {t("statistics.bValue")} <strong>{stats.fit ? `${stats.fit.b.toFixed(2)} ± ${stats.fit.bError.toFixed(2)}` : "—"}</strong>
+        </div>
+        <div>{t("statistics.aValue")} <strong>{stats.fit ? stats.fit.a.toFixed(2) : "—"}</strong></div>
+        <div>{t("statistics.equivalentMw")} <strong>{equivalentMw !== null ? equivalentMw.toFixed(2) : "—"}</strong></div>
+        {!stats.fit && stats.mags.length > 0 && (
+          <div style={{ gridColumn: "1 / -1", color: "#888", fontSize: "11px" }}>
+            {t("statistics.bValueNeeds", { count: MIN_EVENTS_FOR_B_VALUE })}
+          </div>
+        )}
+      </div>
+
+      <ChartCard title={t("statistics.eventsOverTime")} filename={`${filenamePrefix}_counts`} {...chartProps}>
+        <CountsChart earthquakes={earthquakes} start={start} end={end} />
+      </ChartCard>
+
+      <ChartCard
+        title={t("statistics.cumulativeRelease")}
+        filename={`${filenamePrefix}_${releaseMeasure}`}
+        {...chartProps}
+        controls={(
+          <select value={releaseMeasure} onChange={e => setReleaseMeasure(e.target.value)}
+            style={{ borderRadius: "4px", border: "1px solid #3a4a5a", backgroundColor: "#1e2a36", color: "#fff", fontSize: "10px" }}>
+            <option value="moment">{t("statistics.moment")}</option>
+            <option value="energy">{t("statistics.energy")}</option>
+          </select>
+        )}>
+        <ReleaseChart release={stats.release} measure={releaseMeasure} />
+      </ChartCard>
+
+      <ChartCard title={t("statistics.magnitudeFrequency")} filename={`${filenamePrefix}_mfd`} {...chartProps}>
+        <MagnitudeFrequencyChart bins={stats.mfd} mc={stats.mc} fit={stats.fit} />
+      </ChartCard>
+
+      <ChartCard title={t("statistics.depthDistribution")} filename={`${filenamePrefix}_depth`} {...chartProps}>
+        {stats.depthBins.length > 0
+          ? <Bars bins={stats.depthBins} xLabel={t("statistics.depthAxis")} yLabel={t("statistics.eventsAxis")} />
+          : <EmptyChart />}
+      </ChartCard>
+
+      <ChartCard title={t("statistics.magnitudeDistribution")} filename={`${filenamePrefix}_magnitude`} {...chartProps}>
+        {stats.magBins.length > 0
+          ? <Bars bins={stats.magBins} xLabel={t("statistics.magnitude")} yLabel={t("statistics.eventsAxis")} formatX={tick => tick.toFixed(1)} />
+          : <EmptyChart />}
+      </ChartCard>
+
+      <div style={{ fontSize: "10px", color: "#888" }}>
+        {t("statistics.methodNote")}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useEffect, useMemo } from "react";
+import { WINDOWS, buildHistogram } from "../utils/timeline";
+import { useI18n } from "./LanguageContext";
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+// How often the playhead moves while playing; the map re-renders at this rate
+const TICK_MS = 100;
+
+const HISTOGRAM_HEIGHT = 40;
+
+// Timeline scrubber with play/pause, speed and window controls over a histogram of
+// event counts. `speed` is measured in windows per second.
+export default function TimelinePlayer({
+  earthquakes, start, end, currentTime, onTimeChange, windowKey, onWindowChange,
+  playing, onPlayingChange, speed, onSpeedChange, visibleCount, onClose
+}) {
+  const { t, formatDate } = useI18n();
+  const isSmall = window.innerWidth < 600;
+  const windowMs = WINDOWS[windowKey].ms;
+
+  const histogram = useMemo(
+    () => buildHistogram(earthquakes, start, end, windowMs),
+    [earthquakes, start, end, windowMs]
+  );
+  const maxCount = Math.max(1, ...histogram.counts);
+
+  useEffect(() => {
+    if (!playing) return;
+    const interval = setInterval(() => {
+      onTimeChange(prev => Math.min(end, prev + windowMs * speed * TICK_MS / 1000));
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, windowMs, speed, end, onTimeChange]);
+
+  // Stop at the end of the range
+  useEffect(() => {
+    if (playing && currentTime >= end) onPlayingChange(false);
+  }, [playing, currentTime, end, onPlayingChange]);
+
+  const togglePlay = () => {
+    // Start over when play is pressed at the end of the range
+    if (!playing && currentTime >= end) onTimeChange(start);
+    onPlayingChange(!playing);
+  };
+
+  const progress = end > start ? (currentTime - start) / (end - start) : 0;
+  const buttonStyle = {
+    background: "none", border: "1px solid #3a4a5a", color: "#fff", borderRadius: "4px",
+    padding: "3px 8px", fontSize: "12px", cursor: "pointer"
+  };
+  const selectStyle = {
+    borderRadius: "4px", border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+    color: "#fff", fontSize: "12px", padding: "2px 4px"
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      left: 10,
+      right: 10,
+      bottom: isSmall ? 45 : 60,
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      borderRadius: "12px",
+      zIndex: 1250,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      padding: "10px 14px",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "10px", flexWrap: "wrap", marginBottom: "8px", fontSize: "12px" }}>
+        <button onClick={togglePlay} style={{ ...buttonStyle, borderColor: "#ff6b6b", minWidth: "60px" }}>
+          {playing ? `⏸ ${t("timeline.pause")}` : `▶ ${t("timeline.play")}`}
+        </button>
+        <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#ccc" }}>
+          {t("timeline.speed")}
+          <select value={speed} onChange={e => onSpeedChange(parseFloat(e.target.value))} style={selectStyle}>
+            {SPEEDS.map(value => <option key={value} value={value}>{value}×</option>)}
+          </select>
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#ccc" }}>
+          {t("timeline.window")}
+          <select value={windowKey} onChange={e => onWindowChange(e.target.value)} style={selectStyle}>
+            {Object.entries(WINDOWS).map(([key, value]) => <option key={key} value={key}>{t(`timeline.windows.${key}`, { defaultValue: value.label })}</option>)}
+          </select>
+        </label>
+        <span style={{ fontWeight: "600" }}>{formatDate(currentTime)}</span>
+        <span style={{ color: "#aaa" }}>{t("timeline.onMap", { count: visibleCount })}</span>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      {/* Event counts per bin, with the playhead drawn over them */}
+      <svg width="100%" height={HISTOGRAM_HEIGHT} viewBox={`0 0 ${histogram.counts.length} ${HISTOGRAM_HEIGHT}`}
+        preserveAspectRatio="none" style={{ display: "block" }}>
+        {histogram.counts.map((count, i) => {
+          const height = (count / maxCount) * HISTOGRAM_HEIGHT;
+          const binStart = start + i * histogram.binMs;
+          return (
+            <rect key={i} x={i + 0.1} width={0.8} y={HISTOGRAM_HEIGHT - height} height={height}
+              fill={binStart <= currentTime ? "#ff6b6b" : "#3a4a5a"} />
+          );
+        })}
+        <line x1={progress * histogram.counts.length} x2={progress * histogram.counts.length}
+          y1={0} y2={HISTOGRAM_HEIGHT} stroke="#ffd93d" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+      </svg>
+
+      <input
+        type="range" min={start} max={end} step={60 * 60 * 1000} value={currentTime}
+        onChange={e => onTimeChange(Number(e.target.value))}
+        style={{ width: "100%", margin: "4px 0 0 0" }}
+      />
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: "11px", color: "#888" }}>
+        <span>{formatDate(start)}</span>
+        <span>{histogram.binMs === windowMs
+          ? t("timeline.barWindow", { window: t(`timeline.windows.${windowKey}`, { defaultValue: WINDOWS[windowKey].label }).toLowerCase() })
+          : t("timeline.barDays", { days: Math.round(histogram.binMs / WINDOWS.day.ms) })}</span>
+        <span>{formatDate(end)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from "react";
+import { searchTowns, eventsNearTown } from "../utils/gazetteer";
+import { useI18n } from "./LanguageContext";
+
+const SEARCH_RADII_KM = [10, 25, 50, 100, 200];
+
+const LIST_LIMIT = 100;
+
+const inputStyle = {
+  width: "100%", borderRadius: "6px", padding: "6px 8px",
+  border: "1px solid #3a4a5a", backgroundColor: "#1e2a36",
+  color: "#fff", fontSize: "13px", boxSizing: "border-box"
+};
+
+// Find a town by name and list the filtered events within a radius of it
+export default function TownSearchPanel({ earthquakes, town, radiusKm, onTownChange, onRadiusChange, onSelectEvent, onClose }) {
+  const { t, formatDateTime } = useI18n();
+  const [query, setQuery] = useState(town ? town.name : "");
+  const isSmall = window.innerWidth < 600;
+  const suggestions = town && query === town.name ? [] : searchTowns(query);
+  const nearby = useMemo(
+    () => (town ? eventsNearTown(earthquakes, town, radiusKm) : []),
+    [earthquakes, town, radiusKm]
+  );
+
+  const chooseTown = (choice) => {
+    setQuery(choice.name);
+    onTownChange(choice);
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: isSmall ? 120 : 140,
+      left: 10,
+      right: isSmall ? 10 : "auto",
+      width: isSmall ? "calc(100% - 20px)" : 340,
+      maxHeight: "70vh",
+      overflowY: "auto",
+      backgroundColor: "rgba(20, 30, 40, 0.98)",
+      color: "#fff",
+      padding: "16px",
+      borderRadius: "12px",
+      zIndex: 2000,
+      boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+      border: "1px solid rgba(255,255,255,0.1)",
+      boxSizing: "border-box"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: "12px" }}>
+        <h4 style={{ margin: 0, fontSize: isSmall ? "14px" : "16px" }}>🏘️ {t("towns.title")}</h4>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "none", border: "none", color: "#aaa", fontSize: "18px", cursor: "pointer" }}>✕</button>
+      </div>
+
+      <input type="search" value={query} placeholder={t("towns.search")} autoFocus
+        onChange={e => setQuery(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === "Enter" && suggestions.length > 0) chooseTown(suggestions[0]);
+        }}
+        style={inputStyle} />
+      {suggestions.length > 0 && (
+        <div style={{ border: "1px solid #3a4a5a", borderTop: "none", borderRadius: "0 0 6px 6px" }}>
+          {suggestions.map(suggestion => (
+            <div key={suggestion.name} onClick={() => chooseTown(suggestion)}
+              style={{ padding: "5px 8px", fontSize: "12px", cursor: "pointer", borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+              {suggestion.name} <span style={{ color: "#888" }}>· {suggestion.region}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {town && (
+        <div style={{ marginTop: "12px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", marginBottom: "8px" }}>
+            <span>{t("towns.within")}</span>
+            <select value={radiusKm} onChange={e => onRadiusChange(Number(e.target.value))}
+              style={{ ...inputStyle, width: "auto", padding: "3px 6px", fontSize: "12px" }}>
+              {SEARCH_RADII_KM.map(radius => <option key={radius} value={radius}>{radius} km</option>)}
+            </select>
+            <span>{t("towns.of", { town: town.name })} <strong>{t("common.earthquakes", { count: nearby.length })}</strong></span>
+          </div>
+          {nearby.slice(0, LIST_LIMIT).map(({ event, distanceKm }) => (
+            <div key={event.id} onClick={() => onSelectEvent(event.id)} title={t("common.showOnMap")}
+              style={{ fontSize: "12px", padding: "4px 0", cursor: "pointer", borderBottom: "1px solid rgba(255,255,255,0.05)" }}>
+              <strong>M{event.properties.mag?.toFixed(1) ?? "?"}</strong>
+              <span style={{ color: "#aaa" }}> · {Math.round(distanceKm)} km · {formatDateTime(event.properties.time)}</span>
+            </div>
+          ))}
+          {nearby.length > LIST_LIMIT && (
+            <div style={{ fontSize: "11px", color: "#888", marginTop: "4px" }}>{t("common.andMore", { count: nearby.length - LIST_LIMIT })}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
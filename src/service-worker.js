@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for the offline mode. Create React App compiles this file with
+// Workbox's InjectManifest plugin, which fills in self.__WB_MANIFEST at build time.
+
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { TILE_CACHE, tileCacheKey, isTileRequest } from "./utils/offlineTiles";
+
+clientsClaim();
+
+// App shell: everything the build produced
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so the app opens without a connection
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== "navigate") return false;
+    if (url.pathname.startsWith("/_")) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html")
+);
+
+// Basemap tiles: cache first, under the same subdomain-free key the tile downloader uses.
+// The map requests tiles with CORS, so only real 200 responses are kept: browsers pad
+// every opaque response by megabytes against the storage quota.
+registerRoute(
+  ({ url }) => isTileRequest(url.href),
+  new CacheFirst({
+    cacheName: TILE_CACHE,
+    plugins: [
+      { cacheKeyWillBeUsed: async ({ request }) => tileCacheKey(request.url) },
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 50000, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+// Other same-origin static files (icons, manifest, images in public/)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.match(/\.(png|ico|json|svg)$/),
+  new StaleWhileRevalidate({ cacheName: "static-assets" })
+);
+
+// Lets the page activate a freshly installed version without closing every tab
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,12 @@
+// Catalogue events for tests, shaped like parsed USGS features. Every field has a
+// default, a moderate Afar earthquake; other properties (url, felt, provider, ...)
+// are passed through.
+export const testEvent = ({
+  time = Date.parse("2024-03-15T04:12:33Z"), mag = 4.6, magType = "mb", status = "reviewed",
+  place = "45 km NE of Semera, Ethiopia", region = "Afar", lat = 11.6, lon = 41.0, depth = 10,
+  id = `us-${time}-${mag}`, ...properties
+} = {}) => ({
+  id,
+  properties: { time, mag, magType, status, place, region, ...properties },
+  geometry: { type: "Point", coordinates: [lon, lat, depth] }
+});
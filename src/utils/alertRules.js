@@ -0,0 +1,197 @@
+import { distanceKm } from "./geo";
+import { isPointInArea } from "./areas";
+import { loadJSON, saveJSON } from "./storage";
+import { locationText } from "./gazetteer";
+import { englishT } from "./i18n";
+
+const RULES_KEY = "alertRules";
+const PLACES_KEY = "savedPlaces";
+const HISTORY_KEY = "alertHistory";
+const LAST_FIRED_KEY = "alertLastFired";
+
+// Oldest entries are dropped once the history grows past this
+export const MAX_HISTORY = 200;
+
+// Only events this recent can trigger an alert, so a resync never replays old events
+export const ALERT_WINDOW_MS = 60 * 60 * 1000;
+
+export const CHANNELS = ["sound", "speech", "toast", "notification"];
+
+// A rule looks like:
+//   { id, name, enabled, minMag, maxDepth, region, areaId,
+//     placeId, maxDistanceKm, channels: { sound, speech, toast, notification },
+//     quietHours: { enabled, start: "HH:MM", end: "HH:MM" }, cooldownMinutes }
+// Empty criteria (null / "") match every event.
+export const createRule = (overrides = {}) => ({
+  id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  name: "New rule",
+  enabled: true,
+  minMag: null,
+  maxDepth: null,
+  region: null,
+  areaId: null,
+  placeId: null,
+  maxDistanceKm: null,
+  channels: { sound: true, speech: true, toast: true, notification: false },
+  quietHours: { enabled: false, start: "22:00", end: "06:00" },
+  cooldownMinutes: 0,
+  ...overrides
+});
+
+// Same behaviour as the original dashboard: every new event, sound + speech + on screen
+export const DEFAULT_RULES = [
+  createRule({ id: "rule-default", name: "Any new earthquake" })
+];
+
+export const loadRules = () => {
+  const rules = loadJSON(RULES_KEY, null);
+  return Array.isArray(rules) ? rules : DEFAULT_RULES;
+};
+export const saveRules = (rules) => saveJSON(RULES_KEY, rules);
+
+export const loadPlaces = () => loadJSON(PLACES_KEY, []);
+export const savePlaces = (places) => saveJSON(PLACES_KEY, places);
+
+export const loadAlertHistory = () => loadJSON(HISTORY_KEY, []);
+export const saveAlertHistory = (history) => saveJSON(HISTORY_KEY, history.slice(0, MAX_HISTORY));
+
+export const loadLastFired = () => loadJSON(LAST_FIRED_KEY, {});
+export const saveLastFired = (lastFired) => saveJSON(LAST_FIRED_KEY, lastFired);
+
+const isSet = (value) => value !== null && value !== undefined && value !== "";
+
+export const eventMatchesRule = (event, rule, { areas = [], places = [] } = {}) => {
+  const [lon, lat, depth] = event.geometry.coordinates;
+  const mag = event.properties.mag;
+
+  if (isSet(rule.minMag) && !(mag >= Number(rule.minMag))) return false;
+  if (isSet(rule.maxDepth) && !(depth <= Number(rule.maxDepth))) return false;
+  if (isSet(rule.region) && event.properties.region !== rule.region) return false;
+
+  if (isSet(rule.areaId)) {
+    const area = areas.find(a => a.id === rule.areaId);
+    // A rule pointing at a deleted area never matches rather than matching everywhere
+    if (!area || !isPointInArea(lon, lat, area)) return false;
+  }
+
+  if (isSet(rule.placeId) && isSet(rule.maxDistanceKm)) {
+    const place = places.find(p => p.id === rule.placeId);
+    if (!place || distanceKm(lat, lon, place.lat, place.lon) > Number(rule.maxDistanceKm)) return false;
+  }
+
+  return true;
+};
+
+const minutesOfDay = (hhmm) => {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+// Quiet hours may wrap past midnight, e.g. 22:00 → 06:00
+export const isInQuietHours = (rule, now = new Date()) => {
+  const quiet = rule.quietHours;
+  if (!quiet || !quiet.enabled) return false;
+  const start = minutesOfDay(quiet.start);
+  const end = minutesOfDay(quiet.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+export const isCoolingDown = (rule, lastFiredAt, now = Date.now()) =>
+  !!lastFiredAt && Number(rule.cooldownMinutes) > 0 &&
+  now - lastFiredAt < Number(rule.cooldownMinutes) * 60 * 1000;
+
+// What an alert keeps of each event, so history survives the event leaving the cache
+export const alertEvent = (event) => ({
+  id: event.id,
+  mag: event.properties.mag,
+  place: event.properties.place,
+  location: locationText(event),
+  lat: event.geometry.coordinates[1],
+  lon: event.geometry.coordinates[0],
+  region: event.properties.region || null,
+  time: event.properties.time,
+  depth: event.geometry.coordinates[2]
+});
+
+// Run every enabled rule over newly seen events. Returns one firing per rule that
+// matched at least one event and is neither in quiet hours nor cooling down, plus
+// the updated last-fired timestamps.
+export const evaluateAlertRules = (events, rules, { areas, places, lastFired = {}, now = Date.now() } = {}) => {
+  const firings = [];
+  const nextLastFired = { ...lastFired };
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const matched = events.filter(event => eventMatchesRule(event, rule, { areas, places }));
+    if (matched.length === 0) return;
+    if (isInQuietHours(rule, new Date(now))) return;
+    if (isCoolingDown(rule, lastFired[rule.id], now)) return;
+
+    nextLastFired[rule.id] = now;
+    firings.push({
+      id: `alert-${now.toString(36)}-${rule.id}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      firedAt: now,
+      channels: CHANNELS.filter(channel => rule.channels?.[channel]),
+      events: matched.map(alertEvent)
+    });
+  });
+
+  return { firings, lastFired: nextLastFired };
+};
+
+// "52 km NNE of Mekele, Ethiopia" -> "Mekele", for alerts saved before events had a location
+export const shortPlaceName = (place) => {
+  let locationName = place || 'Unknown location';
+  if (locationName.includes('of ')) {
+    locationName = locationName.split('of ')[1];
+  }
+  if (locationName.includes(',')) {
+    locationName = locationName.split(',')[0];
+  }
+  return locationName.trim();
+};
+
+// Where an alerted event is, in the language of `t`. Alerts saved before events kept
+// their coordinates fall back to the location worked out when they fired, if any.
+export const alertLocation = (event, t = englishT) => {
+  if (Number.isFinite(event.lat) && Number.isFinite(event.lon)) {
+    return locationText({ geometry: { coordinates: [event.lon, event.lat] }, properties: { place: event.place } }, t);
+  }
+  return event.location || null;
+};
+
+const spokenLocation = (event, t) => alertLocation(event, t) || t("alerts.atPlace", { place: shortPlaceName(event.place) });
+
+const magnitudeText = (mag, t) => (mag !== null && mag !== undefined ? mag.toFixed(1) : t("alerts.unknownMagnitude"));
+
+// Title of a firing: the rule's name, or the translated name of a built-in alert
+export const alertTitle = (firing, t = englishT) =>
+  firing.ruleNameKey ? t(firing.ruleNameKey, { defaultValue: firing.ruleName }) : firing.ruleName;
+
+// Spoken / notification text for a firing in the language of `t`, describing its most
+// recent event unless the firing carries its own message. Built-in alerts name theirs
+// by `messageKey`; a plain `message` is kept for alerts saved before they did.
+export const alertMessage = (firing, t = englishT) => {
+  if (firing.messageKey) {
+    // Sequence alerts, described by their largest event
+    const { largestMag, ...params } = firing.messageParams || {};
+    return t(firing.messageKey, {
+      ...params,
+      location: spokenLocation(firing.events[0], t),
+      magnitudes: typeof largestMag === "number"
+        ? t("alerts.largestMagnitude", { magnitude: largestMag.toFixed(1) })
+        : t("alerts.magnitudesUnknown")
+    });
+  }
+  if (firing.message) return firing.message;
+  const latest = firing.events.reduce((a, b) => (b.time > a.time ? b : a));
+  const message = t("alerts.newEarthquake", { magnitude: magnitudeText(latest.mag, t), location: spokenLocation(latest, t) });
+  return firing.events.length > 1
+    ? `${message} ${t("alerts.moreMatched", { count: firing.events.length - 1, rule: alertTitle(firing, t) })}`
+    : message;
+};
@@ -0,0 +1,111 @@
+import {
+  createRule, eventMatchesRule, isInQuietHours, isCoolingDown, evaluateAlertRules, alertMessage, shortPlaceName
+} from "./alertRules";
+import { tagLocation } from "./locationClassifier";
+import { translator } from "./i18n";
+import usgsFixture from "./providers/__fixtures__/usgs.json";
+
+const [semera, metahara] = usgsFixture.features.slice(0, 2).map(f => tagLocation(f));
+const NOW = metahara.properties.time + 60 * 1000;
+
+// Local times, as quiet hours follow the user's clock
+const at = (hours, minutes = 0) => new Date(2024, 2, 21, hours, minutes);
+
+describe("eventMatchesRule", () => {
+  it("matches every event without criteria", () => {
+    expect(eventMatchesRule(semera, createRule())).toBe(true);
+  });
+
+  it("applies magnitude, depth and region", () => {
+    expect(eventMatchesRule(semera, createRule({ minMag: 4.5 }))).toBe(true);
+    expect(eventMatchesRule(metahara, createRule({ minMag: "4.5" }))).toBe(false);
+    expect(eventMatchesRule(metahara, createRule({ maxDepth: 10 }))).toBe(false);
+    expect(eventMatchesRule(semera, createRule({ region: "Afar" }))).toBe(true);
+    expect(eventMatchesRule(semera, createRule({ region: "Tigray" }))).toBe(false);
+  });
+
+  it("applies the distance from a saved place", () => {
+    const places = [{ id: "place-semera", name: "Semera", lat: 11.79, lon: 41.01 }];
+    expect(eventMatchesRule(semera, createRule({ placeId: "place-semera", maxDistanceKm: 50 }), { places })).toBe(true);
+    expect(eventMatchesRule(metahara, createRule({ placeId: "place-semera", maxDistanceKm: 50 }), { places })).toBe(false);
+  });
+
+  it("never matches a rule pointing at a deleted area or place", () => {
+    expect(eventMatchesRule(semera, createRule({ areaId: "area-gone" }), { areas: [] })).toBe(false);
+    expect(eventMatchesRule(semera, createRule({ placeId: "place-gone", maxDistanceKm: 50 }), { places: [] })).toBe(false);
+  });
+});
+
+describe("isInQuietHours", () => {
+  const quiet = (start, end) => createRule({ quietHours: { enabled: true, start, end } });
+
+  it("handles quiet hours wrapping past midnight", () => {
+    expect(isInQuietHours(quiet("22:00", "06:00"), at(23, 30))).toBe(true);
+    expect(isInQuietHours(quiet("22:00", "06:00"), at(5, 59))).toBe(true);
+    expect(isInQuietHours(quiet("22:00", "06:00"), at(6, 0))).toBe(false);
+    expect(isInQuietHours(quiet("13:00", "14:00"), at(13, 30))).toBe(true);
+  });
+
+  it("is never quiet when disabled or empty", () => {
+    expect(isInQuietHours(createRule(), at(23))).toBe(false);
+    expect(isInQuietHours(quiet("22:00", "22:00"), at(22))).toBe(false);
+  });
+});
+
+describe("isCoolingDown", () => {
+  it("waits the cooldown after the last firing", () => {
+    const rule = createRule({ cooldownMinutes: 30 });
+    expect(isCoolingDown(rule, NOW - 10 * 60 * 1000, NOW)).toBe(true);
+    expect(isCoolingDown(rule, NOW - 31 * 60 * 1000, NOW)).toBe(false);
+    expect(isCoolingDown(rule, undefined, NOW)).toBe(false);
+    expect(isCoolingDown(createRule(), NOW, NOW)).toBe(false);
+  });
+});
+
+describe("evaluateAlertRules", () => {
+  it("fires each matching rule once with its matched events and channels", () => {
+    const rules = [
+      createRule({ id: "rule-any", name: "Any" }),
+      createRule({ id: "rule-big", name: "Big", minMag: 4.5, channels: { toast: true } }),
+      createRule({ id: "rule-off", enabled: false }),
+      createRule({ id: "rule-huge", minMag: 6 })
+    ];
+    const { firings, lastFired } = evaluateAlertRules([semera, metahara], rules, { now: NOW });
+    expect(firings.map(firing => firing.ruleId)).toEqual(["rule-any", "rule-big"]);
+    expect(firings[0].events.map(e => e.id)).toEqual(["us7000m1ab", "us7000m2cd"]);
+    expect(firings[0].channels).toEqual(["sound", "speech", "toast"]);
+    expect(firings[1].channels).toEqual(["toast"]);
+    expect(lastFired).toEqual({ "rule-any": NOW, "rule-big": NOW });
+  });
+
+  it("holds back rules that are cooling down", () => {
+    const rules = [createRule({ id: "rule-any", cooldownMinutes: 15 })];
+    const { firings, lastFired } = evaluateAlertRules([metahara], rules, { now: NOW, lastFired: { "rule-any": NOW - 60 * 1000 } });
+    expect(firings).toEqual([]);
+    expect(lastFired).toEqual({ "rule-any": NOW - 60 * 1000 });
+  });
+});
+
+describe("alertMessage", () => {
+  it("describes the latest event and how many more matched", () => {
+    const { firings } = evaluateAlertRules([semera, metahara], [createRule({ name: "Any" })], { now: NOW });
+    expect(alertMessage(firings[0])).toBe(
+      "New earthquake detected. Magnitude 4.2, 85 km ENE of Adama (143 km ESE of Addis Ababa). 1 more matched Any.");
+  });
+
+  it("words the message in the language asked for", () => {
+    const { firings } = evaluateAlertRules([semera], [createRule({ name: "Any" })], { now: NOW });
+    expect(alertMessage(firings[0], translator("am"))).toBe(
+      "አዲስ የመሬት መንቀጥቀጥ ተመዝግቧል። መጠን 4.6፣ ከLogia በደቡብ 14 ኪ.ሜ (ከSemera በደቡብ 21 ኪ.ሜ)።");
+  });
+
+  it("prefers a firing's own message", () => {
+    expect(alertMessage({ message: "New earthquake sequence.", events: [] })).toBe("New earthquake sequence.");
+  });
+
+  it("falls back to the place text for alerts saved before events had a location", () => {
+    const firing = { ruleName: "Any", events: [{ mag: null, place: "52 km NNE of Mekele, Ethiopia", time: 0 }] };
+    expect(alertMessage(firing)).toBe("New earthquake detected. Magnitude unknown, at Mekele.");
+    expect(shortPlaceName(null)).toBe("Unknown location");
+  });
+});
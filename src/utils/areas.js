@@ -0,0 +1,54 @@
+import { distanceKm, pointInGeometry } from "./geo";
+import { loadJSON, saveJSON } from "./storage";
+
+const STORAGE_KEY = "areas";
+
+// Saved areas of interest look like:
+//   { id, name, type: "polygon" | "rectangle", active, geometry }   (GeoJSON Polygon)
+//   { id, name, type: "circle", active, center: [lat, lng], radius } (radius in metres)
+
+export const loadAreas = () => {
+  const areas = loadJSON(STORAGE_KEY, []);
+  return Array.isArray(areas) ? areas : [];
+};
+
+export const saveAreas = (areas) => saveJSON(STORAGE_KEY, areas);
+
+export const createAreaId = () =>
+  `area-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Build an area record from a layer drawn with leaflet-draw
+export const areaFromLayer = (layer, type, name) => {
+  const base = { id: layer.areaId || createAreaId(), name, type, active: true };
+  if (type === "circle") {
+    const { lat, lng } = layer.getLatLng();
+    return { ...base, center: [lat, lng], radius: layer.getRadius() };
+  }
+  return { ...base, geometry: layer.toGeoJSON().geometry };
+};
+
+// Refresh the shape of an existing area after it was edited on the map
+export const updateAreaFromLayer = (area, layer) => {
+  if (area.type === "circle") {
+    const { lat, lng } = layer.getLatLng();
+    return { ...area, center: [lat, lng], radius: layer.getRadius() };
+  }
+  return { ...area, geometry: layer.toGeoJSON().geometry };
+};
+
+export const isPointInArea = (lon, lat, area) => {
+  if (area.type === "circle") {
+    const [centerLat, centerLng] = area.center;
+    return distanceKm(lat, lon, centerLat, centerLng) * 1000 <= area.radius;
+  }
+  return pointInGeometry(lon, lat, area.geometry);
+};
+
+// Keep earthquakes that fall inside at least one of the given areas
+export const filterByAreas = (earthquakes, areas) => {
+  if (!areas.length) return earthquakes;
+  return earthquakes.filter(eq => {
+    const [lon, lat] = eq.geometry.coordinates;
+    return areas.some(area => isPointInArea(lon, lat, area));
+  });
+};
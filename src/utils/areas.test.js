@@ -0,0 +1,88 @@
+import { isPointInArea, filterByAreas, areaFromLayer, updateAreaFromLayer } from "./areas";
+import { distanceKm } from "./geo";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const rectangle = (west, south, east, north, id = "rect") => ({
+  id, name: id, type: "rectangle", active: true,
+  geometry: { type: "Polygon", coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] }
+});
+
+// A triangle over the Afar depression
+const polygon = {
+  id: "afar", name: "Afar", type: "polygon", active: true,
+  geometry: { type: "Polygon", coordinates: [[[40.0, 11.0], [42.0, 11.0], [41.0, 13.0], [40.0, 11.0]]] }
+};
+
+// 50 km around Semera
+const circle = { id: "semera", name: "Semera", type: "circle", active: true, center: [11.79, 41.01], radius: 50000 };
+
+describe("isPointInArea", () => {
+  it("tests polygons", () => {
+    expect(isPointInArea(41.0, 11.5, polygon)).toBe(true);
+    expect(isPointInArea(40.2, 12.5, polygon)).toBe(false);
+  });
+
+  it("tests rectangles", () => {
+    const addis = rectangle(38.6, 8.9, 38.9, 9.1);
+    expect(isPointInArea(38.74, 9.03, addis)).toBe(true);
+    expect(isPointInArea(39.27, 8.54, addis)).toBe(false);
+  });
+
+  it("tests circles by great-circle distance, including the rim", () => {
+    expect(isPointInArea(41.01, 11.79, circle)).toBe(true);
+    expect(isPointInArea(41.01, 12.2, circle)).toBe(true);
+    expect(isPointInArea(41.01, 12.3, circle)).toBe(false);
+
+    const rimLat = 11.79 + 0.4;
+    const onRim = { ...circle, radius: distanceKm(rimLat, 41.01, 11.79, 41.01) * 1000 };
+    expect(isPointInArea(41.01, rimLat, onRim)).toBe(true);
+  });
+
+  it("counts a point on an edge shared by two rectangles in exactly one of them", () => {
+    const west = rectangle(38, 8, 39, 9, "west");
+    const east = rectangle(39, 8, 40, 9, "east");
+    expect([west, east].filter(area => isPointInArea(39, 8.5, area))).toHaveLength(1);
+
+    const south = rectangle(38, 8, 39, 9, "south");
+    const north = rectangle(38, 9, 39, 10, "north");
+    expect([south, north].filter(area => isPointInArea(38.5, 9, area))).toHaveLength(1);
+  });
+});
+
+describe("filterByAreas", () => {
+  const inCircle = testEvent({ id: "semera", lat: 11.79, lon: 41.01 });
+  const inRectangle = testEvent({ id: "addis", lat: 9.03, lon: 38.74 });
+  const outside = testEvent({ id: "gambela", lat: 8.25, lon: 34.59 });
+  const events = [inCircle, inRectangle, outside];
+
+  it("keeps events inside any of the areas", () => {
+    expect(filterByAreas(events, [circle, rectangle(38.6, 8.9, 38.9, 9.1)])).toEqual([inCircle, inRectangle]);
+  });
+
+  it("keeps every event without areas", () => {
+    expect(filterByAreas(events, [])).toBe(events);
+  });
+});
+
+describe("areaFromLayer", () => {
+  it("records circles by centre and radius", () => {
+    const layer = { getLatLng: () => ({ lat: 11.79, lng: 41.01 }), getRadius: () => 50000 };
+    expect(areaFromLayer(layer, "circle", "Semera")).toMatchObject({
+      name: "Semera", type: "circle", active: true, center: [11.79, 41.01], radius: 50000
+    });
+  });
+
+  it("records other shapes by their GeoJSON geometry and keeps a layer's id", () => {
+    const layer = { areaId: "area-1", toGeoJSON: () => ({ geometry: polygon.geometry }) };
+    expect(areaFromLayer(layer, "polygon", "Afar")).toEqual({
+      id: "area-1", name: "Afar", type: "polygon", active: true, geometry: polygon.geometry
+    });
+  });
+
+  it("updates the shape of an edited area and nothing else", () => {
+    const layer = { getLatLng: () => ({ lat: 12, lng: 41 }), getRadius: () => 20000 };
+    expect(updateAreaFromLayer({ ...circle, active: false }, layer)).toEqual({
+      ...circle, active: false, center: [12, 41], radius: 20000
+    });
+  });
+});
@@ -0,0 +1,257 @@
+import { classifyLocation, tagLocation } from "./locationClassifier";
+import { matchEvents, MATCH_TIME_TOLERANCE_MS } from "./eventMatching";
+import { getCacheMeta, setCacheMeta } from "./eventCache";
+import { UNKNOWN_STATUS } from "./filters";
+
+const STORAGE_KEY = "importedCatalogues";
+
+export const CATALOGUE_COLORS = ["#4fc3f7", "#ba68c8", "#81c784", "#f06292", "#ffb74d", "#4db6ac"];
+
+// Target fields for CSV column mapping, with header names that usually hold them
+export const CSV_COLUMNS = [
+  { id: "time", label: "Origin time", required: true, aliases: ["time", "datetime", "origintime", "eventtime", "timestamp", "dateandtime", "datetimeutc", "timeutc", "utc"] },
+  { id: "date", label: "Date (if time is a separate column)", aliases: ["date", "eventdate", "origindate"] },
+  { id: "latitude", label: "Latitude", required: true, aliases: ["latitude", "lat", "y"] },
+  { id: "longitude", label: "Longitude", required: true, aliases: ["longitude", "lon", "long", "lng", "x"] },
+  { id: "depth", label: "Depth (km)", aliases: ["depth", "depthkm", "dep"] },
+  { id: "mag", label: "Magnitude", aliases: ["mag", "magnitude", "ml", "mb", "mw", "m"] },
+  { id: "magType", label: "Magnitude type", aliases: ["magtype", "magnitudetype"] },
+  { id: "place", label: "Place", aliases: ["place", "location", "locality", "description", "epicenter"] },
+  { id: "id", label: "Event ID", aliases: ["id", "eventid", "evid", "event"] }
+];
+
+export const createCatalogueId = () =>
+  `cat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const detectFormat = (filename, text) => {
+  const extension = filename.toLowerCase().split(".").pop();
+  if (["csv", "txt", "tsv"].includes(extension)) return "csv";
+  if (["geojson", "json"].includes(extension)) return "geojson";
+  if (["xml", "qml", "quakeml"].includes(extension)) return "quakeml";
+  const start = text.trimStart()[0];
+  if (start === "{" || start === "[") return "geojson";
+  if (start === "<") return "quakeml";
+  return "csv";
+};
+
+// RFC 4180 parser; the delimiter (comma, semicolon or tab) is taken from the header line
+export const parseCsv = (text) => {
+  const clean = text.replace(/^\uFEFF/, "");
+  const headerLine = clean.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ",");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < clean.length; i++) {
+    const char = clean[i];
+    if (inQuotes) {
+      if (char === '"' && clean[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && clean[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ""));
+  return {
+    headers: (nonEmpty[0] || []).map(header => header.trim()),
+    rows: nonEmpty.slice(1)
+  };
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Best guess of which column holds each field: { fieldId: columnIndex | null }
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  CSV_COLUMNS.forEach(column => {
+    const index = normalized.findIndex(header => column.aliases.includes(header));
+    mapping[column.id] = index === -1 ? null : index;
+  });
+  // A lone "date" column holding full timestamps is the time column
+  if (mapping.time === null && mapping.date !== null) {
+    mapping.time = mapping.date;
+    mapping.date = null;
+  }
+  return mapping;
+};
+
+// Epoch milliseconds from a timestamp string or number. Epoch values below 1e11 are
+// taken as seconds; times without a zone are taken as UTC.
+export const parseTime = (value) => {
+  if (typeof value === "number") return value < 1e11 ? value * 1000 : value;
+  const text = String(value ?? "").trim();
+  if (text === "") return NaN;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return parseTime(parseFloat(text));
+  let iso = text.replace(/^(\d{4})\/(\d{1,2})\/(\d{1,2})/, (_, y, m, d) => `${y}-${m.padStart(2, "0")}-${d.padStart(2, "0")}`);
+  iso = iso.replace(/^(\d{4}-\d{2}-\d{2})[ T]+/, "$1T");
+  if (/T\d/.test(iso) && !/(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) iso += "Z";
+  return Date.parse(iso);
+};
+
+const parseNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = typeof value === "number" ? value : parseFloat(String(value).replace(",", "."));
+  return isNaN(number) ? null : number;
+};
+
+// Build a USGS-shaped feature tagged with its catalogue and Ethiopian region, or null
+// when time or position is unusable
+const toFeature = (catalogueId, index, { id, time, latitude, longitude, depth, mag, magType, place }) => {
+  const parsedTime = parseTime(time);
+  const lat = parseNumber(latitude);
+  const lon = parseNumber(longitude);
+  if (isNaN(parsedTime) || lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  const sourceId = id ? String(id) : String(index + 1);
+  const feature = {
+    type: "Feature",
+    id: `${catalogueId}:${sourceId}`,
+    properties: {
+      time: parsedTime,
+      mag: parseNumber(mag),
+      magType: magType || null,
+      place: place || null,
+      // Other agencies' catalogues carry no USGS review status, so a reviewed or
+      // automatic filter leaves these out
+      status: UNKNOWN_STATUS,
+      catalogue: catalogueId,
+      sourceId
+    },
+    geometry: { type: "Point", coordinates: [lon, lat, parseNumber(depth)] }
+  };
+  return tagLocation(feature, classifyLocation(feature));
+};
+
+const collect = (catalogueId, records) => {
+  const events = [];
+  let skipped = 0;
+  records.forEach((record, index) => {
+    const feature = toFeature(catalogueId, index, record);
+    if (feature) events.push(feature);
+    else skipped++;
+  });
+  return { events, skipped };
+};
+
+export const eventsFromCsv = ({ rows }, mapping, catalogueId) => {
+  const cell = (row, field) => (mapping[field] === null || mapping[field] === undefined ? null : row[mapping[field]]?.trim());
+  return collect(catalogueId, rows.map(row => ({
+    id: cell(row, "id"),
+    time: mapping.date !== null && mapping.date !== undefined
+      ? `${cell(row, "date")} ${cell(row, "time")}`
+      : cell(row, "time"),
+    latitude: cell(row, "latitude"),
+    longitude: cell(row, "longitude"),
+    depth: cell(row, "depth"),
+    mag: cell(row, "mag"),
+    magType: cell(row, "magType"),
+    place: cell(row, "place")
+  })));
+};
+
+export const eventsFromGeoJson = (text, catalogueId) => {
+  const data = JSON.parse(text);
+  const features = Array.isArray(data) ? data : data.type === "FeatureCollection" ? data.features : [data];
+  return collect(catalogueId, features.map(feature => {
+    const props = feature?.properties || {};
+    const coordinates = feature?.geometry?.type === "Point" ? feature.geometry.coordinates : [];
+    return {
+      id: feature?.id ?? props.id,
+      time: props.time ?? props.datetime ?? props.date,
+      latitude: coordinates[1],
+      longitude: coordinates[0],
+      depth: coordinates[2] ?? props.depth,
+      mag: props.mag ?? props.magnitude,
+      magType: props.magType,
+      place: props.place ?? props.name ?? props.location
+    };
+  }));
+};
+
+// Direct children of a QuakeML element by local name, ignoring namespaces
+const children = (element, name) =>
+  element ? Array.from(element.children).filter(child => child.localName === name) : [];
+
+const childText = (element, ...path) => {
+  let current = element;
+  for (const name of path) {
+    current = children(current, name)[0];
+    if (!current) return null;
+  }
+  return current.textContent.trim();
+};
+
+// Preferred origin and magnitude of each QuakeML event, falling back to the first ones
+export const eventsFromQuakeMl = (text, catalogueId) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("Not a valid XML file");
+  const events = Array.from(doc.getElementsByTagNameNS("*", "event"));
+  return collect(catalogueId, events.map(event => {
+    const preferred = (name, idElement) => {
+      const id = childText(event, idElement);
+      const candidates = children(event, name);
+      return candidates.find(el => el.getAttribute("publicID") === id) || candidates[0];
+    };
+    const origin = preferred("origin", "preferredOriginID");
+    const magnitude = preferred("magnitude", "preferredMagnitudeID");
+    const depthMetres = parseNumber(childText(origin, "depth", "value"));
+    return {
+      id: event.getAttribute("publicID"),
+      time: childText(origin, "time", "value"),
+      latitude: childText(origin, "latitude", "value"),
+      longitude: childText(origin, "longitude", "value"),
+      depth: depthMetres === null ? null : depthMetres / 1000,
+      mag: childText(magnitude, "mag", "value"),
+      magType: childText(magnitude, "type"),
+      place: childText(event, "description", "text")
+    };
+  }));
+};
+
+const timeSpan = (events) => events.reduce(
+  (span, eq) => ({ start: Math.min(span.start, eq.properties.time), end: Math.max(span.end, eq.properties.time) }),
+  { start: Infinity, end: -Infinity }
+);
+
+// Compare two catalogues over the period both cover, so events outside one
+// catalogue's time range don't count as missing from it
+export const compareCatalogues = (listA, listB, options) => {
+  const spanA = timeSpan(listA);
+  const spanB = timeSpan(listB);
+  const start = Math.max(spanA.start, spanB.start);
+  const end = Math.min(spanA.end, spanB.end);
+  if (!(end >= start)) return { start: null, end: null, matches: [], onlyA: [], onlyB: [] };
+  // Pad by the tolerance so a pair straddling the edge of the period still matches
+  const padding = options?.timeToleranceMs ?? MATCH_TIME_TOLERANCE_MS;
+  const inSpan = (eq) => eq.properties.time >= start - padding && eq.properties.time <= end + padding;
+  return { start, end, ...matchEvents(listA.filter(inSpan), listB.filter(inSpan), options) };
+};
+
+export const loadImportedCatalogues = async () => (await getCacheMeta(STORAGE_KEY)) || [];
+
+export const saveImportedCatalogues = (catalogues) => setCacheMeta(STORAGE_KEY, catalogues);
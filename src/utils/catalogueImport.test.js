@@ -0,0 +1,177 @@
+import {
+  parseCsv, guessColumnMapping, parseTime, eventsFromCsv, eventsFromGeoJson, eventsFromQuakeMl,
+  compareCatalogues, detectFormat
+} from "./catalogueImport";
+import { defaultFilters, filterEvents } from "./filters";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("parseCsv", () => {
+  it("handles quoted fields with delimiters, doubled quotes and line breaks", () => {
+    const { headers, rows } = parseCsv('time,place,mag\n2024-03-15,"Semera, ""Afar""\nEthiopia",4.6\n');
+    expect(headers).toEqual(["time", "place", "mag"]);
+    expect(rows).toEqual([["2024-03-15", 'Semera, "Afar"\nEthiopia', "4.6"]]);
+  });
+
+  it("takes the delimiter from the header line", () => {
+    expect(parseCsv("time;lat;lon\n2024-03-15;11,6;41,0").rows).toEqual([["2024-03-15", "11,6", "41,0"]]);
+    expect(parseCsv("time\tlat\tlon\n2024-03-15\t11.6\t41.0").rows).toEqual([["2024-03-15", "11.6", "41.0"]]);
+  });
+
+  it("strips a byte order mark and reads CRLF line ends, skipping blank lines", () => {
+    const { headers, rows } = parseCsv("\uFEFFtime,mag\r\n2024-03-15,4.6\r\n\r\n2024-03-16,3.1\r\n");
+    expect(headers).toEqual(["time", "mag"]);
+    expect(rows).toEqual([["2024-03-15", "4.6"], ["2024-03-16", "3.1"]]);
+  });
+});
+
+describe("guessColumnMapping", () => {
+  it("matches header names loosely", () => {
+    const mapping = guessColumnMapping(["Event ID", "Origin Time (UTC)", "Lat", "Long", "Depth_km", "ML", "Location"]);
+    expect(mapping).toMatchObject({ id: 0, latitude: 2, longitude: 3, depth: 4, mag: 5, place: 6, date: null, magType: null });
+  });
+
+  it("uses a lone date column as the time", () => {
+    expect(guessColumnMapping(["Date", "Latitude", "Longitude"])).toMatchObject({ time: 0, date: null });
+    expect(guessColumnMapping(["Date", "Time", "Latitude", "Longitude"])).toMatchObject({ time: 1, date: 0 });
+  });
+});
+
+describe("parseTime", () => {
+  it("reads epoch seconds and milliseconds", () => {
+    expect(parseTime(1710476000)).toBe(1710476000000);
+    expect(parseTime(1710476000000)).toBe(1710476000000);
+    expect(parseTime("1710476000.5")).toBe(1710476000500);
+  });
+
+  it("takes times without a zone as UTC", () => {
+    expect(parseTime("2024-03-15 04:12:33")).toBe(Date.parse("2024-03-15T04:12:33Z"));
+    expect(parseTime("2024-03-15T04:12:33+03:00")).toBe(Date.parse("2024-03-15T01:12:33Z"));
+  });
+
+  it("reads YYYY/MM/DD dates", () => {
+    expect(parseTime("2024/3/5 04:12")).toBe(Date.parse("2024-03-05T04:12:00Z"));
+  });
+
+  it("is NaN for empty or unreadable values", () => {
+    expect(parseTime("")).toBeNaN();
+    expect(parseTime(null)).toBeNaN();
+    expect(parseTime("yesterday")).toBeNaN();
+  });
+});
+
+describe("eventsFromCsv", () => {
+  it("builds tagged features from mapped columns and counts unusable rows", () => {
+    const csv = parseCsv("date,time,lat,lon,depth,mag\n2024-03-15,04:12:33,11.6,41.0,10,\"4,6\"\n2024-03-16,01:00:00,,41.0,5,3\n");
+    const { events, skipped } = eventsFromCsv(csv, guessColumnMapping(csv.headers), "cat-1");
+    expect(skipped).toBe(1);
+    expect(events).toHaveLength(1);
+    expect(events[0].id).toBe("cat-1:1");
+    expect(events[0].properties).toMatchObject({ time: Date.parse("2024-03-15T04:12:33Z"), mag: 4.6, catalogue: "cat-1", region: "Afar" });
+    expect(events[0].geometry.coordinates).toEqual([41.0, 11.6, 10]);
+  });
+
+  it("keeps imported events out of a reviewed filter", () => {
+    const csv = parseCsv("time,lat,lon,mag\n2024-03-15T04:12:33Z,11.6,41.0,4.6\n");
+    const { events } = eventsFromCsv(csv, guessColumnMapping(csv.headers), "cat-1");
+    const filters = { ...defaultFilters(), startDate: "2024-03-01", endDate: "2024-03-31" };
+    expect(events[0].properties.status).toBe("unknown");
+    expect(filterEvents(events, { ...filters, status: "reviewed" })).toHaveLength(0);
+    expect(filterEvents(events, { ...filters, status: "unknown" })).toHaveLength(1);
+  });
+});
+
+describe("eventsFromGeoJson", () => {
+  it("reads a feature collection with USGS-style properties", () => {
+    const text = JSON.stringify({
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", id: "ev1", properties: { time: 1710476000000, mag: 4.2, place: "Afar" }, geometry: { type: "Point", coordinates: [41.0, 11.6, 8] } },
+        { type: "Feature", id: "ev2", properties: { time: 1710476000000 }, geometry: null }
+      ]
+    });
+    const { events, skipped } = eventsFromGeoJson(text, "cat-2");
+    expect(skipped).toBe(1);
+    expect(events[0]).toMatchObject({ id: "cat-2:ev1", properties: { mag: 4.2, sourceId: "ev1" } });
+  });
+});
+
+describe("eventsFromQuakeMl", () => {
+  const quakeMl = `<?xml version="1.0" encoding="UTF-8"?>
+<q:quakeml xmlns:q="http://quakeml.org/xmlns/quakeml/1.2" xmlns="http://quakeml.org/xmlns/bed/1.2">
+  <eventParameters publicID="smi:test/parameters">
+    <event publicID="smi:test/event/1">
+      <preferredOriginID>smi:test/origin/b</preferredOriginID>
+      <preferredMagnitudeID>smi:test/magnitude/b</preferredMagnitudeID>
+      <description><text>Afar, Ethiopia</text></description>
+      <origin publicID="smi:test/origin/a">
+        <time><value>2024-03-15T04:00:00Z</value></time>
+        <latitude><value>9.0</value></latitude><longitude><value>38.7</value></longitude>
+        <depth><value>99000</value></depth>
+      </origin>
+      <origin publicID="smi:test/origin/b">
+        <time><value>2024-03-15T04:12:33.500Z</value></time>
+        <latitude><value>11.6</value></latitude><longitude><value>41.0</value></longitude>
+        <depth><value>12500</value></depth>
+      </origin>
+      <magnitude publicID="smi:test/magnitude/a"><mag><value>3.9</value></mag><type>ML</type></magnitude>
+      <magnitude publicID="smi:test/magnitude/b"><mag><value>4.6</value></mag><type>mb</type></magnitude>
+    </event>
+    <event publicID="smi:test/event/2">
+      <origin publicID="smi:test/origin/c">
+        <time><value>2024-03-16T01:00:00Z</value></time>
+        <latitude><value>13.5</value></latitude><longitude><value>39.5</value></longitude>
+      </origin>
+    </event>
+  </eventParameters>
+</q:quakeml>`;
+
+  it("uses the preferred origin and magnitude, with depth converted from metres", () => {
+    const { events, skipped } = eventsFromQuakeMl(quakeMl, "cat-3");
+    expect(skipped).toBe(0);
+    expect(events[0].id).toBe("cat-3:smi:test/event/1");
+    expect(events[0].properties).toMatchObject({ time: Date.parse("2024-03-15T04:12:33.500Z"), mag: 4.6, magType: "mb", place: "Afar, Ethiopia" });
+    expect(events[0].geometry.coordinates).toEqual([41.0, 11.6, 12.5]);
+  });
+
+  it("falls back to the first origin and leaves missing values empty", () => {
+    const [, second] = eventsFromQuakeMl(quakeMl, "cat-3").events;
+    expect(second.properties.mag).toBeNull();
+    expect(second.geometry.coordinates).toEqual([39.5, 13.5, null]);
+  });
+
+  it("rejects files that aren't XML", () => {
+    expect(() => eventsFromQuakeMl("<event><unclosed></event>", "cat-3")).toThrow("Not a valid XML file");
+  });
+});
+
+describe("detectFormat", () => {
+  it("goes by extension, then by the first character", () => {
+    expect(detectFormat("events.qml", "")).toBe("quakeml");
+    expect(detectFormat("events", " {\"type\":\"FeatureCollection\"}")).toBe("geojson");
+    expect(detectFormat("events", "time,lat")).toBe("csv");
+  });
+});
+
+describe("compareCatalogues", () => {
+  const start = Date.parse("2024-03-01T00:00:00Z");
+  const event = (id, time, lon = 41.0, lat = 11.6) => testEvent({ id, time, lon, lat });
+
+  it("only compares the period both catalogues cover", () => {
+    const listA = [event("a-early", start), event("a-shared", start + 5 * DAY_MS), event("a-only", start + 6 * DAY_MS)];
+    const listB = [event("b-shared", start + 5 * DAY_MS + 5000, 41.05), event("b-late", start + 9 * DAY_MS)];
+    const result = compareCatalogues(listA, listB);
+    expect(result.start).toBe(start + 5 * DAY_MS + 5000);
+    expect(result.end).toBe(start + 6 * DAY_MS);
+    // a-shared is 5 s before the shared period but within the matching tolerance of it
+    expect(result.matches.map(match => [match.a.id, match.b.id])).toEqual([["a-shared", "b-shared"]]);
+    expect(result.onlyA.map(eq => eq.id)).toEqual(["a-only"]);
+    expect(result.onlyB).toEqual([]);
+  });
+
+  it("is empty when the catalogues don't overlap in time", () => {
+    const result = compareCatalogues([event("a", start)], [event("b", start + DAY_MS)]);
+    expect(result).toEqual({ start: null, end: null, matches: [], onlyA: [], onlyB: [] });
+  });
+});
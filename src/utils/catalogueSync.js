@@ -0,0 +1,129 @@
+import {
+  CATALOGUE_START, DEFAULT_PROVIDER_SETTINGS, getProvider, providerOf, fetchProviderEvents, mergeProviderEvents
+} from "./providers";
+import { classifyLocation, tagLocation } from "./locationClassifier";
+import {
+  isCacheAvailable, loadCachedEvents, mergeCachedEvents,
+  getCacheMeta, setCacheMeta
+} from "./eventCache";
+
+const LAST_SYNC_KEY = "lastSync";
+
+// Re-request a little before the last sync so events updated around it are not missed
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Providers without `updatedafter` re-request the last few days instead, which picks
+// up new events and revised locations but not deletions
+const REFETCH_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// USGS keeps the key it had before other providers were added
+const lastSyncKey = (providerId) => (providerId === "usgs" ? LAST_SYNC_KEY : `${LAST_SYNC_KEY}:${providerId}`);
+
+const isUsableFeature = (f) =>
+  f && f.geometry && f.geometry.coordinates &&
+  f.geometry.coordinates.length === 3 &&
+  f.properties && f.properties.time && f.id;
+
+const sortNewestFirst = (events) =>
+  events.slice().sort((a, b) => b.properties.time - a.properties.time);
+
+// Split a provider response into tagged Ethiopian events and ids that must leave the cache
+export const partitionFeatures = (features) => {
+  const upserts = [];
+  const removedIds = [];
+  features.forEach(f => {
+    if (!f || !f.id) return;
+    if (f.properties?.status === "deleted" || !isUsableFeature(f)) {
+      removedIds.push(f.id);
+      return;
+    }
+    const location = classifyLocation(f);
+    if (location.inEthiopia) {
+      upserts.push(tagLocation(f, location));
+    } else {
+      // An update may have relocated the event outside Ethiopia
+      removedIds.push(f.id);
+    }
+  });
+  return { upserts, removedIds };
+};
+
+// Most recent sync of any of the given providers
+export const getLastSync = async (providerIds = DEFAULT_PROVIDER_SETTINGS.enabled) => {
+  const times = await Promise.all(providerIds.map(id => getCacheMeta(lastSyncKey(id))));
+  const synced = times.filter(time => time !== null);
+  return synced.length > 0 ? Math.max(...synced) : null;
+};
+
+const mergeEnabled = (events, { enabled, authority }) =>
+  sortNewestFirst(mergeProviderEvents(events.filter(eq => enabled.includes(providerOf(eq))), authority));
+
+// Events currently in the local cache, merged across the enabled providers, newest first
+export const loadCatalogue = async (settings = DEFAULT_PROVIDER_SETTINGS) =>
+  mergeEnabled(await loadCachedEvents(), settings);
+
+// Bring one provider's share of the cache up to date. Without a previous sync (or with
+// `full`) its whole catalogue is downloaded again; otherwise only what changed since.
+const syncProvider = async (provider, { bounds, full, fetchImpl }) => {
+  const lastSync = full || !isCacheAvailable() ? null : await getCacheMeta(lastSyncKey(provider.id));
+  const incremental = lastSync !== null;
+
+  const { features, generated } = await fetchProviderEvents(provider, {
+    bounds,
+    starttime: incremental && !provider.supportsUpdatedAfter
+      ? new Date(lastSync - REFETCH_WINDOW_MS).toISOString().slice(0, 10)
+      : CATALOGUE_START,
+    updatedafter: incremental && provider.supportsUpdatedAfter ? lastSync - SYNC_OVERLAP_MS : undefined,
+    includedeleted: incremental
+  }, fetchImpl);
+  const { upserts, removedIds } = partitionFeatures(features);
+
+  if (incremental) {
+    await mergeCachedEvents(upserts, removedIds);
+    await setCacheMeta(lastSyncKey(provider.id), generated);
+  } else {
+    // A full download is still usable when the cache cannot be written
+    try {
+      const fresh = new Set(upserts.map(f => f.id));
+      const stale = (await loadCachedEvents())
+        .filter(f => providerOf(f) === provider.id && !fresh.has(f.id))
+        .map(f => f.id);
+      await mergeCachedEvents(upserts, stale);
+      await setCacheMeta(lastSyncKey(provider.id), generated);
+    } catch (err) {
+      console.error(`Error writing ${provider.label} events to the cache:`, err);
+    }
+  }
+
+  return { provider: provider.id, upserts, incremental, received: features.length, syncedAt: generated };
+};
+
+// Sync every enabled provider and merge their reports. A provider that fails keeps its
+// cached events and is listed in `errors`; the sync only fails when all of them do.
+export const syncCatalogue = async ({ bounds, full = false, settings = DEFAULT_PROVIDER_SETTINGS, fetchImpl }) => {
+  const providers = settings.enabled.map(getProvider).filter(Boolean);
+  const outcomes = await Promise.allSettled(providers.map(provider => syncProvider(provider, { bounds, full, fetchImpl })));
+  const results = outcomes.filter(outcome => outcome.status === "fulfilled").map(outcome => outcome.value);
+  const errors = outcomes
+    .map((outcome, index) => ({ outcome, provider: providers[index] }))
+    .filter(({ outcome }) => outcome.status === "rejected")
+    .map(({ outcome, provider }) => ({ provider: provider.id, message: outcome.reason?.message || String(outcome.reason) }));
+  if (results.length === 0) {
+    throw new Error(errors.map(error => error.message).join("; ") || "No data provider is enabled");
+  }
+
+  // Full downloads are taken from memory in case the cache could not be written
+  const fullDownloads = results.filter(result => !result.incremental);
+  const replaced = new Set(fullDownloads.map(result => result.provider));
+  const cached = (await loadCachedEvents()).filter(f => !replaced.has(providerOf(f)));
+  const events = [...cached, ...fullDownloads.flatMap(result => result.upserts)];
+
+  return {
+    events: mergeEnabled(events, settings),
+    incremental: fullDownloads.length === 0,
+    received: results.reduce((sum, result) => sum + result.received, 0),
+    syncedAt: Math.max(...results.map(result => result.syncedAt)),
+    providers: Object.fromEntries(results.map(result => [result.provider, { syncedAt: result.syncedAt, received: result.received }])),
+    errors
+  };
+};
@@ -0,0 +1,123 @@
+import { syncCatalogue, loadCatalogue, getLastSync, partitionFeatures } from "./catalogueSync";
+import { reportIdsOf } from "./providers";
+import { fixtureFetch } from "./providers/__fixtures__";
+import usgsFixture from "./providers/__fixtures__/usgs.json";
+
+// The IndexedDB cache, kept in memory
+jest.mock("./eventCache", () => {
+  const store = { events: new Map(), meta: new Map() };
+  return {
+    store,
+    isCacheAvailable: () => true,
+    loadCachedEvents: async () => [...store.events.values()],
+    mergeCachedEvents: async (upserts, deletedIds = []) => {
+      upserts.forEach(event => store.events.set(event.id, event));
+      deletedIds.forEach(id => store.events.delete(id));
+    },
+    getCacheMeta: async (key) => (store.meta.has(key) ? store.meta.get(key) : null),
+    setCacheMeta: async (key, value) => {
+      store.meta.set(key, value);
+    }
+  };
+});
+
+const { store } = jest.requireMock("./eventCache");
+
+const BOUNDS = [[3.4, 33], [14.9, 48]];
+const USGS_ONLY = { enabled: ["usgs"], authority: "usgs" };
+
+const paramsOf = (fetchImpl, index = 0) => new URL(fetchImpl.mock.calls[index][0]).searchParams;
+
+beforeEach(() => {
+  store.events.clear();
+  store.meta.clear();
+});
+
+describe("partitionFeatures", () => {
+  it("keeps tagged Ethiopian events and lists deletions for removal", () => {
+    const { upserts, removedIds } = partitionFeatures(usgsFixture.features);
+    expect(upserts.map(f => f.id)).toEqual(["us7000m1ab", "us7000m2cd"]);
+    expect(upserts[0].properties.region).toBe("Afar");
+    expect(removedIds).toEqual(["us7000m1zz"]);
+  });
+});
+
+describe("syncCatalogue", () => {
+  it("downloads the whole catalogue on the first sync", async () => {
+    const fetchImpl = fixtureFetch();
+    const result = await syncCatalogue({ bounds: BOUNDS, settings: USGS_ONLY, fetchImpl });
+
+    expect(paramsOf(fetchImpl).get("starttime")).toBe("2000-01-01");
+    expect(paramsOf(fetchImpl).has("updatedafter")).toBe(false);
+    expect(paramsOf(fetchImpl).has("includedeleted")).toBe(false);
+    expect(result).toMatchObject({ incremental: false, received: 3, syncedAt: 1711102500000, errors: [] });
+    // Newest first
+    expect(result.events.map(eq => eq.id)).toEqual(["us7000m2cd", "us7000m1ab"]);
+    expect([...store.events.keys()].sort()).toEqual(["us7000m1ab", "us7000m2cd"]);
+    expect(await getLastSync()).toBe(1711102500000);
+  });
+
+  it("applies updates, deletions and relocations since the last sync", async () => {
+    await syncCatalogue({ bounds: BOUNDS, settings: USGS_ONLY, fetchImpl: fixtureFetch() });
+    const fetchImpl = fixtureFetch({ "earthquake.usgs.gov": "usgs-update.json" });
+    const result = await syncCatalogue({ bounds: BOUNDS, settings: USGS_ONLY, fetchImpl });
+
+    // A minute of overlap so events updated around the last sync are not missed
+    expect(paramsOf(fetchImpl).get("updatedafter")).toBe("2024-03-22T10:14:00");
+    expect(paramsOf(fetchImpl).get("includedeleted")).toBe("true");
+    expect(result).toMatchObject({ incremental: true, received: 3, syncedAt: 1711188900000 });
+    expect(result.events.map(eq => eq.id)).toEqual(["us7000m1ab"]);
+    expect(result.events[0].properties).toMatchObject({ mag: 4.8, magType: "mww", region: "Afar" });
+    expect(store.events.has("us7000m3ef")).toBe(false);
+    expect(await getLastSync()).toBe(1711188900000);
+  });
+
+  it("downloads everything again when asked for a full sync", async () => {
+    store.events.set("us7000old", { ...usgsFixture.features[0], id: "us7000old" });
+    store.meta.set("lastSync", 1711000000000);
+    const fetchImpl = fixtureFetch();
+    const result = await syncCatalogue({ bounds: BOUNDS, full: true, settings: USGS_ONLY, fetchImpl });
+
+    expect(paramsOf(fetchImpl).has("updatedafter")).toBe(false);
+    expect(result.incremental).toBe(false);
+    // Cached events missing from the full download are gone upstream
+    expect(store.events.has("us7000old")).toBe(false);
+  });
+
+  it("merges the reports of every enabled provider", async () => {
+    const settings = { enabled: ["usgs", "emsc", "geofon", "isc"], authority: "usgs" };
+    const result = await syncCatalogue({ bounds: BOUNDS, settings, fetchImpl: fixtureFetch() });
+
+    // The Gulf of Aden event from EMSC lies outside Ethiopia
+    expect(result.events).toHaveLength(3);
+    expect(reportIdsOf(result.events.find(eq => eq.id === "us7000m1ab"))).toHaveLength(4);
+    expect(result.received).toBe(9);
+    expect(Object.keys(result.providers).sort()).toEqual(["emsc", "geofon", "isc", "usgs"]);
+  });
+
+  it("keeps the other providers when one fails", async () => {
+    const settings = { enabled: ["usgs", "emsc"], authority: "usgs" };
+    const fetchImpl = fixtureFetch({ "earthquake.usgs.gov": "usgs.json", "seismicportal.eu": 500 });
+    const result = await syncCatalogue({ bounds: BOUNDS, settings, fetchImpl });
+
+    expect(result.errors).toEqual([{ provider: "emsc", message: "EMSC request failed with status 500" }]);
+    expect(result.events.map(eq => eq.id)).toEqual(["us7000m2cd", "us7000m1ab"]);
+  });
+
+  it("fails when every provider does", async () => {
+    const fetchImpl = fixtureFetch({ "earthquake.usgs.gov": 503 });
+    await expect(syncCatalogue({ bounds: BOUNDS, settings: USGS_ONLY, fetchImpl }))
+      .rejects.toThrow("USGS request failed with status 503");
+  });
+});
+
+describe("loadCatalogue", () => {
+  it("merges only the enabled providers' cached events", async () => {
+    const settings = { enabled: ["usgs", "emsc"], authority: "usgs" };
+    await syncCatalogue({ bounds: BOUNDS, settings, fetchImpl: fixtureFetch() });
+
+    expect((await loadCatalogue(settings)).map(eq => eq.id)).toEqual(["emsc:20240321_0000012", "us7000m2cd", "us7000m1ab"]);
+    expect((await loadCatalogue({ enabled: ["emsc"], authority: "emsc" })).map(eq => eq.id))
+      .toEqual(["emsc:20240321_0000012", "emsc:20240315_0000047"]);
+  });
+});
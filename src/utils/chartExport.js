@@ -0,0 +1,44 @@
+import { saveAs } from "file-saver";
+
+const serializeSvg = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  // Charts are drawn with width="100%"; give the file the chart's own size
+  const { width, height } = svg.viewBox.baseVal;
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  return new XMLSerializer().serializeToString(clone);
+};
+
+export const exportSvg = (svg, filename) => {
+  const blob = new Blob([serializeSvg(svg)], { type: "image/svg+xml;charset=utf-8" });
+  saveAs(blob, `${filename}.svg`);
+};
+
+// Rasterise the chart through an <img> and a canvas. `scale` sharpens the PNG for
+// print and high-density screens.
+export const exportPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: "image/svg+xml;charset=utf-8" }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error("Could not render chart"));
+        return;
+      }
+      saveAs(blob, `${filename}.png`);
+      resolve();
+    }, "image/png");
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error("Could not render chart"));
+  };
+  image.src = url;
+});
@@ -0,0 +1,3 @@
+// Loaded on demand, as Jest can't parse the import.meta that webpack needs to bundle the
+// worker script
+export const createFilterWorker = () => new Worker(new URL("./filter.worker.js", import.meta.url));
@@ -0,0 +1,121 @@
+import { loadJSON, saveJSON } from "./storage";
+import { toLocalKm, fromLocalKm } from "./geo";
+
+const SETTINGS_KEY = "crossSection";
+
+export const SWATH_WIDTHS_KM = [5, 10, 20, 50, 100];
+
+// Vertical exaggeration of the 3D view; "auto" makes the depth half the map width
+export const EXAGGERATIONS = ["auto", 1, 2, 5, 10, 20];
+
+export const loadCrossSectionSettings = () => ({
+  widthKm: 20,
+  exaggeration: "auto",
+  ...loadJSON(SETTINGS_KEY, {})
+});
+
+export const saveCrossSectionSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+const depthOf = (eq) => {
+  const depth = eq.geometry?.coordinates?.[2];
+  return typeof depth === "number" && !isNaN(depth) ? depth : null;
+};
+
+// Section line ({start: [lat, lon], end: [lat, lon]}) on a flat projection centred on
+// its midpoint: its length, and where a point lies along and across it
+const lineFrame = ({ start, end }) => {
+  const originLat = (start[0] + end[0]) / 2;
+  const originLon = (start[1] + end[1]) / 2;
+  const a = toLocalKm(start[0], start[1], originLat, originLon);
+  const b = toLocalKm(end[0], end[1], originLat, originLon);
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  const ux = length > 0 ? (b.x - a.x) / length : 0;
+  const uy = length > 0 ? (b.y - a.y) / length : 0;
+  return {
+    length,
+    originLat,
+    originLon,
+    a,
+    ux,
+    uy,
+    // Distance from the start along the line, and to its right looking from start to end
+    locate: (lat, lon) => {
+      const p = toLocalKm(lat, lon, originLat, originLon);
+      const dx = p.x - a.x;
+      const dy = p.y - a.y;
+      return { along: dx * ux + dy * uy, offset: dx * uy - dy * ux };
+    }
+  };
+};
+
+export const lineLengthKm = (line) => lineFrame(line).length;
+
+// Events with a depth inside the swath of `widthKm` centred on the line, as
+// [{event, distance, offset, depth}] in km, smallest magnitude first for drawing order
+export const sectionEvents = (events, line, widthKm) => {
+  const frame = lineFrame(line);
+  if (frame.length === 0) return [];
+  const points = [];
+  events.forEach(eq => {
+    const depth = depthOf(eq);
+    if (depth === null) return;
+    const [lon, lat] = eq.geometry.coordinates;
+    const { along, offset } = frame.locate(lat, lon);
+    if (along < 0 || along > frame.length || Math.abs(offset) > widthKm / 2) return;
+    points.push({ event: eq, distance: along, offset, depth });
+  });
+  return points.sort((p, q) => (p.event.properties.mag ?? 0) - (q.event.properties.mag ?? 0));
+};
+
+// Corners of the swath as [lat, lon], for outlining it on the map
+export const swathCorners = (line, widthKm) => {
+  const { a, ux, uy, length, originLat, originLon } = lineFrame(line);
+  const half = widthKm / 2;
+  // Unit normal to the right of the line
+  const nx = uy;
+  const ny = -ux;
+  return [[0, half], [length, half], [length, -half], [0, -half]].map(([along, across]) => {
+    const { lat, lon } = fromLocalKm(a.x + ux * along + nx * across, a.y + uy * along + ny * across, originLat, originLon);
+    return [lat, lon];
+  });
+};
+
+// Hypocentres under the bounds ({south, west, north, east}) in km east and north of
+// their centre and km deep, with the half extents of the box they sit in
+export const hypocentres = (events, bounds) => {
+  const originLat = (bounds.south + bounds.north) / 2;
+  const originLon = (bounds.west + bounds.east) / 2;
+  const corner = toLocalKm(bounds.north, bounds.east, originLat, originLon);
+  const points = [];
+  events.forEach(eq => {
+    const depth = depthOf(eq);
+    if (depth === null) return;
+    const [lon, lat] = eq.geometry.coordinates;
+    if (lat < bounds.south || lat > bounds.north || lon < bounds.west || lon > bounds.east) return;
+    const { x, y } = toLocalKm(lat, lon, originLat, originLon);
+    points.push({ event: eq, x, y, z: Math.max(0, depth) });
+  });
+  return {
+    points,
+    halfWidth: corner.x,
+    halfHeight: corner.y,
+    // A reduce, as spreading tens of thousands of arguments can overflow the stack
+    maxDepth: points.reduce((max, point) => Math.max(max, point.z), 1)
+  };
+};
+
+export const exaggerationFor = (setting, { halfWidth, halfHeight, maxDepth }) =>
+  setting === "auto" ? Math.max(1, Math.max(halfWidth, halfHeight) / maxDepth) : setting;
+
+// Orthographic view of (x east, y north, z down), turned by `yaw` about the vertical and
+// tilted by `pitch` from a side view (0) to straight down (π/2). Returns screen offsets
+// (u right, v down) and `near`, larger for points closer to the viewer.
+export const viewPoint = ({ x, y, z }, yaw, pitch) => {
+  const xr = x * Math.cos(yaw) - y * Math.sin(yaw);
+  const yr = x * Math.sin(yaw) + y * Math.cos(yaw);
+  return {
+    u: xr,
+    v: z * Math.cos(pitch) - yr * Math.sin(pitch),
+    near: -yr * Math.cos(pitch) - z * Math.sin(pitch)
+  };
+};
@@ -0,0 +1,98 @@
+import { sectionEvents, swathCorners, lineLengthKm, hypocentres, exaggerationFor, viewPoint } from "./crossSection";
+import { distanceKm } from "./geo";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const event = (id, lat, lon, depth = 10, mag = 4) => testEvent({ id, lat, lon, depth, mag });
+
+// West to east along 9°N, about 110 km
+const line = { start: [9.0, 39.0], end: [9.0, 40.0] };
+
+describe("sectionEvents", () => {
+  it("keeps events with a depth inside the swath, with their distance along the line", () => {
+    const events = [
+      event("middle", 9.0, 39.5, 15),
+      event("north", 9.05, 39.5),
+      event("far-north", 9.5, 39.5),
+      event("before-start", 9.0, 38.9),
+      event("no-depth", 9.0, 39.5, null)
+    ];
+    const points = sectionEvents(events, line, 20);
+    expect(points.map(point => point.event.id).sort()).toEqual(["middle", "north"]);
+    const middle = points.find(point => point.event.id === "middle");
+    expect(middle.distance).toBeCloseTo(lineLengthKm(line) / 2, 1);
+    expect(middle.depth).toBe(15);
+    // North of a west–east line is on its left
+    expect(points.find(point => point.event.id === "north").offset).toBeLessThan(0);
+  });
+
+  it("orders points from the smallest magnitude up", () => {
+    const points = sectionEvents([event("big", 9.0, 39.2, 10, 5.5), event("small", 9.0, 39.4, 10, 2.1)], line, 10);
+    expect(points.map(point => point.event.id)).toEqual(["small", "big"]);
+  });
+
+  it("is empty for a line of no length", () => {
+    expect(sectionEvents([event("a", 9.0, 39.0)], { start: [9.0, 39.0], end: [9.0, 39.0] }, 10)).toEqual([]);
+  });
+});
+
+describe("lineLengthKm", () => {
+  it("matches the great-circle distance over short lines", () => {
+    expect(lineLengthKm(line)).toBeCloseTo(distanceKm(9.0, 39.0, 9.0, 40.0), 0);
+  });
+});
+
+describe("swathCorners", () => {
+  it("offsets the line ends by half the width either side", () => {
+    // Right of the line first, which is south looking east
+    const [startSouth, endSouth, endNorth, startNorth] = swathCorners(line, 20);
+    expect(distanceKm(startNorth[0], startNorth[1], startSouth[0], startSouth[1])).toBeCloseTo(20, 1);
+    expect(startNorth[0]).toBeGreaterThan(9.0);
+    expect(endSouth[0]).toBeLessThan(9.0);
+    expect(endNorth[1]).toBeCloseTo(40.0, 5);
+  });
+});
+
+describe("hypocentres", () => {
+  const bounds = { south: 8, west: 38, north: 10, east: 40 };
+
+  it("places events under the bounds in km from their centre", () => {
+    const { points, halfWidth, halfHeight, maxDepth } = hypocentres(
+      [event("centre", 9.0, 39.0, 12), event("outside", 11.0, 39.0), event("no-depth", 9.0, 39.0, null)], bounds);
+    expect(points).toHaveLength(1);
+    expect(points[0].x).toBeCloseTo(0);
+    expect(points[0].y).toBeCloseTo(0);
+    expect(points[0].z).toBe(12);
+    expect(halfWidth).toBeCloseTo(109.8, 0);
+    expect(halfHeight).toBeCloseTo(111.2, 0);
+    expect(maxDepth).toBe(12);
+  });
+
+  it("scales depth to half the box width on auto", () => {
+    expect(exaggerationFor("auto", { halfWidth: 100, halfHeight: 50, maxDepth: 20 })).toBe(5);
+    expect(exaggerationFor(2, { halfWidth: 100, halfHeight: 50, maxDepth: 20 })).toBe(2);
+  });
+});
+
+describe("viewPoint", () => {
+  const point = { x: 3, y: 4, z: 5 };
+
+  it("looks straight down at pitch π/2 with north up", () => {
+    const view = viewPoint(point, 0, Math.PI / 2);
+    expect(view.u).toBeCloseTo(3);
+    expect(view.v).toBeCloseTo(-4);
+    expect(viewPoint({ x: 0, y: 0, z: 1 }, 0, Math.PI / 2).near).toBeLessThan(viewPoint({ x: 0, y: 0, z: 0 }, 0, Math.PI / 2).near);
+  });
+
+  it("shows depth downwards from the side at pitch 0", () => {
+    const view = viewPoint(point, 0, 0);
+    expect(view.u).toBeCloseTo(3);
+    expect(view.v).toBeCloseTo(5);
+    expect(view.near).toBeCloseTo(-4);
+  });
+
+  it("turns about the vertical with yaw", () => {
+    const view = viewPoint({ x: 1, y: 0, z: 0 }, Math.PI / 2, Math.PI / 2);
+    expect(view.u).toBeCloseTo(0);
+    expect(view.v).toBeCloseTo(-1);
+  });
+});
@@ -0,0 +1,40 @@
+// Ethiopian (Ge'ez) calendar: twelve months of 30 days and a thirteenth, Pagume, of five
+// days or six before a leap year. The year starts on 11 September (12 September
+// before a Gregorian leap year) and runs seven or eight years behind the Gregorian one.
+
+// Julian day number of the day before 1 Meskerem 1 in the Amete Mihret era
+const ETHIOPIAN_EPOCH = 1723856;
+
+const UNIX_EPOCH_JDN = 2440588;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Julian day number of a Gregorian calendar date
+const gregorianToJdn = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS) + UNIX_EPOCH_JDN;
+
+const jdnToGregorian = (jdn) => {
+  const date = new Date((jdn - UNIX_EPOCH_JDN) * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// { year, month: 1–13, day } for a Gregorian calendar date
+export const gregorianToEthiopian = (year, month, day) => {
+  const jdn = gregorianToJdn(year, month, day);
+  const cycle = Math.floor((jdn - ETHIOPIAN_EPOCH) / 1461);
+  const r = (jdn - ETHIOPIAN_EPOCH) % 1461;
+  const n = (r % 365) + 365 * Math.floor(r / 1460);
+  return {
+    year: 4 * cycle + Math.floor(r / 365) - Math.floor(r / 1460),
+    month: Math.floor(n / 30) + 1,
+    day: (n % 30) + 1
+  };
+};
+
+// Gregorian { year, month, day } for an Ethiopian calendar date
+export const ethiopianToGregorian = (year, month, day) =>
+  jdnToGregorian(ETHIOPIAN_EPOCH + 365 + 365 * (year - 1) + Math.floor(year / 4) + 30 * month + day - 31);
+
+// Ethiopian date of a timestamp, on the local calendar day the browser shows it on
+export const toEthiopianDate = (time) => {
+  const date = new Date(time);
+  return gregorianToEthiopian(date.getFullYear(), date.getMonth() + 1, date.getDate());
+};
@@ -0,0 +1,39 @@
+import { gregorianToEthiopian, ethiopianToGregorian, toEthiopianDate } from "./ethiopianCalendar";
+
+describe("gregorianToEthiopian", () => {
+  it("starts the year on 11 September, or on the 12th before a Gregorian leap year", () => {
+    expect(gregorianToEthiopian(2024, 9, 11)).toEqual({ year: 2017, month: 1, day: 1 });
+    expect(gregorianToEthiopian(2023, 9, 12)).toEqual({ year: 2016, month: 1, day: 1 });
+    expect(gregorianToEthiopian(2023, 9, 11)).toEqual({ year: 2015, month: 13, day: 6 });
+    expect(gregorianToEthiopian(2024, 9, 10)).toEqual({ year: 2016, month: 13, day: 5 });
+  });
+
+  it("converts dates through the year", () => {
+    // Adwa victory day, 23 Yekatit
+    expect(gregorianToEthiopian(2024, 3, 2)).toEqual({ year: 2016, month: 6, day: 23 });
+    // 7 January is 29 Tahsas, or 28 Tahsas in the year after a Pagume 6
+    expect(gregorianToEthiopian(2025, 1, 7)).toEqual({ year: 2017, month: 4, day: 29 });
+    expect(gregorianToEthiopian(2024, 1, 7)).toEqual({ year: 2016, month: 4, day: 28 });
+    expect(gregorianToEthiopian(2024, 3, 15)).toEqual({ year: 2016, month: 7, day: 6 });
+    expect(gregorianToEthiopian(2000, 1, 1)).toEqual({ year: 1992, month: 4, day: 22 });
+  });
+});
+
+describe("ethiopianToGregorian", () => {
+  it("is the inverse of gregorianToEthiopian", () => {
+    expect(ethiopianToGregorian(2017, 1, 1)).toEqual({ year: 2024, month: 9, day: 11 });
+    expect(ethiopianToGregorian(2015, 13, 6)).toEqual({ year: 2023, month: 9, day: 11 });
+    for (let time = Date.UTC(1999, 0, 1); time < Date.UTC(2031, 0, 1); time += 17 * 24 * 60 * 60 * 1000) {
+      const date = new Date(time);
+      const ethiopian = gregorianToEthiopian(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+      expect(ethiopianToGregorian(ethiopian.year, ethiopian.month, ethiopian.day))
+        .toEqual({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+    }
+  });
+});
+
+describe("toEthiopianDate", () => {
+  it("uses the local calendar day", () => {
+    expect(toEthiopianDate(new Date(2024, 2, 15, 23, 30).getTime())).toEqual({ year: 2016, month: 7, day: 6 });
+  });
+});
@@ -0,0 +1,83 @@
+// IndexedDB store for the event catalogue, keyed by event id
+const DB_NAME = "eqdash";
+const DB_VERSION = 1;
+const EVENTS_STORE = "events";
+const META_STORE = "meta";
+
+let dbPromise = null;
+
+export const isCacheAvailable = () =>
+  typeof window !== "undefined" && !!window.indexedDB;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+          db.createObjectStore(EVENTS_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      // Let the next call try again instead of caching the failure
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+export const loadCachedEvents = async () => {
+  if (!isCacheAvailable()) return [];
+  const db = await openDatabase();
+  const tx = db.transaction(EVENTS_STORE, "readonly");
+  return requestToPromise(tx.objectStore(EVENTS_STORE).getAll());
+};
+
+// Upsert updated events and drop deleted ones in a single transaction
+export const mergeCachedEvents = async (upserts, deletedIds = []) => {
+  if (!isCacheAvailable()) return;
+  const db = await openDatabase();
+  const tx = db.transaction(EVENTS_STORE, "readwrite");
+  const store = tx.objectStore(EVENTS_STORE);
+  upserts.forEach(event => store.put(event));
+  deletedIds.forEach(id => store.delete(id));
+  await transactionDone(tx);
+};
+
+export const getCacheMeta = async (key) => {
+  if (!isCacheAvailable()) return null;
+  const db = await openDatabase();
+  const tx = db.transaction(META_STORE, "readonly");
+  const value = await requestToPromise(tx.objectStore(META_STORE).get(key));
+  return value === undefined ? null : value;
+};
+
+export const setCacheMeta = async (key, value) => {
+  if (!isCacheAvailable()) return;
+  const db = await openDatabase();
+  const tx = db.transaction(META_STORE, "readwrite");
+  if (value === null) {
+    tx.objectStore(META_STORE).delete(key);
+  } else {
+    tx.objectStore(META_STORE).put(value, key);
+  }
+  await transactionDone(tx);
+};
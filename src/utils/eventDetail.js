@@ -0,0 +1,126 @@
+import usgs from "./providers/usgs";
+import { providerOf } from "./providers";
+
+// Products linked from the detail panel, in display order, with their USGS event page tab
+export const DETAIL_PRODUCTS = [
+  { type: "shakemap", label: "ShakeMap", page: "shakemap" },
+  { type: "dyfi", label: "Did You Feel It?", page: "dyfi" },
+  { type: "losspager", label: "PAGER", page: "pager" },
+  { type: "moment-tensor", label: "Moment tensor", page: "moment-tensor" },
+  { type: "focal-mechanism", label: "Focal mechanism", page: "focal-mechanism" },
+  { type: "finite-fault", label: "Finite fault", page: "finite-fault" }
+];
+
+// Details already fetched this session, by USGS id
+const detailCache = new Map();
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// USGS id of an event: its own when USGS is the authority, otherwise that of the USGS
+// report merged into it. Null when USGS has not reported the event.
+export const usgsIdOf = (eq) => {
+  if (providerOf(eq) === "usgs") return eq.id;
+  const report = eq.properties?.reports?.find(r => r.provider === "usgs");
+  return report ? report.id : null;
+};
+
+// Every origin's magnitude and every moment tensor's derived magnitude, once per source
+// and type. USGS lists the preferred product of each type first.
+const magnitudeEstimates = (products) => {
+  const estimates = [
+    ...(products.origin || []).map((product, index) => ({
+      source: product.properties?.["magnitude-source"] || product.source,
+      mag: toNumber(product.properties?.magnitude),
+      magType: product.properties?.["magnitude-type"] || null,
+      method: "Origin",
+      preferred: index === 0
+    })),
+    ...(products["moment-tensor"] || []).map(product => ({
+      source: product.source,
+      mag: toNumber(product.properties?.["derived-magnitude"]),
+      magType: product.properties?.["derived-magnitude-type"] || null,
+      method: "Moment tensor",
+      preferred: false
+    }))
+  ];
+  const seen = new Set();
+  return estimates.filter(estimate => {
+    const key = `${estimate.source}:${estimate.magType}:${estimate.mag}`;
+    if (estimate.mag === null || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const nodalPlane = (props, plane) => {
+  const strike = toNumber(props[`nodal-plane-${plane}-strike`]);
+  if (strike === null) return null;
+  return { strike, dip: toNumber(props[`nodal-plane-${plane}-dip`]), rake: toNumber(props[`nodal-plane-${plane}-rake`]) };
+};
+
+// The parts of a USGS detail feature the panel shows. Quantities that were not
+// reported are null.
+export const parseEventDetail = (feature) => {
+  const props = feature.properties || {};
+  const products = props.products || {};
+  const origin = products.origin?.[0]?.properties || {};
+  const tensor = products["moment-tensor"]?.[0];
+
+  return {
+    id: feature.id,
+    title: props.title || null,
+    url: props.url || null,
+    magnitudes: magnitudeEstimates(products),
+    origin: {
+      source: products.origin?.[0]?.source || props.net || null,
+      reviewStatus: origin["review-status"] || props.status || null,
+      horizontalErrorKm: toNumber(origin["horizontal-error"]),
+      depthErrorKm: toNumber(origin["vertical-error"]),
+      depthType: origin["depth-type"] || null,
+      stations: toNumber(origin["num-stations-used"]) ?? toNumber(props.nst),
+      phases: toNumber(origin["num-phases-used"]),
+      gapDegrees: toNumber(origin["azimuthal-gap"]) ?? toNumber(props.gap),
+      minDistanceDegrees: toNumber(origin["minimum-distance"]) ?? toNumber(props.dmin),
+      rmsSeconds: toNumber(origin["standard-error"]) ?? toNumber(props.rms)
+    },
+    flags: {
+      tsunami: props.tsunami === 1,
+      alert: props.alert || null,
+      felt: toNumber(props.felt),
+      cdi: toNumber(props.cdi),
+      mmi: toNumber(props.mmi),
+      significance: toNumber(props.sig)
+    },
+    products: DETAIL_PRODUCTS
+      .filter(product => products[product.type]?.length > 0)
+      .map(product => ({
+        ...product,
+        source: products[product.type][0].source,
+        url: props.url ? `${props.url}/${product.page}` : null
+      })),
+    shakemapImage: products.shakemap?.[0]?.contents?.["download/intensity.jpg"]?.url || null,
+    momentTensor: tensor ? {
+      source: tensor.source,
+      mag: toNumber(tensor.properties?.["derived-magnitude"]),
+      magType: tensor.properties?.["derived-magnitude-type"] || null,
+      planes: [nodalPlane(tensor.properties || {}, 1), nodalPlane(tensor.properties || {}, 2)].filter(Boolean),
+      percentDoubleCouple: toNumber(tensor.properties?.["percent-double-couple"])
+    } : null
+  };
+};
+
+// `fetchImpl` is swapped for recorded fixture responses in tests
+export const fetchEventDetail = async (eventId, fetchImpl = fetch) => {
+  if (detailCache.has(eventId)) return detailCache.get(eventId);
+  const res = await fetchImpl(usgs.buildDetailUrl(eventId));
+  if (!res.ok) {
+    throw new Error(`USGS detail request failed with status ${res.status}`);
+  }
+  const detail = parseEventDetail(await res.json());
+  detailCache.set(eventId, detail);
+  return detail;
+};
@@ -0,0 +1,78 @@
+import { parseEventDetail, fetchEventDetail, usgsIdOf } from "./eventDetail";
+import { fixtureBody, fixtureFetch } from "./providers/__fixtures__";
+
+const detailFeature = () => JSON.parse(fixtureBody("usgs-detail.json"));
+
+describe("parseEventDetail", () => {
+  it("lists each source's magnitude once, preferred origin first", () => {
+    const { magnitudes } = parseEventDetail(detailFeature());
+    expect(magnitudes.map(({ source, magType, mag, method, preferred }) => [source, magType, mag, method, preferred])).toEqual([
+      ["us", "mww", 5.6, "Origin", true],
+      ["us", "mb", 5.4, "Origin", false],
+      ["EMSC", "mb", 5.5, "Origin", false],
+      ["gcmt", "mww", 5.7, "Moment tensor", false]
+    ]);
+  });
+
+  it("reads the preferred origin's quality figures, falling back to the summary", () => {
+    const { origin, flags } = parseEventDetail(detailFeature());
+    expect(origin).toEqual({
+      source: "us", reviewStatus: "reviewed", horizontalErrorKm: 6.4, depthErrorKm: 1.9,
+      depthType: "from moment tensor inversion", stations: 112, phases: 140, gapDegrees: 35,
+      minDistanceDegrees: 2.05, rmsSeconds: 0.79
+    });
+    expect(flags).toEqual({ tsunami: false, alert: "green", felt: 42, cdi: 4.1, mmi: 5.2, significance: 512 });
+
+    const bare = parseEventDetail({ id: "us1", properties: { net: "us", status: "automatic", gap: 80, rms: 1.2 } });
+    expect(bare.origin).toMatchObject({ source: "us", reviewStatus: "automatic", gapDegrees: 80, rmsSeconds: 1.2, stations: null });
+    expect(bare.momentTensor).toBeNull();
+    expect(bare.products).toEqual([]);
+  });
+
+  it("reads both nodal planes of the preferred moment tensor", () => {
+    expect(parseEventDetail(detailFeature()).momentTensor).toEqual({
+      source: "us",
+      mag: 5.6,
+      magType: "mww",
+      planes: [{ strike: 152.3, dip: 41, rake: -94 }, { strike: 337.8, dip: 49.1, rake: -86.5 }],
+      percentDoubleCouple: 0.92
+    });
+  });
+
+  it("links the products the event has to their event page tabs", () => {
+    const detail = parseEventDetail(detailFeature());
+    expect(detail.products.map(product => [product.type, product.url])).toEqual([
+      ["shakemap", "https://earthquake.usgs.gov/earthquakes/eventpage/us7000m1ab/shakemap"],
+      ["dyfi", "https://earthquake.usgs.gov/earthquakes/eventpage/us7000m1ab/dyfi"],
+      ["moment-tensor", "https://earthquake.usgs.gov/earthquakes/eventpage/us7000m1ab/moment-tensor"]
+    ]);
+    expect(detail.shakemapImage).toMatch(/download\/intensity\.jpg$/);
+  });
+});
+
+describe("fetchEventDetail", () => {
+  it("asks USGS for the event once per session", async () => {
+    const fetchImpl = fixtureFetch({ "earthquake.usgs.gov": "usgs-detail.json" });
+    const detail = await fetchEventDetail("us7000m1ab", fetchImpl);
+    expect(detail.title).toBe("M 5.6 - 37 km NE of Awash, Ethiopia");
+    expect(new URL(fetchImpl.mock.calls[0][0]).searchParams.get("eventid")).toBe("us7000m1ab");
+    expect(await fetchEventDetail("us7000m1ab", fetchImpl)).toBe(detail);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it("fails with the response status, without caching the failure", async () => {
+    await expect(fetchEventDetail("us-missing", fixtureFetch({ "earthquake.usgs.gov": 404 })))
+      .rejects.toThrow("USGS detail request failed with status 404");
+    const fetchImpl = fixtureFetch({ "earthquake.usgs.gov": "usgs-detail.json" });
+    await fetchEventDetail("us-missing", fetchImpl);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("usgsIdOf", () => {
+  it("finds the USGS report of a merged event", () => {
+    expect(usgsIdOf({ id: "us1", properties: { provider: "usgs" } })).toBe("us1");
+    expect(usgsIdOf({ id: "emsc:1", properties: { provider: "emsc", reports: [{ provider: "usgs", id: "us2" }] } })).toBe("us2");
+    expect(usgsIdOf({ id: "emsc:1", properties: { provider: "emsc", reports: [] } })).toBeNull();
+  });
+});
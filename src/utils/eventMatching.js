@@ -0,0 +1,49 @@
+import { distanceKm } from "./geo";
+
+// Two events closer than both tolerances are taken to be the same earthquake
+export const MATCH_TIME_TOLERANCE_MS = 30 * 1000;
+export const MATCH_DISTANCE_TOLERANCE_KM = 50;
+
+// Pair events of two lists within the time and distance tolerances. Each event is used
+// at most once; the closest candidate (time and distance scaled by their tolerances) wins.
+export const matchEvents = (listA, listB, {
+  timeToleranceMs = MATCH_TIME_TOLERANCE_MS,
+  distanceToleranceKm = MATCH_DISTANCE_TOLERANCE_KM
+} = {}) => {
+  const sortedB = listB.slice().sort((a, b) => a.properties.time - b.properties.time);
+  const usedB = new Set();
+  const matches = [];
+  const onlyA = [];
+
+  listA.forEach(a => {
+    const time = a.properties.time;
+    const [lonA, latA] = a.geometry.coordinates;
+    // First event in B no earlier than the start of the time window
+    let low = 0;
+    let high = sortedB.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sortedB[mid].properties.time < time - timeToleranceMs) low = mid + 1;
+      else high = mid;
+    }
+    let best = null;
+    for (let i = low; i < sortedB.length && sortedB[i].properties.time <= time + timeToleranceMs; i++) {
+      const b = sortedB[i];
+      if (usedB.has(b)) continue;
+      const [lonB, latB] = b.geometry.coordinates;
+      const distance = distanceKm(latA, lonA, latB, lonB);
+      if (distance > distanceToleranceKm) continue;
+      const timeDiffMs = Math.abs(b.properties.time - time);
+      const score = timeDiffMs / timeToleranceMs + distance / distanceToleranceKm;
+      if (!best || score < best.score) best = { b, distance, timeDiffMs, score };
+    }
+    if (best) {
+      usedB.add(best.b);
+      matches.push({ a, b: best.b, timeDiffMs: best.timeDiffMs, distanceKm: best.distance });
+    } else {
+      onlyA.push(a);
+    }
+  });
+
+  return { matches, onlyA, onlyB: sortedB.filter(b => !usedB.has(b)) };
+};
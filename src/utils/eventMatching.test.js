@@ -0,0 +1,40 @@
+import { matchEvents, MATCH_TIME_TOLERANCE_MS } from "./eventMatching";
+import { getProvider } from "./providers";
+import { fixtureBody } from "./providers/__fixtures__";
+
+const parsed = (id, file) => getProvider(id).parse(fixtureBody(file), 0).features.filter(f => f.geometry);
+
+const shifted = (eq, ms) => ({ ...eq, properties: { ...eq.properties, time: eq.properties.time + ms } });
+
+describe("matchEvents", () => {
+  const usgs = parsed("usgs", "usgs.json");
+  const geofon = parsed("geofon", "geofon.txt");
+
+  it("pairs the recorded USGS and GEOFON reports of the same earthquakes", () => {
+    const { matches, onlyA, onlyB } = matchEvents(usgs, geofon);
+    expect(matches.map(({ a, b }) => [a.id, b.id])).toEqual([
+      ["us7000m1ab", "geofon:gfz2024fcvq"],
+      ["us7000m2cd", "geofon:gfz2024fmwk"]
+    ]);
+    expect(matches[0].timeDiffMs).toBe(1490);
+    expect(matches[0].distanceKm).toBeLessThan(3);
+    expect(onlyA).toEqual([]);
+    expect(onlyB).toEqual([]);
+  });
+
+  it("leaves reports outside either tolerance unmatched", () => {
+    const late = geofon.map(eq => shifted(eq, MATCH_TIME_TOLERANCE_MS + 2000));
+    expect(matchEvents(usgs, late).matches).toEqual([]);
+    const { matches, onlyA } = matchEvents(usgs, geofon, { distanceToleranceKm: 1 });
+    expect(matches).toEqual([]);
+    expect(onlyA.map(eq => eq.id)).toEqual(["us7000m1ab", "us7000m2cd"]);
+  });
+
+  it("uses each report once, giving it to the closest candidate", () => {
+    const [semera] = geofon;
+    const { matches, onlyB } = matchEvents([usgs[0]], [shifted(semera, 20000), semera]);
+    expect(matches.map(({ b }) => b.properties.time)).toEqual([semera.properties.time]);
+    expect(onlyB).toHaveLength(1);
+    expect(matchEvents([usgs[0], usgs[0]], [semera]).onlyA).toHaveLength(1);
+  });
+});
@@ -0,0 +1,24 @@
+import { formatFieldValue } from "./fields";
+
+// RFC 4180: quote values containing a delimiter, quote or line break and double any quotes
+export const escapeCsvValue = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCsv = (events, fields) => {
+  const header = fields.map(field => escapeCsvValue(field.label)).join(",");
+  const rows = events.map(eq => fields.map(field => escapeCsvValue(formatFieldValue(field, eq))).join(","));
+  return [header, ...rows].join("\r\n");
+};
+
+const csv = {
+  id: "csv",
+  label: "CSV",
+  extension: "csv",
+  description: "Comma-separated values for spreadsheets and scripts.",
+  // BOM so Excel reads the file as UTF-8
+  build: (events, fields) => new Blob(["\uFEFF" + buildCsv(events, fields)], { type: "text/csv;charset=utf-8" })
+};
+
+export default csv;
@@ -0,0 +1,37 @@
+import { escapeCsvValue, buildCsv } from "./csv";
+import { getField } from "./fields";
+import { tagLocation } from "../locationClassifier";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+
+const events = usgsFixture.features.slice(0, 2).map(f => tagLocation(f));
+
+describe("escapeCsvValue", () => {
+  it("quotes values with delimiters, quotes or line breaks", () => {
+    expect(escapeCsvValue("Semera")).toBe("Semera");
+    expect(escapeCsvValue("45 km NE of Semera, Ethiopia")).toBe('"45 km NE of Semera, Ethiopia"');
+    expect(escapeCsvValue('the "big" one')).toBe('"the ""big"" one"');
+    expect(escapeCsvValue("two\nlines")).toBe('"two\nlines"');
+  });
+
+  it("writes missing values as empty", () => {
+    expect(escapeCsvValue(null)).toBe("");
+    expect(escapeCsvValue(undefined)).toBe("");
+    expect(escapeCsvValue(0)).toBe("0");
+  });
+});
+
+describe("buildCsv", () => {
+  it("writes a header and one CRLF-separated row per event", () => {
+    const fields = ["id", "place", "mag", "time", "depth"].map(getField);
+    expect(buildCsv(events, fields).split("\r\n")).toEqual([
+      "Earthquake ID,Location/Place,Magnitude,Date & Time,Depth (km)",
+      'us7000m1ab,"45 km NE of Semera, Ethiopia",4.60,2024-03-15T04:12:33.120Z,10.00',
+      'us7000m2cd,"22 km SE of Metahara, Ethiopia",4.20,2024-03-20T18:40:05.480Z,12.50'
+    ]);
+  });
+
+  it("leaves empty cells for missing values", () => {
+    const unknown = { id: "x", properties: { mag: null }, geometry: { coordinates: [41, 11.6, null] } };
+    expect(buildCsv([unknown], ["mag", "depth", "magType"].map(getField)).split("\r\n")[1]).toBe(",,");
+  });
+});
@@ -0,0 +1,80 @@
+import { locationText } from "../gazetteer";
+
+// Event attributes that can be exported. `dbf` describes the Shapefile attribute
+// column (names are limited to 10 characters there).
+export const EXPORT_FIELDS = [
+  {
+    id: "id", label: "Earthquake ID", type: "string",
+    value: eq => eq.id || "",
+    dbf: { name: "EVENT_ID", type: "C", length: 40 }
+  },
+  {
+    id: "place", label: "Location/Place", type: "string",
+    value: eq => eq.properties?.place || "Unknown location",
+    dbf: { name: "PLACE", type: "C", length: 254 }
+  },
+  {
+    id: "location", label: "Nearest Town", type: "string",
+    value: eq => locationText(eq),
+    dbf: { name: "LOCATION", type: "C", length: 254 }
+  },
+  {
+    id: "region", label: "Region", type: "string",
+    value: eq => eq.properties?.region || "",
+    dbf: { name: "REGION", type: "C", length: 80 }
+  },
+  {
+    id: "zone", label: "Zone", type: "string",
+    value: eq => eq.properties?.zone || "",
+    dbf: { name: "ZONE", type: "C", length: 80 }
+  },
+  {
+    id: "mag", label: "Magnitude", type: "number", decimals: 2,
+    value: eq => eq.properties?.mag ?? null,
+    dbf: { name: "MAG", type: "N", length: 8, decimals: 2 }
+  },
+  {
+    id: "magType", label: "Magnitude Type", type: "string", optional: true,
+    value: eq => eq.properties?.magType || "",
+    dbf: { name: "MAG_TYPE", type: "C", length: 10 }
+  },
+  {
+    id: "time", label: "Date & Time", type: "date",
+    value: eq => eq.properties?.time ?? null,
+    dbf: { name: "TIME_UTC", type: "C", length: 24 }
+  },
+  {
+    id: "longitude", label: "Longitude", type: "number", decimals: 6,
+    value: eq => eq.geometry?.coordinates?.[0] ?? null,
+    dbf: { name: "LONGITUDE", type: "N", length: 12, decimals: 6 }
+  },
+  {
+    id: "latitude", label: "Latitude", type: "number", decimals: 6,
+    value: eq => eq.geometry?.coordinates?.[1] ?? null,
+    dbf: { name: "LATITUDE", type: "N", length: 12, decimals: 6 }
+  },
+  {
+    id: "depth", label: "Depth (km)", type: "number", decimals: 2,
+    value: eq => eq.geometry?.coordinates?.[2] ?? null,
+    dbf: { name: "DEPTH_KM", type: "N", length: 10, decimals: 2 }
+  },
+  {
+    id: "url", label: "USGS URL", type: "string",
+    value: eq => eq.properties?.url || "",
+    dbf: { name: "URL", type: "C", length: 254 }
+  }
+];
+
+// Fields exported when none have been chosen; optional ones must be picked explicitly
+export const DEFAULT_FIELD_IDS = EXPORT_FIELDS.filter(field => !field.optional).map(field => field.id);
+
+export const getField = (id) => EXPORT_FIELDS.find(field => field.id === id);
+
+// Field value as text: fixed decimals for numbers, ISO 8601 UTC for times
+export const formatFieldValue = (field, eq) => {
+  const value = field.value(eq);
+  if (value === null || value === undefined || value === "") return "";
+  if (field.type === "number") return value.toFixed(field.decimals);
+  if (field.type === "date") return new Date(value).toISOString();
+  return String(value);
+};
@@ -0,0 +1,29 @@
+// Times stay ISO strings so QGIS and ArcGIS can parse them as datetimes
+const propertyValue = (field, eq) => {
+  const value = field.value(eq);
+  if (value === null || value === undefined || value === "") return null;
+  return field.type === "date" ? new Date(value).toISOString() : value;
+};
+
+export const buildGeoJson = (events, fields) => ({
+  type: "FeatureCollection",
+  features: events.map(eq => ({
+    type: "Feature",
+    id: eq.id,
+    geometry: {
+      type: "Point",
+      coordinates: [eq.geometry.coordinates[0], eq.geometry.coordinates[1]]
+    },
+    properties: Object.fromEntries(fields.map(field => [field.id, propertyValue(field, eq)]))
+  }))
+});
+
+const geojson = {
+  id: "geojson",
+  label: "GeoJSON",
+  extension: "geojson",
+  description: "FeatureCollection of points in WGS 84, for QGIS, ArcGIS and web maps.",
+  build: (events, fields) => new Blob([JSON.stringify(buildGeoJson(events, fields), null, 2)], { type: "application/geo+json" })
+};
+
+export default geojson;
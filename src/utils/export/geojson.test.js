@@ -0,0 +1,24 @@
+import { buildGeoJson } from "./geojson";
+import { getField } from "./fields";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+
+const [semera] = usgsFixture.features;
+
+describe("buildGeoJson", () => {
+  it("writes one point feature per event with the chosen fields as properties", () => {
+    const collection = buildGeoJson([semera], ["mag", "time", "depth"].map(getField));
+    expect(collection.type).toBe("FeatureCollection");
+    expect(collection.features).toEqual([{
+      type: "Feature",
+      id: "us7000m1ab",
+      geometry: { type: "Point", coordinates: [41.0012, 11.6034] },
+      properties: { mag: 4.6, time: "2024-03-15T04:12:33.120Z", depth: 10 }
+    }]);
+  });
+
+  it("writes missing values as null", () => {
+    const unknown = { id: "x", properties: { mag: null, place: "" }, geometry: { coordinates: [41, 11.6] } };
+    expect(buildGeoJson([unknown], ["mag", "magType", "depth"].map(getField)).features[0].properties)
+      .toEqual({ mag: null, magType: null, depth: null });
+  });
+});
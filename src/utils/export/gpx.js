@@ -0,0 +1,56 @@
+import { formatFieldValue } from "./fields";
+import { escapeXml, XML_DECLARATION } from "./xml";
+
+// Fields GPX has its own elements for; the rest go into the waypoint description
+const STRUCTURED_FIELDS = ["latitude", "longitude", "time", "depth", "url", "mag", "place"];
+
+const buildWaypoint = (eq, fields, selected) => {
+  const [lon, lat, depth] = eq.geometry.coordinates;
+  const { mag, place, time, url } = eq.properties;
+  const lines = [];
+  // Depth below the surface as negative elevation in metres
+  if (selected.has("depth") && typeof depth === "number") lines.push(`<ele>${Math.round(-depth * 1000)}</ele>`);
+  if (selected.has("time") && time) lines.push(`<time>${new Date(time).toISOString()}</time>`);
+
+  const name = [
+    selected.has("mag") && typeof mag === "number" ? `M${mag.toFixed(1)}` : null,
+    selected.has("place") ? place : null
+  ].filter(Boolean).join(" ");
+  lines.push(`<name>${escapeXml(name || eq.id)}</name>`);
+
+  const description = fields
+    .filter(field => !STRUCTURED_FIELDS.includes(field.id) && formatFieldValue(field, eq) !== "")
+    .map(field => `${field.label}: ${formatFieldValue(field, eq)}`)
+    .join("\n");
+  if (description) lines.push(`<desc>${escapeXml(description)}</desc>`);
+  if (selected.has("url") && url) lines.push(`<link href="${escapeXml(url)}"><text>Event page</text></link>`);
+  lines.push("<sym>Flag, Red</sym>");
+
+  return `  <wpt lat="${lat}" lon="${lon}">
+${lines.map(line => `    ${line}`).join("\n")}
+  </wpt>`;
+};
+
+export const buildGpx = (events, fields) => {
+  const selected = new Set(fields.map(field => field.id));
+  return `${XML_DECLARATION}
+<gpx version="1.1" creator="Ethiopia Earthquake Dashboard" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Ethiopia Earthquakes</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${events.map(eq => buildWaypoint(eq, fields, selected)).join("\n")}
+</gpx>
+`;
+};
+
+const gpx = {
+  id: "gpx",
+  label: "GPX",
+  extension: "gpx",
+  description: "Waypoints for GPS units and field apps.",
+  requiredFields: ["latitude", "longitude"],
+  build: (events, fields) => new Blob([buildGpx(events, fields)], { type: "application/gpx+xml" })
+};
+
+export default gpx;
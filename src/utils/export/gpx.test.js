@@ -0,0 +1,34 @@
+import { buildGpx } from "./gpx";
+import { getField } from "./fields";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+
+const [semera] = usgsFixture.features;
+
+const parse = (gpx) => new DOMParser().parseFromString(gpx, "application/xml");
+
+describe("buildGpx", () => {
+  it("writes one waypoint per event", () => {
+    const doc = parse(buildGpx(usgsFixture.features.slice(0, 2), ["latitude", "longitude"].map(getField)));
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    const waypoints = doc.getElementsByTagName("wpt");
+    expect(waypoints).toHaveLength(2);
+    expect(waypoints[0].getAttribute("lat")).toBe("11.6034");
+    expect(waypoints[0].getAttribute("lon")).toBe("41.0012");
+  });
+
+  it("uses GPX elements for depth, time, name and link", () => {
+    const fields = ["latitude", "longitude", "depth", "time", "mag", "place", "url"].map(getField);
+    const waypoint = parse(buildGpx([semera], fields)).querySelector("wpt");
+    expect(waypoint.querySelector("ele").textContent).toBe("-10000");
+    expect(waypoint.querySelector("time").textContent).toBe("2024-03-15T04:12:33.120Z");
+    expect(waypoint.querySelector("name").textContent).toBe("M4.6 45 km NE of Semera, Ethiopia");
+    expect(waypoint.querySelector("link").getAttribute("href")).toBe(semera.properties.url);
+    expect(waypoint.querySelector("desc")).toBeNull();
+  });
+
+  it("describes the other fields and names unnamed waypoints by id", () => {
+    const waypoint = parse(buildGpx([semera], ["latitude", "longitude", "id", "magType"].map(getField))).querySelector("wpt");
+    expect(waypoint.querySelector("name").textContent).toBe("us7000m1ab");
+    expect(waypoint.querySelector("desc").textContent).toBe("Earthquake ID: us7000m1ab\nMagnitude Type: mb");
+  });
+});
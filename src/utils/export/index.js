@@ -0,0 +1,43 @@
+import { saveAs } from "file-saver";
+import { loadJSON, saveJSON } from "../storage";
+import { englishT } from "../i18n";
+import { EXPORT_FIELDS, DEFAULT_FIELD_IDS } from "./fields";
+import csv from "./csv";
+import geojson from "./geojson";
+import kmz from "./kmz";
+import quakeml from "./quakeml";
+import shapefile from "./shapefile";
+import gpx from "./gpx";
+import xlsx from "./xlsx";
+
+export { EXPORT_FIELDS } from "./fields";
+
+const FIELDS_KEY = "exportFields";
+
+// Every format is { id, label, extension, description, requiredFields?, build(events, fields, { name, t }) }
+// where build returns a Blob or a promise of one. Add a format by adding it here.
+export const EXPORT_FORMATS = [csv, geojson, kmz, quakeml, shapefile, gpx, xlsx];
+
+export const getExportFormat = (id) => EXPORT_FORMATS.find(format => format.id === id);
+
+// Field choices per format id, falling back to the default fields
+export const loadExportFields = () => loadJSON(FIELDS_KEY, {});
+export const saveExportFields = (fieldsByFormat) => saveJSON(FIELDS_KEY, fieldsByFormat);
+
+export const fieldIdsFor = (fieldsByFormat, formatId) => fieldsByFormat[formatId] || DEFAULT_FIELD_IDS;
+
+// Selected fields in canonical order, always including the format's required ones,
+// labelled in the language of `t`
+export const resolveFields = (format, fieldIds, t = englishT) => {
+  const wanted = new Set([...fieldIds, ...(format.requiredFields || [])]);
+  return EXPORT_FIELDS
+    .filter(field => wanted.has(field.id))
+    .map(field => ({ ...field, label: t(`exportFields.${field.id}`, { defaultValue: field.label }) }));
+};
+
+export const exportEvents = async (formatId, events, fieldIds, name, t = englishT) => {
+  const format = getExportFormat(formatId);
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+  const blob = await format.build(events, resolveFields(format, fieldIds, t), { name, t });
+  saveAs(blob, `${name}.${format.extension}`);
+};
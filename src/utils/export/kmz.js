@@ -0,0 +1,245 @@
+import JSZip from "jszip";
+import { formatFieldValue } from "./fields";
+import { escapeXml, XML_DECLARATION } from "./xml";
+import { MAGNITUDE_CLASSES, magnitudeClass } from "../magnitude";
+import { describeLocation } from "../gazetteer";
+import { englishT } from "../i18n";
+
+// Shallow events get a filled dot, deeper ones a ring, both tinted by magnitude class
+export const DEPTH_CLASSES = [
+  { id: "shallow", label: "Shallow (< 70 km)", maxDepth: 70, fallbackIcon: "http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png" },
+  { id: "deep", label: "Deep (≥ 70 km)", maxDepth: Infinity, fallbackIcon: "http://maps.google.com/mapfiles/kml/shapes/donut.png" }
+];
+
+const ICON_SCALES = { minor: 0.6, light: 0.8, moderate: 1.0, strong: 1.3 };
+
+const depthClass = (depth) =>
+  DEPTH_CLASSES.find(cls => typeof depth === "number" && depth < cls.maxDepth) || DEPTH_CLASSES[0];
+
+// KML colours are aabbggrr
+export const kmlColor = (hex, alpha = "ff") => {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+const styleId = (magClass, depth) => `eq-${magClass.id}-${depth.id}`;
+
+const buildStyles = (icons) => MAGNITUDE_CLASSES.flatMap(magClass => DEPTH_CLASSES.map(depth => `
+    <Style id="${styleId(magClass, depth)}">
+      <IconStyle>
+        <color>${kmlColor(magClass.color)}</color>
+        <scale>${ICON_SCALES[magClass.id]}</scale>
+        <Icon>
+          <href>${escapeXml(icons[depth.id] || depth.fallbackIcon)}</href>
+        </Icon>
+      </IconStyle>
+      <LabelStyle>
+        <scale>0</scale>
+      </LabelStyle>
+    </Style>`)).join("");
+
+const depthLabel = (cls, t) => t(`export.kmz.depth.${cls.id}`, { defaultValue: cls.label });
+const magnitudeLabel = (cls, t) => t(`export.kmz.magnitude.${cls.id}`, { defaultValue: cls.label });
+
+const buildPlacemark = (eq, fields, t) => {
+  const [lon, lat, depth] = eq.geometry.coordinates;
+  const mag = eq.properties?.mag?.toFixed(1) || t("export.kmz.unknown");
+  const place = describeLocation(eq, t)?.text || eq.properties?.place || t("location.unknown");
+  const time = eq.properties?.time;
+  const rows = fields
+    .map(field => `<p><b>${escapeXml(field.label)}:</b> ${escapeXml(formatFieldValue(field, eq))}</p>`)
+    .join("\n            ");
+  const data = fields
+    .map(field => `
+        <Data name="${field.id}">
+          <value>${escapeXml(formatFieldValue(field, eq))}</value>
+        </Data>`)
+    .join("");
+
+  return `
+    <Placemark>
+      <name>M${mag} - ${escapeXml(place)}</name>${time ? `
+      <TimeStamp>
+        <when>${new Date(time).toISOString()}</when>
+      </TimeStamp>` : ""}
+      <description>
+        <![CDATA[
+          <div style="padding:10px;">
+            <h3>${escapeXml(t("export.kmz.placemarkTitle", { magnitude: mag }))}</h3>
+            ${rows}
+          </div>
+        ]]>
+      </description>
+      <styleUrl>#${styleId(magnitudeClass(eq.properties?.mag), depthClass(depth))}</styleUrl>
+      <Point>
+        <coordinates>${lon},${lat},0</coordinates>
+      </Point>
+      <ExtendedData>${data}
+      </ExtendedData>
+    </Placemark>`;
+};
+
+// Group into [key, events] pairs, sorted with `compare` on the keys
+const groupBy = (events, keyOf, compare) => {
+  const groups = new Map();
+  events.forEach(eq => {
+    const key = keyOf(eq);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(eq);
+  });
+  return [...groups.entries()].sort(([a], [b]) => compare(a, b));
+};
+
+const indent = (text, spaces) => text.replace(/\n/g, `\n${" ".repeat(spaces)}`);
+
+const folder = (name, count, content) => `
+    <Folder>
+      <name>${escapeXml(name)} (${count})</name>${indent(content, 2)}
+    </Folder>`;
+
+// Years newest first, each split into regions alphabetically, events oldest first
+const buildFolders = (events, fields, t) => {
+  const years = groupBy(
+    events,
+    eq => (eq.properties?.time ? String(new Date(eq.properties.time).getUTCFullYear()) : t("export.kmz.unknownYear")),
+    (a, b) => b.localeCompare(a)
+  );
+  return years.map(([year, yearEvents]) => {
+    const regions = groupBy(yearEvents, eq => eq.properties?.region || t("export.kmz.unknownRegion"), (a, b) => a.localeCompare(b));
+    const content = regions.map(([region, regionEvents]) => {
+      const placemarks = regionEvents
+        .slice()
+        .sort((a, b) => (a.properties?.time || 0) - (b.properties?.time || 0))
+        .map(eq => buildPlacemark(eq, fields, t))
+        .join("");
+      return folder(region, regionEvents.length, placemarks);
+    }).join("");
+    return folder(year, yearEvents.length, content);
+  }).join("");
+};
+
+const legendOverlay = (href, t) => `
+    <ScreenOverlay>
+      <name>${escapeXml(t("export.kmz.legend"))}</name>
+      <Icon>
+        <href>${escapeXml(href)}</href>
+      </Icon>
+      <overlayXY x="0" y="0" xunits="fraction" yunits="fraction"/>
+      <screenXY x="10" y="40" xunits="pixels" yunits="pixels"/>
+      <size x="0" y="0" xunits="pixels" yunits="pixels"/>
+    </ScreenOverlay>`;
+
+// `images.icons` maps depth class ids to icon paths inside the KMZ and `images.legend`
+// is the legend image path; hosted Google icons and no legend are used without them.
+// Names and descriptions are in the language of `t`.
+export const generateKML = (events, fields, images = {}, t = englishT) => `${XML_DECLARATION}
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(t("export.kmz.documentName"))}</name>${buildStyles(images.icons || {})}${images.legend ? legendOverlay(images.legend, t) : ""}${buildFolders(events, fields, t)}
+  </Document>
+</kml>`;
+
+// Draw on a canvas and return it as a PNG blob, or null where canvas is unavailable
+const renderPng = (width, height, draw) => new Promise(resolve => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext && canvas.getContext("2d");
+  if (!ctx) {
+    resolve(null);
+    return;
+  }
+  draw(ctx);
+  canvas.toBlob(resolve, "image/png");
+});
+
+// White so Google Earth can tint it with the style colour; dark outline stays visible
+const drawIcon = (ctx, depthId, x = 16, y = 16, radius = 12) => {
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  if (depthId === "shallow") {
+    ctx.fillStyle = "#ffffff";
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "#222222";
+    ctx.stroke();
+  } else {
+    ctx.lineWidth = radius / 2;
+    ctx.strokeStyle = "#222222";
+    ctx.stroke();
+    ctx.lineWidth = radius / 2 - 2;
+    ctx.strokeStyle = "#ffffff";
+    ctx.stroke();
+  }
+};
+
+const LEGEND_WIDTH = 180;
+const LEGEND_ROW = 22;
+
+const drawLegend = (ctx, t) => {
+  const height = ctx.canvas.height;
+  ctx.fillStyle = "rgba(20, 30, 40, 0.9)";
+  ctx.fillRect(0, 0, LEGEND_WIDTH, height);
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "bold 14px sans-serif";
+  ctx.fillText(t("export.kmz.legendTitle"), 10, 22);
+  ctx.font = "12px sans-serif";
+
+  let y = 30;
+  ctx.fillStyle = "#cccccc";
+  ctx.fillText(t("export.kmz.legendMagnitude"), 10, y + 14);
+  y += LEGEND_ROW;
+  MAGNITUDE_CLASSES.forEach(cls => {
+    ctx.beginPath();
+    ctx.arc(20, y + 10, 6, 0, Math.PI * 2);
+    ctx.fillStyle = cls.color;
+    ctx.fill();
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(magnitudeLabel(cls, t), 34, y + 14);
+    y += LEGEND_ROW;
+  });
+
+  ctx.fillStyle = "#cccccc";
+  ctx.fillText(t("export.kmz.legendDepth"), 10, y + 14);
+  y += LEGEND_ROW;
+  DEPTH_CLASSES.forEach(cls => {
+    drawIcon(ctx, cls.id, 20, y + 10, 7);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(depthLabel(cls, t), 34, y + 14);
+    y += LEGEND_ROW;
+  });
+};
+
+const legendHeight = () => 30 + LEGEND_ROW * (MAGNITUDE_CLASSES.length + DEPTH_CLASSES.length + 2) + 6;
+
+const kmz = {
+  id: "kmz",
+  label: "KMZ",
+  extension: "kmz",
+  description: "Zipped KML for Google Earth, styled by magnitude and depth, with a time slider and legend.",
+  build: async (events, fields, { t = englishT } = {}) => {
+    const files = {};
+    const images = { icons: {} };
+    // Icons and legend travel inside the KMZ so it works offline
+    for (const depth of DEPTH_CLASSES) {
+      const png = await renderPng(32, 32, ctx => drawIcon(ctx, depth.id));
+      if (png) {
+        images.icons[depth.id] = `files/${depth.id}.png`;
+        files[images.icons[depth.id]] = png;
+      }
+    }
+    const legend = await renderPng(LEGEND_WIDTH, legendHeight(), ctx => drawLegend(ctx, t));
+    if (legend) {
+      images.legend = "files/legend.png";
+      files[images.legend] = legend;
+    }
+
+    // Google Earth reads the first KML file in the archive, so doc.kml goes first
+    const zip = new JSZip();
+    zip.file("doc.kml", generateKML(events, fields, images, t));
+    Object.entries(files).forEach(([path, png]) => zip.file(path, png));
+    return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+  }
+};
+
+export default kmz;
@@ -0,0 +1,55 @@
+import { generateKML, kmlColor } from "./kmz";
+import { getField } from "./fields";
+import { tagLocation } from "../locationClassifier";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+
+const events = usgsFixture.features.slice(0, 2).map(f => tagLocation(f));
+const fields = ["id", "mag"].map(getField);
+
+const parse = (kml) => new DOMParser().parseFromString(kml, "application/xml");
+
+describe("kmlColor", () => {
+  it("writes colours as aabbggrr", () => {
+    expect(kmlColor("#FF8800")).toBe("ff0088ff");
+    expect(kmlColor("#ff8800", "80")).toBe("800088ff");
+  });
+});
+
+describe("generateKML", () => {
+  it("is well-formed XML with one placemark per event", () => {
+    const doc = parse(generateKML(events, fields));
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    expect(doc.getElementsByTagName("Placemark")).toHaveLength(2);
+  });
+
+  it("groups events into year and region folders", () => {
+    const doc = parse(generateKML(events, fields));
+    const names = [...doc.getElementsByTagName("Folder")].map(folder => folder.getElementsByTagName("name")[0].textContent);
+    expect(names[0]).toBe("2024 (2)");
+    expect(names).toContain("Afar (1)");
+  });
+
+  it("stamps each placemark with its time, position and exported fields", () => {
+    const doc = parse(generateKML(events, fields));
+    const placemark = [...doc.getElementsByTagName("Placemark")]
+      .find(node => node.querySelector("Data[name='id'] value").textContent === "us7000m1ab");
+    expect(placemark.querySelector("TimeStamp when").textContent).toBe("2024-03-15T04:12:33.120Z");
+    expect(placemark.querySelector("Point coordinates").textContent).toBe("41.0012,11.6034,0");
+    expect(placemark.querySelector("Data[name='mag'] value").textContent).toBe("4.60");
+    expect(placemark.querySelector("name").textContent).toMatch(/^M4\.6 - /);
+  });
+
+  it("escapes text from the catalogue", () => {
+    const risky = { ...events[0], id: "a<b>&\"c\"", properties: { ...events[0].properties } };
+    const doc = parse(generateKML([risky], fields));
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    expect(doc.querySelector("Data[name='id'] value").textContent).toBe("a<b>&\"c\"");
+  });
+
+  it("points the styles at packaged icons when given", () => {
+    const kml = generateKML(events, fields, { icons: { shallow: "files/shallow.png" }, legend: "files/legend.png" });
+    expect(kml).toContain("<href>files/shallow.png</href>");
+    expect(kml).toContain("<href>files/legend.png</href>");
+    expect(generateKML(events, fields)).toContain("http://maps.google.com/mapfiles/kml/shapes/donut.png");
+  });
+});
@@ -0,0 +1,70 @@
+import { escapeXml, XML_DECLARATION } from "./xml";
+
+// Resource identifiers must be URI-safe; the event id is the only variable part
+const resourceId = (kind, id) => `smi:local/eqdash/${kind}/${encodeURIComponent(id)}`;
+
+const valueElement = (name, value) => `<${name}><value>${value}</value></${name}>`;
+
+const buildEvent = (eq, selected) => {
+  const [lon, lat, depth] = eq.geometry.coordinates;
+  const { mag, magType, place, region, zone, time, url } = eq.properties;
+  const originId = resourceId("origin", eq.id);
+  const magnitudeId = resourceId("magnitude", eq.id);
+  const hasMagnitude = selected.has("mag") && typeof mag === "number";
+  const lines = [];
+
+  if (selected.has("place") && place) {
+    lines.push(`<description><text>${escapeXml(place)}</text><type>region name</type></description>`);
+  }
+  if (selected.has("region") && region) lines.push(`<comment><text>Region: ${escapeXml(region)}</text></comment>`);
+  if (selected.has("zone") && zone) lines.push(`<comment><text>Zone: ${escapeXml(zone)}</text></comment>`);
+  if (selected.has("url") && url) lines.push(`<comment><text>${escapeXml(url)}</text></comment>`);
+
+  lines.push(`<origin publicID="${originId}">`);
+  lines.push(`  ${valueElement("time", new Date(time).toISOString())}`);
+  lines.push(`  ${valueElement("latitude", lat)}`);
+  lines.push(`  ${valueElement("longitude", lon)}`);
+  // QuakeML depths are in metres
+  if (selected.has("depth") && typeof depth === "number") lines.push(`  ${valueElement("depth", Math.round(depth * 1000))}`);
+  lines.push("</origin>");
+
+  if (hasMagnitude) {
+    lines.push(`<magnitude publicID="${magnitudeId}">`);
+    lines.push(`  ${valueElement("mag", mag)}`);
+    if (selected.has("magType") && magType) lines.push(`  <type>${escapeXml(magType)}</type>`);
+    lines.push(`  <originID>${originId}</originID>`);
+    lines.push("</magnitude>");
+  }
+
+  lines.push(`<preferredOriginID>${originId}</preferredOriginID>`);
+  if (hasMagnitude) lines.push(`<preferredMagnitudeID>${magnitudeId}</preferredMagnitudeID>`);
+  lines.push("<type>earthquake</type>");
+
+  return `    <event publicID="${resourceId("event", eq.id)}">
+${lines.map(line => `      ${line}`).join("\n")}
+    </event>`;
+};
+
+// QuakeML 1.2 BED document with one event, origin and (optional) magnitude per earthquake
+export const buildQuakeMl = (events, fields) => {
+  const selected = new Set(fields.map(field => field.id));
+  return `${XML_DECLARATION}
+<q:quakeml xmlns="http://quakeml.org/xmlns/bed/1.2" xmlns:q="http://quakeml.org/xmlns/quakeml/1.2">
+  <eventParameters publicID="smi:local/eqdash/eventParameters/${Date.now()}">
+${events.map(eq => buildEvent(eq, selected)).join("\n")}
+  </eventParameters>
+</q:quakeml>
+`;
+};
+
+const quakeml = {
+  id: "quakeml",
+  label: "QuakeML",
+  extension: "xml",
+  description: "QuakeML 1.2 for seismological software such as SeisComP and ObsPy.",
+  // An origin cannot be written without its time and position
+  requiredFields: ["time", "latitude", "longitude"],
+  build: (events, fields) => new Blob([buildQuakeMl(events, fields)], { type: "application/xml" })
+};
+
+export default quakeml;
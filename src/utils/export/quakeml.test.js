@@ -0,0 +1,43 @@
+import { buildQuakeMl } from "./quakeml";
+import { getField } from "./fields";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+
+const [semera] = usgsFixture.features;
+const required = ["time", "latitude", "longitude"];
+
+const parse = (xml) => new DOMParser().parseFromString(xml, "application/xml");
+const fieldsOf = (ids) => [...required, ...ids].map(getField);
+
+describe("buildQuakeMl", () => {
+  it("writes an event with its origin and preferred magnitude", () => {
+    const doc = parse(buildQuakeMl([semera], fieldsOf(["mag", "magType", "depth"])));
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    const event = doc.querySelector("event");
+    expect(event.getAttribute("publicID")).toBe("smi:local/eqdash/event/us7000m1ab");
+    expect(event.querySelector("origin time value").textContent).toBe("2024-03-15T04:12:33.120Z");
+    expect(event.querySelector("origin latitude value").textContent).toBe("11.6034");
+    // QuakeML depths are in metres
+    expect(event.querySelector("origin depth value").textContent).toBe("10000");
+    expect(event.querySelector("magnitude mag value").textContent).toBe("4.6");
+    expect(event.querySelector("magnitude type").textContent).toBe("mb");
+    expect(event.querySelector("preferredMagnitudeID").textContent)
+      .toBe(event.querySelector("magnitude").getAttribute("publicID"));
+  });
+
+  it("leaves out the magnitude when it is not exported or unknown", () => {
+    const withoutMag = parse(buildQuakeMl([semera], fieldsOf([]))).querySelector("event");
+    expect(withoutMag.querySelector("magnitude")).toBeNull();
+    expect(withoutMag.querySelector("preferredMagnitudeID")).toBeNull();
+
+    const unknown = { ...semera, properties: { ...semera.properties, mag: null } };
+    expect(parse(buildQuakeMl([unknown], fieldsOf(["mag"]))).querySelector("magnitude")).toBeNull();
+  });
+
+  it("keeps ids URI-safe and text escaped", () => {
+    const risky = { ...semera, id: "a b/c", properties: { ...semera.properties, place: "<Afar> & Tigray" } };
+    const doc = parse(buildQuakeMl([risky], fieldsOf(["place"])));
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    expect(doc.querySelector("event").getAttribute("publicID")).toBe("smi:local/eqdash/event/a%20b%2Fc");
+    expect(doc.querySelector("description text").textContent).toBe("<Afar> & Tigray");
+  });
+});
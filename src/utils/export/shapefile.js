@@ -0,0 +1,135 @@
+import JSZip from "jszip";
+import { formatFieldValue } from "./fields";
+
+const SHAPE_POINT = 1;
+const HEADER_BYTES = 100;
+const POINT_RECORD_BYTES = 28;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const encoder = new TextEncoder();
+
+// Main-file and index headers share a layout; lengths are in 16-bit words
+const writeHeader = (view, fileBytes, bbox) => {
+  view.setInt32(0, 9994);
+  view.setInt32(24, fileBytes / 2);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, SHAPE_POINT, true);
+  view.setFloat64(36, bbox.minX, true);
+  view.setFloat64(44, bbox.minY, true);
+  view.setFloat64(52, bbox.maxX, true);
+  view.setFloat64(60, bbox.maxY, true);
+};
+
+// In one loop, as spreading a whole catalogue into Math.min/Math.max overflows the stack
+const boundingBox = (points) => {
+  if (points.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const bbox = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  points.forEach(([x, y]) => {
+    if (x < bbox.minX) bbox.minX = x;
+    if (y < bbox.minY) bbox.minY = y;
+    if (x > bbox.maxX) bbox.maxX = x;
+    if (y > bbox.maxY) bbox.maxY = y;
+  });
+  return bbox;
+};
+
+const buildGeometry = (points) => {
+  const bbox = boundingBox(points);
+
+  const shp = new DataView(new ArrayBuffer(HEADER_BYTES + points.length * POINT_RECORD_BYTES));
+  const shx = new DataView(new ArrayBuffer(HEADER_BYTES + points.length * 8));
+  writeHeader(shp, shp.byteLength, bbox);
+  writeHeader(shx, shx.byteLength, bbox);
+
+  points.forEach(([x, y], i) => {
+    const offset = HEADER_BYTES + i * POINT_RECORD_BYTES;
+    shp.setInt32(offset, i + 1);
+    shp.setInt32(offset + 4, 10);
+    shp.setInt32(offset + 8, SHAPE_POINT, true);
+    shp.setFloat64(offset + 12, x, true);
+    shp.setFloat64(offset + 20, y, true);
+    shx.setInt32(HEADER_BYTES + i * 8, offset / 2);
+    shx.setInt32(HEADER_BYTES + i * 8 + 4, 10);
+  });
+  return { shp: shp.buffer, shx: shx.buffer };
+};
+
+// UTF-8 bytes of text, cut back to whole characters that fit in `length` bytes
+const fitBytes = (text, length) => {
+  let bytes = encoder.encode(text);
+  let chars = [...text];
+  while (bytes.length > length) {
+    chars = chars.slice(0, -1);
+    bytes = encoder.encode(chars.join(""));
+  }
+  return bytes;
+};
+
+const buildDbf = (events, fields) => {
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.dbf.length, 0);
+  const headerLength = 32 + fields.length * 32 + 1;
+  const bytes = new Uint8Array(headerLength + events.length * recordLength + 1);
+  const view = new DataView(bytes.buffer);
+  const today = new Date();
+
+  bytes[0] = 0x03;
+  bytes[1] = today.getFullYear() - 1900;
+  bytes[2] = today.getMonth() + 1;
+  bytes[3] = today.getDate();
+  view.setUint32(4, events.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach((field, i) => {
+    const offset = 32 + i * 32;
+    bytes.set(encoder.encode(field.dbf.name), offset);
+    bytes[offset + 11] = field.dbf.type.charCodeAt(0);
+    bytes[offset + 16] = field.dbf.length;
+    bytes[offset + 17] = field.dbf.decimals || 0;
+  });
+  bytes[headerLength - 1] = 0x0d;
+
+  events.forEach((eq, row) => {
+    let offset = headerLength + row * recordLength;
+    bytes.fill(0x20, offset, offset + recordLength);
+    offset += 1;
+    fields.forEach(field => {
+      const { type, length } = field.dbf;
+      const value = formatFieldValue(field, eq);
+      const encoded = fitBytes(value, length);
+      // Numbers are right-aligned, text left-aligned, both padded with spaces
+      bytes.set(encoded, type === "N" ? offset + length - encoded.length : offset);
+      offset += length;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes.buffer;
+};
+
+export const buildShapefile = (events, fields, name) => {
+  const located = events.filter(eq => {
+    const [lon, lat] = eq.geometry?.coordinates || [];
+    return typeof lon === "number" && typeof lat === "number";
+  });
+  const { shp, shx } = buildGeometry(located.map(eq => eq.geometry.coordinates));
+  const zip = new JSZip();
+  zip.file(`${name}.shp`, shp);
+  zip.file(`${name}.shx`, shx);
+  zip.file(`${name}.dbf`, buildDbf(located, fields));
+  zip.file(`${name}.prj`, WGS84_PRJ);
+  zip.file(`${name}.cpg`, "UTF-8");
+  return zip;
+};
+
+const shapefile = {
+  id: "shapefile",
+  label: "Shapefile",
+  extension: "zip",
+  description: "Zipped ESRI Shapefile (points, WGS 84) for ArcGIS and QGIS.",
+  build: (events, fields, { name }) =>
+    buildShapefile(events, fields, name).generateAsync({ type: "blob", compression: "DEFLATE" })
+};
+
+export default shapefile;
@@ -0,0 +1,88 @@
+import { buildShapefile } from "./shapefile";
+import { getField } from "./fields";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+import { testEvent } from "../__fixtures__/testEvents";
+
+// Semera and Metahara; the third recorded event has no geometry and is left out
+const events = usgsFixture.features;
+const fields = ["id", "mag"].map(getField);
+
+const readFiles = async (events, fields) => {
+  const zip = buildShapefile(events, fields, "quakes");
+  const read = (extension) => zip.file(`quakes.${extension}`).async("arraybuffer").then(buffer => new DataView(buffer));
+  return { shp: await read("shp"), shx: await read("shx"), dbf: await read("dbf") };
+};
+
+describe("buildShapefile", () => {
+  it("packages the geometry, index, attributes, projection and encoding", () => {
+    const names = Object.keys(buildShapefile(events, fields, "quakes").files).sort();
+    expect(names).toEqual(["quakes.cpg", "quakes.dbf", "quakes.prj", "quakes.shp", "quakes.shx"]);
+  });
+
+  it("writes the main and index file headers", async () => {
+    const { shp, shx } = await readFiles(events, fields);
+    [[shp, 100 + 2 * 28], [shx, 100 + 2 * 8]].forEach(([view, bytes]) => {
+      expect(view.byteLength).toBe(bytes);
+      expect(view.getInt32(0)).toBe(9994);
+      // File length in 16-bit words, big-endian; version and shape type little-endian
+      expect(view.getInt32(24)).toBe(bytes / 2);
+      expect(view.getInt32(28, true)).toBe(1000);
+      expect(view.getInt32(32, true)).toBe(1);
+      expect(view.getFloat64(36, true)).toBe(40.0121);
+      expect(view.getFloat64(44, true)).toBe(8.7489);
+      expect(view.getFloat64(52, true)).toBe(41.0012);
+      expect(view.getFloat64(60, true)).toBe(11.6034);
+    });
+  });
+
+  it("writes one point record per located event", async () => {
+    const { shp } = await readFiles(events, fields);
+    expect(shp.getInt32(100)).toBe(1);
+    expect(shp.getInt32(104)).toBe(10);
+    expect(shp.getInt32(108, true)).toBe(1);
+    expect(shp.getFloat64(112, true)).toBe(41.0012);
+    expect(shp.getFloat64(120, true)).toBe(11.6034);
+    expect(shp.getInt32(128)).toBe(2);
+    expect(shp.getFloat64(140, true)).toBe(40.0121);
+  });
+
+  it("indexes each record by its offset and length in words", async () => {
+    const { shx } = await readFiles(events, fields);
+    expect([shx.getInt32(100), shx.getInt32(104)]).toEqual([50, 10]);
+    expect([shx.getInt32(108), shx.getInt32(112)]).toEqual([64, 10]);
+  });
+
+  it("writes a dBASE III table with one record per point", async () => {
+    const { dbf } = await readFiles(events, fields);
+    const bytes = new Uint8Array(dbf.buffer);
+    const text = (start, length) => new TextDecoder().decode(bytes.slice(start, start + length));
+    const headerLength = 32 + 2 * 32 + 1;
+    const recordLength = 1 + 40 + 8;
+
+    expect(bytes[0]).toBe(0x03);
+    expect(dbf.getUint32(4, true)).toBe(2);
+    expect(dbf.getUint16(8, true)).toBe(headerLength);
+    expect(dbf.getUint16(10, true)).toBe(recordLength);
+    expect(text(32, 8)).toBe("EVENT_ID");
+    expect(String.fromCharCode(bytes[32 + 11])).toBe("C");
+    expect(bytes[32 + 16]).toBe(40);
+    expect(text(64, 3)).toBe("MAG");
+    expect([bytes[64 + 16], bytes[64 + 17]]).toEqual([8, 2]);
+    expect(bytes[headerLength - 1]).toBe(0x0d);
+
+    // Deletion flag, then text left-aligned and numbers right-aligned
+    expect(text(headerLength, recordLength)).toBe(` ${"us7000m1ab".padEnd(40)}${"4.60".padStart(8)}`);
+    expect(text(headerLength + recordLength + 1, 10)).toBe("us7000m2cd");
+    expect(bytes.length).toBe(headerLength + 2 * recordLength + 1);
+    expect(bytes[bytes.length - 1]).toBe(0x1a);
+  });
+
+  it("bounds a catalogue too large to spread into Math.min", async () => {
+    const many = Array.from({ length: 200000 }, (_, i) =>
+      testEvent({ id: String(i), lon: 36 + (i % 1000) / 100, lat: 5 + (i % 700) / 100 }));
+    const { shp } = await readFiles(many, []);
+    expect(shp.getFloat64(36, true)).toBe(36);
+    expect(shp.getFloat64(52, true)).toBeCloseTo(45.99, 10);
+    expect(shp.getFloat64(60, true)).toBeCloseTo(11.99, 10);
+  });
+});
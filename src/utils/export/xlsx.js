@@ -0,0 +1,103 @@
+import JSZip from "jszip";
+import { escapeXml } from "./xml";
+
+const SPREADSHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIP_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Cell style indexes into cellXfs below
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const CONTENT_TYPES = `${HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `${HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">
+<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK = `${HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">
+<sheets><sheet name="Earthquakes" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+const WORKBOOK_RELS = `${HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">
+<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES = `${HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// A, B, … Z, AA, AB, …
+export const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Days since 1899-12-30, Excel's date epoch, in UTC
+const excelDate = (time) => time / 86400000 + 25569;
+
+const cell = (ref, field, value) => {
+  if (value === null || value === undefined || value === "") return "";
+  if (field.type === "number") return `<c r="${ref}"><v>${value}</v></c>`;
+  if (field.type === "date") return `<c r="${ref}" s="${STYLE_DATE}"><v>${excelDate(value)}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+};
+
+export const buildSheet = (events, fields) => {
+  const header = fields
+    .map((field, i) => `<c r="${columnName(i)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(field.label)}</t></is></c>`)
+    .join("");
+  const rows = events.map((eq, row) => {
+    const cells = fields.map((field, i) => cell(`${columnName(i)}${row + 2}`, field, field.value(eq))).join("");
+    return `<row r="${row + 2}">${cells}</row>`;
+  });
+  return `${HEADER}<worksheet xmlns="${SPREADSHEET_NS}">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols><col min="1" max="${Math.max(1, fields.length)}" width="20" customWidth="1"/></cols>
+<sheetData><row r="1">${header}</row>${rows.join("")}</sheetData>
+</worksheet>`;
+};
+
+const xlsx = {
+  id: "xlsx",
+  label: "Excel",
+  extension: "xlsx",
+  description: "Excel workbook with numeric columns and real date cells (UTC).",
+  build: (events, fields) => {
+    const zip = new JSZip();
+    zip.file("[Content_Types].xml", CONTENT_TYPES);
+    zip.file("_rels/.rels", ROOT_RELS);
+    zip.file("xl/workbook.xml", WORKBOOK);
+    zip.file("xl/_rels/workbook.xml.rels", WORKBOOK_RELS);
+    zip.file("xl/styles.xml", STYLES);
+    zip.file("xl/worksheets/sheet1.xml", buildSheet(events, fields));
+    return zip.generateAsync({
+      type: "blob",
+      compression: "DEFLATE",
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    });
+  }
+};
+
+export default xlsx;
@@ -0,0 +1,47 @@
+import { columnName, buildSheet } from "./xlsx";
+import { getField } from "./fields";
+import usgsFixture from "../providers/__fixtures__/usgs.json";
+
+const [semera] = usgsFixture.features;
+
+const parse = (xml) => new DOMParser().parseFromString(xml, "application/xml");
+
+describe("columnName", () => {
+  it("names columns the way spreadsheets do", () => {
+    expect([0, 1, 25, 26, 27, 51, 52, 701, 702].map(columnName))
+      .toEqual(["A", "B", "Z", "AA", "AB", "AZ", "BA", "ZZ", "AAA"]);
+  });
+});
+
+describe("buildSheet", () => {
+  it("writes a bold header row and one row per event", () => {
+    const doc = parse(buildSheet([semera], ["id", "mag"].map(getField)));
+    expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+    const rows = doc.getElementsByTagName("row");
+    expect(rows).toHaveLength(2);
+    const header = rows[0].getElementsByTagName("c");
+    expect(header[0].getAttribute("r")).toBe("A1");
+    expect(header[0].getAttribute("s")).toBe("1");
+    expect(header[1].textContent).toBe("Magnitude");
+    expect(rows[1].getAttribute("r")).toBe("2");
+  });
+
+  it("writes numbers, Excel date serials and inline text", () => {
+    const doc = parse(buildSheet([semera], ["mag", "time", "place"].map(getField)));
+    const [mag, time, place] = doc.getElementsByTagName("row")[1].getElementsByTagName("c");
+    expect(mag.getAttribute("r")).toBe("A2");
+    expect(mag.getAttribute("t")).toBeNull();
+    expect(mag.textContent).toBe("4.6");
+    expect(time.getAttribute("s")).toBe("2");
+    // Days since 1899-12-30 UTC
+    expect(parseFloat(time.textContent)).toBeCloseTo(45366.175383, 6);
+    expect(place.getAttribute("t")).toBe("inlineStr");
+    expect(place.textContent).toBe("45 km NE of Semera, Ethiopia");
+  });
+
+  it("leaves missing values out", () => {
+    const unknown = { id: "x", properties: { mag: null }, geometry: { coordinates: [41, 11.6] } };
+    const doc = parse(buildSheet([unknown], ["id", "mag", "depth"].map(getField)));
+    expect(doc.getElementsByTagName("row")[1].getElementsByTagName("c")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,13 @@
+// Characters XML 1.0 does not allow anywhere in a document
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export const escapeXml = (value) => String(value ?? "")
+  .replace(INVALID_XML_CHARS, "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+export const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
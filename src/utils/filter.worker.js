@@ -0,0 +1,10 @@
+import { createFilterHandler } from "./filterWorker";
+
+// Worker entry: answers filter requests against the last catalogue it was sent
+const scope = self; // eslint-disable-line no-restricted-globals
+const handle = createFilterHandler();
+
+scope.addEventListener("message", ({ data }) => {
+  const reply = handle(data);
+  if (reply) scope.postMessage(reply, [reply.indexes.buffer]);
+});
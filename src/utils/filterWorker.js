@@ -0,0 +1,131 @@
+import { matchesFilters } from "./filters";
+import { isPointInArea } from "./areas";
+
+// Map filtering, run in a Web Worker so dragging the date range never blocks the page.
+// The catalogue is sent once each time it changes; a filter request is answered with the
+// indexes of the matching events, so large catalogues aren't copied back and forth.
+
+// Events the map can place: a time and a magnitude
+const isMappable = (eq) =>
+  Boolean(eq && eq.properties && eq.geometry && eq.properties.time) &&
+  eq.properties.mag !== null && eq.properties.mag !== undefined;
+
+// Indexes, in catalogue order, of the mappable events that pass the filters and fall in
+// at least one of the areas (any event when there are none)
+export const matchingIndexes = (events, filters, range, areas = []) => {
+  const indexes = [];
+  events.forEach((eq, index) => {
+    if (!isMappable(eq) || !matchesFilters(eq, filters, range)) return;
+    if (areas.length > 0) {
+      const [lon, lat] = eq.geometry.coordinates;
+      if (!areas.some(area => isPointInArea(lon, lat, area))) return;
+    }
+    indexes.push(index);
+  });
+  return Int32Array.from(indexes);
+};
+
+// Only what the filters read, to keep the copy into the worker small
+export const slimEvent = (eq) => {
+  if (!eq || !eq.properties || !eq.geometry) return null;
+  const { time, mag, magType, status, place, region, zone } = eq.properties;
+  return { properties: { time, mag, magType, status, place, region, zone }, geometry: { coordinates: eq.geometry.coordinates } };
+};
+
+// Handles the messages the worker receives:
+//   { type: "catalogue", events }
+//   { type: "filter", id, filters, range, areas }  → { id, indexes }
+export const createFilterHandler = () => {
+  let events = [];
+  return (message) => {
+    if (message.type === "catalogue") {
+      events = message.events;
+      return null;
+    }
+    if (message.type === "filter") {
+      return { id: message.id, indexes: matchingIndexes(events, message.filters, message.range, message.areas) };
+    }
+    return null;
+  };
+};
+
+// Filters on the worker from `createWorker` (which may return it or a promise of it)
+// when there is one, in the page otherwise or once the worker has failed. `filter`
+// resolves with the matching events of the catalogue set before it.
+export const createFilterClient = (createWorker = null) => {
+  const pending = new Map();
+  let catalogue = [];
+  let nextId = 0;
+  let worker = null;
+  let terminated = false;
+
+  const runLocally = ({ events, filters, range, areas }) =>
+    Array.from(matchingIndexes(events, filters, range, areas), index => events[index]);
+
+  // Fall back to the page for good, answering whatever the worker left unanswered
+  const abandonWorker = (err) => {
+    console.error("Filter worker failed, filtering in the page:", err?.message || err);
+    worker?.terminate();
+    worker = null;
+    pending.forEach(({ request, resolve }) => resolve(runLocally(request)));
+    pending.clear();
+  };
+
+  const start = async () => {
+    const created = await createWorker();
+    if (terminated) {
+      created.terminate();
+      return;
+    }
+    worker = created;
+    worker.onmessage = ({ data }) => {
+      const entry = pending.get(data.id);
+      if (!entry) return;
+      pending.delete(data.id);
+      entry.resolve(Array.from(data.indexes, index => entry.request.events[index]));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      abandonWorker(event.message || event);
+    };
+  };
+
+  // Messages go out in call order, after the worker has started. A task that throws
+  // (a DataCloneError from postMessage, say) drops to the page instead of leaving the
+  // queue rejected, which would stall every later request.
+  let queue = createWorker ? Promise.resolve().then(start).catch(abandonWorker) : Promise.resolve();
+  const whenReady = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(err => {
+      if (worker) abandonWorker(err);
+    });
+    return run;
+  };
+
+  return {
+    setCatalogue: (events) => {
+      catalogue = events;
+      whenReady(() => worker?.postMessage({ type: "catalogue", events: events.map(slimEvent) }));
+    },
+    filter: (filters, range, areas = []) => {
+      const id = nextId++;
+      const request = { events: catalogue, filters, range, areas };
+      // Rejects only if filtering in the page fails too; a failed post is answered
+      // locally by abandonWorker first, which makes the reject a no-op
+      return new Promise((resolve, reject) => whenReady(() => {
+        if (!worker) {
+          resolve(runLocally(request));
+          return;
+        }
+        pending.set(id, { request, resolve });
+        worker.postMessage({ type: "filter", id, filters, range, areas });
+      }).catch(reject));
+    },
+    terminate: () => {
+      terminated = true;
+      worker?.terminate();
+      worker = null;
+      pending.clear();
+    }
+  };
+};
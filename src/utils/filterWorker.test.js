@@ -0,0 +1,165 @@
+import { matchingIndexes, slimEvent, createFilterHandler, createFilterClient } from "./filterWorker";
+import { defaultFilters, filterTimeRange } from "./filters";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const event = (id, options) => testEvent({ id, url: "https://earthquake.usgs.gov/", felt: 12, ...options });
+
+const catalogue = [
+  event("a"),
+  event("b", { mag: 2.1 }),
+  event("c", { mag: null }),
+  event("d", { lon: 38.7, lat: 9.0 }),
+  event("e", { time: null })
+];
+
+const filters = { ...defaultFilters(), startDate: "2024-03-01", endDate: "2024-03-31" };
+const range = filterTimeRange(filters);
+const semera = { type: "circle", center: [11.6, 41.0], radius: 50000 };
+
+// Stands in for a Worker running filter.worker.js, answering on the next tick
+const fakeWorker = () => {
+  const handle = createFilterHandler();
+  const worker = {
+    posted: [],
+    terminated: false,
+    postMessage(message) {
+      worker.posted.push(message);
+      const reply = handle(JSON.parse(JSON.stringify(message)));
+      if (reply) setTimeout(() => worker.onmessage({ data: reply }), 0);
+    },
+    terminate() {
+      worker.terminated = true;
+    }
+  };
+  return worker;
+};
+
+describe("matchingIndexes", () => {
+  it("skips events without a time or magnitude", () => {
+    expect(Array.from(matchingIndexes(catalogue, filters, range))).toEqual([0, 1, 3]);
+  });
+
+  it("applies the filters and the areas", () => {
+    expect(Array.from(matchingIndexes(catalogue, { ...filters, minMag: 3 }, range))).toEqual([0, 3]);
+    expect(Array.from(matchingIndexes(catalogue, filters, range, [semera]))).toEqual([0, 1]);
+  });
+});
+
+describe("slimEvent", () => {
+  it("keeps only what the filters read", () => {
+    const slim = slimEvent(catalogue[0]);
+    expect(slim.properties).toEqual({ time: catalogue[0].properties.time, mag: 4.6, magType: "mb", status: "reviewed",
+      place: "45 km NE of Semera, Ethiopia", region: "Afar", zone: undefined });
+    expect(slim.geometry.coordinates).toEqual([41.0, 11.6, 10]);
+    expect(slimEvent(null)).toBeNull();
+  });
+});
+
+describe("createFilterHandler", () => {
+  it("answers filter requests against the last catalogue", () => {
+    const handle = createFilterHandler();
+    expect(handle({ type: "catalogue", events: catalogue.map(slimEvent) })).toBeNull();
+    const reply = handle({ type: "filter", id: 7, filters, range, areas: [semera] });
+    expect(reply.id).toBe(7);
+    expect(Array.from(reply.indexes)).toEqual([0, 1]);
+    expect(handle({ type: "unknown" })).toBeNull();
+  });
+});
+
+describe("createFilterClient", () => {
+  it("filters in the page without a worker", async () => {
+    const client = createFilterClient();
+    client.setCatalogue(catalogue);
+    const filtered = await client.filter(filters, range);
+    expect(filtered.map(eq => eq.id)).toEqual(["a", "b", "d"]);
+    expect(filtered[0]).toBe(catalogue[0]);
+  });
+
+  it("sends a slimmed catalogue to the worker and maps the answer back to full events", async () => {
+    const worker = fakeWorker();
+    const client = createFilterClient(() => worker);
+    client.setCatalogue(catalogue);
+
+    const filtered = await client.filter({ ...filters, minMag: 3 }, range);
+    expect(worker.posted[0].events[0].properties.url).toBeUndefined();
+    expect(filtered).toEqual([catalogue[0], catalogue[3]]);
+    client.terminate();
+    expect(worker.terminated).toBe(true);
+  });
+
+  it("answers each request from the catalogue it was made against", async () => {
+    const client = createFilterClient(fakeWorker);
+    client.setCatalogue(catalogue);
+    const before = client.filter(filters, range);
+    client.setCatalogue([event("z")]);
+    const after = client.filter(filters, range);
+    expect((await before).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+    expect((await after).map(eq => eq.id)).toEqual(["z"]);
+  });
+
+  it("waits for a worker that starts asynchronously", async () => {
+    const client = createFilterClient(() => Promise.resolve(fakeWorker()));
+    client.setCatalogue(catalogue);
+    expect((await client.filter(filters, range)).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+  });
+
+  it("falls back to the page when the worker fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+    const client = createFilterClient(() => worker);
+    client.setCatalogue(catalogue);
+    const pending = client.filter(filters, range, [semera]);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    worker.onerror({ message: "boom", preventDefault: jest.fn() });
+
+    expect((await pending).map(eq => eq.id)).toEqual(["a", "b"]);
+    expect((await client.filter(filters, range)).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(worker.postMessage).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+
+  it("keeps answering after a message fails to post", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const worker = fakeWorker();
+    const post = worker.postMessage;
+    worker.postMessage = (message) => {
+      if (message.type === "filter") throw new Error("DataCloneError");
+      post(message);
+    };
+    const client = createFilterClient(() => worker);
+    client.setCatalogue(catalogue);
+
+    expect((await client.filter(filters, range, [semera])).map(eq => eq.id)).toEqual(["a", "b"]);
+    expect((await client.filter(filters, range)).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+    expect(worker.terminated).toBe(true);
+    console.error.mockRestore();
+  });
+
+  it("keeps answering after a catalogue fails to post", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const worker = { postMessage: jest.fn(() => { throw new Error("DataCloneError"); }), terminate: jest.fn() };
+    const client = createFilterClient(() => worker);
+    client.setCatalogue(catalogue);
+    expect((await client.filter(filters, range)).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+    expect(worker.postMessage).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+
+  it("rejects a request that fails in the page without blocking the next one", async () => {
+    const client = createFilterClient();
+    client.setCatalogue(catalogue);
+    await expect(client.filter(null, range)).rejects.toThrow();
+    expect((await client.filter(filters, range)).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+  });
+
+  it("filters in the page when the worker can't be created", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const client = createFilterClient(() => {
+      throw new Error("Workers are blocked");
+    });
+    client.setCatalogue(catalogue);
+    expect((await client.filter(filters, range)).map(eq => eq.id)).toEqual(["a", "b", "d"]);
+    console.error.mockRestore();
+  });
+});
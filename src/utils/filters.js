@@ -0,0 +1,133 @@
+import { loadJSON, saveJSON } from "./storage";
+
+const PRESETS_KEY = "filterPresets";
+
+export const DEFAULT_START_DATE = "2000-01-01";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const todayDate = () => new Date().toISOString().slice(0, 10);
+
+// Filters look like:
+//   { startDate, endDate, lastHours, minMag, maxMag, minDepth, maxDepth,
+//     magTypes: ["mb", "mw"], status: "all" | "reviewed" | "automatic" | "unknown", text }
+// `lastHours`, when set, replaces the date range with a window ending now.
+// Empty criteria (null / "" / []) match every event.
+export const defaultFilters = () => ({
+  startDate: DEFAULT_START_DATE,
+  endDate: todayDate(),
+  lastHours: null,
+  minMag: 0,
+  maxMag: null,
+  minDepth: null,
+  maxDepth: null,
+  magTypes: [],
+  status: "all",
+  text: ""
+});
+
+export const REVIEW_STATUSES = [
+  { id: "all", label: "Any" },
+  { id: "reviewed", label: "Reviewed" },
+  { id: "automatic", label: "Automatic" },
+  { id: "unknown", label: "Unknown" }
+];
+
+export const UNKNOWN_STATUS = "unknown";
+
+// Review status as the filter sees it. Only USGS reports one, so events from other
+// agencies or imported catalogues, like anything neither reviewed nor automatic, are
+// unknown and only pass a filter for unknown or any status.
+export const reviewStatusOf = (status) =>
+  (status === "reviewed" || status === "automatic" ? status : UNKNOWN_STATUS);
+
+// Quick presets start from the defaults, so they never combine with stale criteria
+export const QUICK_PRESETS = [
+  { id: "24h", label: "Last 24h", filters: { lastHours: 24 } },
+  { id: "7d", label: "Last 7 days", filters: { lastHours: 7 * 24 } },
+  { id: "30d", label: "Last 30 days", filters: { lastHours: 30 * 24 } },
+  { id: "m45", label: "M4.5+ since 2000", filters: { startDate: "2000-01-01", minMag: 4.5 } }
+];
+
+const isSet = (value) => value !== null && value !== undefined && value !== "";
+
+// Start and end timestamps the filters cover. The end date is inclusive, so a range
+// ending today includes today's events.
+export const filterTimeRange = (filters, now = Date.now()) => {
+  if (filters.lastHours) return { start: now - filters.lastHours * HOUR_MS, end: now };
+  const start = filters.startDate ? Date.parse(filters.startDate) : -Infinity;
+  const end = filters.endDate ? Date.parse(filters.endDate) + DAY_MS - 1 : Infinity;
+  return { start, end };
+};
+
+// Events without a magnitude or depth pass only while that criterion is unset
+export const matchesFilters = (eq, filters, range = filterTimeRange(filters)) => {
+  const { time, mag, magType, status, place, region, zone } = eq.properties;
+  const depth = eq.geometry?.coordinates?.[2];
+
+  if (!(time >= range.start && time <= range.end)) return false;
+
+  const magBounded = filters.minMag > 0 || isSet(filters.maxMag);
+  if (typeof mag !== "number") {
+    if (magBounded) return false;
+  } else {
+    if (filters.minMag > 0 && mag < filters.minMag) return false;
+    if (isSet(filters.maxMag) && mag > Number(filters.maxMag)) return false;
+  }
+
+  const depthBounded = isSet(filters.minDepth) || isSet(filters.maxDepth);
+  if (typeof depth !== "number") {
+    if (depthBounded) return false;
+  } else {
+    if (isSet(filters.minDepth) && depth < Number(filters.minDepth)) return false;
+    if (isSet(filters.maxDepth) && depth > Number(filters.maxDepth)) return false;
+  }
+
+  if (filters.magTypes?.length > 0 && !filters.magTypes.includes((magType || "").toLowerCase())) return false;
+  if (filters.status && filters.status !== "all" && reviewStatusOf(status) !== filters.status) return false;
+
+  const text = (filters.text || "").trim().toLowerCase();
+  if (text && ![place, region, zone].some(value => value && value.toLowerCase().includes(text))) return false;
+
+  return true;
+};
+
+export const filterEvents = (events, filters, range = filterTimeRange(filters)) =>
+  events.filter(eq => matchesFilters(eq, filters, range));
+
+// Magnitude types present in a catalogue, lower-cased, most common first
+export const magTypesOf = (events) => {
+  const counts = new Map();
+  events.forEach(eq => {
+    const type = (eq.properties?.magType || "").toLowerCase();
+    if (type) counts.set(type, (counts.get(type) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([type]) => type);
+};
+
+// Criteria beyond the date range and minimum magnitude that differ from the defaults
+export const extraFilterCount = (filters) => [
+  isSet(filters.maxMag),
+  isSet(filters.minDepth),
+  isSet(filters.maxDepth),
+  filters.magTypes?.length > 0,
+  filters.status && filters.status !== "all",
+  isSet((filters.text || "").trim())
+].filter(Boolean).length;
+
+// Saved presets look like { id, name, filters }. An end date of today is stored as
+// null so the preset keeps ending "today" when applied later.
+export const loadFilterPresets = () => loadJSON(PRESETS_KEY, []);
+export const saveFilterPresets = (presets) => saveJSON(PRESETS_KEY, presets);
+
+export const createFilterPreset = (name, filters) => ({
+  id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  filters: { ...filters, endDate: filters.endDate === todayDate() ? null : filters.endDate }
+});
+
+export const applyFilterPreset = (preset) => {
+  const filters = { ...defaultFilters(), ...preset.filters };
+  return { ...filters, endDate: filters.endDate || todayDate() };
+};
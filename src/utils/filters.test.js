@@ -0,0 +1,115 @@
+import {
+  defaultFilters, filterTimeRange, matchesFilters, filterEvents, magTypesOf, extraFilterCount,
+  createFilterPreset, applyFilterPreset, todayDate
+} from "./filters";
+import { testEvent as event } from "./__fixtures__/testEvents";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const filters = (overrides = {}) => ({ ...defaultFilters(), ...overrides });
+
+describe("filterTimeRange", () => {
+  it("includes the whole end day", () => {
+    const { start, end } = filterTimeRange(filters({ startDate: "2024-03-01", endDate: "2024-03-15" }));
+    expect(start).toBe(Date.parse("2024-03-01T00:00:00Z"));
+    expect(end).toBe(Date.parse("2024-03-16T00:00:00Z") - 1);
+  });
+
+  it("uses a window ending now when lastHours is set", () => {
+    const now = Date.parse("2024-03-15T12:00:00Z");
+    expect(filterTimeRange(filters({ lastHours: 24 }), now)).toEqual({ start: now - 24 * HOUR_MS, end: now });
+  });
+});
+
+describe("matchesFilters", () => {
+  it("matches everything with the default filters", () => {
+    expect(matchesFilters(event(), filters())).toBe(true);
+    expect(matchesFilters(event({ mag: null, depth: null }), filters())).toBe(true);
+  });
+
+  it("applies the date range", () => {
+    expect(matchesFilters(event(), filters({ startDate: "2024-03-15", endDate: "2024-03-15" }))).toBe(true);
+    expect(matchesFilters(event(), filters({ startDate: "2024-03-16" }))).toBe(false);
+    expect(matchesFilters(event(), filters({ endDate: "2024-03-14" }))).toBe(false);
+  });
+
+  it("applies magnitude bounds and drops events without a magnitude once bounded", () => {
+    expect(matchesFilters(event(), filters({ minMag: 4.6, maxMag: 4.6 }))).toBe(true);
+    expect(matchesFilters(event(), filters({ minMag: 4.7 }))).toBe(false);
+    expect(matchesFilters(event(), filters({ maxMag: 4.5 }))).toBe(false);
+    expect(matchesFilters(event({ mag: null }), filters({ maxMag: 6 }))).toBe(false);
+  });
+
+  it("applies depth bounds", () => {
+    expect(matchesFilters(event({ depth: 10 }), filters({ minDepth: 5, maxDepth: 15 }))).toBe(true);
+    expect(matchesFilters(event({ depth: 10 }), filters({ minDepth: 20 }))).toBe(false);
+    expect(matchesFilters(event({ depth: 10 }), filters({ maxDepth: 0 }))).toBe(false);
+    expect(matchesFilters(event({ depth: null }), filters({ maxDepth: 30 }))).toBe(false);
+  });
+
+  it("matches magnitude types case-insensitively", () => {
+    expect(matchesFilters(event({ magType: "Mww" }), filters({ magTypes: ["mww", "mb"] }))).toBe(true);
+    expect(matchesFilters(event({ magType: "ml" }), filters({ magTypes: ["mb"] }))).toBe(false);
+  });
+
+  it("applies the review status", () => {
+    expect(matchesFilters(event({ status: "reviewed" }), filters({ status: "reviewed" }))).toBe(true);
+    expect(matchesFilters(event({ status: "reviewed" }), filters({ status: "automatic" }))).toBe(false);
+  });
+
+  it("treats events without a review status as unknown", () => {
+    expect(matchesFilters(event({ status: null }), filters({ status: "reviewed" }))).toBe(false);
+    expect(matchesFilters(event({ status: null }), filters({ status: "unknown" }))).toBe(true);
+    expect(matchesFilters(event({ status: "reviewed" }), filters({ status: "unknown" }))).toBe(false);
+    // As reported by EMSC, GEOFON and ISC
+    const { status, ...properties } = event().properties;
+    expect(matchesFilters({ ...event(), properties }, filters({ status: "automatic" }))).toBe(false);
+    expect(matchesFilters({ ...event(), properties }, filters({ status: "unknown" }))).toBe(true);
+    expect(matchesFilters({ ...event(), properties }, filters({ status: "all" }))).toBe(true);
+  });
+
+  it("searches the place, region and zone text", () => {
+    expect(matchesFilters(event(), filters({ text: "semera" }))).toBe(true);
+    expect(matchesFilters(event(), filters({ text: " AFAR " }))).toBe(true);
+    expect(matchesFilters(event(), filters({ text: "Tigray" }))).toBe(false);
+  });
+});
+
+describe("filterEvents", () => {
+  it("keeps only the matching events", () => {
+    const events = [event({ mag: 3 }), event({ mag: 5 })];
+    expect(filterEvents(events, filters({ minMag: 4 })).map(eq => eq.properties.mag)).toEqual([5]);
+  });
+});
+
+describe("magTypesOf", () => {
+  it("lists lower-cased types, most common first", () => {
+    const events = [event({ magType: "ML" }), event({ magType: "mb" }), event({ magType: "mb" }), event({ magType: null })];
+    expect(magTypesOf(events)).toEqual(["mb", "ml"]);
+  });
+});
+
+describe("extraFilterCount", () => {
+  it("counts criteria beyond the date range and minimum magnitude", () => {
+    expect(extraFilterCount(filters({ minMag: 4 }))).toBe(0);
+    expect(extraFilterCount(filters({ maxDepth: 30, magTypes: ["mb"], text: "afar" }))).toBe(3);
+    expect(extraFilterCount(filters({ text: "  " }))).toBe(0);
+  });
+});
+
+describe("filter presets", () => {
+  it("keeps a range that ends today ending today", () => {
+    const preset = createFilterPreset("Recent Afar", filters({ minMag: 3, text: "afar" }));
+    expect(preset.filters.endDate).toBeNull();
+    expect(applyFilterPreset(preset)).toEqual(filters({ minMag: 3, text: "afar", endDate: todayDate() }));
+  });
+
+  it("keeps a fixed end date", () => {
+    const preset = createFilterPreset("2005 Dabbahu", filters({ startDate: "2005-09-01", endDate: "2005-10-31" }));
+    expect(applyFilterPreset(preset).endDate).toBe("2005-10-31");
+  });
+
+  it("starts quick presets from the defaults", () => {
+    expect(applyFilterPreset({ filters: { lastHours: 24 } })).toEqual(filters({ lastHours: 24 }));
+  });
+});
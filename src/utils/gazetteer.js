@@ -0,0 +1,80 @@
+import ethiopiaTowns from "../data/ethiopiaTowns.json";
+import { distanceKm, bearingDegrees, compassPoint } from "./geo";
+import { englishT } from "./i18n";
+
+// Towns at least this big are used to describe where an event is
+export const SIGNIFICANT_POPULATION = 30000;
+
+// Closer than this an event is described as "near" the town rather than by bearing
+const NEAR_KM = 5;
+
+// Bundled towns as plain objects, largest first
+export const TOWNS = ethiopiaTowns.features
+  .map(f => ({
+    name: f.properties.name,
+    region: f.properties.region,
+    population: f.properties.population,
+    capital: f.properties.capital,
+    lon: f.geometry.coordinates[0],
+    lat: f.geometry.coordinates[1]
+  }))
+  .sort((a, b) => b.population - a.population);
+
+const SIGNIFICANT_TOWNS = TOWNS.filter(town => town.population >= SIGNIFICANT_POPULATION);
+const CAPITALS = TOWNS.filter(town => town.capital);
+
+export const findTown = (name) => TOWNS.find(town => town.name === name) || null;
+
+// Case-insensitive prefix matches first, then matches anywhere in the name
+export const searchTowns = (query, limit = 8) => {
+  const text = query.trim().toLowerCase();
+  if (!text) return [];
+  const starts = TOWNS.filter(town => town.name.toLowerCase().startsWith(text));
+  const contains = TOWNS.filter(town => !starts.includes(town) && town.name.toLowerCase().includes(text));
+  return [...starts, ...contains].slice(0, limit);
+};
+
+// Distance and compass direction of a point as seen from the nearest of `towns`
+export const nearestTown = (lat, lon, towns = SIGNIFICANT_TOWNS) => towns.reduce((best, town) => {
+  const distance = distanceKm(town.lat, town.lon, lat, lon);
+  if (best && best.distanceKm <= distance) return best;
+  return { town, distanceKm: distance, direction: compassPoint(bearingDegrees(town.lat, town.lon, lat, lon)) };
+}, null);
+
+// "23 km NE of Adama", or "Near Adama" within a few kilometres, in the language of `t`
+export const formatRelativeTo = ({ town, distanceKm: distance, direction }, t = englishT) =>
+  distance < NEAR_KM
+    ? t("location.near", { town: town.name })
+    : t("location.relative", { distance: Math.round(distance), direction: t(`compass.${direction}`), town: town.name });
+
+// Where an event is, relative to the nearest significant town and the nearest regional
+// capital (left out when that is the same town). Null without usable coordinates.
+export const describeLocation = (eq, t = englishT) => {
+  const [lon, lat] = eq?.geometry?.coordinates || [];
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const town = nearestTown(lat, lon);
+  const capital = nearestTown(lat, lon, CAPITALS);
+  return {
+    town,
+    capital,
+    text: formatRelativeTo(town, t),
+    capitalText: capital.town === town.town ? null : formatRelativeTo(capital, t)
+  };
+};
+
+// One-line description for exports, speech and notifications, falling back to the
+// agency's place text
+export const locationText = (eq, t = englishT) => {
+  const location = describeLocation(eq, t);
+  if (!location) return eq?.properties?.place || t("location.unknown");
+  return location.capitalText ? `${location.text} (${location.capitalText})` : location.text;
+};
+
+// Events within `radiusKm` of a town, nearest first
+export const eventsNearTown = (events, town, radiusKm) => events
+  .map(eq => {
+    const [lon, lat] = eq.geometry.coordinates;
+    return { event: eq, distanceKm: distanceKm(town.lat, town.lon, lat, lon) };
+  })
+  .filter(entry => entry.distanceKm <= radiusKm)
+  .sort((a, b) => a.distanceKm - b.distanceKm);
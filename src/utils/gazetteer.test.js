@@ -0,0 +1,109 @@
+import { TOWNS, findTown, searchTowns, nearestTown, formatRelativeTo, describeLocation, locationText, eventsNearTown } from "./gazetteer";
+import { translator } from "./i18n";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const at = (lat, lon) => testEvent({ id: `${lat},${lon}`, lat, lon });
+
+describe("nearestTown", () => {
+  it("gives the distance and direction from the nearest significant town", () => {
+    const { town, distanceKm, direction } = nearestTown(8.6, 39.27);
+    expect(town.name).toBe("Adama");
+    expect(distanceKm).toBeCloseTo(6.7, 1);
+    expect(direction).toBe("N");
+  });
+
+  it("skips towns below the significant population", () => {
+    // Afdera is the closest town but has about 5,000 people
+    expect(nearestTown(13.2, 40.88).town.name).not.toBe("Afdera");
+    expect(nearestTown(13.2, 40.88, TOWNS).town.name).toBe("Afdera");
+  });
+
+  it("still names a town, however far, for points nowhere near one", () => {
+    const { town, distanceKm, direction } = nearestTown(15.35, 44.2);
+    expect(town.name).toBe("Adigrat");
+    expect(Math.round(distanceKm)).toBe(523);
+    expect(direction).toBe("ENE");
+  });
+
+  it("is null without towns to choose from", () => {
+    expect(nearestTown(8.6, 39.27, [])).toBeNull();
+  });
+});
+
+describe("formatRelativeTo", () => {
+  const adama = findTown("Adama");
+
+  it("uses the bearing and rounded distance beyond a few kilometres", () => {
+    expect(formatRelativeTo({ town: adama, distanceKm: 23.4, direction: "NE" })).toBe("23 km NE of Adama");
+  });
+
+  it("says near within a few kilometres", () => {
+    expect(formatRelativeTo({ town: adama, distanceKm: 4.9, direction: "NE" })).toBe("Near Adama");
+    expect(formatRelativeTo({ town: adama, distanceKm: 5, direction: "NE" })).toBe("5 km NE of Adama");
+  });
+
+  it("translates the wording and the compass direction", () => {
+    const t = translator("om");
+    expect(formatRelativeTo({ town: adama, distanceKm: 23.4, direction: "N" }, t)).toBe("Adama irraa gara Kaabaa km 23");
+    expect(formatRelativeTo({ town: adama, distanceKm: 1, direction: "N" }, t)).toBe("Adama bira");
+  });
+});
+
+describe("describeLocation", () => {
+  it("adds the nearest regional capital when it is another town", () => {
+    const location = describeLocation(at(8.6, 39.27));
+    expect(location.text).toBe("7 km N of Adama");
+    expect(location.capital.town.name).toBe("Addis Ababa");
+    expect(location.capitalText).toBe("75 km SE of Addis Ababa");
+  });
+
+  it("leaves the capital out when it is the nearest town", () => {
+    expect(describeLocation(at(9.03, 38.74))).toMatchObject({ text: "Near Addis Ababa", capitalText: null });
+  });
+
+  it("describes far-off points by distance rather than as near", () => {
+    expect(describeLocation(at(14.24, 40.3)).text).toBe("91 km ENE of Wukro");
+  });
+
+  it("is null without usable coordinates", () => {
+    expect(describeLocation({ properties: {}, geometry: null })).toBeNull();
+    expect(describeLocation({ properties: {}, geometry: { coordinates: [null, 9] } })).toBeNull();
+    expect(describeLocation(null)).toBeNull();
+  });
+});
+
+describe("locationText", () => {
+  it("joins the town and capital descriptions", () => {
+    expect(locationText(at(8.6, 39.27))).toBe("7 km N of Adama (75 km SE of Addis Ababa)");
+    expect(locationText(at(9.03, 38.74))).toBe("Near Addis Ababa");
+  });
+
+  it("falls back to the place text, then to unknown, without coordinates", () => {
+    expect(locationText({ properties: { place: "Afar region" }, geometry: null })).toBe("Afar region");
+    expect(locationText({ properties: {}, geometry: null })).toBe("Unknown location");
+    expect(locationText({ properties: {}, geometry: null }, translator("am"))).toBe("ያልታወቀ ቦታ");
+  });
+});
+
+describe("searchTowns", () => {
+  it("lists prefix matches before matches inside the name", () => {
+    const names = searchTowns("de").map(town => town.name);
+    expect(names.slice(0, 6).every(name => name.toLowerCase().startsWith("de"))).toBe(true);
+    expect(names).toContain("Gode");
+    expect(names.indexOf("Gode")).toBeGreaterThan(names.indexOf("Degehabur"));
+  });
+
+  it("ignores case and surrounding space, and returns nothing for an empty query", () => {
+    expect(searchTowns("  ADAMA ").map(town => town.name)).toEqual(["Adama"]);
+    expect(searchTowns("   ")).toEqual([]);
+  });
+});
+
+describe("eventsNearTown", () => {
+  it("keeps events within the radius, nearest first", () => {
+    const adama = findTown("Adama");
+    const nearby = eventsNearTown([at(8.9, 39.27), at(8.6, 39.27), at(9.03, 38.74)], adama, 50);
+    expect(nearby.map(entry => entry.event.id)).toEqual(["8.6,39.27", "8.9,39.27"]);
+    expect(nearby[0].distanceKm).toBeLessThan(nearby[1].distanceKm);
+  });
+});
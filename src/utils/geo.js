@@ -0,0 +1,74 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance in kilometres between two lat/lon points
+export const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Initial great-circle bearing in degrees (0 = north, clockwise) from point 1 to point 2
+export const bearingDegrees = (lat1, lon1, lat2, lon2) => {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+// Kilometres east and north of an origin on a flat local projection, close enough over
+// a few hundred kilometres
+export const toLocalKm = (lat, lon, originLat, originLon) => ({
+  x: (lon - originLon) * KM_PER_DEGREE * Math.cos(toRadians(originLat)),
+  y: (lat - originLat) * KM_PER_DEGREE
+});
+
+export const fromLocalKm = (x, y, originLat, originLon) => ({
+  lat: originLat + y / KM_PER_DEGREE,
+  lon: originLon + x / (KM_PER_DEGREE * Math.cos(toRadians(originLat)))
+});
+
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// 16-point compass direction for a bearing, e.g. 30 -> "NNE"
+export const compassPoint = (bearing) => COMPASS_POINTS[Math.round(bearing / 22.5) % 16];
+
+// Ray casting test against a single linear ring of [lon, lat] pairs
+const pointInRing = (lon, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+// First ring is the outer boundary, any following rings are holes
+const pointInPolygonRings = (lon, lat, rings) => {
+  if (!rings.length || !pointInRing(lon, lat, rings[0])) return false;
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(lon, lat, rings[i])) return false;
+  }
+  return true;
+};
+
+// Point-in-polygon test for GeoJSON Polygon and MultiPolygon geometries
+export const pointInGeometry = (lon, lat, geometry) => {
+  if (!geometry) return false;
+  if (geometry.type === "Polygon") {
+    return pointInPolygonRings(lon, lat, geometry.coordinates);
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.some(rings => pointInPolygonRings(lon, lat, rings));
+  }
+  return false;
+};
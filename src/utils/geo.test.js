@@ -0,0 +1,68 @@
+import { distanceKm, bearingDegrees, compassPoint, toLocalKm, fromLocalKm, pointInGeometry } from "./geo";
+
+describe("distanceKm", () => {
+  it("measures great-circle distances", () => {
+    expect(distanceKm(0, 0, 1, 0)).toBeCloseTo(111.19, 2);
+    expect(distanceKm(9.03, 38.74, 9.03, 38.74)).toBe(0);
+    expect(distanceKm(0, 0, 0, 180)).toBeCloseTo(Math.PI * 6371, 6);
+  });
+});
+
+describe("bearingDegrees", () => {
+  it("measures clockwise from north", () => {
+    expect(bearingDegrees(0, 0, 1, 0)).toBeCloseTo(0, 10);
+    expect(bearingDegrees(0, 0, 0, 1)).toBeCloseTo(90, 10);
+    expect(bearingDegrees(0, 0, -1, 0)).toBeCloseTo(180, 10);
+    expect(bearingDegrees(0, 0, 0, -1)).toBeCloseTo(270, 10);
+  });
+});
+
+describe("compassPoint", () => {
+  it("rounds to the nearest of 16 points", () => {
+    expect(compassPoint(0)).toBe("N");
+    expect(compassPoint(11.2)).toBe("N");
+    expect(compassPoint(11.25)).toBe("NNE");
+    expect(compassPoint(45)).toBe("NE");
+    expect(compassPoint(200)).toBe("SSW");
+  });
+
+  it("wraps back to north below 360", () => {
+    expect(compassPoint(349)).toBe("N");
+    expect(compassPoint(348)).toBe("NNW");
+  });
+});
+
+describe("toLocalKm", () => {
+  it("round-trips through fromLocalKm", () => {
+    const { x, y } = toLocalKm(9.5, 39.2, 9.03, 38.74);
+    expect(x).toBeGreaterThan(0);
+    expect(y).toBeCloseTo(52.26, 2);
+    const back = fromLocalKm(x, y, 9.03, 38.74);
+    expect(back.lat).toBeCloseTo(9.5, 10);
+    expect(back.lon).toBeCloseTo(39.2, 10);
+  });
+});
+
+describe("pointInGeometry", () => {
+  const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+  const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+  it("tests polygons with holes", () => {
+    const polygon = { type: "Polygon", coordinates: [square, hole] };
+    expect(pointInGeometry(2, 2, polygon)).toBe(true);
+    expect(pointInGeometry(5, 5, polygon)).toBe(false);
+    expect(pointInGeometry(11, 5, polygon)).toBe(false);
+  });
+
+  it("tests every part of a multipolygon", () => {
+    const far = [[20, 20], [30, 20], [30, 30], [20, 30], [20, 20]];
+    const multi = { type: "MultiPolygon", coordinates: [[square], [far]] };
+    expect(pointInGeometry(25, 25, multi)).toBe(true);
+    expect(pointInGeometry(15, 15, multi)).toBe(false);
+  });
+
+  it("is false for other or missing geometries", () => {
+    expect(pointInGeometry(0, 0, { type: "Point", coordinates: [0, 0] })).toBe(false);
+    expect(pointInGeometry(0, 0, null)).toBe(false);
+  });
+});
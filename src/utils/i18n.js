@@ -0,0 +1,95 @@
+import en from "../locales/en.json";
+import am from "../locales/am.json";
+import om from "../locales/om.json";
+import { loadJSON, saveJSON } from "./storage";
+import { toEthiopianDate } from "./ethiopianCalendar";
+
+const SETTINGS_KEY = "language";
+
+// `locale` formats dates and numbers (none keeps the browser's own for English);
+// `speechLang` picks the voice for spoken alerts
+export const LANGUAGES = [
+  { id: "en", label: "English", locale: undefined, speechLang: "en-US" },
+  { id: "am", label: "አማርኛ", locale: "am-ET", speechLang: "am-ET" },
+  { id: "om", label: "Afaan Oromoo", locale: "om-ET", speechLang: "om-ET" }
+];
+
+const DICTIONARIES = { en, am, om };
+
+export const getLanguage = (id) => LANGUAGES.find(language => language.id === id) || LANGUAGES[0];
+
+// The browser's language when it is one we have, English otherwise
+const browserLanguage = () => {
+  const preferred = (typeof navigator !== "undefined" && navigator.languages) || [];
+  const match = preferred.map(tag => tag.slice(0, 2).toLowerCase()).find(id => DICTIONARIES[id]);
+  return match || "en";
+};
+
+export const loadLanguageSettings = () => ({
+  language: browserLanguage(),
+  ethiopianCalendar: false,
+  ...loadJSON(SETTINGS_KEY, {})
+});
+
+export const saveLanguageSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+const lookup = (dictionary, key) => key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), dictionary);
+
+const pluralRules = {};
+const pluralCategory = (language, count) => {
+  if (!pluralRules[language]) {
+    try {
+      pluralRules[language] = new Intl.PluralRules(getLanguage(language).locale || "en");
+    } catch (err) {
+      pluralRules[language] = new Intl.PluralRules("en");
+    }
+  }
+  return pluralRules[language].select(count);
+};
+
+// Text for `key` in `language`, falling back to English and then to `defaultValue`
+// (for labels kept next to their data, such as provider descriptions) or the key.
+// A `count` picks the `_one` / `_other` form; `{name}` placeholders are filled from `params`.
+export const translate = (language, key, params = {}) => {
+  const { count, defaultValue } = params;
+  const keys = count === undefined ? [key] : [`${key}_${pluralCategory(language, count)}`, `${key}_other`, key];
+  const find = (dictionary) => keys.map(candidate => lookup(dictionary, candidate)).find(value => typeof value === "string");
+  const text = find(DICTIONARIES[language] || en) ?? find(en) ?? defaultValue ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+// Translator bound to a language
+export const translator = (language) => (key, params) => translate(language, key, params);
+
+// English text, for code that runs outside the interface
+export const englishT = translator("en");
+
+// "Megabit 6, 2016 E.C." in the given language
+export const formatEthiopianDate = (time, language = "en") => {
+  const { year, month, day } = toEthiopianDate(time);
+  const t = translator(language);
+  return t("calendar.ethiopianDate", { day, month: t(`calendar.months.${month}`), year });
+};
+
+// Date and time formatting for the chosen language, with the Ethiopian date added after
+// the Gregorian one when `ethiopianCalendar` is on
+export const createFormatters = ({ language = "en", ethiopianCalendar = false } = {}) => {
+  const locale = getLanguage(language).locale;
+  const withEthiopian = (time, text) => (ethiopianCalendar ? `${text} (${formatEthiopianDate(time, language)})` : text);
+  const valid = (time) => time !== null && time !== undefined && !isNaN(new Date(time).getTime());
+  return {
+    formatDateTime: (time, options) => (valid(time) ? withEthiopian(time, new Date(time).toLocaleString(locale, options)) : ""),
+    formatDate: (time, options) => (valid(time) ? withEthiopian(time, new Date(time).toLocaleDateString(locale, options)) : ""),
+    formatTime: (time, options) => (valid(time) ? new Date(time).toLocaleTimeString(locale, options) : "")
+  };
+};
+
+// The voice for `language` among `voices`, or null when the browser has none
+export const pickVoice = (voices, language) => {
+  const lang = getLanguage(language).speechLang.toLowerCase();
+  const prefix = lang.slice(0, 2);
+  const normalise = (voice) => (voice.lang || "").toLowerCase().replace("_", "-");
+  return voices.find(voice => normalise(voice) === lang) ||
+    voices.find(voice => normalise(voice).startsWith(prefix)) ||
+    null;
+};
@@ -0,0 +1,102 @@
+import { translate, translator, formatEthiopianDate, createFormatters, pickVoice } from "./i18n";
+import { MAGNITUDE_CLASSES } from "./magnitude";
+import { DEPTH_CLASSES } from "./export/kmz";
+import en from "../locales/en.json";
+import am from "../locales/am.json";
+import om from "../locales/om.json";
+
+describe("translate", () => {
+  it("looks up nested keys in the chosen language", () => {
+    expect(translate("en", "header.refreshNow")).toBe("Refresh now");
+    expect(translate("am", "header.refreshNow")).toBe("አሁን አድስ");
+    expect(translate("om", "header.refreshNow")).toBe("Amma haaromsi");
+  });
+
+  it("falls back to English, then to the default value, then to the key", () => {
+    expect(translate("xx", "header.refreshNow")).toBe("Refresh now");
+    expect(translate("am", "legend.modes.contours", { defaultValue: "Contours" })).toBe("Contours");
+    expect(translate("am", "no.such.key")).toBe("no.such.key");
+  });
+
+  it("prefers a translation over the default value", () => {
+    expect(translate("am", "timeline.windows.week", { defaultValue: "Week" })).toBe("ሳምንት");
+    expect(translate("en", "timeline.windows.week", { defaultValue: "Week" })).toBe("Week");
+  });
+
+  it("fills placeholders and leaves unknown ones alone", () => {
+    expect(translate("en", "location.near", { town: "Adama" })).toBe("Near Adama");
+    expect(translate("am", "location.near", { town: "አዳማ" })).toBe("በአዳማ አቅራቢያ");
+    expect(translate("en", "location.near")).toBe("Near {town}");
+  });
+
+  it("picks the plural form from the count", () => {
+    expect(translate("en", "common.earthquakes", { count: 1 })).toBe("1 earthquake");
+    expect(translate("en", "common.earthquakes", { count: 3 })).toBe("3 earthquakes");
+    expect(translate("am", "common.earthquakes", { count: 1 })).toBe("1 የመሬት መንቀጥቀጥ");
+    // A single form serves every count
+    expect(translate("am", "sequences.events", { count: 1 })).toBe("1 ክስተቶች");
+    expect(translate("en", "notifications.new", { count: 2 })).toBe("2 new");
+  });
+
+  it("has every KMZ legend entry in every language", () => {
+    [en, am, om].forEach(dictionary => {
+      const { magnitude, depth } = dictionary.export.kmz;
+      expect(Object.keys(magnitude).sort()).toEqual(MAGNITUDE_CLASSES.map(cls => cls.id).sort());
+      expect(Object.keys(depth).sort()).toEqual(DEPTH_CLASSES.map(cls => cls.id).sort());
+    });
+    expect(translate("am", "export.kmz.magnitude.strong")).toBe("6 እና ከዚያ በላይ");
+  });
+
+  it("binds a language with translator", () => {
+    const t = translator("om");
+    expect(t("calendar.months.1")).toBe("Fulbaana");
+  });
+});
+
+describe("formatEthiopianDate", () => {
+  const time = new Date(2024, 2, 15, 12, 0).getTime();
+
+  it("names the Ethiopian month in the chosen language", () => {
+    expect(formatEthiopianDate(time)).toBe("Megabit 6, 2016 E.C.");
+    expect(formatEthiopianDate(time, "am")).toBe("መጋቢት 6፣ 2016 ዓ.ም.");
+    expect(formatEthiopianDate(time, "om")).toBe("Bitootessa 6, 2016 A.L.I.");
+  });
+});
+
+describe("createFormatters", () => {
+  const time = new Date(2024, 2, 15, 12, 0).getTime();
+
+  it("adds the Ethiopian date after the Gregorian one when asked", () => {
+    const plain = createFormatters({ language: "en" });
+    const ethiopian = createFormatters({ language: "en", ethiopianCalendar: true });
+    expect(ethiopian.formatDate(time)).toBe(`${plain.formatDate(time)} (Megabit 6, 2016 E.C.)`);
+    expect(ethiopian.formatDateTime(time)).toBe(`${plain.formatDateTime(time)} (Megabit 6, 2016 E.C.)`);
+    expect(ethiopian.formatTime(time)).toBe(plain.formatTime(time));
+  });
+
+  it("returns an empty string for missing times", () => {
+    const { formatDateTime, formatDate, formatTime } = createFormatters({ ethiopianCalendar: true });
+    expect(formatDateTime(null)).toBe("");
+    expect(formatDate(undefined)).toBe("");
+    expect(formatTime("not a date")).toBe("");
+  });
+});
+
+describe("pickVoice", () => {
+  const voices = [
+    { name: "Samantha", lang: "en-US" },
+    { name: "Daniel", lang: "en-GB" },
+    { name: "Mekdes", lang: "am_ET" }
+  ];
+
+  it("prefers the exact language and region, then any voice for the language", () => {
+    expect(pickVoice(voices, "en").name).toBe("Samantha");
+    expect(pickVoice(voices.slice(1), "en").name).toBe("Daniel");
+    expect(pickVoice(voices, "am").name).toBe("Mekdes");
+  });
+
+  it("is null when the browser has no voice for the language", () => {
+    expect(pickVoice(voices, "om")).toBeNull();
+    expect(pickVoice([], "en")).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+import { distanceKm } from "./geo";
+
+// Modified Mercalli levels with the USGS ShakeMap colour scale
+export const MMI_LEVELS = [
+  { level: 1, roman: "I", label: "Not felt", color: "#ffffff" },
+  { level: 2, roman: "II", label: "Weak", color: "#bfccff" },
+  { level: 3, roman: "III", label: "Weak", color: "#a0e6ff" },
+  { level: 4, roman: "IV", label: "Light", color: "#80ffff" },
+  { level: 5, roman: "V", label: "Moderate", color: "#7aff93" },
+  { level: 6, roman: "VI", label: "Strong", color: "#ffff00" },
+  { level: 7, roman: "VII", label: "Very strong", color: "#ffc800" },
+  { level: 8, roman: "VIII", label: "Severe", color: "#ff9100" },
+  { level: 9, roman: "IX", label: "Violent", color: "#ff0000" },
+  { level: 10, roman: "X+", label: "Extreme", color: "#c80000" }
+];
+
+// Lowest intensity drawn as a ring and listed for towns; below it shaking is rarely noticed
+export const MIN_FELT_MMI = 2;
+
+const MAX_RING_RADIUS_KM = 1500;
+
+// Atkinson & Wald (2007) intensity prediction equation, California coefficients. The
+// rift is also shallow active crust, which is the closest published analogue. The fit
+// is poor for tiny events: M≈1 predicts about MMI II at the epicentre, and for M≲1.3
+// the curve stops falling beyond ~30 km. Both stay below MIN_FELT_MMI, so the rings
+// and the felt towns are unaffected.
+const AW07 = { c1: 12.27, c2: 2.270, c3: 0.1304, c4: -1.30, c5: -0.0007070, c6: 1.95, c7: -0.577, h: 14, rt: 30 };
+
+// Level whose contour ring encloses a point with this MMI
+export const mmiLevel = (mmi) =>
+  MMI_LEVELS[Math.min(MMI_LEVELS.length, Math.max(1, Math.floor(mmi))) - 1];
+
+// Estimated MMI at `epicentralKm` from an event of magnitude `mag` at `depthKm`, or
+// null without a magnitude. Clamped to the I–X range of the scale.
+export const predictMmi = (mag, depthKm, epicentralKm) => {
+  if (typeof mag !== "number" || isNaN(mag)) return null;
+  const { c1, c2, c3, c4, c5, c6, c7, h, rt } = AW07;
+  const hypocentral = Math.hypot(epicentralKm, Math.max(depthKm || 0, 0));
+  const r = Math.hypot(hypocentral, h);
+  const logR = Math.log10(r);
+  const b = Math.max(0, Math.log10(r / rt));
+  const mmi = c1 + c2 * (mag - 6) + c3 * (mag - 6) ** 2 + c4 * logR + c5 * r + c6 * b + c7 * mag * logR;
+  return Math.min(10, Math.max(1, mmi));
+};
+
+// Epicentral distance (km) where the predicted MMI falls to `level`, by bisection since
+// the equation decreases with distance at felt levels. Null when the epicentre itself
+// stays below it.
+export const mmiRadiusKm = (mag, depthKm, level) => {
+  const atEpicentre = predictMmi(mag, depthKm, 0);
+  if (atEpicentre === null || atEpicentre < level) return null;
+  if (predictMmi(mag, depthKm, MAX_RING_RADIUS_KM) >= level) return MAX_RING_RADIUS_KM;
+  let low = 0;
+  let high = MAX_RING_RADIUS_KM;
+  while (high - low > 0.5) {
+    const mid = (low + high) / 2;
+    if (predictMmi(mag, depthKm, mid) >= level) low = mid;
+    else high = mid;
+  }
+  return low;
+};
+
+// Contour rings of an event, strongest (smallest) first
+export const intensityRings = (eq) => {
+  const mag = eq.properties?.mag;
+  const depth = eq.geometry?.coordinates?.[2];
+  return MMI_LEVELS
+    .filter(level => level.level >= MIN_FELT_MMI)
+    .map(level => ({ ...level, radiusKm: mmiRadiusKm(mag, depth, level.level) }))
+    .filter(ring => ring.radiusKm !== null && ring.radiusKm > 0)
+    .reverse();
+};
+
+// Estimated shaking at each town, strongest first. `towns` are { name, lat, lon }.
+export const townIntensities = (eq, towns) => {
+  const [lon, lat, depth] = eq.geometry.coordinates;
+  const mag = eq.properties.mag;
+  return towns
+    .map(town => {
+      const distance = distanceKm(lat, lon, town.lat, town.lon);
+      return { town, distanceKm: distance, mmi: predictMmi(mag, depth, distance) };
+    })
+    .filter(entry => entry.mmi !== null)
+    .sort((a, b) => b.mmi - a.mmi || a.distanceKm - b.distanceKm);
+};
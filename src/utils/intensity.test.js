@@ -0,0 +1,77 @@
+import { predictMmi, mmiRadiusKm, intensityRings, townIntensities, mmiLevel, MIN_FELT_MMI } from "./intensity";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const event = (mag, depth = 10) => testEvent({ id: "us1", mag, depth, lat: 9.03, lon: 38.74 });
+
+describe("predictMmi", () => {
+  // Worked by hand from the published Atkinson & Wald (2007) California coefficients
+  it("follows the Atkinson & Wald (2007) equation", () => {
+    expect(predictMmi(6, 10, 0)).toBeCloseTo(6.37, 2);
+    expect(predictMmi(6, 0, 20)).toBeCloseTo(5.64, 2);
+    expect(predictMmi(7, 10, 50)).toBeCloseTo(5.91, 2);
+    expect(predictMmi(5, 10, 100)).toBeCloseTo(2.69, 2);
+    expect(predictMmi(4, 10, 10)).toBeCloseTo(3.55, 2);
+  });
+
+  it("is clamped to the scale and null without a magnitude", () => {
+    expect(predictMmi(9, 0, 0)).toBe(10);
+    expect(predictMmi(3, 10, 1500)).toBe(1);
+    expect(predictMmi(null, 10, 0)).toBeNull();
+    expect(predictMmi(NaN, 10, 0)).toBeNull();
+  });
+
+  it("predicts about MMI II at the epicentre of an M1 event", () => {
+    expect(predictMmi(1, 0, 0)).toBeCloseTo(2, 1);
+    expect(predictMmi(1, 10, 0)).toBeLessThan(MIN_FELT_MMI);
+  });
+
+  it("stops falling beyond ~30 km for the smallest events, below the felt level", () => {
+    expect(predictMmi(0.5, 10, 200)).toBeGreaterThan(predictMmi(0.5, 10, 50));
+    expect(predictMmi(0.5, 10, 200)).toBeLessThan(MIN_FELT_MMI);
+  });
+});
+
+describe("mmiRadiusKm", () => {
+  it("finds the distance where the prediction falls to the level, to half a kilometre", () => {
+    const radius = mmiRadiusKm(6, 10, 4);
+    expect(predictMmi(6, 10, radius)).toBeGreaterThanOrEqual(4);
+    expect(predictMmi(6, 10, radius + 0.5)).toBeLessThan(4);
+  });
+
+  it("is null when the epicentre stays below the level and capped far out", () => {
+    expect(mmiRadiusKm(3, 10, 6)).toBeNull();
+    expect(mmiRadiusKm(null, 10, 2)).toBeNull();
+    expect(mmiRadiusKm(9, 10, 1)).toBe(1500);
+  });
+});
+
+describe("intensityRings", () => {
+  it("gives felt levels only, strongest and smallest first", () => {
+    const rings = intensityRings(event(6.5));
+    expect(rings[rings.length - 1].level).toBe(MIN_FELT_MMI);
+    rings.slice(1).forEach((ring, i) => {
+      expect(ring.level).toBeLessThan(rings[i].level);
+      expect(ring.radiusKm).toBeGreaterThan(rings[i].radiusKm);
+    });
+  });
+
+  it("is empty for an event too small to be felt", () => {
+    expect(intensityRings(event(1, 10))).toEqual([]);
+    expect(intensityRings(event(null))).toEqual([]);
+  });
+});
+
+describe("townIntensities", () => {
+  it("orders towns by shaking, then distance", () => {
+    const towns = [
+      { name: "Adama", lat: 8.54, lon: 39.27 },
+      { name: "Addis Ababa", lat: 9.03, lon: 38.74 },
+      { name: "Dire Dawa", lat: 9.6, lon: 41.85 }
+    ];
+    const estimates = townIntensities(event(5), towns);
+    expect(estimates.map(entry => entry.town.name)).toEqual(["Addis Ababa", "Adama", "Dire Dawa"]);
+    expect(estimates[0].distanceKm).toBe(0);
+    expect(estimates[0].mmi).toBe(predictMmi(5, 10, 0));
+    expect(mmiLevel(estimates[0].mmi).roman).toBe("IV");
+  });
+});
@@ -0,0 +1,107 @@
+import ethiopiaBoundary from "../data/ethiopiaBoundary.json";
+import ethiopiaRegions from "../data/ethiopiaRegions.json";
+import ethiopiaZones from "../data/ethiopiaZones.json";
+import { pointInGeometry } from "./geo";
+
+// Region names, alphabetically, for pickers
+export const REGION_NAMES = ethiopiaRegions.features
+  .map(f => f.properties.name)
+  .sort((a, b) => a.localeCompare(b));
+
+// Regions are listed with the small city regions (Addis Ababa, Harari, Dire Dawa)
+// first, so the first match wins over the larger region that surrounds them.
+const findFeature = (lon, lat, features) =>
+  features.find(f => pointInGeometry(lon, lat, f.geometry)) || null;
+
+// Legacy matcher on the USGS place text, only used when an event has no usable coordinates
+export const matchesEthiopiaKeywords = (place) => {
+  if (!place) return false;
+  const placeLower = place.toLowerCase();
+
+  // Countries to exclude (neighboring countries)
+  const excludeCountries = [
+    'yemen', 'eritrea', 'sudan', 'south sudan', 'kenya', 'somalia', 'djibouti',
+    'egypt', 'libya', 'chad', 'congo', 'uganda', 'tanzania', 'rwanda', 'burundi'
+  ];
+
+  // Check if location contains excluded country names
+  for (const country of excludeCountries) {
+    if (placeLower.includes(country) && !placeLower.includes('ethiopia')) {
+      return false;
+    }
+  }
+
+  // Ethiopian keywords (expanded)
+  const ethiopiaKeywords = [
+    'ethiopia', 'ethiopian', 'abyssinia', 'abyssinian',
+    // Regions
+    'addis ababa', 'afar', 'amhara', 'oromia', 'tigray', 'somali', 'gambela',
+    'harari', 'sidama', 'snnpr', 'dire dawa', 'benishangul', 'gumuz',
+    // Major cities
+    'bahir dar', 'mekelle', 'gondar', 'jimma', 'jijiga', 'dessie', 'hawassa',
+    'harar', 'debre berhan', 'arba minch', 'shashamane', 'nekemte', 'assosa', 'semera',
+    // Zones
+    'gojjam', 'wollo', 'gonder', 'wolayita', 'gurage', 'hadiya', 'kembata',
+    'silte', 'bale', 'arsi', 'hararghe', 'borena', 'guji', 'illubabor', 'wollega',
+    'welega', 'gamo', 'gofa', 'keffa', 'sheka', 'bench', 'dawuro',
+    // Geographic features
+    'rift valley', 'awash', 'lake tana', 'blue nile', 'omo river', 'abaya',
+    'chamo', 'ziway', 'langano', 'shala', 'awasa', 'tana', 'tsana'
+  ];
+
+  // Check if location contains Ethiopian keywords
+  for (const keyword of ethiopiaKeywords) {
+    if (placeLower.includes(keyword)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const hasUsableCoordinates = (coordinates) =>
+  Array.isArray(coordinates) && coordinates.length >= 2 &&
+  Number.isFinite(coordinates[0]) && Number.isFinite(coordinates[1]);
+
+// Classify a [lon, lat] point against the bundled boundary, region and zone polygons
+export const classifyPoint = (lon, lat) => {
+  const country = ethiopiaBoundary.features[0];
+  if (!pointInGeometry(lon, lat, country.geometry)) {
+    return { inEthiopia: false, region: null, zone: null };
+  }
+
+  const region = findFeature(lon, lat, ethiopiaRegions.features);
+  const regionName = region ? region.properties.name : null;
+  const zone = regionName
+    ? findFeature(lon, lat, ethiopiaZones.features.filter(z => z.properties.region === regionName))
+    : null;
+
+  return {
+    inEthiopia: true,
+    region: regionName,
+    zone: zone ? zone.properties.name : null
+  };
+};
+
+// Classify a USGS GeoJSON feature, falling back to the place text when it has no coordinates
+export const classifyLocation = (feature) => {
+  const coordinates = feature?.geometry?.coordinates;
+  if (hasUsableCoordinates(coordinates)) {
+    return classifyPoint(coordinates[0], coordinates[1]);
+  }
+  return {
+    inEthiopia: matchesEthiopiaKeywords(feature?.properties?.place),
+    region: null,
+    zone: null
+  };
+};
+
+// Returns a copy of the feature with `region` and `zone` added to its properties
+export const tagLocation = (feature, classification = classifyLocation(feature)) => ({
+  ...feature,
+  properties: {
+    ...feature.properties,
+    region: classification.region,
+    zone: classification.zone
+  }
+});
@@ -0,0 +1,79 @@
+import { classifyPoint, classifyLocation, tagLocation, matchesEthiopiaKeywords, REGION_NAMES } from "./locationClassifier";
+import usgsFixture from "./providers/__fixtures__/usgs.json";
+import ethiopiaZones from "../data/ethiopiaZones.json";
+import ethiopiaTowns from "../data/ethiopiaTowns.json";
+
+const [semera, metahara, deleted] = usgsFixture.features;
+
+describe("classifyPoint", () => {
+  it("places points in their region and zone", () => {
+    expect(classifyPoint(41.0012, 11.6034)).toEqual({ inEthiopia: true, region: "Afar", zone: "Awsi Rasu (Zone 1)" });
+    expect(classifyPoint(34.58, 8.25)).toEqual({ inEthiopia: true, region: "Gambela", zone: "Anuak" });
+  });
+
+  it("prefers the city regions over the region surrounding them", () => {
+    expect(classifyPoint(38.75, 9.02).region).toBe("Addis Ababa");
+    expect(classifyPoint(41.86, 9.6).region).toBe("Dire Dawa");
+  });
+
+  it("prefers the city zones over the zone surrounding them", () => {
+    expect(classifyPoint(39.47, 13.5).zone).toBe("Mekelle");
+    expect(classifyPoint(37.39, 11.59).zone).toBe("Bahir Dar");
+  });
+
+  it("finds a zone of the right region for every town inside Ethiopia", () => {
+    const unzoned = ethiopiaTowns.features.filter(town => {
+      const { inEthiopia, region, zone } = classifyPoint(...town.geometry.coordinates);
+      return inEthiopia && !ethiopiaZones.features.some(f => f.properties.name === zone && f.properties.region === region);
+    });
+    expect(unzoned.map(town => town.properties.name)).toEqual([]);
+  });
+
+  it("has zones for every region", () => {
+    const covered = new Set(ethiopiaZones.features.map(f => f.properties.region));
+    expect(REGION_NAMES.filter(name => !covered.has(name))).toEqual([]);
+  });
+
+  it("leaves out points beyond the border", () => {
+    expect(classifyPoint(45.52, 12.04)).toEqual({ inEthiopia: false, region: null, zone: null });
+    expect(classifyPoint(36.82, -1.29)).toEqual({ inEthiopia: false, region: null, zone: null });
+  });
+});
+
+describe("classifyLocation", () => {
+  it("classifies recorded USGS events by their coordinates", () => {
+    expect(classifyLocation(semera)).toMatchObject({ inEthiopia: true, region: "Afar" });
+    expect(classifyLocation(metahara).inEthiopia).toBe(true);
+  });
+
+  it("falls back to the place text without coordinates", () => {
+    expect(classifyLocation({ properties: { place: "near Lake Tana" }, geometry: null }))
+      .toEqual({ inEthiopia: true, region: null, zone: null });
+    expect(classifyLocation(deleted)).toEqual({ inEthiopia: false, region: null, zone: null });
+  });
+});
+
+describe("matchesEthiopiaKeywords", () => {
+  it("matches Ethiopian places but not the neighbours", () => {
+    expect(matchesEthiopiaKeywords("22 km SE of Metahara, Ethiopia")).toBe(true);
+    expect(matchesEthiopiaKeywords("Afar region")).toBe(true);
+    expect(matchesEthiopiaKeywords("Ethiopia-Kenya border region")).toBe(true);
+    expect(matchesEthiopiaKeywords("Djibouti")).toBe(false);
+    expect(matchesEthiopiaKeywords(null)).toBe(false);
+  });
+});
+
+describe("tagLocation", () => {
+  it("adds the region and zone without touching the rest of the event", () => {
+    const tagged = tagLocation(semera);
+    expect(tagged.properties.region).toBe("Afar");
+    expect(tagged.properties.mag).toBe(4.6);
+    expect(tagged.geometry).toBe(semera.geometry);
+    expect(semera.properties.region).toBeUndefined();
+  });
+});
+
+it("lists the region names alphabetically", () => {
+  expect(REGION_NAMES).toContain("Afar");
+  expect([...REGION_NAMES].sort((a, b) => a.localeCompare(b))).toEqual(REGION_NAMES);
+});
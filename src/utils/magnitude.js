@@ -0,0 +1,20 @@
+// Magnitude classes shared by the map markers, legend and exports, lowest first
+export const MAGNITUDE_CLASSES = [
+  { id: "minor", label: "< 4", min: -Infinity, color: "#6c757d" },
+  { id: "light", label: "4–5", min: 4, color: "#ffc107" },
+  { id: "moderate", label: "5–6", min: 5, color: "#fd7e14" },
+  { id: "strong", label: "≥ 6", min: 6, color: "#dc3545" }
+];
+
+const UNKNOWN_MAGNITUDE_COLOR = "#6c757d";
+
+// Events without a magnitude fall in the lowest class
+export const magnitudeClass = (mag) => {
+  if (typeof mag !== "number" || isNaN(mag)) return MAGNITUDE_CLASSES[0];
+  return [...MAGNITUDE_CLASSES].reverse().find(cls => mag >= cls.min);
+};
+
+export const getMagnitudeColor = (mag) => {
+  if (!mag && mag !== 0) return UNKNOWN_MAGNITUDE_COLOR;
+  return magnitudeClass(mag).color;
+};
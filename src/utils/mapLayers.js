@@ -0,0 +1,166 @@
+import { loadJSON, saveJSON } from "./storage";
+import { radiatedEnergy } from "./statistics";
+import { getMagnitudeColor } from "./magnitude";
+
+const SETTINGS_KEY = "mapLayer";
+
+export const LAYER_MODES = [
+  { id: "markers", label: "Markers" },
+  { id: "clusters", label: "Clusters" },
+  { id: "heatmap", label: "Heatmap" },
+  { id: "hexbin", label: "Hexbin" }
+];
+
+export const HEAT_WEIGHTINGS = [
+  { id: "magnitude", label: "Magnitude" },
+  { id: "energy", label: "Energy" }
+];
+
+// From this zoom on clusters break up into individual markers
+export const CLUSTER_MAX_ZOOM = 11;
+
+// Events from the last two days are highlighted on the map
+export const RECENT_MS = 2 * 24 * 60 * 60 * 1000;
+export const RECENT_COLOR = "#ff4444";
+
+export const isRecent = (time, now = Date.now()) =>
+  Boolean(time) && new Date(time).getTime() > now - RECENT_MS;
+
+// Radius, colour and outline width of an event marker, shared by the SVG and canvas
+// renderers. Recent events are red with a heavier outline except on small screens.
+export const markerStyle = (mag, { recent = false, small = false } = {}) => ({
+  radius: small ? Math.max(mag * 1.2, 3) : Math.max(mag * 1.5, 4),
+  color: recent ? RECENT_COLOR : getMagnitudeColor(mag),
+  weight: small || !recent ? 2 : 3
+});
+
+// Colour stops for heatmap and hexbin density, from sparse to dense
+export const DENSITY_STOPS = [
+  { at: 0, color: [43, 131, 186] },
+  { at: 0.35, color: [171, 221, 164] },
+  { at: 0.6, color: [255, 255, 191] },
+  { at: 0.8, color: [253, 174, 97] },
+  { at: 1, color: [215, 25, 28] }
+];
+
+export const loadLayerSettings = () => ({
+  mode: "markers",
+  heatWeighting: "magnitude",
+  intensityRings: true,
+  ...loadJSON(SETTINGS_KEY, {})
+});
+
+export const saveLayerSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+// Colour at t (0–1) along DENSITY_STOPS as [r, g, b]
+export const densityColor = (t) => {
+  const value = Math.min(1, Math.max(0, t));
+  const upper = DENSITY_STOPS.findIndex(stop => stop.at >= value);
+  if (upper <= 0) return DENSITY_STOPS[0].color;
+  const from = DENSITY_STOPS[upper - 1];
+  const to = DENSITY_STOPS[upper];
+  const f = (value - from.at) / (to.at - from.at);
+  return from.color.map((channel, i) => Math.round(channel + (to.color[i] - channel) * f));
+};
+
+export const densityCss = (t) => `rgb(${densityColor(t).join(",")})`;
+
+export const densityGradientCss = () =>
+  `linear-gradient(to right, ${DENSITY_STOPS.map(stop => `rgb(${stop.color.join(",")}) ${stop.at * 100}%`).join(", ")})`;
+
+// Heatmap contribution of one event. Energy grows ~32× per magnitude unit, so under
+// that weighting the largest events dominate, as they do physically.
+export const heatWeight = (eq, weighting) => {
+  const mag = eq.properties.mag;
+  if (typeof mag !== "number") return 0;
+  return weighting === "energy" ? radiatedEnergy(mag) : Math.max(mag, 0.1);
+};
+
+// Group projected points ({x, y, event}) that fall into the same square grid cell.
+// Returns [{x, y, events}] placed at each group's centroid.
+export const clusterPoints = (points, cellSize) => {
+  const cells = new Map();
+  points.forEach(point => {
+    const key = `${Math.floor(point.x / cellSize)}:${Math.floor(point.y / cellSize)}`;
+    const cell = cells.get(key);
+    if (cell) {
+      cell.sumX += point.x;
+      cell.sumY += point.y;
+      cell.events.push(point.event);
+    } else {
+      cells.set(key, { sumX: point.x, sumY: point.y, events: [point.event] });
+    }
+  });
+  return [...cells.values()].map(cell => ({
+    x: cell.sumX / cell.events.length,
+    y: cell.sumY / cell.events.length,
+    events: cell.events
+  }));
+};
+
+// Bin projected points into pointy-top hexagons of the given radius (centre to
+// corner). Returns [{x, y, events}] with (x, y) the hexagon centre.
+export const hexbinPoints = (points, radius) => {
+  const dx = radius * Math.sqrt(3);
+  const dy = radius * 1.5;
+  const bins = new Map();
+  points.forEach(point => {
+    // The nearest centre always lies on one of the two rows either side of the point
+    const firstRow = Math.floor(point.y / dy);
+    let nearest = null;
+    [firstRow, firstRow + 1].forEach(row => {
+      const offset = (row & 1) / 2;
+      const col = Math.round(point.x / dx - offset);
+      const x = (col + offset) * dx;
+      const y = row * dy;
+      const distance = (x - point.x) ** 2 + (y - point.y) ** 2;
+      if (!nearest || distance < nearest.distance) nearest = { col, row, x, y, distance };
+    });
+    const { col, row } = nearest;
+    const key = `${col}:${row}`;
+    const bin = bins.get(key);
+    if (bin) {
+      bin.events.push(point.event);
+    } else {
+      bins.set(key, { x: nearest.x, y: nearest.y, events: [point.event] });
+    }
+  });
+  return [...bins.values()];
+};
+
+// Circles drawn on a canvas, indexed by screen grid cell, to find the one under the
+// pointer. Each circle is listed in every cell its bounding box touches; where circles
+// overlap the one added last, drawn on top, wins.
+export const createHitGrid = (cellSize = 32) => {
+  const cells = new Map();
+  const circles = [];
+  const cellOf = (value) => Math.floor(value / cellSize);
+  return {
+    add(item, x, y, radius) {
+      const index = circles.length;
+      circles.push({ item, x, y, radius });
+      for (let col = cellOf(x - radius); col <= cellOf(x + radius); col++) {
+        for (let row = cellOf(y - radius); row <= cellOf(y + radius); row++) {
+          const key = `${col}:${row}`;
+          const cell = cells.get(key);
+          if (cell) cell.push(index);
+          else cells.set(key, [index]);
+        }
+      }
+    },
+    find(x, y) {
+      const cell = cells.get(`${cellOf(x)}:${cellOf(y)}`) || [];
+      for (let i = cell.length - 1; i >= 0; i--) {
+        const { item, x: cx, y: cy, radius } = circles[cell[i]];
+        if ((cx - x) ** 2 + (cy - y) ** 2 <= radius ** 2) return item;
+      }
+      return null;
+    }
+  };
+};
+
+export const hexagonCorners = (x, y, radius) =>
+  Array.from({ length: 6 }, (_, i) => {
+    const angle = Math.PI / 6 + (i * Math.PI) / 3;
+    return [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+  });
@@ -0,0 +1,46 @@
+import { markerStyle, isRecent, createHitGrid, RECENT_MS, RECENT_COLOR } from "./mapLayers";
+import { getMagnitudeColor } from "./magnitude";
+
+describe("markerStyle", () => {
+  it("sizes by magnitude with a floor, smaller on small screens", () => {
+    expect(markerStyle(4).radius).toBe(6);
+    expect(markerStyle(1).radius).toBe(4);
+    expect(markerStyle(4, { small: true }).radius).toBeCloseTo(4.8);
+    expect(markerStyle(1, { small: true }).radius).toBe(3);
+  });
+
+  it("colours by magnitude class and highlights recent events", () => {
+    expect(markerStyle(5.2)).toMatchObject({ color: getMagnitudeColor(5.2), weight: 2 });
+    expect(markerStyle(5.2, { recent: true })).toMatchObject({ color: RECENT_COLOR, weight: 3 });
+    expect(markerStyle(5.2, { recent: true, small: true })).toMatchObject({ color: RECENT_COLOR, weight: 2 });
+  });
+});
+
+describe("isRecent", () => {
+  const now = Date.parse("2024-03-15T12:00:00Z");
+
+  it("is true within the last two days", () => {
+    expect(isRecent(now - RECENT_MS + 1000, now)).toBe(true);
+    expect(isRecent(now - RECENT_MS - 1000, now)).toBe(false);
+    expect(isRecent(null, now)).toBe(false);
+  });
+});
+
+describe("createHitGrid", () => {
+  it("finds the circle under a point, across cell borders", () => {
+    const grid = createHitGrid(10);
+    grid.add("a", 9, 9, 4);
+    expect(grid.find(11, 11)).toBe("a");
+    expect(grid.find(7, 7)).toBe("a");
+    expect(grid.find(14, 14)).toBeNull();
+    expect(grid.find(100, 100)).toBeNull();
+  });
+
+  it("prefers the circle added last where they overlap", () => {
+    const grid = createHitGrid(10);
+    grid.add("below", 20, 20, 8);
+    grid.add("above", 24, 20, 8);
+    expect(grid.find(22, 20)).toBe("above");
+    expect(grid.find(14, 20)).toBe("below");
+  });
+});
@@ -0,0 +1,19 @@
+import { reportIdsOf } from "./providers";
+import { ALERT_WINDOW_MS } from "./alertRules";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ids of every report of the given events, for remembering which have been seen
+export const seenIdsOf = (events) => new Set(events.flatMap(reportIdsOf));
+
+// Events no agency had reported before (none of their report ids is in `seenIds`) and
+// recent enough to alert on, so a resync never replays old events
+export const findNewEvents = (events, seenIds, now = Date.now()) => {
+  const windowStart = now - ALERT_WINDOW_MS;
+  return events.filter(eq =>
+    eq.properties.time > windowStart && !reportIdsOf(eq).some(id => seenIds.has(id)));
+};
+
+// Events in the last hour, for the header badge
+export const countRecent = (events, now = Date.now()) =>
+  events.filter(eq => eq.properties.time && eq.properties.time > now - HOUR_MS).length;
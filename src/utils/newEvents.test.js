@@ -0,0 +1,43 @@
+import { seenIdsOf, findNewEvents, countRecent } from "./newEvents";
+import { mergeProviderEvents } from "./providers";
+import { ALERT_WINDOW_MS } from "./alertRules";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.parse("2024-03-21T12:00:00Z");
+
+const event = (id, minutesAgo, { provider = "usgs", ...options } = {}) =>
+  testEvent({ id, time: NOW - minutesAgo * MINUTE_MS, mag: 4.2, provider, ...options });
+
+describe("findNewEvents", () => {
+  it("returns recent events none of whose reports has been seen", () => {
+    const events = [event("us1", 5), event("us2", 10), event("us3", 20)];
+    expect(findNewEvents(events, new Set(["us2"]), NOW).map(eq => eq.id)).toEqual(["us1", "us3"]);
+  });
+
+  it("ignores events older than the alert window, so a resync does not replay them", () => {
+    const events = [event("us1", ALERT_WINDOW_MS / MINUTE_MS + 1), event("us2", 1)];
+    expect(findNewEvents(events, new Set(), NOW).map(eq => eq.id)).toEqual(["us2"]);
+  });
+
+  it("does not announce an event again when another agency's report is merged into it", () => {
+    const first = mergeProviderEvents([event("emsc:1", 5, { provider: "emsc" })]);
+    const seen = seenIdsOf(first);
+    const later = mergeProviderEvents([event("emsc:1", 5, { provider: "emsc" }), event("us1", 5)], "usgs");
+    expect(later[0].id).toBe("us1");
+    expect(findNewEvents(later, seen, NOW)).toEqual([]);
+  });
+});
+
+describe("seenIdsOf", () => {
+  it("collects the ids of every report", () => {
+    const merged = mergeProviderEvents([event("us1", 5), event("emsc:1", 5, { provider: "emsc" }), event("us2", 90, { lat: 9 })]);
+    expect([...seenIdsOf(merged)].sort()).toEqual(["emsc:1", "us1", "us2"]);
+  });
+});
+
+describe("countRecent", () => {
+  it("counts the events of the last hour", () => {
+    expect(countRecent([event("us1", 5), event("us2", 59), event("us3", 61)], NOW)).toBe(2);
+  });
+});
@@ -0,0 +1,87 @@
+// Basemap used by the dashboard; shared by the map, the tile downloader and the service worker
+export const TILE_URL = "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png";
+export const TILE_SUBDOMAINS = ["a", "b", "c", "d"];
+export const TILE_CACHE = "basemap-tiles";
+
+// Leaflet spreads tiles over a-d subdomains, so cache them under a subdomain-free key
+export const tileCacheKey = (url) =>
+  url.replace(/^https:\/\/[a-d]\.basemaps\.cartocdn\.com\//, "https://basemaps.cartocdn.com/");
+
+export const isTileRequest = (url) => /^https:\/\/[a-d]\.basemaps\.cartocdn\.com\//.test(url);
+
+const lonToTileX = (lon, zoom) => Math.floor((lon + 180) / 360 * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const rad = lat * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** zoom);
+};
+
+// Tile coordinates covering a [[minLat, minLon], [maxLat, maxLon]] box at each zoom level
+export const tilesForBounds = (bounds, zooms) => {
+  const [[minLat, minLon], [maxLat, maxLon]] = bounds;
+  const tiles = [];
+  zooms.forEach(z => {
+    const xMin = lonToTileX(minLon, z);
+    const xMax = lonToTileX(maxLon, z);
+    const yMin = latToTileY(maxLat, z);
+    const yMax = latToTileY(minLat, z);
+    for (let x = xMin; x <= xMax; x++) {
+      for (let y = yMin; y <= yMax; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  });
+  return tiles;
+};
+
+export const tileUrl = ({ z, x, y }, retina = false) =>
+  TILE_URL
+    .replace("{s}", TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length])
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{r}", retina ? "@2x" : "");
+
+export const isTileCacheAvailable = () => typeof caches !== "undefined";
+
+// Download tiles into Cache Storage, skipping ones already cached.
+// Resolves with { done, failed } once every tile has been attempted.
+export const downloadTiles = async (tiles, { retina = false, concurrency = 6, onProgress, signal } = {}) => {
+  const cache = await caches.open(TILE_CACHE);
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (next < tiles.length && !signal?.aborted) {
+      const url = tileUrl(tiles[next++], retina);
+      const key = tileCacheKey(url);
+      try {
+        if (!(await cache.match(key))) {
+          const res = await fetch(url, { mode: "cors", signal });
+          if (!res.ok) throw new Error(`Tile request failed with status ${res.status}`);
+          await cache.put(key, res);
+        }
+      } catch (err) {
+        if (signal?.aborted) return;
+        failed++;
+      }
+      done++;
+      if (onProgress) onProgress({ done, failed, total: tiles.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return { done, failed };
+};
+
+export const countCachedTiles = async () => {
+  if (!isTileCacheAvailable()) return 0;
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.keys()).length;
+};
+
+export const clearCachedTiles = async () => {
+  if (!isTileCacheAvailable()) return;
+  await caches.delete(TILE_CACHE);
+};
@@ -0,0 +1,54 @@
+import { tileCacheKey, isTileRequest, tilesForBounds, tileUrl } from "./offlineTiles";
+
+describe("tileCacheKey", () => {
+  it("drops the subdomain so every server shares one cache entry", () => {
+    expect(tileCacheKey("https://c.basemaps.cartocdn.com/dark_all/6/38/30.png"))
+      .toBe("https://basemaps.cartocdn.com/dark_all/6/38/30.png");
+    expect(tileCacheKey("https://a.basemaps.cartocdn.com/dark_all/6/38/30@2x.png"))
+      .toBe("https://basemaps.cartocdn.com/dark_all/6/38/30@2x.png");
+  });
+
+  it("leaves other URLs alone", () => {
+    expect(tileCacheKey("https://earthquake.usgs.gov/fdsnws/event/1/query")).toBe("https://earthquake.usgs.gov/fdsnws/event/1/query");
+  });
+});
+
+describe("isTileRequest", () => {
+  it("recognises basemap tiles on any subdomain", () => {
+    expect(isTileRequest("https://d.basemaps.cartocdn.com/dark_all/6/38/30.png")).toBe(true);
+    expect(isTileRequest("https://e.basemaps.cartocdn.com/dark_all/6/38/30.png")).toBe(false);
+    expect(isTileRequest("https://tile.openstreetmap.org/6/38/30.png")).toBe(false);
+  });
+});
+
+describe("tilesForBounds", () => {
+  it("covers the whole world with one tile at zoom 0", () => {
+    expect(tilesForBounds([[-60, -170], [60, 170]], [0])).toEqual([{ z: 0, x: 0, y: 0 }]);
+  });
+
+  it("lists every tile the box touches at each zoom", () => {
+    const tiles = tilesForBounds([[-10, -10], [10, 10]], [1, 2]);
+    expect(tiles.filter(tile => tile.z === 1)).toEqual([
+      { z: 1, x: 0, y: 0 }, { z: 1, x: 0, y: 1 }, { z: 1, x: 1, y: 0 }, { z: 1, x: 1, y: 1 }
+    ]);
+    expect(tiles.filter(tile => tile.z === 2)).toHaveLength(4);
+  });
+
+  it("puts an edge on the equator or prime meridian in the tile south or east of it", () => {
+    expect(tilesForBounds([[0, 0], [10, 10]], [1])).toEqual([{ z: 1, x: 1, y: 0 }, { z: 1, x: 1, y: 1 }]);
+  });
+
+  it("covers Ethiopia with a block of tiles", () => {
+    const tiles = tilesForBounds([[3.4, 32.9], [14.9, 48.3]], [5]);
+    expect(tiles).toHaveLength(6);
+    expect([...new Set(tiles.map(tile => tile.x))]).toEqual([18, 19, 20]);
+    expect([...new Set(tiles.map(tile => tile.y))]).toEqual([14, 15]);
+  });
+});
+
+describe("tileUrl", () => {
+  it("fills in the template, spreading tiles over the subdomains", () => {
+    expect(tileUrl({ z: 6, x: 38, y: 30 })).toBe("https://a.basemaps.cartocdn.com/dark_all/6/38/30.png");
+    expect(tileUrl({ z: 6, x: 38, y: 31 }, true)).toBe("https://b.basemaps.cartocdn.com/dark_all/6/38/31@2x.png");
+  });
+});
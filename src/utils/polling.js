@@ -0,0 +1,135 @@
+import { loadJSON, saveJSON } from "./storage";
+
+const SETTINGS_KEY = "pollingSettings";
+
+const MINUTE_MS = 60 * 1000;
+
+export const POLL_INTERVALS_MINUTES = [1, 2, 5, 10, 15, 30, 60];
+export const STALE_THRESHOLDS_MINUTES = [5, 10, 15, 30, 60, 120];
+
+// The first retry after a failure comes this soon, then the wait doubles up to the maximum
+export const RETRY_BASE_MS = 30 * 1000;
+export const MAX_RETRY_MS = 30 * MINUTE_MS;
+
+export const loadPollingSettings = () => ({
+  intervalMinutes: 5,
+  staleMinutes: 15,
+  pauseWhenHidden: true,
+  ...loadJSON(SETTINGS_KEY, {})
+});
+
+export const savePollingSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+// Wait before the next run: the interval after a success, exponential backoff after
+// `failures` failures in a row
+export const nextPollDelay = (intervalMs, failures = 0) =>
+  failures === 0 ? intervalMs : Math.min(MAX_RETRY_MS, RETRY_BASE_MS * Math.pow(2, failures - 1));
+
+// Data is stale once the last successful update is older than `staleMs`. Never having
+// updated is not stale, there is just nothing to show yet.
+export const isStale = (lastSuccessAt, staleMs, now = Date.now()) =>
+  lastSuccessAt !== null && lastSuccessAt !== undefined && now - lastSuccessAt > staleMs;
+
+// Runs `task` now and then every `intervalMs`, backing off after failures and pausing
+// while the page is hidden (catching up when it is shown again if a run was due).
+// `canRun` skips a run without counting it as a failure, e.g. while offline. Runs never
+// overlap; asking for one while another is in flight returns the one in flight.
+// `onChange` receives the state:
+//   { running, paused, failures, lastError, lastSuccessAt, nextRunAt }
+export const createPoller = ({
+  task,
+  intervalMs,
+  pauseWhenHidden = true,
+  canRun = () => true,
+  onChange = () => {},
+  doc = typeof document !== "undefined" ? document : null
+}) => {
+  let options = { intervalMs, pauseWhenHidden };
+  let state = { running: false, paused: false, failures: 0, lastError: null, lastSuccessAt: null, nextRunAt: null };
+  let timer = null;
+  let inFlight = null;
+  let started = false;
+  let lastRunEndedAt = Date.now();
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const isHidden = () => options.pauseWhenHidden && doc?.visibilityState === "hidden";
+
+  const clearTimer = () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = null;
+  };
+
+  const schedule = (delay) => {
+    clearTimer();
+    const nextRunAt = Date.now() + delay;
+    if (isHidden()) {
+      update({ nextRunAt, paused: true });
+      return;
+    }
+    timer = setTimeout(() => run(), delay);
+    update({ nextRunAt, paused: false });
+  };
+
+  const run = (taskOptions) => {
+    if (inFlight) return inFlight;
+    clearTimer();
+    if (!canRun()) {
+      lastRunEndedAt = Date.now();
+      if (started) schedule(options.intervalMs);
+      return Promise.resolve();
+    }
+    update({ running: true });
+    inFlight = Promise.resolve()
+      .then(() => task(taskOptions))
+      .then(
+        () => ({ failures: 0, lastError: null, lastSuccessAt: Date.now() }),
+        err => ({ failures: state.failures + 1, lastError: err?.message || String(err) })
+      )
+      .then(outcome => {
+        inFlight = null;
+        lastRunEndedAt = Date.now();
+        update({ running: false, ...outcome });
+        if (started) schedule(nextPollDelay(options.intervalMs, state.failures));
+      });
+    return inFlight;
+  };
+
+  const handleVisibility = () => {
+    if (!started) return;
+    if (isHidden()) {
+      clearTimer();
+      update({ paused: true });
+    } else if (state.paused) {
+      const remaining = state.nextRunAt === null ? 0 : state.nextRunAt - Date.now();
+      if (remaining <= 0) run();
+      else schedule(remaining);
+    }
+  };
+
+  return {
+    start: () => {
+      if (started) return;
+      started = true;
+      doc?.addEventListener("visibilitychange", handleVisibility);
+      run();
+    },
+    stop: () => {
+      started = false;
+      clearTimer();
+      doc?.removeEventListener("visibilitychange", handleVisibility);
+    },
+    // Run now, e.g. from a refresh button, and restart the schedule from the result
+    refresh: (taskOptions) => run(taskOptions),
+    // New interval or pause setting, counted from the end of the last run
+    configure: (changes) => {
+      options = { ...options, ...changes };
+      if (!started || inFlight) return;
+      schedule(Math.max(0, lastRunEndedAt + nextPollDelay(options.intervalMs, state.failures) - Date.now()));
+    },
+    getState: () => state
+  };
+};
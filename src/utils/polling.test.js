@@ -0,0 +1,207 @@
+import { createPoller, nextPollDelay, isStale, RETRY_BASE_MS, MAX_RETRY_MS } from "./polling";
+
+const MINUTE_MS = 60 * 1000;
+const INTERVAL_MS = 5 * MINUTE_MS;
+
+// Stand-in for `document` with a settable visibility
+const fakeDocument = () => {
+  const listeners = new Set();
+  return {
+    visibilityState: "visible",
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    setVisibility(visibility) {
+      this.visibilityState = visibility;
+      listeners.forEach(listener => listener());
+    }
+  };
+};
+
+// Let the task's promise chain settle under fake timers
+const settle = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+const advance = async (ms) => {
+  jest.advanceTimersByTime(ms);
+  await settle();
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(Date.parse("2024-03-21T12:00:00Z"));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("nextPollDelay", () => {
+  it("waits the interval after a success and backs off exponentially after failures", () => {
+    expect(nextPollDelay(INTERVAL_MS, 0)).toBe(INTERVAL_MS);
+    expect(nextPollDelay(INTERVAL_MS, 1)).toBe(RETRY_BASE_MS);
+    expect(nextPollDelay(INTERVAL_MS, 2)).toBe(2 * RETRY_BASE_MS);
+    expect(nextPollDelay(INTERVAL_MS, 4)).toBe(8 * RETRY_BASE_MS);
+    expect(nextPollDelay(INTERVAL_MS, 20)).toBe(MAX_RETRY_MS);
+  });
+});
+
+describe("isStale", () => {
+  it("is stale once the last success is older than the threshold", () => {
+    const now = Date.now();
+    expect(isStale(now - 16 * MINUTE_MS, 15 * MINUTE_MS, now)).toBe(true);
+    expect(isStale(now - 14 * MINUTE_MS, 15 * MINUTE_MS, now)).toBe(false);
+    expect(isStale(null, 15 * MINUTE_MS, now)).toBe(false);
+  });
+});
+
+describe("createPoller", () => {
+  it("runs straight away and then every interval", async () => {
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc: fakeDocument() });
+    poller.start();
+    await settle();
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(poller.getState()).toMatchObject({ running: false, failures: 0, lastSuccessAt: Date.now(), nextRunAt: Date.now() + INTERVAL_MS });
+
+    await advance(INTERVAL_MS - 1);
+    expect(task).toHaveBeenCalledTimes(1);
+    await advance(1);
+    expect(task).toHaveBeenCalledTimes(2);
+    poller.stop();
+  });
+
+  it("backs off after failures and keeps the last success time", async () => {
+    const task = jest.fn().mockResolvedValueOnce().mockRejectedValue(new Error("USGS request failed with status 503"));
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc: fakeDocument() });
+    poller.start();
+    await settle();
+    const lastSuccessAt = poller.getState().lastSuccessAt;
+
+    await advance(INTERVAL_MS);
+    expect(poller.getState()).toMatchObject({ failures: 1, lastError: "USGS request failed with status 503", lastSuccessAt });
+    await advance(RETRY_BASE_MS);
+    expect(task).toHaveBeenCalledTimes(3);
+    await advance(RETRY_BASE_MS);
+    expect(task).toHaveBeenCalledTimes(3);
+    await advance(RETRY_BASE_MS);
+    expect(task).toHaveBeenCalledTimes(4);
+    expect(poller.getState().failures).toBe(3);
+
+    task.mockResolvedValue();
+    await advance(4 * RETRY_BASE_MS);
+    expect(poller.getState()).toMatchObject({ failures: 0, lastError: null, lastSuccessAt: Date.now() });
+    poller.stop();
+  });
+
+  it("pauses while the page is hidden and catches up when it is shown", async () => {
+    const doc = fakeDocument();
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc });
+    poller.start();
+    await settle();
+
+    doc.setVisibility("hidden");
+    expect(poller.getState().paused).toBe(true);
+    await advance(3 * INTERVAL_MS);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    doc.setVisibility("visible");
+    await settle();
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(poller.getState().paused).toBe(false);
+    poller.stop();
+  });
+
+  it("waits out the rest of the interval when shown again before a run is due", async () => {
+    const doc = fakeDocument();
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc });
+    poller.start();
+    await settle();
+
+    doc.setVisibility("hidden");
+    await advance(MINUTE_MS);
+    doc.setVisibility("visible");
+    await settle();
+    expect(task).toHaveBeenCalledTimes(1);
+    await advance(INTERVAL_MS - MINUTE_MS);
+    expect(task).toHaveBeenCalledTimes(2);
+    poller.stop();
+  });
+
+  it("keeps running in the background when pausing is off", async () => {
+    const doc = fakeDocument();
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, pauseWhenHidden: false, doc });
+    poller.start();
+    await settle();
+    doc.setVisibility("hidden");
+    await advance(INTERVAL_MS);
+    expect(task).toHaveBeenCalledTimes(2);
+    poller.stop();
+  });
+
+  it("skips runs that cannot happen without counting a failure", async () => {
+    let online = false;
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, canRun: () => online, doc: fakeDocument() });
+    poller.start();
+    await settle();
+    expect(task).not.toHaveBeenCalled();
+    expect(poller.getState()).toMatchObject({ failures: 0, nextRunAt: Date.now() + INTERVAL_MS });
+
+    online = true;
+    await poller.refresh();
+    expect(task).toHaveBeenCalledTimes(1);
+    poller.stop();
+  });
+
+  it("runs on demand with options, restarts the schedule and never overlaps runs", async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc: fakeDocument() });
+    poller.start();
+    await settle();
+    finish();
+    await settle();
+
+    await advance(2 * MINUTE_MS);
+    const refreshed = poller.refresh({ full: true });
+    expect(poller.refresh()).toBe(refreshed);
+    await settle();
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(task).toHaveBeenLastCalledWith({ full: true });
+    finish();
+    await refreshed;
+    expect(poller.getState().nextRunAt).toBe(Date.now() + INTERVAL_MS);
+    poller.stop();
+  });
+
+  it("applies a new interval from the end of the last run", async () => {
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc: fakeDocument() });
+    poller.start();
+    await settle();
+
+    await advance(MINUTE_MS);
+    poller.configure({ intervalMs: 2 * MINUTE_MS });
+    await advance(MINUTE_MS - 1);
+    expect(task).toHaveBeenCalledTimes(1);
+    await advance(1);
+    expect(task).toHaveBeenCalledTimes(2);
+    poller.stop();
+  });
+
+  it("stops scheduling once stopped", async () => {
+    const task = jest.fn().mockResolvedValue();
+    const poller = createPoller({ task, intervalMs: INTERVAL_MS, doc: fakeDocument() });
+    poller.start();
+    await settle();
+    poller.stop();
+    await advance(10 * INTERVAL_MS);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
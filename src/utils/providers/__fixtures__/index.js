@@ -0,0 +1,29 @@
+import fs from "fs";
+import path from "path";
+
+// Recorded provider responses, for tests only
+
+export const fixtureBody = (name) => fs.readFileSync(path.join(__dirname, name), "utf8");
+
+const response = (status, body = "") => ({
+  status,
+  ok: status >= 200 && status < 300,
+  text: async () => body,
+  json: async () => JSON.parse(body)
+});
+
+// A `fetch` stand-in answering each request with the fixture whose host matches the
+// URL, a 204 for hosts with no fixture, or the status given instead of a file name
+export const fixtureFetch = (routes = {
+  "earthquake.usgs.gov": "usgs.json",
+  "seismicportal.eu": "emsc.json",
+  "geofon.gfz.de": "geofon.txt",
+  "isc.ac.uk": "isc.txt"
+}) =>
+  jest.fn(async (url) => {
+    const host = Object.keys(routes).find(key => url.includes(key));
+    if (!host) return response(204);
+    const route = routes[host];
+    if (typeof route === "number") return response(route);
+    return response(200, fixtureBody(route));
+  });
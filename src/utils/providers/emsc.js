@@ -0,0 +1,38 @@
+import { buildFdsnUrl, toProviderFeature, titleCase } from "./fdsn";
+
+const EMSC_QUERY_URL = "https://www.seismicportal.eu/fdsnws/event/1/query";
+
+// EMSC answers in GeoJSON with the depth as a negative third coordinate, so the
+// location is read from the properties instead
+const emsc = {
+  id: "emsc",
+  label: "EMSC",
+  credit: "EMSC",
+  description: "European-Mediterranean Seismological Centre. Often the first to report East African events.",
+  supportsUpdatedAfter: true,
+  buildUrl: (query) => buildFdsnUrl(EMSC_QUERY_URL, query, { format: "json" }),
+  parse: (body, requestedAt) => {
+    const data = JSON.parse(body);
+    const features = (Array.isArray(data.features) ? data.features : [])
+      .map(f => {
+        const props = f?.properties || {};
+        const id = props.unid || f?.id;
+        return toProviderFeature("emsc", {
+          id,
+          time: props.time,
+          latitude: props.lat,
+          longitude: props.lon,
+          depth: props.depth,
+          mag: props.mag,
+          magType: props.magtype,
+          place: titleCase(props.flynn_region),
+          url: id ? `https://www.seismicportal.eu/eventdetails.html?unid=${encodeURIComponent(id)}` : null,
+          updated: props.lastupdate
+        });
+      })
+      .filter(Boolean);
+    return { features, generated: requestedAt };
+  }
+};
+
+export default emsc;
@@ -0,0 +1,90 @@
+// First day of the catalogue the dashboard keeps
+export const CATALOGUE_START = "2000-01-01";
+
+// FDSN event query for a [[minLat, minLon], [maxLat, maxLon]] box. `extra` carries
+// provider-specific parameters such as the output format.
+export const buildFdsnUrl = (baseUrl, { bounds, starttime = CATALOGUE_START, endtime, updatedafter }, extra = {}) => {
+  const [[minLat, minLon], [maxLat, maxLon]] = bounds;
+  const params = new URLSearchParams({
+    ...extra,
+    starttime,
+    minlatitude: minLat,
+    maxlatitude: maxLat,
+    minlongitude: minLon,
+    maxlongitude: maxLon
+  });
+  if (endtime) params.set("endtime", endtime);
+  if (updatedafter) params.set("updatedafter", new Date(updatedafter).toISOString().slice(0, 19));
+  return `${baseUrl}?${params.toString()}`;
+};
+
+// FDSN times are UTC but often written without a zone designator
+export const parseUtcTime = (value) => {
+  if (!value) return NaN;
+  const text = String(value).trim().replace(" ", "T");
+  return Date.parse(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? text : `${text}Z`);
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// "NORTHERN ETHIOPIA" -> "Northern Ethiopia"
+export const titleCase = (text) =>
+  text ? text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase()) : null;
+
+// USGS-shaped feature for one report of an event, with the id prefixed by the provider
+// so reports from different agencies never collide in the cache
+export const toProviderFeature = (provider, { id, time, latitude, longitude, depth, mag, magType, place, url, updated }) => {
+  const parsedTime = typeof time === "number" ? time : parseUtcTime(time);
+  const lat = toNumber(latitude);
+  const lon = toNumber(longitude);
+  if (!id || isNaN(parsedTime) || lat === null || lon === null) return null;
+  return {
+    type: "Feature",
+    id: `${provider}:${id}`,
+    properties: {
+      time: parsedTime,
+      updated: updated ? parseUtcTime(updated) : null,
+      mag: toNumber(mag),
+      magType: magType || null,
+      place: place || null,
+      url: url || null,
+      provider
+    },
+    geometry: { type: "Point", coordinates: [lon, lat, toNumber(depth)] }
+  };
+};
+
+// The "text" output format: one header line starting with "#", then pipe-separated
+// rows. Columns are found by header name since agencies pad and order them differently.
+export const parseFdsnText = (text, provider, urlFor) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+  const headerLine = lines.find(line => line.startsWith("#"));
+  if (!headerLine) return [];
+  const headers = headerLine.slice(1).split("|").map(header => header.trim().toLowerCase());
+  const column = (row, name) => {
+    const index = headers.indexOf(name);
+    return index === -1 ? null : (row[index] ?? "").trim() || null;
+  };
+  return lines
+    .filter(line => !line.startsWith("#"))
+    .map(line => {
+      const row = line.split("|");
+      const id = column(row, "eventid");
+      return toProviderFeature(provider, {
+        id,
+        time: column(row, "time"),
+        latitude: column(row, "latitude"),
+        longitude: column(row, "longitude"),
+        depth: column(row, "depth/km"),
+        mag: column(row, "magnitude"),
+        magType: column(row, "magtype"),
+        place: titleCase(column(row, "eventlocationname")),
+        url: id ? urlFor(id) : null
+      });
+    })
+    .filter(Boolean);
+};
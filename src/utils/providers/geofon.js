@@ -0,0 +1,18 @@
+import { buildFdsnUrl, parseFdsnText } from "./fdsn";
+
+const GEOFON_QUERY_URL = "https://geofon.gfz.de/fdsnws/event/1/query";
+
+const geofon = {
+  id: "geofon",
+  label: "GEOFON",
+  credit: "GFZ GEOFON",
+  description: "GFZ Potsdam. Fast automatic solutions, mostly for larger events.",
+  supportsUpdatedAfter: false,
+  buildUrl: (query) => buildFdsnUrl(GEOFON_QUERY_URL, query, { format: "text" }),
+  parse: (body, requestedAt) => ({
+    features: parseFdsnText(body, "geofon", id => `https://geofon.gfz.de/eqinfo/event.php?id=${encodeURIComponent(id)}`),
+    generated: requestedAt
+  })
+};
+
+export default geofon;
@@ -0,0 +1,87 @@
+import { loadJSON, saveJSON } from "../storage";
+import { matchEvents } from "../eventMatching";
+import usgs from "./usgs";
+import emsc from "./emsc";
+import geofon from "./geofon";
+import isc from "./isc";
+
+export { CATALOGUE_START } from "./fdsn";
+
+const SETTINGS_KEY = "providers";
+
+// Every provider is { id, label, credit, description, supportsUpdatedAfter,
+// buildUrl(query), parse(body, requestedAt) -> { features, generated } }.
+// Add a provider by adding it here.
+export const PROVIDERS = [usgs, emsc, geofon, isc];
+
+export const DEFAULT_PROVIDER_SETTINGS = { enabled: ["usgs"], authority: "usgs" };
+
+export const getProvider = (id) => PROVIDERS.find(provider => provider.id === id);
+
+// Cached USGS events predate the provider tag
+export const providerOf = (eq) => eq.properties?.provider || "usgs";
+
+// Ids of every agency's report merged into an event
+export const reportIdsOf = (eq) => eq.properties?.reports?.map(report => report.id) || [eq.id];
+
+// Unknown ids are dropped and at least one provider stays enabled; the authority falls
+// back to the first enabled provider when it is switched off
+export const loadProviderSettings = () => {
+  const saved = loadJSON(SETTINGS_KEY, DEFAULT_PROVIDER_SETTINGS);
+  const enabled = PROVIDERS.map(provider => provider.id).filter(id => saved.enabled?.includes(id));
+  if (enabled.length === 0) return DEFAULT_PROVIDER_SETTINGS;
+  return { enabled, authority: enabled.includes(saved.authority) ? saved.authority : enabled[0] };
+};
+
+export const saveProviderSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+// `fetchImpl` is swapped for recorded fixture responses in tests. FDSN servers answer
+// 204 when nothing matches the query.
+export const fetchProviderEvents = async (provider, query, fetchImpl = fetch) => {
+  const requestedAt = Date.now();
+  const res = await fetchImpl(provider.buildUrl(query));
+  if (res.status === 204) return { features: [], generated: requestedAt };
+  if (!res.ok) {
+    throw new Error(`${provider.label} request failed with status ${res.status}`);
+  }
+  return provider.parse(await res.text(), requestedAt);
+};
+
+const toReport = (eq) => ({
+  provider: providerOf(eq),
+  id: eq.id,
+  time: eq.properties.time,
+  mag: eq.properties.mag ?? null,
+  magType: eq.properties.magType || null,
+  url: eq.properties.url || null
+});
+
+// One event per earthquake from the reports of several agencies. Reports are matched
+// on time and distance; the authority's report (or else the first provider's, in
+// PROVIDERS order) supplies the id, location and magnitude, and every report is kept
+// in `properties.reports` with its own magnitude.
+export const mergeProviderEvents = (events, authority = DEFAULT_PROVIDER_SETTINGS.authority) => {
+  const byProvider = new Map();
+  events.forEach(eq => {
+    const id = providerOf(eq);
+    if (!byProvider.has(id)) byProvider.set(id, []);
+    byProvider.get(id).push(eq);
+  });
+  const order = [authority, ...PROVIDERS.map(provider => provider.id).filter(id => id !== authority)]
+    .filter(id => byProvider.has(id));
+
+  let groups = [];
+  order.forEach(id => {
+    const reports = byProvider.get(id);
+    const heads = groups.map(group => group[0]);
+    const { matches, onlyB } = matchEvents(heads, reports);
+    const groupOf = new Map(heads.map((head, index) => [head, groups[index]]));
+    matches.forEach(({ a, b }) => groupOf.get(a).push(b));
+    groups = [...groups, ...onlyB.map(report => [report])];
+  });
+
+  return groups.map(([head, ...others]) => ({
+    ...head,
+    properties: { ...head.properties, provider: providerOf(head), reports: [head, ...others].map(toReport) }
+  }));
+};
@@ -0,0 +1,141 @@
+import {
+  PROVIDERS, getProvider, fetchProviderEvents, mergeProviderEvents, reportIdsOf, providerOf,
+  loadProviderSettings, saveProviderSettings, DEFAULT_PROVIDER_SETTINGS
+} from ".";
+import { parseUtcTime } from "./fdsn";
+import { fixtureBody, fixtureFetch } from "./__fixtures__";
+
+const BOUNDS = [[3.4, 33], [14.9, 48]];
+
+const fetchAll = async (fetchImpl = fixtureFetch()) => Object.fromEntries(await Promise.all(
+  PROVIDERS.map(async provider => [provider.id, await fetchProviderEvents(provider, { bounds: BOUNDS }, fetchImpl)])
+));
+
+describe("buildUrl", () => {
+  it("asks USGS for GeoJSON inside the bounds, with deletions when requested", () => {
+    const url = new URL(getProvider("usgs").buildUrl({
+      bounds: BOUNDS, starttime: "2024-03-15", updatedafter: Date.parse("2024-03-20T10:00:00.500Z"), includedeleted: true
+    }));
+    expect(url.origin + url.pathname).toBe("https://earthquake.usgs.gov/fdsnws/event/1/query");
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      format: "geojson", includedeleted: "true", starttime: "2024-03-15",
+      minlatitude: "3.4", maxlatitude: "14.9", minlongitude: "33", maxlongitude: "48",
+      updatedafter: "2024-03-20T10:00:00"
+    });
+  });
+
+  it("uses each agency's own format", () => {
+    const formatOf = (id) => new URL(getProvider(id).buildUrl({ bounds: BOUNDS })).searchParams.get("format");
+    expect(formatOf("emsc")).toBe("json");
+    expect(formatOf("geofon")).toBe("text");
+    expect(formatOf("isc")).toBe("text");
+  });
+});
+
+describe("fetchProviderEvents", () => {
+  it("parses the recorded USGS response as it is, including deletions", async () => {
+    const { usgs } = await fetchAll();
+    expect(usgs.generated).toBe(1711102500000);
+    expect(usgs.features.map(f => f.id)).toEqual(["us7000m1ab", "us7000m2cd", "us7000m1zz"]);
+    expect(usgs.features[0].properties).toMatchObject({ mag: 4.6, magType: "mb", provider: "usgs" });
+    expect(usgs.features[2].properties.status).toBe("deleted");
+  });
+
+  it("reads EMSC locations from the properties, not the negative depth", async () => {
+    const { emsc } = await fetchAll();
+    expect(emsc.features).toHaveLength(3);
+    expect(emsc.features[0]).toMatchObject({
+      id: "emsc:20240315_0000047",
+      properties: { time: Date.parse("2024-03-15T04:12:31.5Z"), mag: 4.5, magType: "mb", place: "Ethiopia", provider: "emsc" },
+      geometry: { coordinates: [41.03, 11.58, 10] }
+    });
+  });
+
+  it("parses FDSN text by column name, whatever the padding", async () => {
+    const { geofon, isc } = await fetchAll();
+    expect(geofon.features.map(f => f.id)).toEqual(["geofon:gfz2024fcvq", "geofon:gfz2024fmwk"]);
+    expect(isc.features).toHaveLength(1);
+    expect(isc.features[0]).toMatchObject({
+      id: "isc:637018822",
+      properties: { time: Date.parse("2024-03-15T04:12:33.40Z"), mag: 4.5, magType: "mb", place: "Ethiopia" },
+      geometry: { coordinates: [40.9981, 11.6052, 12.3] }
+    });
+  });
+
+  it("treats 204 No Content as no events", async () => {
+    const requestedAt = Date.now();
+    const result = await fetchProviderEvents(getProvider("geofon"), { bounds: BOUNDS }, fixtureFetch({}));
+    expect(result.features).toEqual([]);
+    expect(result.generated).toBeGreaterThanOrEqual(requestedAt);
+  });
+
+  it("rejects with the provider and status on an error response", async () => {
+    const fetchImpl = fixtureFetch({ "earthquake.usgs.gov": 503 });
+    await expect(fetchProviderEvents(getProvider("usgs"), { bounds: BOUNDS }, fetchImpl))
+      .rejects.toThrow("USGS request failed with status 503");
+  });
+
+  it("skips text rows without a usable time or location", () => {
+    const body = `${fixtureBody("geofon.txt")}broken|not a time|11.6|41.0|10||GEOFON|GFZ|broken|mb|4.0||Ethiopia|earthquake\n`;
+    expect(getProvider("geofon").parse(body, 0).features).toHaveLength(2);
+  });
+});
+
+describe("parseUtcTime", () => {
+  it("reads times without a zone as UTC", () => {
+    expect(parseUtcTime("2024-03-15T04:12:34.61")).toBe(Date.parse("2024-03-15T04:12:34.610Z"));
+    expect(parseUtcTime("2024-03-15 04:12:34")).toBe(Date.parse("2024-03-15T04:12:34Z"));
+    expect(parseUtcTime("2024-03-15T07:12:34+03:00")).toBe(Date.parse("2024-03-15T04:12:34Z"));
+    expect(parseUtcTime("")).toBeNaN();
+  });
+});
+
+describe("loadProviderSettings", () => {
+  afterEach(() => window.localStorage.clear());
+
+  it("starts with USGS alone", () => {
+    expect(loadProviderSettings()).toEqual(DEFAULT_PROVIDER_SETTINGS);
+  });
+
+  it("drops unknown providers and falls back to an enabled authority", () => {
+    saveProviderSettings({ enabled: ["emsc", "gone", "isc"], authority: "usgs" });
+    expect(loadProviderSettings()).toEqual({ enabled: ["emsc", "isc"], authority: "emsc" });
+    saveProviderSettings({ enabled: ["gone"], authority: "gone" });
+    expect(loadProviderSettings()).toEqual(DEFAULT_PROVIDER_SETTINGS);
+  });
+});
+
+describe("mergeProviderEvents", () => {
+  const located = (features) => features.filter(f => f.geometry);
+
+  it("merges the reports of one earthquake under the authority", async () => {
+    const responses = await fetchAll();
+    const events = located(Object.values(responses).flatMap(response => response.features));
+    const merged = mergeProviderEvents(events, "usgs");
+
+    const semera = merged.find(eq => eq.id === "us7000m1ab");
+    expect(providerOf(semera)).toBe("usgs");
+    expect(semera.properties.mag).toBe(4.6);
+    expect(reportIdsOf(semera).sort()).toEqual(["emsc:20240315_0000047", "geofon:gfz2024fcvq", "isc:637018822", "us7000m1ab"]);
+    expect(semera.properties.reports.find(report => report.provider === "geofon").mag).toBe(4.7);
+
+    expect(reportIdsOf(merged.find(eq => eq.id === "us7000m2cd"))).toEqual(["us7000m2cd", "geofon:gfz2024fmwk"]);
+    // EMSC's Afar and Gulf of Aden events have no match in the other catalogues
+    expect(merged).toHaveLength(4);
+  });
+
+  it("takes the location and magnitude from another authority", async () => {
+    const { usgs, emsc } = await fetchAll();
+    const merged = mergeProviderEvents(located([...usgs.features, ...emsc.features]), "emsc");
+    const semera = merged.find(eq => reportIdsOf(eq).includes("us7000m1ab"));
+    expect(semera.id).toBe("emsc:20240315_0000047");
+    expect(semera.properties.mag).toBe(4.5);
+  });
+
+  it("keeps the event id for single reports of cached USGS events", () => {
+    const cached = { id: "us7000m1ab", properties: { time: 0, mag: 4.6 }, geometry: { coordinates: [41, 11.6, 10] } };
+    expect(providerOf(cached)).toBe("usgs");
+    expect(reportIdsOf(cached)).toEqual(["us7000m1ab"]);
+    expect(reportIdsOf(mergeProviderEvents([cached])[0])).toEqual(["us7000m1ab"]);
+  });
+});
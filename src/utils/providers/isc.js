@@ -0,0 +1,18 @@
+import { buildFdsnUrl, parseFdsnText } from "./fdsn";
+
+const ISC_QUERY_URL = "https://www.isc.ac.uk/fdsnws/event/1/query";
+
+const isc = {
+  id: "isc",
+  label: "ISC",
+  credit: "International Seismological Centre",
+  description: "International Seismological Centre bulletin. The most complete, but reviewed about two years behind.",
+  supportsUpdatedAfter: false,
+  buildUrl: (query) => buildFdsnUrl(ISC_QUERY_URL, query, { format: "text" }),
+  parse: (body, requestedAt) => ({
+    features: parseFdsnText(body, "isc", id => `https://www.isc.ac.uk/cgi-bin/web-db-run?event_id=${encodeURIComponent(id)}&out_format=ISF2&request=COMPREHENSIVE`),
+    generated: requestedAt
+  })
+};
+
+export default isc;
@@ -0,0 +1,29 @@
+import { buildFdsnUrl } from "./fdsn";
+
+const USGS_QUERY_URL = "https://earthquake.usgs.gov/fdsnws/event/1/query";
+
+// USGS features are used as they are: their ids are the cache keys from before other
+// providers were added, so they stay unprefixed
+const usgs = {
+  id: "usgs",
+  label: "USGS",
+  credit: "USGS Earthquake Hazards Program",
+  description: "US Geological Survey, ComCat. Reviewed magnitudes, deletions are reported.",
+  supportsUpdatedAfter: true,
+  buildUrl: ({ includedeleted, ...query }) => buildFdsnUrl(USGS_QUERY_URL, query, {
+    format: "geojson",
+    ...(includedeleted ? { includedeleted: "true" } : {})
+  }),
+  // Full detail for one event, with every contributed product
+  buildDetailUrl: (eventId) => `${USGS_QUERY_URL}?${new URLSearchParams({ eventid: eventId, format: "geojson" })}`,
+  parse: (body, requestedAt) => {
+    const data = JSON.parse(body);
+    const features = Array.isArray(data.features) ? data.features : [];
+    return {
+      features: features.map(f => (f && f.properties ? { ...f, properties: { ...f.properties, provider: "usgs" } } : f)),
+      generated: data.metadata?.generated || requestedAt
+    };
+  }
+};
+
+export default usgs;
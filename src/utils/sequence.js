@@ -0,0 +1,46 @@
+import { distanceKm } from "./geo";
+import { loadJSON, saveJSON } from "./storage";
+import { englishT } from "./i18n";
+
+const SETTINGS_KEY = "sequenceSettings";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SEQUENCE_RADII_KM = [10, 25, 50, 100, 200];
+export const SEQUENCE_WINDOWS_DAYS = [1, 7, 30, 90, 365];
+
+export const loadSequenceSettings = () => ({
+  radiusKm: 50,
+  windowDays: 30,
+  ...loadJSON(SETTINGS_KEY, {})
+});
+
+export const saveSequenceSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+// Events within `radiusKm` of `eq` and `windowDays` either side of it, split into
+// those before and after it. Entries are { event, distanceKm, offsetMs } in time order.
+export const eventSequence = (events, eq, { radiusKm, windowDays }) => {
+  const [lon, lat] = eq.geometry.coordinates;
+  const time = eq.properties.time;
+  const windowMs = windowDays * DAY_MS;
+  const entries = events
+    .filter(other => other.id !== eq.id && Math.abs(other.properties.time - time) <= windowMs)
+    .map(other => {
+      const [otherLon, otherLat] = other.geometry.coordinates;
+      return { event: other, distanceKm: distanceKm(lat, lon, otherLat, otherLon), offsetMs: other.properties.time - time };
+    })
+    .filter(entry => entry.distanceKm <= radiusKm)
+    .sort((a, b) => a.offsetMs - b.offsetMs);
+  return {
+    before: entries.filter(entry => entry.offsetMs < 0),
+    after: entries.filter(entry => entry.offsetMs >= 0)
+  };
+};
+
+// "3 h 20 min", "2.5 days" — how far an event is from the selected one
+export const formatOffset = (offsetMs, t = englishT) => {
+  const minutes = Math.round(Math.abs(offsetMs) / 60000);
+  if (minutes < 60) return t("duration.minutes", { minutes });
+  if (minutes < 48 * 60) return t("duration.hoursMinutes", { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+  return t("duration.days", { days: (minutes / (24 * 60)).toFixed(1) });
+};
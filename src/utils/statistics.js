@@ -0,0 +1,121 @@
+// Seismicity statistics over a list of GeoJSON earthquake features
+
+export const MAG_BIN_WIDTH = 0.1;
+
+// Fewer events than this above Mc gives a b-value too noisy to show
+export const MIN_EVENTS_FOR_B_VALUE = 20;
+
+// Maximum-curvature Mc is known to come out low; this is the usual correction
+const MAXC_CORRECTION = 0.2;
+
+const roundToBin = (value, width) => Math.round(value / width) * width;
+
+const isNumber = (value) => typeof value === "number" && !isNaN(value);
+
+export const magnitudesOf = (events) =>
+  events.map(eq => eq.properties.mag).filter(isNumber);
+
+export const depthsOf = (events) =>
+  events.map(eq => eq.geometry.coordinates[2]).filter(isNumber);
+
+// Smallest and largest value in one pass, or null for an empty list. Spreading a whole
+// catalogue into Math.min/Math.max overflows the call stack.
+export const valueRange = (values) => {
+  if (values.length === 0) return null;
+  let min = values[0];
+  let max = values[0];
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+};
+
+// Scalar seismic moment in N·m (Hanks & Kanamori) and radiated energy in joules
+// (Gutenberg–Richter), treating every magnitude as Mw
+export const seismicMoment = (mag) => Math.pow(10, 1.5 * mag + 9.1);
+export const radiatedEnergy = (mag) => Math.pow(10, 1.5 * mag + 4.8);
+
+// Running totals of moment and energy in time order
+export const cumulativeRelease = (events) => {
+  let moment = 0;
+  let energy = 0;
+  return events
+    .filter(eq => isNumber(eq.properties.mag))
+    .sort((a, b) => a.properties.time - b.properties.time)
+    .map(eq => {
+      moment += seismicMoment(eq.properties.mag);
+      energy += radiatedEnergy(eq.properties.mag);
+      return { time: eq.properties.time, moment, energy };
+    });
+};
+
+// Fixed-width histogram of values. Returns [{start, end, count}] covering min..max.
+export const histogram = (values, binWidth) => {
+  if (values.length === 0) return [];
+  const range = valueRange(values);
+  const min = Math.floor(range.min / binWidth) * binWidth;
+  const max = range.max;
+  const count = Math.max(1, Math.floor((max - min) / binWidth) + 1);
+  const bins = Array.from({ length: count }, (_, i) => ({
+    start: min + i * binWidth,
+    end: min + (i + 1) * binWidth,
+    count: 0
+  }));
+  values.forEach(value => {
+    const index = Math.min(count - 1, Math.floor((value - min) / binWidth));
+    bins[index].count++;
+  });
+  return bins;
+};
+
+// Magnitude–frequency distribution: events per magnitude bin and the cumulative
+// number at or above each bin, in ascending magnitude
+export const magnitudeFrequency = (mags, binWidth = MAG_BIN_WIDTH) => {
+  if (mags.length === 0) return [];
+  const counts = new Map();
+  mags.forEach(mag => {
+    const key = roundToBin(mag, binWidth).toFixed(1);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const range = valueRange(mags);
+  const min = roundToBin(range.min, binWidth);
+  const max = roundToBin(range.max, binWidth);
+  const bins = [];
+  for (let mag = min; mag <= max + binWidth / 2; mag += binWidth) {
+    const key = mag.toFixed(1);
+    bins.push({ mag: parseFloat(key), count: counts.get(key) || 0, cumulative: 0 });
+  }
+  let cumulative = 0;
+  for (let i = bins.length - 1; i >= 0; i--) {
+    cumulative += bins[i].count;
+    bins[i].cumulative = cumulative;
+  }
+  return bins;
+};
+
+// Magnitude of completeness by maximum curvature: the most populated bin of the
+// non-cumulative distribution, plus the standard correction
+export const completenessMagnitude = (mags, binWidth = MAG_BIN_WIDTH) => {
+  const bins = magnitudeFrequency(mags, binWidth);
+  if (bins.length === 0) return null;
+  const peak = bins.reduce((best, bin) => (bin.count > best.count ? bin : best), bins[0]);
+  return parseFloat((peak.mag + MAXC_CORRECTION).toFixed(1));
+};
+
+// Gutenberg–Richter a- and b-values by Aki–Utsu maximum likelihood over events at or
+// above Mc, with the Shi & Bolt uncertainty on b. Null when there are too few events.
+export const gutenbergRichter = (mags, mc, binWidth = MAG_BIN_WIDTH) => {
+  if (mc === null || mc === undefined) return null;
+  const complete = mags.filter(mag => roundToBin(mag, binWidth) >= mc - binWidth / 2);
+  const n = complete.length;
+  if (n < MIN_EVENTS_FOR_B_VALUE) return null;
+  const mean = complete.reduce((sum, mag) => sum + mag, 0) / n;
+  const denominator = mean - (mc - binWidth / 2);
+  if (denominator <= 0) return null;
+  const b = Math.LOG10E / denominator;
+  const variance = complete.reduce((sum, mag) => sum + (mag - mean) ** 2, 0) / (n * (n - 1));
+  const bError = 2.3 * b * b * Math.sqrt(variance);
+  const a = Math.log10(n) + b * mc;
+  return { a, b, bError, mc, n };
+};
@@ -0,0 +1,94 @@
+import {
+  valueRange, histogram, magnitudeFrequency, completenessMagnitude, gutenbergRichter, MIN_EVENTS_FOR_B_VALUE
+} from "./statistics";
+
+// Magnitudes following Gutenberg–Richter with b = 1 from M2.0 to M5.0, binned at 0.1
+const gutenbergRichterSample = () => {
+  const mags = [];
+  for (let i = 0; i <= 30; i++) {
+    const mag = 2 + i / 10;
+    const count = Math.round(1000 * 10 ** -(mag - 2));
+    for (let k = 0; k < count; k++) mags.push(mag);
+  }
+  return mags;
+};
+
+describe("valueRange", () => {
+  it("finds the smallest and largest value", () => {
+    expect(valueRange([3, -1, 7, 2])).toEqual({ min: -1, max: 7 });
+    expect(valueRange([])).toBeNull();
+  });
+
+  it("handles more values than fit in a call's arguments", () => {
+    const values = Array.from({ length: 300000 }, (_, i) => i % 1000);
+    expect(valueRange(values)).toEqual({ min: 0, max: 999 });
+  });
+});
+
+describe("histogram", () => {
+  it("bins values from the floor of the minimum, with the start edge inclusive", () => {
+    expect(histogram([1, 4.9, 5, 12], 5)).toEqual([
+      { start: 0, end: 5, count: 2 },
+      { start: 5, end: 10, count: 1 },
+      { start: 10, end: 15, count: 1 }
+    ]);
+  });
+
+  it("gives the maximum its own bin when it falls on an edge", () => {
+    const bins = histogram([0, 10], 5);
+    expect(bins.map(bin => bin.count)).toEqual([1, 0, 1]);
+    expect(bins[2].start).toBe(10);
+  });
+
+  it("returns one bin for identical values and none for no values", () => {
+    expect(histogram([3, 3, 3], 1)).toEqual([{ start: 3, end: 4, count: 3 }]);
+    expect(histogram([], 1)).toEqual([]);
+  });
+});
+
+describe("magnitudeFrequency", () => {
+  it("counts each bin and the number at or above it, including empty bins", () => {
+    expect(magnitudeFrequency([2.0, 2.04, 2.2, 2.2])).toEqual([
+      { mag: 2.0, count: 2, cumulative: 4 },
+      { mag: 2.1, count: 0, cumulative: 2 },
+      { mag: 2.2, count: 2, cumulative: 2 }
+    ]);
+  });
+});
+
+describe("completenessMagnitude", () => {
+  it("adds the maximum-curvature correction to the most populated bin", () => {
+    const mags = [1.5, 1.8, 1.8, 1.9, 1.9, 1.9, 2.3];
+    expect(completenessMagnitude(mags)).toBe(2.1);
+  });
+
+  it("is null without magnitudes", () => {
+    expect(completenessMagnitude([])).toBeNull();
+  });
+});
+
+describe("gutenbergRichter", () => {
+  it("recovers b = 1 from a Gutenberg–Richter sample", () => {
+    const fit = gutenbergRichter(gutenbergRichterSample(), 2.0);
+    expect(fit.b).toBeCloseTo(1, 2);
+    expect(fit.bError).toBeGreaterThan(0);
+    expect(fit.bError).toBeLessThan(0.05);
+    expect(fit.a).toBeCloseTo(Math.log10(fit.n) + fit.b * 2.0, 10);
+  });
+
+  it("uses the Aki–Utsu estimate with the half-bin correction", () => {
+    const mags = [...Array(20).fill(2.0), ...Array(20).fill(3.0)];
+    // b = log10(e) / (mean − (Mc − Δm/2)) = 0.4343 / (2.5 − 1.95)
+    expect(gutenbergRichter(mags, 2.0).b).toBeCloseTo(Math.LOG10E / 0.55, 10);
+  });
+
+  it("only counts events at or above Mc", () => {
+    const mags = [...gutenbergRichterSample(), ...Array(500).fill(1.0)];
+    expect(gutenbergRichter(mags, 2.0).n).toBe(gutenbergRichterSample().length);
+  });
+
+  it("is null with too few events or no Mc", () => {
+    expect(gutenbergRichter(Array(MIN_EVENTS_FOR_B_VALUE - 1).fill(3.0), 2.0)).toBeNull();
+    expect(gutenbergRichter(gutenbergRichterSample(), null)).toBeNull();
+  });
+});
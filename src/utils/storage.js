@@ -0,0 +1,20 @@
+// Small wrappers around localStorage that never throw (private mode, quota, bad JSON)
+const PREFIX = "eqdash:";
+
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(`Error reading ${key} from storage:`, err);
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Error writing ${key} to storage:`, err);
+  }
+};
@@ -0,0 +1,241 @@
+import { distanceKm } from "./geo";
+import { loadJSON, saveJSON } from "./storage";
+import { alertEvent } from "./alertRules";
+
+const SETTINGS_KEY = "swarmSettings";
+const ALERT_STATE_KEY = "swarmAlertState";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const CLUSTER_METHODS = [
+  { id: "dbscan", label: "Space–time DBSCAN" },
+  { id: "gardner-knopoff", label: "Gardner–Knopoff windows" }
+];
+
+// A sequence is active while its latest event is this recent
+export const ACTIVE_WINDOW_MS = 3 * DAY_MS;
+
+// The rate trend compares the last day with the sequence's daily rate before it
+export const TREND_WINDOW_MS = DAY_MS;
+const TREND_FACTOR = 2;
+const MIN_EVENTS_TO_ACCELERATE = 3;
+
+// Only this much of the catalogue is clustered when looking for alerts
+export const ALERT_LOOKBACK_MS = 30 * DAY_MS;
+
+export const SWARM_ALERT_CHANNELS = ["sound", "toast", "notification"];
+
+export const TRENDS = {
+  accelerating: { label: "Speeding up", color: "#ff4444" },
+  steady: { label: "Steady", color: "#ffa500" },
+  decaying: { label: "Slowing down", color: "#ffd93d" },
+  ended: { label: "Ended", color: "#4fc3f7" }
+};
+
+export const loadSwarmSettings = () => ({
+  method: "dbscan",
+  epsKm: 20,
+  epsHours: 72,
+  minEvents: 5,
+  visible: true,
+  alerts: true,
+  ...loadJSON(SETTINGS_KEY, {})
+});
+
+export const saveSwarmSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+// Active sequences at the last check as { id: { trend, eventIds } }, or null before the first
+export const loadSwarmAlertState = () => loadJSON(ALERT_STATE_KEY, null);
+export const saveSwarmAlertState = (state) => saveJSON(ALERT_STATE_KEY, state);
+
+// Gardner & Knopoff (1974) space and time windows around an event of magnitude `mag`
+export const gardnerKnopoffWindow = (mag) => ({
+  distanceKm: Math.pow(10, 0.1238 * mag + 0.983),
+  days: mag >= 6.5 ? Math.pow(10, 0.032 * mag + 2.7389) : Math.pow(10, 0.5409 * mag - 0.547)
+});
+
+// First index of time-sorted `points` at or after `time`
+const lowerBound = (points, time) => {
+  let low = 0;
+  let high = points.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Indices of the points within `maxKm` and `maxMs` of point i
+const neighboursOf = (points, i, maxKm, maxMs) => {
+  const point = points[i];
+  const found = [];
+  for (let j = lowerBound(points, point.time - maxMs); j < points.length && points[j].time <= point.time + maxMs; j++) {
+    if (j !== i && distanceKm(point.lat, point.lon, points[j].lat, points[j].lon) <= maxKm) found.push(j);
+  }
+  return found;
+};
+
+// Density clustering with time and distance both inside the neighbourhood. Events with
+// too few neighbours that no cluster reaches are left out as background seismicity.
+const dbscanClusters = (points, { epsKm, epsHours, minEvents }) => {
+  const maxMs = epsHours * HOUR_MS;
+  const labels = new Array(points.length).fill(null);
+  const clusters = [];
+  points.forEach((_, i) => {
+    if (labels[i] !== null) return;
+    const seeds = neighboursOf(points, i, epsKm, maxMs);
+    if (seeds.length + 1 < minEvents) {
+      labels[i] = "noise";
+      return;
+    }
+    const cluster = clusters.length;
+    const members = [i];
+    labels[i] = cluster;
+    for (let k = 0; k < seeds.length; k++) {
+      const j = seeds[k];
+      if (labels[j] === "noise") {
+        labels[j] = cluster;
+        members.push(j);
+      }
+      if (labels[j] !== null) continue;
+      labels[j] = cluster;
+      members.push(j);
+      const more = neighboursOf(points, j, epsKm, maxMs);
+      if (more.length + 1 >= minEvents) seeds.push(...more);
+    }
+    clusters.push(members.map(index => points[index]));
+  });
+  return clusters;
+};
+
+// Window declustering: the largest unassigned event claims every unassigned event
+// inside its magnitude-dependent window, before or after it
+const gardnerKnopoffClusters = (points) => {
+  const order = points.map((_, i) => i).sort((a, b) => (points[b].mag ?? -Infinity) - (points[a].mag ?? -Infinity));
+  const assigned = new Array(points.length).fill(false);
+  const clusters = [];
+  order.forEach(i => {
+    if (assigned[i]) return;
+    assigned[i] = true;
+    const window = gardnerKnopoffWindow(points[i].mag ?? 0);
+    const members = [i, ...neighboursOf(points, i, window.distanceKm, window.days * DAY_MS).filter(j => !assigned[j])];
+    members.forEach(j => {
+      assigned[j] = true;
+    });
+    clusters.push(members.map(index => points[index]));
+  });
+  return clusters;
+};
+
+// Convex hull of [lon, lat] points, counter-clockwise (Andrew's monotone chain)
+export const convexHull = (coords) => {
+  const sorted = [...coords].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => list.reduce((hull, point) => {
+    while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+    hull.push(point);
+    return hull;
+  }, []);
+  const lower = half(sorted);
+  const upper = half([...sorted].reverse());
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+const rateTrend = (times, start, end, now) => {
+  if (now - end > ACTIVE_WINDOW_MS) return "ended";
+  const trendStart = now - TREND_WINDOW_MS;
+  const recent = times.filter(time => time >= trendStart).length;
+  const earlier = times.length - recent;
+  const earlierRate = earlier / Math.max(1, (trendStart - start) / DAY_MS);
+  if (recent >= MIN_EVENTS_TO_ACCELERATE && recent >= TREND_FACTOR * earlierRate) return "accelerating";
+  if (recent < earlierRate / TREND_FACTOR) return "decaying";
+  return "steady";
+};
+
+const summarise = (points, now) => {
+  const events = points.map(point => point.event).sort((a, b) => a.properties.time - b.properties.time);
+  const times = events.map(eq => eq.properties.time);
+  const start = times[0];
+  const end = times[times.length - 1];
+  const largest = events.reduce((best, eq) =>
+    (eq.properties.mag ?? -Infinity) > (best.properties.mag ?? -Infinity) ? eq : best);
+  return {
+    // The first event's id, so a sequence keeps its id as it grows
+    id: events[0].id,
+    events,
+    start,
+    end,
+    durationMs: end - start,
+    count: events.length,
+    largest,
+    ratePerDay: events.length / Math.max(1, (end - start) / DAY_MS),
+    recentCount: times.filter(time => time >= now - TREND_WINDOW_MS).length,
+    active: now - end <= ACTIVE_WINDOW_MS,
+    trend: rateTrend(times, start, end, now),
+    hull: convexHull(points.map(point => [point.lon, point.lat])),
+    center: [
+      points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+      points.reduce((sum, point) => sum + point.lon, 0) / points.length
+    ]
+  };
+};
+
+// Groups of related events with at least `minEvents` members, newest first
+export const detectSequences = (events, settings, now = Date.now()) => {
+  const points = events
+    .map(event => {
+      const [lon, lat] = event.geometry?.coordinates || [];
+      return { event, time: event.properties?.time, lat, lon, mag: typeof event.properties?.mag === "number" ? event.properties.mag : null };
+    })
+    .filter(point => Number.isFinite(point.time) && Number.isFinite(point.lat) && Number.isFinite(point.lon))
+    .sort((a, b) => a.time - b.time);
+  const clusters = settings.method === "gardner-knopoff"
+    ? gardnerKnopoffClusters(points)
+    : dbscanClusters(points, settings);
+  return clusters
+    .filter(cluster => cluster.length >= settings.minEvents)
+    .map(cluster => summarise(cluster, now))
+    .sort((a, b) => b.end - a.end);
+};
+
+const swarmFiring = (sequence, kind, now) => {
+  const latest = sequence.events[sequence.events.length - 1];
+  return {
+    id: `alert-${now.toString(36)}-${kind}-${sequence.id}`,
+    ruleId: `sequence-${kind}`,
+    ruleName: kind === "new" ? "New earthquake sequence" : "Earthquake sequence speeding up",
+    ruleNameKey: kind === "new" ? "alerts.sequenceNewTitle" : "alerts.sequenceAcceleratingTitle",
+    firedAt: now,
+    channels: SWARM_ALERT_CHANNELS,
+    // Worded by alertMessage in the interface language, from the largest event first in `events`
+    messageKey: kind === "new" ? "alerts.sequenceNew" : "alerts.sequenceAccelerating",
+    messageParams: { count: sequence.count, recentCount: sequence.recentCount, largestMag: sequence.largest.properties.mag },
+    events: [sequence.largest, ...(latest === sequence.largest ? [] : [latest])].map(alertEvent)
+  };
+};
+
+// Alerts for active sequences that were not there at the last check, and for those
+// that have started speeding up since. A sequence counts as known when it shares an
+// event with one from the last check, so growing or merging does not make it new.
+// The first check only records what is active.
+export const evaluateSwarmAlerts = (sequences, previous, now = Date.now()) => {
+  const active = sequences.filter(sequence => sequence.active);
+  const state = Object.fromEntries(active.map(sequence => [
+    sequence.id,
+    { trend: sequence.trend, eventIds: sequence.events.map(eq => eq.id) }
+  ]));
+  if (!previous) return { firings: [], state };
+
+  const previousOf = (sequence) => Object.values(previous).find(entry =>
+    sequence.events.some(eq => entry.eventIds.includes(eq.id)));
+  const firings = active.flatMap(sequence => {
+    const before = previousOf(sequence);
+    if (!before) return [swarmFiring(sequence, "new", now)];
+    if (sequence.trend === "accelerating" && before.trend !== "accelerating") return [swarmFiring(sequence, "accelerating", now)];
+    return [];
+  });
+  return { firings, state };
+};
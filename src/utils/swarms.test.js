@@ -0,0 +1,145 @@
+import { detectSequences, evaluateSwarmAlerts, gardnerKnopoffWindow, convexHull } from "./swarms";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = Date.parse("2024-03-21T12:00:00Z");
+
+// 0.1° of latitude is about 11 km
+const event = (id, daysAgo, { lat = 11.6, lon = 41.0, mag = 3.0 } = {}) =>
+  testEvent({ id, time: NOW - daysAgo * DAY_MS, mag, lat, lon, place: "Afar, Ethiopia" });
+
+const dbscan = { method: "dbscan", epsKm: 20, epsHours: 72, minEvents: 5 };
+
+const idsOf = (sequences) => sequences.map(sequence => sequence.events.map(eq => eq.id));
+
+// Events at each of `daysAgo` in one place, for the trend and alert cases
+const burst = (prefix, daysAgo, options) => daysAgo.map((days, i) => event(`${prefix}${i}`, days, options));
+
+describe("detectSequences with DBSCAN", () => {
+  const cluster = [0, 1, 2, 3, 4].map(i => event(`c${i}`, 2 - i / 24, { lat: 11.6 + i * 0.01 }));
+
+  it("groups events with enough neighbours inside eps and leaves the rest out", () => {
+    const events = [...cluster, event("far", 2, { lat: 11.9 }), event("earlier", 6)];
+    expect(idsOf(detectSequences(events, dbscan, NOW))).toEqual([["c0", "c1", "c2", "c3", "c4"]]);
+  });
+
+  it("finds nothing with one event fewer than minEvents", () => {
+    expect(detectSequences(cluster.slice(1), dbscan, NOW)).toEqual([]);
+    expect(detectSequences(cluster.slice(1), { ...dbscan, minEvents: 4 }, NOW)).toHaveLength(1);
+  });
+
+  it("splits events further apart than eps in time or distance", () => {
+    const events = [...cluster, ...burst("d", [9, 8.9, 8.8, 8.7, 8.6])];
+    const sequences = detectSequences(events, dbscan, NOW);
+    expect(idsOf(sequences)).toEqual([["c0", "c1", "c2", "c3", "c4"], ["d0", "d1", "d2", "d3", "d4"]]);
+    expect(detectSequences(cluster, { ...dbscan, epsKm: 1 }, NOW)).toEqual([]);
+  });
+
+  it("summarises a sequence", () => {
+    const events = cluster.map((eq, i) => (i === 2 ? { ...eq, properties: { ...eq.properties, mag: 4.5 } } : eq));
+    const [sequence] = detectSequences(events, dbscan, NOW);
+    expect(sequence).toMatchObject({ id: "c0", count: 5, start: NOW - 2 * DAY_MS, end: NOW - (2 - 4 / 24) * DAY_MS, active: true });
+    expect(sequence.largest.id).toBe("c2");
+  });
+});
+
+describe("detectSequences with Gardner–Knopoff windows", () => {
+  const settings = { method: "gardner-knopoff", minEvents: 3 };
+
+  it("sizes windows by magnitude", () => {
+    const window = gardnerKnopoffWindow(5);
+    expect(window.distanceKm).toBeCloseTo(40.0, 0);
+    expect(window.days).toBeCloseTo(143.7, 0);
+    expect(gardnerKnopoffWindow(7).days).toBeCloseTo(915, -1);
+  });
+
+  it("gives the largest event every event inside its window", () => {
+    const events = [
+      event("main", 100, { mag: 5 }),
+      // 33 km away and 90 days later, inside the M5 window
+      event("after1", 10, { lat: 11.9 }),
+      event("before", 101),
+      // 56 km away, outside it
+      event("outside", 50, { lat: 12.1 })
+    ];
+    expect(idsOf(detectSequences(events, settings, NOW))).toEqual([["before", "main", "after1"]]);
+  });
+
+  it("leaves events beyond the window's duration out", () => {
+    const events = [event("main", 200, { mag: 5 }), event("near", 199), event("too-late", 200 - 150)];
+    expect(detectSequences(events, settings, NOW)).toEqual([]);
+    expect(detectSequences(events, { ...settings, minEvents: 2 }, NOW)[0].count).toBe(2);
+  });
+});
+
+describe("sequence trends", () => {
+  const trendOf = (daysAgo) => detectSequences(burst("e", daysAgo), { ...dbscan, minEvents: 3 }, NOW)[0].trend;
+
+  it("is speeding up when the last day has at least three events and twice the earlier rate", () => {
+    expect(trendOf([4, 3, 2, 0.5, 0.3, 0.1])).toBe("accelerating");
+    expect(trendOf([4, 3, 2, 0.5, 0.3])).toBe("steady");
+  });
+
+  it("is slowing down when the last day has under half the earlier rate", () => {
+    expect(trendOf([2.9, 2.5, 2.2, 2.0, 1.8, 1.5, 1.2])).toBe("decaying");
+  });
+
+  it("is steady in between", () => {
+    expect(trendOf([5, 4, 3, 2, 0.5])).toBe("steady");
+  });
+
+  it("has ended once the latest event is older than the active window", () => {
+    expect(trendOf([6, 5, 4, 3.5])).toBe("ended");
+  });
+});
+
+describe("evaluateSwarmAlerts", () => {
+  const settings = { ...dbscan, minEvents: 3 };
+  const steady = burst("s", [5, 4, 3, 2, 0.5]);
+
+  it("only records the active sequences on the first check", () => {
+    const { firings, state } = evaluateSwarmAlerts(detectSequences(steady, settings, NOW), null, NOW);
+    expect(firings).toEqual([]);
+    expect(state).toEqual({ s0: { trend: "steady", eventIds: ["s0", "s1", "s2", "s3", "s4"] } });
+  });
+
+  it("alerts a new sequence once", () => {
+    const first = evaluateSwarmAlerts(detectSequences(steady, settings, NOW), null, NOW);
+    const events = [...steady, ...burst("n", [1.5, 1.2, 0.8], { lat: 9.0, lon: 38.7 })];
+    const second = evaluateSwarmAlerts(detectSequences(events, settings, NOW), first.state, NOW);
+    expect(second.firings.map(firing => [firing.ruleId, firing.messageParams.count])).toEqual([["sequence-new", 3]]);
+    expect(evaluateSwarmAlerts(detectSequences(events, settings, NOW), second.state, NOW).firings).toEqual([]);
+  });
+
+  it("does not alert a known sequence again as it grows", () => {
+    const { state } = evaluateSwarmAlerts(detectSequences(steady, settings, NOW), null, NOW);
+    const grown = [...steady, event("s5", 0.2)];
+    expect(evaluateSwarmAlerts(detectSequences(grown, settings, NOW), state, NOW).firings).toEqual([]);
+  });
+
+  it("alerts a known sequence when it starts speeding up, and not while it stays so", () => {
+    const { state } = evaluateSwarmAlerts(detectSequences(steady, settings, NOW), null, NOW);
+    const faster = [...steady, event("s5", 0.3), event("s6", 0.1)];
+    const sequences = detectSequences(faster, settings, NOW);
+    const second = evaluateSwarmAlerts(sequences, state, NOW);
+    expect(second.firings.map(firing => firing.ruleId)).toEqual(["sequence-accelerating"]);
+    expect(evaluateSwarmAlerts(sequences, second.state, NOW).firings).toEqual([]);
+  });
+
+  it("drops sequences that are no longer active from the state", () => {
+    const old = detectSequences(burst("o", [9, 8, 7]), settings, NOW);
+    expect(evaluateSwarmAlerts(old, {}, NOW)).toEqual({ firings: [], state: {} });
+  });
+});
+
+describe("convexHull", () => {
+  it("keeps the outer points counter-clockwise", () => {
+    const hull = convexHull([[0, 0], [2, 0], [1, 1], [2, 2], [0, 2], [1, 0]]);
+    expect(hull).toEqual([[0, 0], [2, 0], [2, 2], [0, 2]]);
+  });
+
+  it("returns fewer than three points sorted", () => {
+    expect(convexHull([[1, 1], [0, 0]])).toEqual([[0, 0], [1, 1]]);
+  });
+});
@@ -0,0 +1,39 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Playback window lengths; a month is approximated as 30 days
+export const WINDOWS = {
+  day: { label: "Day", ms: DAY_MS },
+  week: { label: "Week", ms: 7 * DAY_MS },
+  month: { label: "Month", ms: 30 * DAY_MS }
+};
+
+// Beyond this the histogram merges neighbouring windows so it stays readable
+export const MAX_HISTOGRAM_BINS = 300;
+
+// Count events per bin between start and end (ms). Bins are `binMs` wide, widened
+// to keep the total at or under MAX_HISTOGRAM_BINS.
+export const buildHistogram = (events, start, end, binMs) => {
+  const span = Math.max(end - start, 1);
+  const size = Math.max(binMs, Math.ceil(span / MAX_HISTOGRAM_BINS));
+  const counts = new Array(Math.max(1, Math.ceil(span / size))).fill(0);
+  events.forEach(eq => {
+    const time = eq.properties.time;
+    if (time < start || time > end) return;
+    const index = Math.min(counts.length - 1, Math.floor((time - start) / size));
+    counts[index]++;
+  });
+  return { counts, binMs: size };
+};
+
+// Events that have happened by `current` and are younger than the trail, with an
+// opacity that fades from 1 (just happened) to 0.15 (about to drop off the trail)
+export const eventsAtTime = (events, current, trailMs) => {
+  const visible = [];
+  events.forEach(eq => {
+    const age = current - eq.properties.time;
+    if (age < 0 || age > trailMs) return;
+    visible.push({ event: eq, opacity: Math.max(0.15, 1 - age / trailMs) });
+  });
+  // Oldest first so the newest events are drawn on top
+  return visible.sort((a, b) => a.event.properties.time - b.event.properties.time);
+};
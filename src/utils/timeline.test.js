@@ -0,0 +1,58 @@
+import { buildHistogram, eventsAtTime, WINDOWS, MAX_HISTOGRAM_BINS } from "./timeline";
+import { testEvent } from "./__fixtures__/testEvents";
+
+const DAY_MS = WINDOWS.day.ms;
+const start = Date.parse("2024-03-01T00:00:00Z");
+const at = (time) => testEvent({ time });
+
+describe("buildHistogram", () => {
+  it("counts events into bins with an inclusive start edge", () => {
+    const events = [at(start), at(start + DAY_MS - 1), at(start + DAY_MS), at(start + 2 * DAY_MS + 5)];
+    expect(buildHistogram(events, start, start + 3 * DAY_MS, DAY_MS)).toEqual({ counts: [2, 1, 1], binMs: DAY_MS });
+  });
+
+  it("puts an event at the very end into the last bin", () => {
+    expect(buildHistogram([at(start + 3 * DAY_MS)], start, start + 3 * DAY_MS, DAY_MS).counts).toEqual([0, 0, 1]);
+  });
+
+  it("leaves out events outside the range", () => {
+    const events = [at(start - 1), at(start + 3 * DAY_MS + 1)];
+    expect(buildHistogram(events, start, start + 3 * DAY_MS, DAY_MS).counts).toEqual([0, 0, 0]);
+  });
+
+  it("adds a partial last bin when the range is not a whole number of bins", () => {
+    expect(buildHistogram([at(start + 2 * DAY_MS + 1)], start, start + 2.5 * DAY_MS, DAY_MS).counts).toEqual([0, 0, 1]);
+  });
+
+  it("widens the bins to stay within the maximum", () => {
+    const end = start + 1000 * DAY_MS;
+    const { counts, binMs } = buildHistogram([at(start), at(end)], start, end, DAY_MS);
+    expect(counts.length).toBeLessThanOrEqual(MAX_HISTOGRAM_BINS);
+    expect(binMs).toBeGreaterThan(DAY_MS);
+    expect(counts[0] + counts[counts.length - 1]).toBe(2);
+  });
+
+  it("keeps one bin for an empty range", () => {
+    expect(buildHistogram([at(start)], start, start, DAY_MS).counts).toEqual([1]);
+  });
+});
+
+describe("eventsAtTime", () => {
+  const trail = WINDOWS.week.ms;
+
+  it("shows events that have happened and are younger than the trail", () => {
+    const events = [at(start - trail - 1), at(start - trail), at(start - DAY_MS), at(start), at(start + 1)];
+    const visible = eventsAtTime(events, start, trail);
+    expect(visible.map(entry => entry.event)).toEqual([events[1], events[2], events[3]]);
+  });
+
+  it("fades events from fully opaque to the minimum as they age", () => {
+    const visible = eventsAtTime([at(start), at(start - trail / 2), at(start - trail)], start, trail);
+    expect(visible.map(entry => entry.opacity)).toEqual([0.15, 0.5, 1]);
+  });
+
+  it("orders the oldest first so the newest are drawn on top", () => {
+    const visible = eventsAtTime([at(start), at(start - 2 * DAY_MS), at(start - DAY_MS)], start, trail);
+    expect(visible.map(entry => entry.event.properties.time)).toEqual([start - 2 * DAY_MS, start - DAY_MS, start]);
+  });
+});
@@ -0,0 +1,127 @@
+import { createAreaId } from "./areas";
+import { DEFAULT_START_DATE, todayDate } from "./filters";
+import { englishT } from "./i18n";
+
+// Dashboard state kept in the query string so views can be shared and navigated with
+// back/forward. Values equal to the defaults are left out to keep links short:
+//   ?from=2024-01-01&to=2024-03-31&minmag=4&maxmag=6&mindepth=0&maxdepth=30&magtype=mb,mw
+//    &status=reviewed&q=afar&view=9.0300,38.7400,8&layer=heatmap&rings=0&event=us7000m1ab
+//    &area=c:9.0300,38.7400,50000&area=p:9.1,38.6;9.2,38.9;...
+// "last=24" (hours) stands in for from/to when a rolling window is chosen.
+const COORD_DECIMALS = 4;
+
+const round = (value) => Number(value.toFixed(COORD_DECIMALS));
+
+const isDate = (text) => /^\d{4}-\d{2}-\d{2}$/.test(text || "");
+
+// Areas travel as shapes only: "c:lat,lon,radiusMetres" for circles, and
+// "p:" (polygon) or "r:" (rectangle) followed by the outer ring as "lat,lon" pairs
+const AREA_PREFIXES = { circle: "c", polygon: "p", rectangle: "r" };
+
+export const encodeArea = (area) => {
+  const prefix = AREA_PREFIXES[area.type];
+  if (!prefix) return null;
+  if (area.type === "circle") {
+    const [lat, lon] = area.center;
+    return `c:${round(lat)},${round(lon)},${Math.round(area.radius)}`;
+  }
+  // The closing point repeats the first one, so it is left out
+  const ring = area.geometry.coordinates[0].slice(0, -1);
+  return `${prefix}:${ring.map(([lon, lat]) => `${round(lat)},${round(lon)}`).join(";")}`;
+};
+
+export const decodeArea = (text) => {
+  const [prefix, body] = (text || "").split(":");
+  const type = Object.keys(AREA_PREFIXES).find(key => AREA_PREFIXES[key] === prefix);
+  if (!type || !body) return null;
+  if (type === "circle") {
+    const [lat, lon, radius] = body.split(",").map(Number);
+    if ([lat, lon, radius].some(value => !Number.isFinite(value)) || radius <= 0) return null;
+    return { type, center: [lat, lon], radius };
+  }
+  const ring = body.split(";").map(pair => pair.split(",").map(Number).reverse());
+  if (ring.length < 3 || ring.some(point => point.length !== 2 || point.some(value => !Number.isFinite(value)))) return null;
+  return { type, geometry: { type: "Polygon", coordinates: [[...ring, ring[0]]] } };
+};
+
+const numberParam = (params, name) => {
+  const value = params.has(name) && params.get(name) !== "" ? Number(params.get(name)) : NaN;
+  return Number.isFinite(value) ? value : undefined;
+};
+
+// Filter criteria named in a query string; the others are left out
+const readFilters = (params) => {
+  const filters = {
+    startDate: isDate(params.get("from")) ? params.get("from") : undefined,
+    endDate: isDate(params.get("to")) ? params.get("to") : undefined,
+    lastHours: numberParam(params, "last"),
+    minMag: numberParam(params, "minmag"),
+    maxMag: numberParam(params, "maxmag"),
+    minDepth: numberParam(params, "mindepth"),
+    maxDepth: numberParam(params, "maxdepth"),
+    magTypes: params.get("magtype") ? params.get("magtype").toLowerCase().split(",").filter(Boolean) : undefined,
+    status: ["reviewed", "automatic", "unknown"].includes(params.get("status")) ? params.get("status") : undefined,
+    text: params.get("q") || undefined
+  };
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+};
+
+// Parsed query string. Empty when there is none, so a plain visit keeps local state;
+// otherwise `areas` is always a list since a link without areas means none are active.
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  if ([...params.keys()].length === 0) return {};
+
+  const state = { filters: readFilters(params), areas: params.getAll("area").map(decodeArea).filter(Boolean) };
+  const [lat, lon, zoom] = (params.get("view") || "").split(",").map(Number);
+  if ([lat, lon, zoom].every(Number.isFinite)) state.view = { lat, lon, zoom };
+  if (params.get("layer")) state.layerMode = params.get("layer");
+  if (params.has("rings")) state.intensityRings = params.get("rings") !== "0";
+  if (params.get("event")) state.eventId = params.get("event");
+  return state;
+};
+
+// Query string (with "?", or "" when everything is at its default) for the given state
+export const buildUrlSearch = ({ filters = {}, view, layerMode, intensityRings, areas = [], eventId }) => {
+  const params = new URLSearchParams();
+  const { startDate, endDate, lastHours, minMag, maxMag, minDepth, maxDepth, magTypes, status, text } = filters;
+  if (lastHours) {
+    params.set("last", String(lastHours));
+  } else {
+    if (startDate && startDate !== DEFAULT_START_DATE) params.set("from", startDate);
+    if (endDate && endDate !== todayDate()) params.set("to", endDate);
+  }
+  // 0 is the default minimum magnitude, so it is left out like the other defaults
+  if (minMag) params.set("minmag", String(minMag));
+  [["maxmag", maxMag], ["mindepth", minDepth], ["maxdepth", maxDepth]].forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== "") params.set(name, String(value));
+  });
+  if (magTypes?.length > 0) params.set("magtype", magTypes.join(","));
+  if (status && status !== "all") params.set("status", status);
+  if (text?.trim()) params.set("q", text.trim());
+  if (view) params.set("view", `${view.lat.toFixed(COORD_DECIMALS)},${view.lon.toFixed(COORD_DECIMALS)},${view.zoom}`);
+  if (layerMode && layerMode !== "markers") params.set("layer", layerMode);
+  if (intensityRings === false) params.set("rings", "0");
+  if (eventId) params.set("event", eventId);
+  areas.map(encodeArea).filter(Boolean).forEach(text => params.append("area", text));
+  // Commas, colons and semicolons are valid in a query string; unescaped links read better
+  const query = params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":").replace(/%3B/g, ";");
+  return query ? `?${query}` : "";
+};
+
+// Make exactly the linked areas active: saved areas with the same shape are switched on,
+// shapes not saved here are added as new areas, named in the language of `t`, and every
+// other area is switched off
+export const applyUrlAreas = (areas, urlAreas, t = englishT) => {
+  const matched = new Set();
+  const updated = areas.map(area => {
+    const code = encodeArea(area);
+    const active = urlAreas.some(shape => encodeArea(shape) === code);
+    if (active) matched.add(code);
+    return area.active === active ? area : { ...area, active };
+  });
+  const added = urlAreas
+    .filter(shape => !matched.has(encodeArea(shape)))
+    .map((shape, index) => ({ ...shape, id: createAreaId(), name: t("areas.sharedName", { number: index + 1 }), active: true }));
+  return [...updated, ...added];
+};
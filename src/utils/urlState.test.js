@@ -0,0 +1,99 @@
+import { encodeArea, decodeArea, readUrlState, buildUrlSearch, applyUrlAreas } from "./urlState";
+import { defaultFilters, todayDate } from "./filters";
+import { translator } from "./i18n";
+
+const circle = { type: "circle", center: [9.03, 38.74], radius: 50000 };
+const ring = [[38.6, 9.1], [38.9, 9.2], [38.8, 8.9], [38.6, 9.1]];
+const polygon = { type: "polygon", geometry: { type: "Polygon", coordinates: [ring] } };
+const rectangle = { type: "rectangle", geometry: { type: "Polygon", coordinates: [[[38, 9], [39, 9], [39, 10], [38, 10], [38, 9]]] } };
+
+describe("encodeArea and decodeArea", () => {
+  it("round-trip circles, polygons and rectangles", () => {
+    expect(encodeArea(circle)).toBe("c:9.03,38.74,50000");
+    expect(encodeArea(polygon)).toBe("p:9.1,38.6;9.2,38.9;8.9,38.8");
+    [circle, polygon, rectangle].forEach(area => expect(decodeArea(encodeArea(area))).toEqual(area));
+  });
+
+  it("rounds coordinates and radii", () => {
+    expect(encodeArea({ type: "circle", center: [9.0312345, 38.7456789], radius: 1234.6 })).toBe("c:9.0312,38.7457,1235");
+  });
+
+  it("rejects unknown or malformed shapes", () => {
+    expect(encodeArea({ type: "line" })).toBeNull();
+    ["", "x:1,2,3", "c:9,38", "c:9,38,-5", "p:9,38;10,39", "r:9,38;10,x;11,39"].forEach(text => {
+      expect(decodeArea(text)).toBeNull();
+    });
+  });
+});
+
+describe("buildUrlSearch", () => {
+  it("is empty when everything is at its default", () => {
+    expect(buildUrlSearch({ filters: defaultFilters(), layerMode: "markers", intensityRings: true })).toBe("");
+  });
+
+  it("writes the criteria that differ from the defaults", () => {
+    const filters = { ...defaultFilters(), startDate: "2024-01-01", endDate: "2024-03-31", minMag: 4, maxDepth: 0, magTypes: ["mb", "mw"], status: "reviewed", text: " afar " };
+    const search = buildUrlSearch({ filters, view: { lat: 9.03, lon: 38.74, zoom: 8 }, layerMode: "heatmap", intensityRings: false, eventId: "us1", areas: [circle] });
+    expect(search).toBe("?from=2024-01-01&to=2024-03-31&minmag=4&maxdepth=0&magtype=mb,mw&status=reviewed&q=afar"
+      + "&view=9.0300,38.7400,8&layer=heatmap&rings=0&event=us1&area=c:9.03,38.74,50000");
+  });
+
+  it("writes a rolling window instead of dates", () => {
+    const filters = { ...defaultFilters(), startDate: "2024-01-01", lastHours: 24 };
+    expect(buildUrlSearch({ filters })).toBe("?last=24");
+  });
+
+  it("leaves out the default minimum magnitude of 0", () => {
+    expect(buildUrlSearch({ filters: { ...defaultFilters(), minMag: 0 } })).toBe("");
+    expect(buildUrlSearch({ filters: { ...defaultFilters(), minMag: 0.5 } })).toBe("?minmag=0.5");
+  });
+});
+
+describe("readUrlState", () => {
+  it("is empty without a query string", () => {
+    expect(readUrlState("")).toEqual({});
+  });
+
+  it("reads back what buildUrlSearch writes", () => {
+    const filters = { startDate: "2024-01-01", endDate: "2024-03-31", minMag: 4, maxDepth: 0, magTypes: ["mb", "mw"], status: "reviewed", text: "afar" };
+    const state = { filters, view: { lat: 9.03, lon: 38.74, zoom: 8 }, layerMode: "heatmap", intensityRings: false, eventId: "us1", areas: [circle, polygon] };
+    expect(readUrlState(buildUrlSearch(state))).toEqual(state);
+  });
+
+  it("reads a rolling window", () => {
+    expect(readUrlState("?last=24")).toEqual({ filters: { lastHours: 24 }, areas: [] });
+  });
+
+  it("reads every review status but any", () => {
+    expect(readUrlState("?status=unknown").filters).toEqual({ status: "unknown" });
+    expect(readUrlState("?status=all").filters).toEqual({});
+  });
+
+  it("ignores values it can't read", () => {
+    const state = readUrlState("?from=yesterday&to=" + todayDate() + "&minmag=big&status=pending&view=9,38&area=c:9,38&area=p:1,2");
+    expect(state).toEqual({ filters: { endDate: todayDate() }, areas: [] });
+  });
+});
+
+describe("applyUrlAreas", () => {
+  it("switches on saved areas with the linked shape, switches off the rest and adds new shapes", () => {
+    const saved = [
+      { ...circle, id: "area-1", name: "Addis", active: false },
+      { ...polygon, id: "area-2", name: "Rift", active: true }
+    ];
+    const result = applyUrlAreas(saved, [circle, rectangle]);
+    expect(result.map(area => [area.name, area.active])).toEqual([["Addis", true], ["Rift", false], ["Shared area 1", true]]);
+    expect(result[2]).toMatchObject(rectangle);
+    expect(result[2].id).toMatch(/^area-/);
+  });
+
+  it("names added areas in the caller's language", () => {
+    expect(applyUrlAreas([], [circle, rectangle], translator("om")).map(area => area.name))
+      .toEqual(["Naannoo qoodame 1", "Naannoo qoodame 2"]);
+  });
+
+  it("keeps areas that don't change", () => {
+    const saved = [{ ...circle, id: "area-1", name: "Addis", active: true }];
+    expect(applyUrlAreas(saved, [circle])[0]).toBe(saved[0]);
+  });
+});